@@ -1,12 +1,32 @@
-export default {
-  presets: [
-    [
-      "@babel/preset-env",
-      {
-        targets: {
-          node: "current", 
-        },
+// Jest compiles the sources to CommonJS, where `import.meta` does not exist;
+// rewrite `import.meta.url` to the equivalent file URL of the compiled module
+function importMetaUrlToCommonJS({ template }) {
+  return {
+    visitor: {
+      MetaProperty(path) {
+        const { parentPath } = path;
+        if (path.node.meta.name === 'import' && parentPath.isMemberExpression() && parentPath.node.property.name === 'url') {
+          parentPath.replaceWith(template.expression.ast`require('url').pathToFileURL(__filename).href`);
+        }
       },
+    },
+  };
+}
+
+export default (api) => {
+  const supportsStaticESM = api.caller((caller) => Boolean(caller && caller.supportsStaticESM));
+
+  return {
+    presets: [
+      [
+        "@babel/preset-env",
+        {
+          targets: {
+            node: "current",
+          },
+        },
+      ],
     ],
-  ],
-};
\ No newline at end of file
+    plugins: supportsStaticESM ? [] : [importMetaUrlToCommonJS],
+  };
+};
@@ -31,6 +31,42 @@ export default [
             ...Object.keys(pkg.peerDependencies || {})
         ]
     },
+    // Worker thread entry for batch encryption; index.js and index.esm.js load it as ./worker.js
+    {
+        input: 'src/batch/worker.js',
+        output: { file: 'dist/worker.js', format: 'es', sourcemap: true },
+        plugins: [
+            resolve({ preferBuiltins: true }),
+            commonjs(),
+            json(),
+            babel({
+                babelHelpers: 'bundled',
+                exclude: 'node_modules/**'
+            })
+        ],
+        external: [
+            ...Object.keys(pkg.dependencies || {}),
+            ...Object.keys(pkg.peerDependencies || {})
+        ]
+    },
+    // Browser and edge build: WebCrypto and Uint8Array only, so no Node built-ins or polyfills
+    {
+        input: 'src/browser.js',
+        output: { file: pkg.browser, format: 'es', sourcemap: true },
+        plugins: [
+            resolve({ browser: true, preferBuiltins: false }),
+            commonjs(),
+            json(),
+            babel({
+                babelHelpers: 'bundled',
+                exclude: 'node_modules/**'
+            })
+        ],
+        external: [
+            ...Object.keys(pkg.dependencies || {}),
+            ...Object.keys(pkg.peerDependencies || {})
+        ]
+    },
     // Browser-friendly UMD build
     {
         input: 'src/index.js',
@@ -40,9 +76,19 @@ export default [
             format: 'umd',
             sourcemap: true,
             globals: {
-                'crypto': 'crypto',
-                'mathjs': 'math' // Specify global names for external modules
+                'crypto': 'crypto', // Specify global names for external modules
+                'worker_threads': 'worker_threads',
+                'stream': 'stream',
+                'fs/promises': 'fs'
+            }
+        },
+        external: ['worker_threads', 'stream', 'fs/promises', ...Object.keys(pkg.peerDependencies || {})],
+        onwarn(warning, warn) {
+            // Batch workers, EncryptionTransform and LocalFileAdapter are Node-only, so the browser bundle does not need their built-ins
+            if (warning.code === 'MISSING_NODE_BUILTINS' && warning.ids.every((id) => ['worker_threads', 'stream', 'fs/promises'].includes(id))) {
+                return;
             }
+            warn(warning);
         },
         plugins: [
             resolve({ browser: true }),
@@ -0,0 +1,57 @@
+import crypto from 'crypto';
+import { performance } from 'perf_hooks';
+import { RagEncryptionClient } from '../src/rag_encryption/index.js';
+
+// Measures vector encryption and decryption throughput.
+//
+//   node scripts/benchmark-vectors.js [count=100000] [dimensions=1536]
+//
+// Embeddings are drawn from a small pool, and decryption cycles through their ciphertexts, so
+// memory stays flat however many are encrypted.
+const count = Number(process.argv[2] || 100000);
+const dimensions = Number(process.argv[3] || 1536);
+const poolSize = Math.min(count, 64);
+
+if (!Number.isInteger(count) || count <= 0 || !Number.isInteger(dimensions) || dimensions <= 0) {
+  console.error('Usage: node scripts/benchmark-vectors.js [count] [dimensions]');
+  process.exit(1);
+}
+
+const client = new RagEncryptionClient(crypto.randomBytes(32), 1.0);
+
+function makePool(VectorType) {
+  return Array.from({ length: poolSize }, () => {
+    const vector = new VectorType(dimensions);
+    for (let i = 0; i < dimensions; i++) {
+      vector[i] = Math.random() * 2 - 1;
+    }
+    return vector;
+  });
+}
+
+function run(label, pool) {
+  const encryptStart = performance.now();
+  const encrypted = new Array(poolSize);
+  for (let i = 0; i < count; i++) {
+    encrypted[i % poolSize] = client.encryptVector(pool[i % poolSize]);
+  }
+  const encryptSeconds = (performance.now() - encryptStart) / 1000;
+
+  const decryptStart = performance.now();
+  for (let i = 0; i < count; i++) {
+    const [vector, metadata] = encrypted[i % poolSize];
+    client.decryptVector(vector, metadata);
+  }
+  const decryptSeconds = (performance.now() - decryptStart) / 1000;
+
+  const perSecond = (seconds) => Math.round(count / seconds).toLocaleString('en-US');
+  console.log(
+    `${label.padEnd(14)} encrypt ${perSecond(encryptSeconds).padStart(8)} vectors/s (${encryptSeconds.toFixed(1)}s)  ` +
+    `decrypt ${perSecond(decryptSeconds).padStart(8)} vectors/s (${decryptSeconds.toFixed(1)}s)`
+  );
+}
+
+console.log(`${count.toLocaleString('en-US')} vectors x ${dimensions} dimensions`);
+run('Array', makePool(Array));
+run('Float32Array', makePool(Float32Array));
+run('Float64Array', makePool(Float64Array));
@@ -71,12 +71,15 @@ class BaseAdapter {
   }
 
   /**
-   * Insert vectors into the database
+   * Insert vectors into the database. Inserting never replaces a vector: implementations reject
+   * the whole call if an ID already exists or appears twice, checking before they write where the
+   * database itself would replace the vector. Use upsert to replace vectors.
    * @param {Array<Object>} vectors - Vectors to insert
    * @param {string} [vectors[].id] - Optional unique identifier for the vector
    * @param {Array<number>} vectors[].vector - The vector embedding to insert
    * @param {Object} [vectors[].metadata] - Optional metadata associated with the vector
    * @returns {Promise<Array<string>>} - IDs of the inserted vectors
+   * @throws {InvalidInputError} - If a vector with one of the IDs already exists, or an ID appears twice
    * @throws {Error} - If insertion fails
    * 
    * @example
@@ -98,7 +101,8 @@ class BaseAdapter {
    * @param {Object} options - Search options
    * @param {number} [options.limit=10] - Maximum number of results to return
    * @param {number} [options.threshold=0.7] - Similarity threshold (database-specific implementation)
-   * @param {Object} [options.filter] - Filter conditions for metadata (database-specific implementation)
+   * @param {Object} [options.filter] - Filter conditions for metadata, built with `filters.Filter`
+   *   (adapters may also accept their database's native filters)
    * @returns {Promise<Array<Object>>} - Search results with format [{ id, vector, metadata, score/distance }]
    * @throws {Error} - If search fails
    * 
@@ -114,6 +118,107 @@ class BaseAdapter {
   async search(queryVector, options = {}) {
     throw new Error('Method not implemented: search');
   }
+
+  /**
+   * Insert vectors, replacing the vectors that already have the same IDs
+   * @param {Array<Object>} vectors - Vectors to write, in the format of insert; every vector needs an `id`
+   * @returns {Promise<Array<string>>} - IDs of the written vectors
+   * @throws {Error} - If the write fails
+   *
+   * @example
+   * ```javascript
+   * await adapter.upsert([{ id: 'doc1', vector: [0.1, 0.2, 0.3], metadata: { category: 'updated' } }]);
+   * ```
+   */
+  async upsert(vectors) {
+    throw new Error('Method not implemented: upsert');
+  }
+
+  /**
+   * Fetch vectors by ID
+   * @param {Array<string>} ids - IDs of the vectors to fetch
+   * @returns {Promise<Array<Object>>} - The vectors found, as `{ id, vector, metadata }`; missing IDs are left out
+   * @throws {Error} - If the read fails
+   *
+   * @example
+   * ```javascript
+   * const [doc] = await adapter.get(['doc1']);
+   * ```
+   */
+  async get(ids) {
+    throw new Error('Method not implemented: get');
+  }
+
+  /**
+   * Delete vectors by ID, or every vector matching a filter
+   * @param {Array<string>|Object} idsOrFilter - IDs of the vectors to delete, or a filter built with `filters.Filter`
+   * @returns {Promise<number>} - Number of deleted vectors, where the database reports it
+   * @throws {Error} - If the deletion fails
+   *
+   * @example
+   * ```javascript
+   * await adapter.delete(['doc1', 'doc2']);
+   * await adapter.delete(Filter.eq('category', encryptedCategory));
+   * ```
+   */
+  async delete(idsOrFilter) {
+    throw new Error('Method not implemented: delete');
+  }
+
+  /**
+   * Count the vectors in the collection
+   * @param {Object} [filter] - Only count the vectors matching this filter (built with `filters.Filter`)
+   * @returns {Promise<number>} - Number of vectors
+   * @throws {Error} - If the count fails
+   *
+   * @example
+   * ```javascript
+   * const total = await adapter.count();
+   * ```
+   */
+  async count(filter) {
+    throw new Error('Method not implemented: count');
+  }
+
+  /**
+   * Create the collection (index, table) the adapter is configured for
+   * @param {Object} schema - Collection schema
+   * @param {number} schema.dimension - Vector dimension
+   * @param {string} [schema.metricType="cosine"] - Distance metric type (cosine, euclidean, dot)
+   * @param {Object<string, string>} [schema.fields={}] - Type of each metadata field the database should
+   *   know about: 'string', 'number', 'boolean', 'string[]' or 'binary' (base64 strings, stored as bytes
+   *   where the database has a binary type)
+   * @returns {Promise<boolean>} - True if the collection was created, false if it already existed
+   * @throws {Error} - If creation fails
+   *
+   * @example
+   * ```javascript
+   * await adapter.createCollection({ dimension: 1536, fields: { category: 'string', page: 'number' } });
+   * ```
+   */
+  async createCollection(schema) {
+    throw new Error('Method not implemented: createCollection');
+  }
+
+  /**
+   * Drop the collection and every vector in it
+   * @returns {Promise<boolean>} - True if the collection existed
+   * @throws {Error} - If the drop fails
+   */
+  async dropCollection() {
+    throw new Error('Method not implemented: dropCollection');
+  }
+
+  /**
+   * Compile a filter built with `filters.Filter` to the database's native syntax.
+   * Implementations usually call `filters.compileFilter` with their dialect.
+   * @param {Object} filter - Filter node
+   * @returns {*} - The native filter
+   * @throws {Error} - If the filter cannot be expressed for this database
+   */
+  compileFilter(filter) {
+    throw new Error('Method not implemented: compileFilter');
+  }
 }
 
 export default BaseAdapter;
\ No newline at end of file
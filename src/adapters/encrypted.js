@@ -0,0 +1,241 @@
+import BaseAdapter from './base.js';
+import DCPE from '../dcpe.js';
+import { RagEncryptionClient } from '../rag_encryption/index.js';
+import { defineSchema, lookupField, encryptRecord, decryptRecord, FieldMode } from '../schema/index.js';
+import { FilterOperator, encryptFilter } from '../filters/index.js';
+import { InvalidInputError, InvalidConfigurationError } from '../exceptions/index.js';
+
+/**
+ * Adapter that adds encryption to any other adapter.
+ * Vectors are encrypted on write, query vectors on search, and results are decrypted, so the
+ * wrapped adapter only ever sees ciphertexts. Metadata fields are encrypted with an encryption
+ * schema (see schema.defineSchema); filters must be built with `filters.Filter` so their values
+ * can be encrypted the same way.
+ *
+ * @example
+ * ```javascript
+ * import { EncryptedAdapter, filters } from 'dcpe-js';
+ *
+ * const adapter = new EncryptedAdapter(new MyDatabaseAdapter(config), dcpe, {
+ *   schema: { fields: { text: 'randomized', source_url: 'deterministic', page: 'plaintext' } }
+ * });
+ * await adapter.insert([{ id: 'doc1', vector, metadata: { text, source_url: url, page: 1 } }]);
+ * const results = await adapter.search(queryVector, {
+ *   limit: 5,
+ *   filter: filters.Filter.eq('source_url', url)
+ * });
+ * ```
+ */
+class EncryptedAdapter extends BaseAdapter {
+  /**
+   * Wrap an adapter
+   * @param {BaseAdapter} adapter - Adapter of the database storing the ciphertexts
+   * @param {DCPE|RagEncryptionClient} encryptor - DCPE instance with keys set, or a RagEncryptionClient
+   * @param {Object} [options] - Adapter options
+   * @param {Object} [options.schema] - Encryption schema of the metadata fields; by default every field
+   *   is encrypted randomized, which keeps it private but rules out filtering on it
+   * @param {string} [options.vectorMetadataField="vector_metadata"] - Metadata field storing the
+   *   metadata needed to decrypt each vector
+   */
+  constructor(adapter, encryptor, options = {}) {
+    if (!(adapter instanceof BaseAdapter)) {
+      throw new InvalidInputError("EncryptedAdapter needs an adapter extending BaseAdapter");
+    }
+    super(adapter.config);
+    this.adapter = adapter;
+    this.codec = createCodec(encryptor);
+    this.schema = defineSchema(options.schema || { fields: {}, defaultMode: FieldMode.RANDOMIZED });
+    this.vectorMetadataField = options.vectorMetadataField || 'vector_metadata';
+    if (Object.prototype.hasOwnProperty.call(this.schema.fields, this.vectorMetadataField)) {
+      throw new InvalidConfigurationError(`Field ${this.vectorMetadataField} stores the vector metadata and cannot be in the schema`);
+    }
+  }
+
+  async connect() {
+    return this.adapter.connect();
+  }
+
+  async disconnect() {
+    return this.adapter.disconnect();
+  }
+
+  /**
+   * Encrypt vectors and their metadata, then insert them
+   * @param {Array<Object>} vectors - Plaintext vectors, as `{ id, vector, metadata }`
+   * @returns {Promise<Array<string>>} - IDs of the inserted vectors
+   */
+  async insert(vectors) {
+    return this.adapter.insert(this._encryptVectors(vectors));
+  }
+
+  /**
+   * Encrypt vectors and their metadata, then upsert them
+   * @param {Array<Object>} vectors - Plaintext vectors, as `{ id, vector, metadata }`
+   * @returns {Promise<Array<string>>} - IDs of the written vectors
+   */
+  async upsert(vectors) {
+    return this.adapter.upsert(this._encryptVectors(vectors));
+  }
+
+  /**
+   * Search with an encrypted query vector and decrypt the results
+   * @param {Array<number>} queryVector - Plaintext query vector
+   * @param {Object} [options] - Search options of the wrapped adapter; `filter` is encrypted
+   * @returns {Promise<Array<Object>>} - Decrypted results
+   */
+  async search(queryVector, options = {}) {
+    const { vector } = this.codec.encryptVector(queryVector);
+    const searchOptions = options.filter === undefined
+      ? options
+      : { ...options, filter: this._encryptFilter(options.filter) };
+    const results = await this.adapter.search(vector, searchOptions);
+    return results.map((result) => this._decryptResult(result));
+  }
+
+  /**
+   * Fetch vectors by ID and decrypt them
+   * @param {Array<string>} ids - IDs of the vectors to fetch
+   * @returns {Promise<Array<Object>>} - Decrypted vectors
+   */
+  async get(ids) {
+    const records = await this.adapter.get(ids);
+    return records.map((record) => this._decryptResult(record));
+  }
+
+  /**
+   * Delete vectors by ID, or every vector matching an encrypted filter
+   * @param {Array<string>|Object} idsOrFilter - IDs, or a filter built with `filters.Filter`
+   * @returns {Promise<number>}
+   */
+  async delete(idsOrFilter) {
+    return this.adapter.delete(Array.isArray(idsOrFilter) ? idsOrFilter : this._encryptFilter(idsOrFilter));
+  }
+
+  /**
+   * Count the vectors, optionally only those matching an encrypted filter
+   * @param {Object} [filter] - Filter built with `filters.Filter`
+   * @returns {Promise<number>}
+   */
+  async count(filter) {
+    return filter === undefined ? this.adapter.count() : this.adapter.count(this._encryptFilter(filter));
+  }
+
+  /**
+   * Create the collection, with the types of the encrypted fields: randomized fields and the
+   * vector metadata field are binary, and the other encrypted fields strings that can be filtered
+   * @param {Object} schema - Collection schema (see BaseAdapter#createCollection)
+   * @returns {Promise<boolean>}
+   */
+  async createCollection(schema) {
+    const fields = {};
+    for (const [name, type] of Object.entries(schema.fields || {})) {
+      const field = lookupField(this.schema, name);
+      if (!field || field.mode === FieldMode.PLAINTEXT) {
+        fields[name] = type;
+      } else {
+        fields[name] = field.mode === FieldMode.RANDOMIZED ? 'binary' : 'string';
+      }
+    }
+    fields[this.vectorMetadataField] = 'binary';
+    return this.adapter.createCollection({ ...schema, fields });
+  }
+
+  async dropCollection() {
+    return this.adapter.dropCollection();
+  }
+
+  /**
+   * Encrypt a filter and compile it with the wrapped adapter
+   * @param {Object} filter - Filter built with `filters.Filter`
+   * @returns {*} - The native filter
+   */
+  compileFilter(filter) {
+    return this.adapter.compileFilter(this._encryptFilter(filter));
+  }
+
+  /**
+   * @private
+   */
+  _encryptVectors(vectors) {
+    if (!Array.isArray(vectors)) {
+      throw new InvalidInputError("Vectors must be an array");
+    }
+    return vectors.map(({ id, vector, metadata = {} }) => {
+      if (Object.prototype.hasOwnProperty.call(metadata, this.vectorMetadataField)) {
+        throw new InvalidInputError(`Metadata field ${this.vectorMetadataField} is reserved for the vector metadata`);
+      }
+      const encrypted = this.codec.encryptVector(vector);
+      return {
+        id,
+        vector: encrypted.vector,
+        metadata: {
+          ...encryptRecord(this.codec, metadata, this.schema),
+          [this.vectorMetadataField]: encrypted.metadata
+        }
+      };
+    });
+  }
+
+  /**
+   * @private
+   */
+  _decryptResult(result) {
+    // Adapters with a column for the vector metadata return it next to the metadata
+    const { vector, metadata, vectorMetadata: storedVectorMetadata, ...rest } = result;
+    const decrypted = { ...rest };
+    const { [this.vectorMetadataField]: fieldVectorMetadata, ...fields } = metadata || {};
+    const vectorMetadata = fieldVectorMetadata || storedVectorMetadata;
+    if (metadata) {
+      decrypted.metadata = decryptRecord(this.codec, fields, this.schema);
+    }
+    if (vector !== undefined && vector !== null) {
+      if (!vectorMetadata) {
+        throw new InvalidInputError(`Result ${result.id} has a vector but no ${this.vectorMetadataField} to decrypt it`);
+      }
+      decrypted.vector = this.codec.decryptVector(vector, vectorMetadata);
+    }
+    return decrypted;
+  }
+
+  /**
+   * @private
+   */
+  _encryptFilter(filter) {
+    if (!filter || !Object.values(FilterOperator).includes(filter.op)) {
+      throw new InvalidInputError("EncryptedAdapter filters must be built with filters.Filter so their values can be encrypted");
+    }
+    return encryptFilter(filter, this.codec, this.schema);
+  }
+}
+
+/**
+ * Give a RagEncryptionClient the encryption methods of DCPE used by schemas and filters
+ * @private
+ */
+function createCodec(encryptor) {
+  if (encryptor instanceof DCPE) {
+    return encryptor;
+  }
+  if (!(encryptor instanceof RagEncryptionClient)) {
+    throw new InvalidInputError("EncryptedAdapter needs a DCPE instance or a RagEncryptionClient");
+  }
+  return {
+    encryptVector: (vector) => {
+      const [ciphertext, metadata] = encryptor.encryptVector(vector);
+      return { vector: ciphertext, metadata: metadata.toString('base64') };
+    },
+    decryptVector: (vector, metadata) => encryptor.decryptVector(
+      vector,
+      Buffer.isBuffer(metadata) ? metadata : Buffer.from(metadata, 'base64')
+    ),
+    encryptText: (value, options) => encryptor.encryptText(value, options),
+    decryptText: (value, options) => encryptor.decryptText(value, options),
+    encryptMetadata: (value) => encryptor.encryptDeterministicText(value),
+    decryptMetadata: (value) => encryptor.decryptDeterministicText(value),
+    encryptOrderedField: (value) => encryptor.encryptOrderedField(value),
+    decryptOrderedField: (value) => encryptor.decryptOrderedField(value),
+    createFieldToken: (field, value) => encryptor.createFieldToken(field, value)
+  };
+}
+
+export default EncryptedAdapter;
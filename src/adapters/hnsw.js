@@ -0,0 +1,243 @@
+/**
+ * Hierarchical navigable small world graph (Malkov & Yashunin) for approximate nearest neighbor
+ * search in memory. Each vector is a node on layers 0 to its level; upper layers are sparse and
+ * route a greedy search to the right region of layer 0, which links every node to its nearest
+ * neighbors.
+ *
+ * The index only knows IDs, vectors and a distance function (lower is closer); the adapter
+ * keeps the records.
+ */
+class HnswIndex {
+  /**
+   * Create an empty index
+   * @param {Function} distance - Distance between two vectors, lower meaning closer
+   * @param {Object} [options] - Graph parameters
+   * @param {number} [options.m=16] - Neighbors per node on upper layers (twice as many on layer 0)
+   * @param {number} [options.efConstruction=200] - Candidates considered when linking a new node
+   * @param {Function} [options.random=Math.random] - Source of the random node levels
+   */
+  constructor(distance, options = {}) {
+    this.distance = distance;
+    this.m = options.m || 16;
+    this.efConstruction = options.efConstruction || 200;
+    this.random = options.random || Math.random;
+    this.levelFactor = 1 / Math.log(Math.max(this.m, 2));
+    this.nodes = new Map();
+    this.entryPoint = null;
+    this.maxLevel = -1;
+  }
+
+  get size() {
+    return this.nodes.size;
+  }
+
+  /**
+   * Add a vector, replacing the node with the same ID
+   * @param {*} id - Record ID
+   * @param {ArrayLike<number>} vector - Vector
+   */
+  add(id, vector) {
+    if (this.nodes.has(id)) {
+      this.remove(id);
+    }
+    const level = Math.floor(-Math.log(1 - this.random()) * this.levelFactor);
+    const node = { id, vector, level, neighbors: Array.from({ length: level + 1 }, () => []) };
+    this.nodes.set(id, node);
+
+    if (this.entryPoint === null) {
+      this.entryPoint = id;
+      this.maxLevel = level;
+      return;
+    }
+
+    let entry = this.entryPoint;
+    for (let layer = this.maxLevel; layer > level; layer--) {
+      entry = this._greedyClosest(vector, entry, layer);
+    }
+    for (let layer = Math.min(level, this.maxLevel); layer >= 0; layer--) {
+      const candidates = this._searchLayer(vector, [entry], this.efConstruction, layer);
+      node.neighbors[layer] = candidates.slice(0, this.m).map((candidate) => candidate.id);
+      for (const neighborId of node.neighbors[layer]) {
+        this._link(this.nodes.get(neighborId), id, layer);
+      }
+      entry = candidates[0].id;
+    }
+
+    if (level > this.maxLevel) {
+      this.entryPoint = id;
+      this.maxLevel = level;
+    }
+  }
+
+  /**
+   * Remove a vector, reconnecting its neighbors to each other
+   * @param {*} id - Record ID
+   * @returns {boolean} - True if the ID was indexed
+   */
+  remove(id) {
+    const node = this.nodes.get(id);
+    if (!node) {
+      return false;
+    }
+    this.nodes.delete(id);
+
+    // Links are not always mutual, so look for the removed node in every neighbor list
+    for (const other of this.nodes.values()) {
+      other.neighbors.forEach((neighborIds, layer) => {
+        if (!neighborIds.includes(id)) {
+          return;
+        }
+        other.neighbors[layer] = neighborIds.filter((neighborId) => neighborId !== id);
+        // Offer the removed node's neighbors as replacements
+        for (const candidateId of node.neighbors[layer] || []) {
+          if (candidateId !== other.id && this.nodes.has(candidateId)) {
+            this._link(other, candidateId, layer);
+          }
+        }
+      });
+    }
+
+    if (this.entryPoint === id) {
+      this.entryPoint = null;
+      this.maxLevel = -1;
+      for (const other of this.nodes.values()) {
+        if (other.level > this.maxLevel) {
+          this.entryPoint = other.id;
+          this.maxLevel = other.level;
+        }
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Remove every vector
+   */
+  clear() {
+    this.nodes.clear();
+    this.entryPoint = null;
+    this.maxLevel = -1;
+  }
+
+  /**
+   * Find the approximate nearest neighbors of a query
+   * @param {ArrayLike<number>} query - Query vector
+   * @param {number} k - Number of neighbors
+   * @param {number} ef - Size of the candidate list; larger is slower and more accurate
+   * @param {Function} [accept] - Only return IDs this predicate accepts. Rejected nodes are still
+   *   traversed, so recall holds for filters that match a fair share of the vectors
+   * @returns {Array<{id: *, distance: number}>} - Up to k neighbors, closest first
+   */
+  search(query, k, ef, accept) {
+    if (this.entryPoint === null) {
+      return [];
+    }
+    let entry = this.entryPoint;
+    for (let layer = this.maxLevel; layer > 0; layer--) {
+      entry = this._greedyClosest(query, entry, layer);
+    }
+    return this._searchLayer(query, [entry], Math.max(ef, k), 0, accept).slice(0, k);
+  }
+
+  /**
+   * @private
+   */
+  _greedyClosest(query, entry, layer) {
+    let closest = entry;
+    let closestDistance = this.distance(query, this.nodes.get(entry).vector);
+    let improved = true;
+    while (improved) {
+      improved = false;
+      for (const neighborId of this.nodes.get(closest).neighbors[layer]) {
+        const neighborDistance = this.distance(query, this.nodes.get(neighborId).vector);
+        if (neighborDistance < closestDistance) {
+          closest = neighborId;
+          closestDistance = neighborDistance;
+          improved = true;
+        }
+      }
+    }
+    return closest;
+  }
+
+  /**
+   * Best-first search of one layer, returning up to ef accepted nodes sorted by distance
+   * @private
+   */
+  _searchLayer(query, entries, ef, layer, accept) {
+    const visited = new Set(entries);
+    const candidates = [];
+    const results = [];
+    for (const id of entries) {
+      const entry = { id, distance: this.distance(query, this.nodes.get(id).vector) };
+      insertSorted(candidates, entry);
+      if (!accept || accept(id)) {
+        insertSorted(results, entry);
+      }
+    }
+
+    while (candidates.length > 0) {
+      const current = candidates.shift();
+      if (results.length >= ef && current.distance > results[results.length - 1].distance) {
+        break;
+      }
+      for (const neighborId of this.nodes.get(current.id).neighbors[layer]) {
+        if (visited.has(neighborId)) {
+          continue;
+        }
+        visited.add(neighborId);
+        const neighbor = { id: neighborId, distance: this.distance(query, this.nodes.get(neighborId).vector) };
+        if (results.length < ef || neighbor.distance < results[results.length - 1].distance) {
+          insertSorted(candidates, neighbor);
+          if (!accept || accept(neighborId)) {
+            insertSorted(results, neighbor);
+            if (results.length > ef) {
+              results.pop();
+            }
+          }
+        }
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Link a node to another on a layer, keeping only its closest neighbors
+   * @private
+   */
+  _link(node, otherId, layer) {
+    const neighbors = node.neighbors[layer];
+    if (neighbors.includes(otherId)) {
+      return;
+    }
+    neighbors.push(otherId);
+    const maxNeighbors = layer === 0 ? this.m * 2 : this.m;
+    if (neighbors.length > maxNeighbors) {
+      node.neighbors[layer] = neighbors
+        .map((id) => ({ id, distance: this.distance(node.vector, this.nodes.get(id).vector) }))
+        .sort((a, b) => a.distance - b.distance)
+        .slice(0, maxNeighbors)
+        .map((neighbor) => neighbor.id);
+    }
+  }
+}
+
+/**
+ * Insert into an array sorted by ascending distance
+ * @private
+ */
+function insertSorted(list, item) {
+  let low = 0;
+  let high = list.length;
+  while (low < high) {
+    const middle = (low + high) >>> 1;
+    if (list[middle].distance <= item.distance) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  list.splice(low, 0, item);
+}
+
+export default HnswIndex;
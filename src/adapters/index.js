@@ -1,5 +1,21 @@
 import BaseAdapter from './base.js';
+import EncryptedAdapter from './encrypted.js';
+import InMemoryAdapter, { DistanceMetric, IndexType } from './memory.js';
+import ZillizAdapter from './zilliz.js';
+import PgVectorAdapter from './pgvector.js';
+import QdrantAdapter from './qdrant.js';
+import PineconeAdapter from './pinecone.js';
+import LocalFileAdapter from './local.js';
 
 export {
-  BaseAdapter
+  BaseAdapter,
+  EncryptedAdapter,
+  InMemoryAdapter,
+  ZillizAdapter,
+  PgVectorAdapter,
+  QdrantAdapter,
+  PineconeAdapter,
+  LocalFileAdapter,
+  DistanceMetric,
+  IndexType
 };
\ No newline at end of file
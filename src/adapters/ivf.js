@@ -0,0 +1,198 @@
+/**
+ * Inverted file index for approximate nearest neighbor search in memory. k-means splits the
+ * vectors into `nlist` clusters; a search compares the query with the centroids, then only with
+ * the vectors of the `nprobe` closest clusters.
+ *
+ * The clusters are trained on the first search, and trained again once the index has doubled
+ * in size since; vectors added in between join the cluster of their closest centroid. Like
+ * HnswIndex, the index only knows IDs, vectors and a distance function (lower is closer).
+ */
+class IvfIndex {
+  /**
+   * Create an empty index
+   * @param {Function} distance - Distance between two vectors, lower meaning closer
+   * @param {Object} [options] - Index parameters
+   * @param {number} [options.nlist] - Number of clusters (default: the square root of the number of vectors)
+   * @param {number} [options.iterations=10] - k-means iterations per training
+   * @param {Function} [options.random=Math.random] - Source of the initial centroids
+   */
+  constructor(distance, options = {}) {
+    this.distance = distance;
+    this.nlist = options.nlist || null;
+    this.iterations = options.iterations || 10;
+    this.random = options.random || Math.random;
+    this.vectors = new Map();
+    this.clear();
+  }
+
+  get size() {
+    return this.vectors.size;
+  }
+
+  /**
+   * Whether the clusters are missing or were trained on less than half of the vectors
+   * @returns {boolean}
+   */
+  get stale() {
+    return !this.centroids || this.vectors.size >= 2 * this.trainedSize;
+  }
+
+  /**
+   * Add a vector, replacing the one with the same ID
+   * @param {*} id - Record ID
+   * @param {ArrayLike<number>} vector - Vector
+   */
+  add(id, vector) {
+    this.remove(id);
+    this.vectors.set(id, vector);
+    if (this.centroids) {
+      this._assign(id, vector);
+    }
+  }
+
+  /**
+   * Remove a vector
+   * @param {*} id - Record ID
+   * @returns {boolean} - True if the ID was indexed
+   */
+  remove(id) {
+    if (!this.vectors.delete(id)) {
+      return false;
+    }
+    if (this.assignments.has(id)) {
+      this.lists[this.assignments.get(id)].delete(id);
+      this.assignments.delete(id);
+    }
+    return true;
+  }
+
+  /**
+   * Remove every vector and the clusters
+   */
+  clear() {
+    this.vectors.clear();
+    this.centroids = null;
+    this.lists = [];
+    this.assignments = new Map();
+    this.trainedSize = 0;
+  }
+
+  /**
+   * Cluster the vectors with k-means
+   */
+  train() {
+    const vectors = [...this.vectors.values()];
+    const nlist = Math.min(this.nlist || Math.max(1, Math.round(Math.sqrt(vectors.length))), vectors.length);
+    if (nlist === 0) {
+      return;
+    }
+
+    // Start from distinct random vectors
+    const picked = new Set();
+    while (picked.size < nlist) {
+      picked.add(Math.floor(this.random() * vectors.length));
+    }
+    let centroids = [...picked].map((i) => Float64Array.from(vectors[i]));
+
+    for (let iteration = 0; iteration < this.iterations; iteration++) {
+      const sums = centroids.map((centroid) => new Float64Array(centroid.length));
+      const counts = new Array(centroids.length).fill(0);
+      for (const vector of vectors) {
+        const cluster = closest(this.distance, centroids, vector);
+        counts[cluster]++;
+        for (let i = 0; i < vector.length; i++) {
+          sums[cluster][i] += vector[i];
+        }
+      }
+      // Empty clusters keep their centroid
+      centroids = centroids.map((centroid, cluster) => (counts[cluster] === 0
+        ? centroid
+        : sums[cluster].map((sum) => sum / counts[cluster])));
+    }
+    this.setCentroids(centroids);
+  }
+
+  /**
+   * Use trained centroids, such as those saved with `centroids`, and assign every vector to one
+   * @param {Array<ArrayLike<number>>} centroids - Cluster centroids
+   * @param {number} [trainedSize=this.size] - Number of vectors the centroids were trained on
+   */
+  setCentroids(centroids, trainedSize = this.vectors.size) {
+    this.centroids = centroids.map((centroid) => Float64Array.from(centroid));
+    this.lists = this.centroids.map(() => new Set());
+    this.assignments = new Map();
+    this.trainedSize = trainedSize;
+    for (const [id, vector] of this.vectors) {
+      this._assign(id, vector);
+    }
+  }
+
+  /**
+   * Approximate number of vectors a search compares the query with
+   * @param {number} nprobe - Clusters searched
+   * @returns {number}
+   */
+  scanSize(nprobe) {
+    const clusters = this.centroids ? this.centroids.length : 1;
+    return Math.ceil(this.vectors.size * Math.min(nprobe, clusters) / clusters);
+  }
+
+  /**
+   * Find the approximate nearest neighbors of a query, training the clusters first if needed
+   * @param {ArrayLike<number>} query - Query vector
+   * @param {number} k - Number of neighbors
+   * @param {number} nprobe - Clusters searched; larger is slower and more accurate
+   * @param {Function} [accept] - Only return IDs this predicate accepts
+   * @returns {Array<{id: *, distance: number}>} - Up to k neighbors, closest first
+   */
+  search(query, k, nprobe, accept) {
+    if (this.stale) {
+      this.train();
+    }
+    if (!this.centroids) {
+      return [];
+    }
+    const clusters = this.centroids
+      .map((centroid, cluster) => ({ cluster, distance: this.distance(query, centroid) }))
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, nprobe);
+
+    const results = [];
+    for (const { cluster } of clusters) {
+      for (const id of this.lists[cluster]) {
+        if (!accept || accept(id)) {
+          results.push({ id, distance: this.distance(query, this.vectors.get(id)) });
+        }
+      }
+    }
+    return results.sort((a, b) => a.distance - b.distance).slice(0, k);
+  }
+
+  /**
+   * @private
+   */
+  _assign(id, vector) {
+    const cluster = closest(this.distance, this.centroids, vector);
+    this.lists[cluster].add(id);
+    this.assignments.set(id, cluster);
+  }
+}
+
+/**
+ * Index of the centroid closest to a vector
+ * @private
+ */
+function closest(distance, centroids, vector) {
+  let best = 0;
+  let bestDistance = Infinity;
+  centroids.forEach((centroid, i) => {
+    const d = distance(vector, centroid);
+    if (d < bestDistance) {
+      best = i;
+      bestDistance = d;
+    }
+  });
+  return best;
+}
+
+export default IvfIndex;
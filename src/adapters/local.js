@@ -0,0 +1,358 @@
+import fs from 'fs/promises';
+import path from 'path';
+import InMemoryAdapter from './memory.js';
+import IvfIndex from './ivf.js';
+import { InvalidInputError, InvalidConfigurationError } from '../exceptions/index.js';
+
+const FORMAT = 'dcpe-js-vectors';
+const FORMAT_VERSION = 1;
+
+const FIELD_TYPES = Object.freeze(['string', 'number', 'boolean', 'string[]', 'binary']);
+
+/**
+ * Vector store persisted to a local directory, for desktop and air-gapped deployments: wrapped
+ * in an EncryptedAdapter, it keeps a fully encrypted, searchable index on disk with no server.
+ *
+ * Searches and filters work as in InMemoryAdapter, which holds the vectors once the store is
+ * opened with `connect()`; use `index: 'ivf'` for approximate search. Every write is saved
+ * before it resolves, so batch writes rather than writing one vector at a time.
+ *
+ * Each collection is a directory with a `manifest.json` and a data directory in a columnar
+ * format:
+ *
+ * - `ids.json`: the IDs, in row order
+ * - `vectors.f64`: the vectors, as little-endian float64 values, row after row
+ * - `column-<n>.json`: the values of the n-th metadata field of the manifest, with the rows
+ *   missing the field listed in `missing`. Metadata values must be JSON values, except in
+ *   fields declared `binary`, which also take Buffers and Uint8Arrays: those are stored in
+ *   base64, their rows listed in `bytes`, and read back as Uint8Arrays.
+ * - `ivf.json`: the IVF centroids, so reopening the store does not train them again
+ *
+ * A write creates a new data directory, then points the manifest at it, so a crash mid-write
+ * leaves the previous version readable.
+ *
+ * @example
+ * ```javascript
+ * import { LocalFileAdapter, EncryptedAdapter } from 'dcpe-js';
+ *
+ * const local = new LocalFileAdapter({ path: './vectors', collectionName: 'notes', index: 'ivf' });
+ * const adapter = new EncryptedAdapter(local, dcpe, { schema });
+ * await adapter.connect();
+ * await adapter.insert(documents);
+ * ```
+ */
+class LocalFileAdapter extends InMemoryAdapter {
+  /**
+   * Create a local file adapter
+   * @param {Object} config - Configuration options, and those of InMemoryAdapter
+   * @param {string} config.path - Directory holding the collections
+   * @param {string} [config.collectionName="default"] - Collection name, the name of its directory
+   */
+  constructor(config = {}) {
+    super(config);
+    if (typeof config.path !== 'string' || config.path.length === 0) {
+      throw new InvalidConfigurationError("LocalFileAdapter needs the path of its directory");
+    }
+    const collectionName = config.collectionName || 'default';
+    if (!/^[\w.-]+$/.test(collectionName) || /^\.+$/.test(collectionName)) {
+      throw new InvalidConfigurationError(`Invalid collection name: ${collectionName}`);
+    }
+    this.directory = path.join(config.path, collectionName);
+    this.manifest = null;
+    this.fields = {};
+    this.saving = Promise.resolve();
+  }
+
+  /**
+   * Open the collection, loading its vectors if it exists
+   * @returns {Promise<boolean>}
+   * @throws {InvalidConfigurationError} If the directory holds something else than a collection
+   */
+  async connect() {
+    if (this.connected) {
+      return true;
+    }
+    let manifest;
+    try {
+      manifest = JSON.parse(await fs.readFile(path.join(this.directory, 'manifest.json'), 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new InvalidConfigurationError(`Cannot read the manifest of ${this.directory}: ${error.message}`);
+      }
+    }
+    if (manifest) {
+      await this._load(manifest);
+    }
+    return super.connect();
+  }
+
+  /**
+   * Wait for pending writes and close the collection
+   * @returns {Promise<void>}
+   */
+  async disconnect() {
+    await this.saving.catch(() => {});
+    this.records.clear();
+    this.collection = null;
+    this.manifest = null;
+    await super.disconnect();
+  }
+
+  /**
+   * Create the collection and its directory
+   * @param {Object} schema - Collection schema (see BaseAdapter#createCollection)
+   * @returns {Promise<boolean>} - False if the collection already existed
+   */
+  async createCollection(schema = {}) {
+    this._requireConnected();
+    if (this.manifest) {
+      return false;
+    }
+    for (const [name, type] of Object.entries(schema.fields || {})) {
+      if (!FIELD_TYPES.includes(type)) {
+        throw new InvalidInputError(`Unsupported type of field ${name}: ${type}`);
+      }
+    }
+    this.collection = null;
+    await super.createCollection(schema);
+    this.fields = { ...(schema.fields || {}) };
+    await this._save();
+    return true;
+  }
+
+  /**
+   * Delete the collection and its directory
+   * @returns {Promise<boolean>} - True if the collection existed
+   */
+  async dropCollection() {
+    this._requireConnected();
+    await this.saving.catch(() => {});
+    const existed = (await super.dropCollection()) || this.manifest !== null;
+    this.manifest = null;
+    this.fields = {};
+    await fs.rm(this.directory, { recursive: true, force: true });
+    return existed;
+  }
+
+  async insert(vectors) {
+    this._requireConnected();
+    this._checkMetadata(vectors);
+    const ids = await super.insert(vectors);
+    await this._save();
+    return ids;
+  }
+
+  async upsert(vectors) {
+    this._requireConnected();
+    this._checkMetadata(vectors);
+    const ids = await super.upsert(vectors);
+    await this._save();
+    return ids;
+  }
+
+  async get(ids) {
+    this._requireConnected();
+    return super.get(ids);
+  }
+
+  async delete(idsOrFilter) {
+    this._requireConnected();
+    const deleted = await super.delete(idsOrFilter);
+    if (deleted > 0) {
+      await this._save();
+    }
+    return deleted;
+  }
+
+  async count(filter) {
+    this._requireConnected();
+    return super.count(filter);
+  }
+
+  async search(queryVector, options = {}) {
+    this._requireConnected();
+    return super.search(queryVector, options);
+  }
+
+  /**
+   * @private
+   */
+  _requireConnected() {
+    if (!this.connected) {
+      throw new Error('LocalFileAdapter is not connected; call connect() first');
+    }
+  }
+
+  /**
+   * Reject metadata values the column files cannot store as they are
+   * @private
+   */
+  _checkMetadata(vectors) {
+    if (!Array.isArray(vectors)) {
+      return;
+    }
+    for (const { id, metadata } of vectors.filter((record) => record && record.metadata)) {
+      for (const [field, value] of Object.entries(metadata)) {
+        if (!isJsonValue(value) && !(this.fields[field] === 'binary' && value instanceof Uint8Array)) {
+          throw new InvalidInputError(`Metadata field ${field} of vector ${id} is not a JSON value; declare the field binary to store bytes`);
+        }
+      }
+    }
+  }
+
+  /**
+   * Read the data directory a manifest points at
+   * @private
+   */
+  async _load(manifest) {
+    if (manifest.format !== FORMAT || manifest.version !== FORMAT_VERSION) {
+      throw new InvalidConfigurationError(`${this.directory} does not hold a collection of format ${FORMAT} ${FORMAT_VERSION}`);
+    }
+    const dataDirectory = path.join(this.directory, manifest.data);
+    const read = async (name) => fs.readFile(path.join(dataDirectory, name));
+
+    const ids = JSON.parse(await read('ids.json'));
+    const vectors = await read('vectors.f64');
+    const { dimension } = manifest;
+    if (vectors.length !== ids.length * dimension * 8) {
+      throw new InvalidConfigurationError(`${path.join(dataDirectory, 'vectors.f64')} does not hold ${ids.length} vectors of dimension ${dimension}`);
+    }
+    const records = ids.map((id, row) => {
+      const vector = new Float64Array(dimension);
+      for (let i = 0; i < dimension; i++) {
+        vector[i] = vectors.readDoubleLE((row * dimension + i) * 8);
+      }
+      return { id, vector, metadata: {} };
+    });
+    for (const [n, field] of manifest.columns.entries()) {
+      const { values, missing, bytes = [] } = JSON.parse(await read(`column-${n}.json`));
+      const absent = new Set(missing);
+      const binary = new Set(bytes);
+      values.forEach((value, row) => {
+        if (!absent.has(row)) {
+          records[row].metadata[field] = binary.has(row) ? Buffer.from(value, 'base64') : value;
+        }
+      });
+    }
+
+    this.collection = null;
+    this._setCollection({ dimension, metricType: manifest.metricType });
+    this._write(records);
+    const { index } = this.collection;
+    if (index instanceof IvfIndex && manifest.ivf) {
+      const { centroids, trainedSize } = JSON.parse(await read('ivf.json'));
+      index.setCentroids(centroids, trainedSize);
+    }
+    this.fields = manifest.fields;
+    this.manifest = manifest;
+  }
+
+  /**
+   * Queue a save of the collection, after the pending ones
+   * @private
+   */
+  _save() {
+    this.saving = this.saving.catch(() => {}).then(() => this._writeFiles());
+    return this.saving;
+  }
+
+  /**
+   * Write the collection to a new data directory, point the manifest at it and remove the
+   * previous ones
+   * @private
+   */
+  async _writeFiles() {
+    if (!this.collection) {
+      return;
+    }
+    const generation = this.manifest ? this.manifest.generation + 1 : 1;
+    const data = `data-${generation}`;
+    const dataDirectory = path.join(this.directory, data);
+    await fs.mkdir(dataDirectory, { recursive: true });
+    const write = (name, contents) => fs.writeFile(path.join(dataDirectory, name), contents);
+
+    const { dimension, metricType, index } = this.collection;
+    const records = [...this.records.values()];
+    const vectors = Buffer.alloc(records.length * dimension * 8);
+    records.forEach((record, row) => {
+      record.vector.forEach((value, i) => vectors.writeDoubleLE(value, (row * dimension + i) * 8));
+    });
+    await write('ids.json', JSON.stringify(records.map((record) => record.id)));
+    await write('vectors.f64', vectors);
+
+    const columns = [...new Set(records.flatMap((record) => Object.keys(record.metadata)))];
+    for (const [n, field] of columns.entries()) {
+      const missing = [];
+      const bytes = [];
+      const values = records.map((record, row) => {
+        if (!Object.prototype.hasOwnProperty.call(record.metadata, field)) {
+          missing.push(row);
+          return null;
+        }
+        const value = record.metadata[field];
+        if (value instanceof Uint8Array) {
+          bytes.push(row);
+          return Buffer.from(value.buffer, value.byteOffset, value.byteLength).toString('base64');
+        }
+        return value;
+      });
+      await write(`column-${n}.json`, JSON.stringify(bytes.length > 0 ? { values, missing, bytes } : { values, missing }));
+    }
+
+    const ivf = index instanceof IvfIndex && records.length > 0;
+    if (ivf) {
+      if (index.stale) {
+        index.train();
+      }
+      await write('ivf.json', JSON.stringify({
+        centroids: index.centroids.map((centroid) => Array.from(centroid)),
+        trainedSize: index.trainedSize
+      }));
+    }
+
+    const manifest = {
+      format: FORMAT,
+      version: FORMAT_VERSION,
+      generation,
+      data,
+      dimension,
+      metricType,
+      count: records.length,
+      fields: this.fields,
+      columns,
+      ivf
+    };
+    const manifestPath = path.join(this.directory, 'manifest.json');
+    await fs.writeFile(`${manifestPath}.tmp`, JSON.stringify(manifest, null, 2));
+    await fs.rename(`${manifestPath}.tmp`, manifestPath);
+    this.manifest = manifest;
+
+    for (const entry of await fs.readdir(this.directory)) {
+      if (entry.startsWith('data-') && entry !== data) {
+        await fs.rm(path.join(this.directory, entry), { recursive: true, force: true });
+      }
+    }
+  }
+}
+
+/**
+ * Whether a value survives JSON.stringify and JSON.parse unchanged
+ * @private
+ */
+function isJsonValue(value) {
+  if (value === null || typeof value === 'string' || typeof value === 'boolean') {
+    return true;
+  }
+  if (typeof value === 'number') {
+    return Number.isFinite(value);
+  }
+  if (Array.isArray(value)) {
+    return value.every(isJsonValue);
+  }
+  if (typeof value === 'object' && [Object.prototype, null].includes(Object.getPrototypeOf(value))) {
+    return Object.values(value).every(isJsonValue);
+  }
+  return false;
+}
+
+export default LocalFileAdapter;
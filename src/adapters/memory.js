@@ -0,0 +1,397 @@
+import crypto from 'crypto';
+import BaseAdapter from './base.js';
+import HnswIndex from './hnsw.js';
+import IvfIndex from './ivf.js';
+import { compileMemoryFilter } from '../filters/memory.js';
+import { isVector } from '../crypto/index.js';
+import { InvalidInputError, InvalidConfigurationError } from '../exceptions/index.js';
+
+/**
+ * Distance metrics of InMemoryAdapter
+ * @enum {string}
+ */
+const DistanceMetric = Object.freeze({
+  COSINE: 'cosine',       // Cosine similarity, as `score` (higher is closer)
+  EUCLIDEAN: 'euclidean', // Euclidean distance, as `distance` (lower is closer)
+  DOT: 'dot'              // Dot product, as `score` (higher is closer)
+});
+
+/**
+ * Search indexes of InMemoryAdapter
+ * @enum {string}
+ */
+const IndexType = Object.freeze({
+  FLAT: 'flat', // Exact search, comparing the query with every vector
+  HNSW: 'hnsw', // Approximate search on an HNSW graph
+  IVF: 'ivf'    // Approximate search of the k-means clusters closest to the query
+});
+
+/**
+ * Distance of each metric, lower meaning closer
+ * @private
+ */
+const DISTANCES = Object.freeze({
+  [DistanceMetric.COSINE]: (a, b) => 1 - cosineSimilarity(a, b),
+  [DistanceMetric.EUCLIDEAN]: (a, b) => Math.sqrt(squaredDistance(a, b)),
+  [DistanceMetric.DOT]: (a, b) => -dotProduct(a, b)
+});
+
+/**
+ * Vector store kept in memory, for tests, local development and as a ground truth: flat search
+ * is exact, so comparing its results on plaintext vectors with those on encrypted vectors
+ * measures the recall lost to `approximationFactor`.
+ *
+ * Filters are built with `filters.Filter` and evaluated with the semantics the database
+ * compilers produce (see filters.compileMemoryFilter). Records are copied on the way in and out.
+ *
+ * @example
+ * ```javascript
+ * import { InMemoryAdapter, EncryptedAdapter, filters } from 'dcpe-js';
+ *
+ * const adapter = new EncryptedAdapter(new InMemoryAdapter({ metricType: 'cosine', index: 'hnsw' }), dcpe, { schema });
+ * await adapter.insert(documents);
+ * const results = await adapter.search(queryVector, { limit: 5, filter: filters.Filter.eq('category', 'finance') });
+ * ```
+ */
+class InMemoryAdapter extends BaseAdapter {
+  /**
+   * Create an in-memory adapter
+   * @param {Object} [config] - Configuration options
+   * @param {number} [config.dimension] - Vector dimension; taken from the first vector if not set
+   * @param {string} [config.metricType="cosine"] - Distance metric (see DistanceMetric)
+   * @param {string} [config.index="flat"] - Search index (see IndexType)
+   * @param {Object} [config.hnsw] - HNSW parameters: `m` (16), `efConstruction` (200) and `efSearch` (64)
+   * @param {Object} [config.ivf] - IVF parameters: `nlist` (square root of the number of vectors),
+   *   `nprobe` (8) and `iterations` (10)
+   */
+  constructor(config = {}) {
+    super(config);
+    this.records = new Map();
+    this.collection = null;
+    this.connected = false;
+    checkOptions(config.metricType || DistanceMetric.COSINE, config.index || IndexType.FLAT);
+    if (config.dimension !== undefined) {
+      this._setCollection({ dimension: config.dimension });
+    }
+  }
+
+  async connect() {
+    this.connected = true;
+    return true;
+  }
+
+  async disconnect() {
+    this.connected = false;
+  }
+
+  /**
+   * Create the collection
+   * @param {Object} schema - Collection schema (see BaseAdapter#createCollection)
+   * @returns {Promise<boolean>} - False if the collection already existed
+   */
+  async createCollection(schema) {
+    if (this.collection) {
+      return false;
+    }
+    this._setCollection(schema);
+    return true;
+  }
+
+  /**
+   * Drop the collection and its vectors
+   * @returns {Promise<boolean>} - True if the collection existed
+   */
+  async dropCollection() {
+    const existed = this.collection !== null;
+    this.records.clear();
+    this.collection = null;
+    return existed;
+  }
+
+  /**
+   * Insert vectors; IDs are generated for vectors without one
+   * @param {Array<Object>} vectors - Vectors, as `{ id, vector, metadata }`
+   * @returns {Promise<Array<string>>} - IDs of the inserted vectors
+   * @throws {InvalidInputError} If a vector is invalid, an ID already exists or appears twice
+   */
+  async insert(vectors) {
+    const records = this._checkRecords(vectors, false);
+    const seen = new Set();
+    for (const record of records) {
+      if (this.records.has(record.id)) {
+        throw new InvalidInputError(`A vector with ID ${record.id} already exists; use upsert to replace it`);
+      }
+      if (seen.has(record.id)) {
+        throw new InvalidInputError(`ID ${record.id} appears more than once in the inserted vectors`);
+      }
+      seen.add(record.id);
+    }
+    return this._write(records);
+  }
+
+  /**
+   * Insert vectors, replacing those with the same IDs
+   * @param {Array<Object>} vectors - Vectors, as `{ id, vector, metadata }`, each with an ID
+   * @returns {Promise<Array<string>>} - IDs of the written vectors
+   */
+  async upsert(vectors) {
+    return this._write(this._checkRecords(vectors, true));
+  }
+
+  /**
+   * Fetch vectors by ID
+   * @param {Array<string>} ids - IDs
+   * @returns {Promise<Array<Object>>} - The vectors found, as `{ id, vector, metadata }`
+   */
+  async get(ids) {
+    if (!Array.isArray(ids)) {
+      throw new InvalidInputError("IDs must be an array");
+    }
+    return ids.filter((id) => this.records.has(id)).map((id) => toResult(this.records.get(id), true, true));
+  }
+
+  /**
+   * Delete vectors by ID or filter
+   * @param {Array<string>|Object|Function} idsOrFilter - IDs, a filter built with `filters.Filter`,
+   *   or a predicate over metadata
+   * @returns {Promise<number>} - Number of deleted vectors
+   */
+  async delete(idsOrFilter) {
+    const ids = Array.isArray(idsOrFilter)
+      ? idsOrFilter.filter((id) => this.records.has(id))
+      : this._matching(this.compileFilter(idsOrFilter)).map((record) => record.id);
+    for (const id of ids) {
+      this.records.delete(id);
+      if (this.collection && this.collection.index) {
+        this.collection.index.remove(id);
+      }
+    }
+    return ids.length;
+  }
+
+  /**
+   * Count vectors
+   * @param {Object|Function} [filter] - Filter built with `filters.Filter`, or a predicate over metadata
+   * @returns {Promise<number>}
+   */
+  async count(filter) {
+    return filter === undefined ? this.records.size : this._matching(this.compileFilter(filter)).length;
+  }
+
+  /**
+   * Search for the nearest vectors
+   * @param {Array<number>|Float32Array|Float64Array} queryVector - Query vector
+   * @param {Object} [options] - Search options
+   * @param {number} [options.limit=10] - Maximum number of results
+   * @param {Object|Function} [options.filter] - Filter built with `filters.Filter`, or a predicate over metadata
+   * @param {number} [options.threshold] - Minimum score, or maximum distance for the euclidean metric
+   * @param {boolean} [options.exact=false] - Compare with every vector even with an HNSW or IVF index
+   * @param {number} [options.efSearch] - HNSW candidate list size, overriding the configured one
+   * @param {number} [options.nprobe] - IVF clusters searched, overriding the configured number
+   * @param {boolean} [options.includeVectors=false] - Return the vectors
+   * @param {boolean} [options.includeMetadata=true] - Return the metadata
+   * @returns {Promise<Array<Object>>} - Results `{ id, score, metadata }` (`distance` for euclidean), closest first
+   */
+  async search(queryVector, options = {}) {
+    const limit = options.limit === undefined ? 10 : options.limit;
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new InvalidInputError("Search limit must be a positive integer");
+    }
+    if (!this.collection) {
+      return [];
+    }
+    const query = this._checkVector(queryVector);
+    const { metricType, index } = this.collection;
+    const predicate = options.filter === undefined ? null : this.compileFilter(options.filter);
+
+    let neighbors;
+    const ivf = index instanceof IvfIndex;
+    const width = ivf ? options.nprobe || this.collection.nprobe : options.efSearch || this.collection.efSearch;
+    const candidates = predicate ? this._matching(predicate) : null;
+    if (!index || options.exact || (candidates && candidates.length <= (ivf ? index.scanSize(width) : width))) {
+      // Few matches are found faster, and exactly, without the index
+      neighbors = (candidates || [...this.records.values()])
+        .map((record) => ({ id: record.id, distance: DISTANCES[metricType](query, record.vector) }))
+        .sort((a, b) => a.distance - b.distance)
+        .slice(0, limit);
+    } else {
+      const accept = predicate && ((id) => predicate(this.records.get(id).metadata));
+      neighbors = index.search(query, limit, width, accept);
+    }
+
+    const includeVectors = options.includeVectors === true;
+    const includeMetadata = options.includeMetadata !== false;
+    const results = [];
+    for (const { id, distance } of neighbors) {
+      const result = toResult(this.records.get(id), includeVectors, includeMetadata);
+      if (metricType === DistanceMetric.EUCLIDEAN) {
+        result.distance = distance;
+      } else {
+        result.score = metricType === DistanceMetric.COSINE ? 1 - distance : -distance;
+      }
+      if (options.threshold === undefined
+        || (result.distance !== undefined ? result.distance <= options.threshold : result.score >= options.threshold)) {
+        results.push(result);
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Compile a filter to a predicate over metadata; predicates are returned as they are
+   * @param {Object|Function} filter - Filter built with `filters.Filter`, or a predicate
+   * @returns {Function}
+   */
+  compileFilter(filter) {
+    return typeof filter === 'function' ? filter : compileMemoryFilter(filter);
+  }
+
+  /**
+   * @private
+   */
+  _setCollection(schema) {
+    const dimension = schema.dimension;
+    if (!Number.isInteger(dimension) || dimension < 1) {
+      throw new InvalidConfigurationError("Vector dimension must be a positive integer");
+    }
+    const metricType = schema.metricType || this.config.metricType || DistanceMetric.COSINE;
+    const indexType = this.config.index || IndexType.FLAT;
+    checkOptions(metricType, indexType);
+    const hnsw = this.config.hnsw || {};
+    const ivf = this.config.ivf || {};
+    const indexes = {
+      [IndexType.FLAT]: () => null,
+      [IndexType.HNSW]: () => new HnswIndex(DISTANCES[metricType], hnsw),
+      [IndexType.IVF]: () => new IvfIndex(DISTANCES[metricType], ivf)
+    };
+
+    this.collection = {
+      dimension,
+      metricType,
+      efSearch: hnsw.efSearch || 64,
+      nprobe: ivf.nprobe || 8,
+      index: indexes[indexType]()
+    };
+  }
+
+  /**
+   * @private
+   */
+  _checkRecords(vectors, requireIds) {
+    if (!Array.isArray(vectors)) {
+      throw new InvalidInputError("Vectors must be an array");
+    }
+    if (!this.collection && vectors.length > 0 && vectors[0] && isVector(vectors[0].vector)) {
+      this._setCollection({ dimension: vectors[0].vector.length });
+    }
+    return vectors.map((record) => {
+      if (!record || typeof record !== 'object') {
+        throw new InvalidInputError("Each vector must be an object with a vector");
+      }
+      if (record.id === undefined && requireIds) {
+        throw new InvalidInputError("Every upserted vector needs an ID");
+      }
+      if (record.metadata !== undefined && (record.metadata === null || typeof record.metadata !== 'object')) {
+        throw new InvalidInputError("Vector metadata must be an object");
+      }
+      return {
+        id: record.id === undefined ? crypto.randomUUID() : record.id,
+        vector: this._checkVector(record.vector),
+        metadata: structuredClone(record.metadata || {})
+      };
+    });
+  }
+
+  /**
+   * @private
+   */
+  _checkVector(vector) {
+    if (!isVector(vector)) {
+      throw new InvalidInputError("Vector must be an array of numbers, a Float32Array or a Float64Array");
+    }
+    if (vector.length !== this.collection.dimension) {
+      throw new InvalidInputError(`Vector has dimension ${vector.length}, expected ${this.collection.dimension}`);
+    }
+    return Float64Array.from(vector);
+  }
+
+  /**
+   * @private
+   */
+  _write(records) {
+    for (const record of records) {
+      this.records.set(record.id, record);
+      if (this.collection.index) {
+        this.collection.index.add(record.id, record.vector);
+      }
+    }
+    return records.map((record) => record.id);
+  }
+
+  /**
+   * @private
+   */
+  _matching(predicate) {
+    return [...this.records.values()].filter((record) => predicate(record.metadata));
+  }
+}
+
+/**
+ * @private
+ */
+function checkOptions(metricType, indexType) {
+  if (!Object.values(DistanceMetric).includes(metricType)) {
+    throw new InvalidConfigurationError(`Unknown metric type: ${metricType}`);
+  }
+  if (!Object.values(IndexType).includes(indexType)) {
+    throw new InvalidConfigurationError(`Unknown index type: ${indexType}`);
+  }
+}
+
+/**
+ * @private
+ */
+function toResult(record, includeVector, includeMetadata) {
+  const result = { id: record.id };
+  if (includeVector) {
+    result.vector = Array.from(record.vector);
+  }
+  if (includeMetadata) {
+    result.metadata = structuredClone(record.metadata);
+  }
+  return result;
+}
+
+/**
+ * @private
+ */
+function dotProduct(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) {
+    sum += a[i] * b[i];
+  }
+  return sum;
+}
+
+/**
+ * @private
+ */
+function squaredDistance(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) {
+    const difference = a[i] - b[i];
+    sum += difference * difference;
+  }
+  return sum;
+}
+
+/**
+ * @private
+ */
+function cosineSimilarity(a, b) {
+  const norms = Math.sqrt(dotProduct(a, a) * dotProduct(b, b));
+  return norms === 0 ? 0 : dotProduct(a, b) / norms;
+}
+
+export { DistanceMetric, IndexType };
+export default InMemoryAdapter;
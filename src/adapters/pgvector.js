@@ -0,0 +1,542 @@
+import crypto from 'crypto';
+import BaseAdapter from './base.js';
+import { compilePgvectorFilter, quoteIdentifier } from '../filters/index.js';
+import { InvalidInputError, InvalidConfigurationError } from '../exceptions/index.js';
+
+/**
+ * pgvector operator and operator class of each metric type, and how to turn the operator's
+ * distance into the result score
+ * @private
+ */
+const METRICS = Object.freeze({
+  cosine: { operator: '<=>', operatorClass: 'vector_cosine_ops', toScore: (distance) => 1 - distance },
+  euclidean: { operator: '<->', operatorClass: 'vector_l2_ops', toScore: null },
+  dot: { operator: '<#>', operatorClass: 'vector_ip_ops', toScore: (distance) => -distance }
+});
+
+/**
+ * Column type of each metadata field type
+ * @private
+ */
+const COLUMN_TYPES = Object.freeze({
+  'string': 'text COLLATE "C"',
+  'number': 'double precision',
+  'boolean': 'boolean',
+  'string[]': 'text[]',
+  'binary': 'bytea'
+});
+
+const INDEX_TYPES = Object.freeze(['hnsw', 'ivfflat', 'none']);
+
+// Postgres accepts at most 65535 parameters per statement
+const MAX_PARAMETERS = 65535;
+
+/**
+ * Adapter for PostgreSQL with the pgvector extension.
+ *
+ * Each vector is a row of a table with a text primary key, a `vector(n)` column, a `bytea`
+ * column for the vector metadata and a JSONB column for the metadata fields without a column of
+ * their own. `createCollection` gives each declared field a column: strings are `text` columns
+ * compared byte by byte (`COLLATE "C"`, so ordered ciphertexts sort correctly) with a b-tree
+ * index, and binary fields, such as text envelopes, are `bytea`. Binary values are base64
+ * strings in records.
+ *
+ * Searches order by the pgvector distance operator of the metric (`<=>`, `<->` or `<#>`) and
+ * filters are compiled to parameterized SQL, so values are never written into queries.
+ *
+ * Give the adapter a `pool` (a `pg` Pool or Client, or anything with `query(text, values)`), or a
+ * `connectionString` to create one with the optional peer dependency `pg`.
+ *
+ * @example
+ * ```javascript
+ * import pg from 'pg';
+ * import { PgVectorAdapter, EncryptedAdapter } from 'dcpe-js';
+ *
+ * const pool = new pg.Pool({ connectionString: process.env.DATABASE_URL });
+ * const adapter = new EncryptedAdapter(new PgVectorAdapter({ pool, tableName: 'chunks' }), dcpe, { schema });
+ * await adapter.connect();
+ * await adapter.createCollection({ dimension: 1024, fields: { text: 'string', source_url: 'string' } });
+ * ```
+ */
+class PgVectorAdapter extends BaseAdapter {
+  /**
+   * Create a pgvector adapter
+   * @param {Object} config - Configuration options
+   * @param {string} config.tableName - Table name (`config.collectionName` works too)
+   * @param {Object} [config.pool] - Object with `query(text, values)`, such as a `pg` Pool
+   * @param {string} [config.connectionString] - Connection string, to create a Pool when none is given
+   * @param {number} [config.dimension] - Vector dimension, if createCollection is not given one
+   * @param {string} [config.metricType="cosine"] - Distance metric (cosine, euclidean, dot)
+   * @param {string} [config.indexType="hnsw"] - Vector index: hnsw, ivfflat or none
+   * @param {Object} [config.fields] - Names of the columns holding the parts of each record
+   * @param {string} [config.fields.id="id"] - Primary key column
+   * @param {string} [config.fields.vector="embedding"] - Vector column
+   * @param {string} [config.fields.vectorMetadata="vector_metadata"] - Vector metadata column
+   * @param {string} [config.fields.metadata="metadata"] - JSONB column for the other metadata fields
+   */
+  constructor(config = {}) {
+    super(config);
+    this.tableName = config.tableName || config.collectionName;
+    if (typeof this.tableName !== 'string' || this.tableName.length === 0) {
+      throw new InvalidConfigurationError("PgVectorAdapter needs a tableName");
+    }
+    this.metricType = config.metricType || 'cosine';
+    if (!METRICS[this.metricType]) {
+      throw new InvalidConfigurationError(`Unknown metric type: ${this.metricType}`);
+    }
+    if (config.indexType !== undefined && !INDEX_TYPES.includes(config.indexType)) {
+      throw new InvalidConfigurationError(`Unknown index type: ${config.indexType}`);
+    }
+    this.fields = {
+      id: 'id',
+      vector: 'embedding',
+      vectorMetadata: 'vector_metadata',
+      metadata: 'metadata',
+      ...(config.fields || {})
+    };
+    this.table = quoteIdentifier(this.tableName);
+    this.pool = config.pool || null;
+    this.ownsPool = false;
+    this.columns = null;
+  }
+
+  /**
+   * Create the connection pool, unless one was given
+   * @returns {Promise<boolean>}
+   * @throws {InvalidConfigurationError} If `pg` is not installed
+   */
+  async connect() {
+    if (this.pool) {
+      return true;
+    }
+    let pg;
+    try {
+      pg = await import('pg');
+    } catch (error) {
+      throw new InvalidConfigurationError("PgVectorAdapter needs pg: install it or pass a pool");
+    }
+    const { Pool } = pg.default || pg;
+    this.pool = new Pool({ connectionString: this.config.connectionString || this.config.host });
+    this.ownsPool = true;
+    return true;
+  }
+
+  async disconnect() {
+    if (this.ownsPool && this.pool) {
+      await this.pool.end();
+      this.pool = null;
+      this.ownsPool = false;
+    }
+  }
+
+  /**
+   * Create the table, an index on each string column and the vector index
+   * @param {Object} schema - Collection schema (see BaseAdapter#createCollection)
+   * @returns {Promise<boolean>} - False if the table already existed
+   */
+  async createCollection(schema = {}) {
+    if (await this._exists()) {
+      return false;
+    }
+    const dimension = schema.dimension || this.config.dimension;
+    if (!Number.isInteger(dimension) || dimension < 1) {
+      throw new InvalidInputError("Vector dimension must be a positive integer");
+    }
+    const metricType = schema.metricType || this.metricType;
+    if (!METRICS[metricType]) {
+      throw new InvalidInputError(`Unknown metric type: ${metricType}`);
+    }
+
+    const { id, vector, vectorMetadata, metadata } = this.fields;
+    const definitions = [
+      `${quoteIdentifier(id)} text PRIMARY KEY`,
+      `${quoteIdentifier(vector)} vector(${dimension}) NOT NULL`,
+      `${quoteIdentifier(vectorMetadata)} bytea`,
+      `${quoteIdentifier(metadata)} jsonb NOT NULL DEFAULT '{}'`
+    ];
+    const indexes = [];
+    for (const [name, type] of Object.entries(schema.fields || {})) {
+      if (name === vectorMetadata) {
+        // Stored in the vector metadata column
+        continue;
+      }
+      if ([id, vector, metadata].includes(name)) {
+        throw new InvalidInputError(`Metadata field ${name} collides with a column of the table`);
+      }
+      if (!COLUMN_TYPES[type]) {
+        throw new InvalidInputError(`Unsupported type of field ${name}: ${type}`);
+      }
+      definitions.push(`${quoteIdentifier(name)} ${COLUMN_TYPES[type]}`);
+      if (type === 'string') {
+        indexes.push(`CREATE INDEX ON ${this.table} (${quoteIdentifier(name)})`);
+      } else if (type === 'string[]') {
+        indexes.push(`CREATE INDEX ON ${this.table} USING gin (${quoteIdentifier(name)})`);
+      }
+    }
+    const indexType = this.config.indexType || 'hnsw';
+    if (indexType !== 'none') {
+      indexes.push(`CREATE INDEX ON ${this.table} USING ${indexType} (${quoteIdentifier(vector)} ${METRICS[metricType].operatorClass})`);
+    }
+
+    await this._query('CREATE EXTENSION IF NOT EXISTS vector');
+    await this._query(`CREATE TABLE ${this.table} (${definitions.join(', ')})`);
+    for (const statement of indexes) {
+      await this._query(statement);
+    }
+    // Searches must use the operator the index was built for
+    this.metricType = metricType;
+    this.columns = null;
+    return true;
+  }
+
+  /**
+   * Drop the table
+   * @returns {Promise<boolean>} - True if the table existed
+   */
+  async dropCollection() {
+    const existed = await this._exists();
+    await this._query(`DROP TABLE IF EXISTS ${this.table}`);
+    this.columns = null;
+    return existed;
+  }
+
+  /**
+   * Insert vectors; IDs are generated for vectors without one
+   * @param {Array<Object>} vectors - Vectors, as `{ id, vector, vectorMetadata, metadata }`
+   * @returns {Promise<Array<string>>} - IDs of the inserted vectors
+   * @throws {InvalidInputError} If a vector is invalid, or the primary key rejects an ID that already exists or appears twice
+   */
+  async insert(vectors) {
+    return this._write(vectors, false);
+  }
+
+  /**
+   * Insert vectors, replacing those with the same IDs
+   * @param {Array<Object>} vectors - Vectors, as `{ id, vector, vectorMetadata, metadata }`, each with an ID
+   * @returns {Promise<Array<string>>} - IDs of the written vectors
+   */
+  async upsert(vectors) {
+    return this._write(vectors, true);
+  }
+
+  /**
+   * Fetch vectors by ID
+   * @param {Array<string>} ids - IDs
+   * @returns {Promise<Array<Object>>} - The vectors found, as `{ id, vector, vectorMetadata, metadata }`
+   */
+  async get(ids) {
+    if (!Array.isArray(ids)) {
+      throw new InvalidInputError("IDs must be an array");
+    }
+    if (ids.length === 0) {
+      return [];
+    }
+    const columns = await this._columns();
+    const { rows } = await this._query(
+      `SELECT ${this._selectList(columns, true)} FROM ${this.table} WHERE ${quoteIdentifier(this.fields.id)} = ANY($1::text[])`,
+      [ids.map(String)]
+    );
+    return rows.map((row) => this._fromRow(row, columns, true));
+  }
+
+  /**
+   * Delete vectors by ID or filter
+   * @param {Array<string>|Object} idsOrFilter - IDs, or a filter built with `filters.Filter`
+   * @returns {Promise<number>} - Number of deleted vectors
+   */
+  async delete(idsOrFilter) {
+    if (Array.isArray(idsOrFilter)) {
+      if (idsOrFilter.length === 0) {
+        return 0;
+      }
+      const result = await this._query(
+        `DELETE FROM ${this.table} WHERE ${quoteIdentifier(this.fields.id)} = ANY($1::text[])`,
+        [idsOrFilter.map(String)]
+      );
+      return result.rowCount;
+    }
+    const { text, values } = this.compileFilter(idsOrFilter, { columns: await this._columns() });
+    return (await this._query(`DELETE FROM ${this.table} WHERE ${text}`, values)).rowCount;
+  }
+
+  /**
+   * Count vectors
+   * @param {Object} [filter] - Filter built with `filters.Filter`
+   * @returns {Promise<number>}
+   */
+  async count(filter) {
+    if (filter === undefined) {
+      const { rows } = await this._query(`SELECT count(*) AS count FROM ${this.table}`);
+      return Number(rows[0].count);
+    }
+    const { text, values } = this.compileFilter(filter, { columns: await this._columns() });
+    const { rows } = await this._query(`SELECT count(*) AS count FROM ${this.table} WHERE ${text}`, values);
+    return Number(rows[0].count);
+  }
+
+  /**
+   * Search for the nearest vectors
+   * @param {Array<number>} queryVector - Query vector
+   * @param {Object} [options] - Search options
+   * @param {number} [options.limit=10] - Maximum number of results
+   * @param {Object} [options.filter] - Filter built with `filters.Filter`
+   * @param {number} [options.threshold] - Minimum score, or maximum distance for the euclidean metric
+   * @param {boolean} [options.includeVectors=false] - Return the vectors
+   * @returns {Promise<Array<Object>>} - Results `{ id, score, vectorMetadata, metadata }`, with `distance`
+   *   instead of `score` for the euclidean metric
+   */
+  async search(queryVector, options = {}) {
+    const limit = options.limit === undefined ? 10 : options.limit;
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new InvalidInputError("Search limit must be a positive integer");
+    }
+    const columns = await this._columns();
+    const metric = METRICS[this.metricType];
+    const distance = `${quoteIdentifier(this.fields.vector)} ${metric.operator} $1::vector`;
+    const values = [toVectorLiteral(queryVector)];
+    const conditions = [];
+
+    if (options.filter !== undefined) {
+      const compiled = this.compileFilter(options.filter, { startIndex: 2, columns });
+      conditions.push(compiled.text);
+      values.push(...compiled.values);
+    }
+    if (options.threshold !== undefined) {
+      // Compare distances in SQL, so the vector index still serves the query; each score
+      // conversion is its own inverse
+      values.push(metric.toScore ? metric.toScore(options.threshold) : options.threshold);
+      conditions.push(`${distance} <= $${values.length}`);
+    }
+    values.push(limit);
+
+    const { rows } = await this._query(
+      `SELECT ${this._selectList(columns, options.includeVectors === true)}, ${distance} AS "_distance" FROM ${this.table}`
+        + (conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '')
+        + ` ORDER BY "_distance" LIMIT $${values.length}`,
+      values
+    );
+    return rows.map(({ _distance, ...row }) => {
+      const result = this._fromRow(row, columns, options.includeVectors === true);
+      if (metric.toScore) {
+        result.score = metric.toScore(Number(_distance));
+      } else {
+        result.distance = Number(_distance);
+      }
+      return result;
+    });
+  }
+
+  /**
+   * Compile a filter to a parameterized SQL condition. Fields with their own column are compared
+   * with it; the others are read from the JSONB metadata column.
+   * @param {Object} filter - Filter built with `filters.Filter`
+   * @param {Object} [options] - `startIndex` of the parameters, and the table `columns` (a Map or array of names)
+   * @returns {{text: string, values: Array}}
+   */
+  compileFilter(filter, options = {}) {
+    const columns = options.columns instanceof Map ? [...options.columns.keys()] : options.columns;
+    return compilePgvectorFilter(filter, {
+      startIndex: options.startIndex,
+      jsonColumn: this.fields.metadata,
+      columns: (columns || []).filter((name) => name !== this.fields.metadata)
+    });
+  }
+
+  /**
+   * @private
+   */
+  _client() {
+    if (!this.pool) {
+      throw new Error('PgVectorAdapter is not connected; call connect() first');
+    }
+    return this.pool;
+  }
+
+  /**
+   * @private
+   */
+  async _query(text, values = []) {
+    return this._client().query(text, values);
+  }
+
+  /**
+   * @private
+   */
+  async _exists() {
+    const { rows } = await this._query('SELECT to_regclass($1) AS name', [this.table]);
+    return rows[0].name !== null;
+  }
+
+  /**
+   * Columns of the table and their data types, read once from the catalog
+   * @private
+   */
+  async _columns() {
+    if (!this.columns) {
+      const { rows } = await this._query(
+        'SELECT column_name, data_type FROM information_schema.columns WHERE table_schema = current_schema() AND table_name = $1',
+        [this.tableName]
+      );
+      if (rows.length === 0) {
+        throw new InvalidInputError(`Table ${this.tableName} does not exist; call createCollection first`);
+      }
+      this.columns = new Map(rows.map((row) => [row.column_name, row.data_type]));
+    }
+    return this.columns;
+  }
+
+  /**
+   * @private
+   */
+  _selectList(columns, includeVector) {
+    return [...columns.keys()]
+      .filter((name) => includeVector || name !== this.fields.vector)
+      .map(quoteIdentifier)
+      .join(', ');
+  }
+
+  /**
+   * @private
+   */
+  async _write(vectors, replace) {
+    if (!Array.isArray(vectors)) {
+      throw new InvalidInputError("Vectors must be an array");
+    }
+    if (vectors.length === 0) {
+      return [];
+    }
+    const columns = await this._columns();
+    const names = [...columns.keys()];
+    const rows = vectors.map((record) => this._toRow(record, columns, replace));
+    const update = names
+      .filter((name) => name !== this.fields.id)
+      .map((name) => `${quoteIdentifier(name)} = EXCLUDED.${quoteIdentifier(name)}`)
+      .join(', ');
+    const rowsPerStatement = Math.floor(MAX_PARAMETERS / names.length);
+
+    for (let start = 0; start < rows.length; start += rowsPerStatement) {
+      const batch = rows.slice(start, start + rowsPerStatement);
+      const values = [];
+      const tuples = batch.map((row) => `(${names.map((name) => {
+        values.push(row[name]);
+        return name === this.fields.vector ? `$${values.length}::vector` : `$${values.length}`;
+      }).join(', ')})`);
+      try {
+        await this._query(
+          `INSERT INTO ${this.table} (${names.map(quoteIdentifier).join(', ')}) VALUES ${tuples.join(', ')}`
+            + (replace ? ` ON CONFLICT (${quoteIdentifier(this.fields.id)}) DO UPDATE SET ${update}` : ''),
+          values
+        );
+      } catch (error) {
+        // unique_violation: the primary key already holds one of the inserted IDs
+        if (error.code === '23505') {
+          throw new InvalidInputError(`${error.detail || 'A vector with one of the IDs already exists'}; use upsert to replace it`);
+        }
+        throw error;
+      }
+    }
+    return rows.map((row) => row[this.fields.id]);
+  }
+
+  /**
+   * @private
+   */
+  _toRow(record, columns, requireId) {
+    if (!record || typeof record !== 'object') {
+      throw new InvalidInputError("Each vector must be an object with a vector");
+    }
+    if (record.id === undefined && requireId) {
+      throw new InvalidInputError("Every upserted vector needs an ID");
+    }
+    const { id, vector, vectorMetadata, metadata: jsonColumn } = this.fields;
+    const metadata = { ...(record.metadata || {}) };
+    for (const reserved of [id, vector, jsonColumn]) {
+      if (Object.prototype.hasOwnProperty.call(metadata, reserved)) {
+        throw new InvalidInputError(`Metadata field ${reserved} collides with a column of the table`);
+      }
+    }
+    const storedVectorMetadata = record.vectorMetadata !== undefined ? record.vectorMetadata : metadata[vectorMetadata];
+    delete metadata[vectorMetadata];
+
+    const row = {
+      [id]: record.id === undefined ? crypto.randomUUID() : String(record.id),
+      [vector]: toVectorLiteral(record.vector),
+      [vectorMetadata]: toBytes(storedVectorMetadata),
+      [jsonColumn]: {}
+    };
+    for (const [name, value] of Object.entries(metadata)) {
+      if (columns.has(name)) {
+        row[name] = columns.get(name) === 'bytea' ? toBytes(value) : value;
+      } else {
+        row[jsonColumn][name] = value;
+      }
+    }
+    for (const name of columns.keys()) {
+      if (row[name] === undefined) {
+        row[name] = null;
+      }
+    }
+    row[jsonColumn] = JSON.stringify(row[jsonColumn]);
+    return row;
+  }
+
+  /**
+   * @private
+   */
+  _fromRow(row, columns, includeVector) {
+    const { id, vector, vectorMetadata, metadata: jsonColumn } = this.fields;
+    const result = { id: row[id] };
+    if (includeVector && row[vector] !== undefined) {
+      result.vector = typeof row[vector] === 'string' ? JSON.parse(row[vector]) : row[vector];
+    }
+    if (row[vectorMetadata] !== null && row[vectorMetadata] !== undefined) {
+      result.vectorMetadata = fromBytes(row[vectorMetadata]);
+    }
+    const json = row[jsonColumn];
+    result.metadata = { ...(typeof json === 'string' ? JSON.parse(json) : json || {}) };
+    for (const name of columns.keys()) {
+      if ([id, vector, vectorMetadata, jsonColumn].includes(name) || row[name] === null || row[name] === undefined) {
+        continue;
+      }
+      result.metadata[name] = fromBytes(row[name]);
+    }
+    return result;
+  }
+}
+
+/**
+ * Text form of a vector, which Postgres casts to `vector`
+ * @private
+ */
+function toVectorLiteral(vector) {
+  if (!(Array.isArray(vector) || ArrayBuffer.isView(vector)) || vector.length === 0) {
+    throw new InvalidInputError("Vector must be a non-empty array of numbers");
+  }
+  const values = Array.from(vector);
+  if (values.some((value) => typeof value !== 'number' || !Number.isFinite(value))) {
+    throw new InvalidInputError("Vector values must be finite numbers");
+  }
+  return `[${values.join(',')}]`;
+}
+
+/**
+ * @private
+ */
+function toBytes(value) {
+  if (value === undefined || value === null || Buffer.isBuffer(value)) {
+    return value === undefined ? null : value;
+  }
+  if (typeof value !== 'string') {
+    throw new InvalidInputError("Binary fields must be base64 strings or Buffers");
+  }
+  return Buffer.from(value, 'base64');
+}
+
+/**
+ * @private
+ */
+function fromBytes(value) {
+  return Buffer.isBuffer(value) ? value.toString('base64') : value;
+}
+
+export default PgVectorAdapter;
@@ -0,0 +1,542 @@
+import crypto from 'crypto';
+import BaseAdapter from './base.js';
+import { compilePineconeFilter } from '../filters/index.js';
+import { InvalidInputError, InvalidConfigurationError, RequestError } from '../exceptions/index.js';
+
+/**
+ * Pinecone metric of each metric type
+ * @private
+ */
+const PINECONE_METRICS = Object.freeze({
+  cosine: 'cosine',
+  euclidean: 'euclidean',
+  dot: 'dotproduct'
+});
+
+const FIELD_TYPES = Object.freeze(['string', 'number', 'boolean', 'string[]', 'binary']);
+
+const API_VERSION = '2024-07';
+
+// Pinecone limits the metadata of a vector to 40 KB
+const MAX_METADATA_BYTES = 40960;
+
+// Vectors per upsert request, and IDs per fetch or delete request
+const BATCH_SIZE = 100;
+
+
+/**
+ * Adapter for Pinecone, through its REST APIs.
+ *
+ * Metadata fields and the base64 vector metadata are stored in the vector's metadata. Pinecone
+ * limits it to 40 KB per vector, so records over the limit have their largest string fields,
+ * typically text envelopes, moved to a side store: an object with async `put(key, value)`,
+ * `get(key)` and `delete(key)` methods, whose keys are `{ namespace, id, field }`. The names of the
+ * moved fields are kept in the metadata, and reads put the values back. Moved fields cannot be
+ * filtered on.
+ *
+ * Each adapter works in one namespace. `forTenant` returns an adapter for the namespace of a
+ * tenant client, whose name is an HMAC under the tenant's key material: tenants whose keys are
+ * derived from the same master secret never share a namespace, and the names do not reveal the
+ * tenant IDs to anyone without the keys.
+ *
+ * Give the adapter the `host` of the index, or its `indexName` to look the host up on `connect()`.
+ *
+ * @example
+ * ```javascript
+ * import { PineconeAdapter, EncryptedAdapter, ragEncryption } from 'dcpe-js';
+ *
+ * const pinecone = new PineconeAdapter({ apiKey: process.env.PINECONE_API_KEY, indexName: 'chunks', sideStore });
+ * const client = await ragEncryption.RagEncryptionClient.create({ masterSecret, tenantId: 'tenant-42' });
+ * const adapter = new EncryptedAdapter(pinecone.forTenant(client), client, { schema });
+ * await adapter.connect();
+ * ```
+ */
+class PineconeAdapter extends BaseAdapter {
+  /**
+   * Create a Pinecone adapter
+   * @param {Object} config - Configuration options
+   * @param {string} config.apiKey - API key
+   * @param {string} [config.host] - Host of the index, from the Pinecone console
+   * @param {string} [config.indexName] - Index name, to look up the host and create or delete the index
+   *   (`config.collectionName` works too)
+   * @param {string} [config.namespace=""] - Namespace; the default namespace if empty
+   * @param {number} [config.dimension] - Vector dimension, if createCollection is not given one
+   * @param {string} [config.metricType="cosine"] - Distance metric (cosine, euclidean, dot)
+   * @param {Object} [config.spec] - Index spec for createCollection (default: serverless on aws us-east-1)
+   * @param {number} [config.readyTimeout=300000] - Milliseconds createCollection waits for the new index
+   * @param {number} [config.readyInterval=1000] - Milliseconds between checks that the new index is ready
+   * @param {Object} [config.sideStore] - Store for the fields of records over the metadata limit
+   * @param {number} [config.maxMetadataBytes=40960] - Metadata size above which fields are moved to the side store
+   * @param {Object} [config.fields] - Names of the metadata fields the adapter uses
+   * @param {string} [config.fields.vectorMetadata="vector_metadata"] - Field with the vector metadata
+   * @param {string} [config.fields.sideFields="side_fields"] - Field listing the fields moved to the side store
+   * @param {string} [config.controllerUrl="https://api.pinecone.io"] - URL of the control plane API
+   * @param {Function} [config.fetch=globalThis.fetch] - fetch implementation
+   */
+  constructor(config = {}) {
+    super(config);
+    if (typeof config.apiKey !== 'string' || config.apiKey.length === 0) {
+      throw new InvalidConfigurationError("PineconeAdapter needs an apiKey");
+    }
+    this.indexName = config.indexName || config.collectionName || null;
+    if (!config.host && !this.indexName) {
+      throw new InvalidConfigurationError("PineconeAdapter needs the host or the indexName of the index");
+    }
+    this.metricType = config.metricType || 'cosine';
+    if (!PINECONE_METRICS[this.metricType]) {
+      throw new InvalidConfigurationError(`Unknown metric type: ${this.metricType}`);
+    }
+    const sideStore = config.sideStore;
+    if (sideStore && !['put', 'get', 'delete'].every((method) => typeof sideStore[method] === 'function')) {
+      throw new InvalidConfigurationError("The sideStore needs put, get and delete methods");
+    }
+    this.host = config.host ? toUrl(config.host) : null;
+    this.namespace = config.namespace || '';
+    this.sideStore = sideStore || null;
+    this.maxMetadataBytes = config.maxMetadataBytes || MAX_METADATA_BYTES;
+    this.fields = {
+      vectorMetadata: 'vector_metadata',
+      sideFields: 'side_fields',
+      ...(config.fields || {})
+    };
+    this.controllerUrl = toUrl(config.controllerUrl || 'https://api.pinecone.io');
+    this.fetch = config.fetch || globalThis.fetch;
+  }
+
+  /**
+   * Adapter for the namespace of a tenant, sharing this adapter's configuration
+   * @param {RagEncryptionClient} client - Client with keys derived for a tenant; its `tenantNamespace` names the namespace
+   * @returns {PineconeAdapter}
+   */
+  forTenant(client) {
+    if (!client || typeof client.tenantNamespace !== 'string') {
+      throw new InvalidInputError("forTenant needs a client with keys derived for a tenant");
+    }
+    return new PineconeAdapter({
+      ...this.config,
+      host: this.host || undefined,
+      namespace: client.tenantNamespace
+    });
+  }
+
+  /**
+   * Look up the host of the index, unless it was given
+   * @returns {Promise<boolean>}
+   * @throws {RequestError} If the index does not exist or the API key is rejected
+   */
+  async connect() {
+    if (!this.host) {
+      const index = await this._request('GET', `${this.controllerUrl}/indexes/${encodeURIComponent(this.indexName)}`);
+      this.host = toUrl(index.host);
+    }
+    return true;
+  }
+
+  async disconnect() {
+    // Every request is independent, so there is nothing to close
+  }
+
+  /**
+   * Create the index and wait until it is ready. On pod-based indexes, only the declared fields
+   * that are not binary are indexed for filtering; serverless indexes index all metadata.
+   * @param {Object} schema - Collection schema (see BaseAdapter#createCollection)
+   * @returns {Promise<boolean>} - False if the index already existed
+   */
+  async createCollection(schema = {}) {
+    this._requireIndexName();
+    const dimension = schema.dimension || this.config.dimension;
+    if (!Number.isInteger(dimension) || dimension < 1) {
+      throw new InvalidInputError("Vector dimension must be a positive integer");
+    }
+    const metricType = schema.metricType || this.metricType;
+    if (!PINECONE_METRICS[metricType]) {
+      throw new InvalidInputError(`Unknown metric type: ${metricType}`);
+    }
+    const fields = Object.entries(schema.fields || {});
+    for (const [name, type] of fields) {
+      if (!FIELD_TYPES.includes(type)) {
+        throw new InvalidInputError(`Unsupported type of field ${name}: ${type}`);
+      }
+    }
+
+    let spec = this.config.spec || { serverless: { cloud: 'aws', region: 'us-east-1' } };
+    if (spec.pod) {
+      const indexed = fields.filter(([, type]) => type !== 'binary').map(([name]) => name);
+      spec = { pod: { ...spec.pod, metadata_config: { indexed } } };
+    }
+    const response = await this._send('POST', `${this.controllerUrl}/indexes`, {
+      name: this.indexName,
+      dimension,
+      metric: PINECONE_METRICS[metricType],
+      spec
+    });
+    if (response.status === 409) {
+      return false;
+    }
+    let index = await this._result(response, 'POST', '/indexes');
+    const deadline = Date.now() + (this.config.readyTimeout || 300000);
+    while (!(index.status && index.status.ready)) {
+      if (Date.now() > deadline) {
+        throw new RequestError(`Pinecone index ${this.indexName} is not ready yet`);
+      }
+      await new Promise((resolve) => setTimeout(resolve, this.config.readyInterval || 1000));
+      index = await this._request('GET', `${this.controllerUrl}/indexes/${encodeURIComponent(this.indexName)}`);
+    }
+    this.host = toUrl(index.host);
+    this.metricType = metricType;
+    return true;
+  }
+
+  async dropCollection() {
+    this._requireIndexName();
+    const path = `/indexes/${encodeURIComponent(this.indexName)}`;
+    const response = await this._send('DELETE', `${this.controllerUrl}${path}`);
+    if (response.status === 404) {
+      return false;
+    }
+    await this._result(response, 'DELETE', path);
+    return true;
+  }
+
+  /**
+   * Insert vectors; IDs are generated for vectors without one. Pinecone only upserts, so the IDs
+   * are fetched first and the call is rejected if one of them already exists.
+   * @param {Array<Object>} vectors - Vectors, as `{ id, vector, vectorMetadata, metadata }`
+   * @returns {Promise<Array<string>>} - IDs of the inserted vectors
+   * @throws {InvalidInputError} If a vector is invalid, an ID already exists or appears twice
+   */
+  async insert(vectors) {
+    return this._write(vectors, false);
+  }
+
+  /**
+   * Insert vectors, replacing those with the same IDs
+   * @param {Array<Object>} vectors - Vectors, as `{ id, vector, vectorMetadata, metadata }`, each with an ID
+   * @returns {Promise<Array<string>>} - IDs of the written vectors
+   */
+  async upsert(vectors) {
+    return this._write(vectors, true);
+  }
+
+  /**
+   * Fetch vectors by ID
+   * @param {Array<string>} ids - IDs
+   * @returns {Promise<Array<Object>>} - The vectors found, as `{ id, vector, vectorMetadata, metadata }`
+   */
+  async get(ids) {
+    if (!Array.isArray(ids)) {
+      throw new InvalidInputError("IDs must be an array");
+    }
+    const found = await this._fetch(ids);
+    return Promise.all(found.map((vector) => this._fromVector(vector, true)));
+  }
+
+  /**
+   * Delete vectors by ID or filter. Deleting by ID also deletes the fields moved to the side
+   * store; deleting by filter leaves them, since Pinecone does not say which vectors matched, so
+   * clean them up with `sweepSideStore`.
+   * @param {Array<string>|Object} idsOrFilter - IDs, or a filter built with `filters.Filter`
+   * @returns {Promise<number>} - Number of vectors deleted by ID; 0 for filters, as Pinecone does not report it
+   */
+  async delete(idsOrFilter) {
+    if (!Array.isArray(idsOrFilter)) {
+      await this._data('/vectors/delete', { filter: this.compileFilter(idsOrFilter), namespace: this.namespace });
+      return 0;
+    }
+    const found = await this._fetch(idsOrFilter);
+    const ids = found.map((vector) => vector.id);
+    for (let start = 0; start < ids.length; start += BATCH_SIZE) {
+      await this._data('/vectors/delete', { ids: ids.slice(start, start + BATCH_SIZE), namespace: this.namespace });
+    }
+    if (this.sideStore) {
+      await Promise.all(found.flatMap(({ id, metadata = {} }) => (metadata[this.fields.sideFields] || [])
+        .map((field) => this.sideStore.delete(this._sideKey(id, field)))));
+    }
+    return found.length;
+  }
+
+  /**
+   * Delete the side store entries of this namespace whose vector no longer exists or no longer
+   * moves the field, such as those left by deletes by filter. The adapter cannot list the side
+   * store, so pass the keys it holds.
+   * @param {Iterable<Object>} keys - Side store keys, as `{ namespace, id, field }`; keys of other
+   *   namespaces are skipped
+   * @returns {Promise<number>} - Number of deleted entries
+   */
+  async sweepSideStore(keys) {
+    if (!this.sideStore) {
+      throw new InvalidConfigurationError("sweepSideStore needs a sideStore");
+    }
+    const candidates = [...keys].filter((key) => key.namespace === this.namespace);
+    const found = await this._fetch([...new Set(candidates.map((key) => key.id))]);
+    const moved = new Map(found.map(({ id, metadata = {} }) => [id, metadata[this.fields.sideFields] || []]));
+    const orphans = candidates.filter((key) => !(moved.get(key.id) || []).includes(key.field));
+    await Promise.all(orphans.map((key) => this.sideStore.delete(this._sideKey(key.id, key.field))));
+    return orphans.length;
+  }
+
+  /**
+   * Count the vectors of the namespace. Serverless indexes cannot count with a filter.
+   * @param {Object} [filter] - Filter built with `filters.Filter`
+   * @returns {Promise<number>}
+   */
+  async count(filter) {
+    const body = filter === undefined ? {} : { filter: this.compileFilter(filter) };
+    const stats = await this._data('/describe_index_stats', body);
+    const namespace = (stats.namespaces || {})[this.namespace];
+    return namespace ? namespace.vectorCount : 0;
+  }
+
+  /**
+   * Search for the nearest vectors
+   * @param {Array<number>} queryVector - Query vector
+   * @param {Object} [options] - Search options
+   * @param {number} [options.limit=10] - Maximum number of results
+   * @param {Object} [options.filter] - Filter built with `filters.Filter`
+   * @param {number} [options.threshold] - Minimum score, or maximum distance for the euclidean metric,
+   *   applied to the results Pinecone returns
+   * @param {boolean} [options.includeVectors=false] - Return the vectors
+   * @returns {Promise<Array<Object>>} - Results `{ id, score, vectorMetadata, metadata }`, with `distance`
+   *   instead of `score` for the euclidean metric
+   */
+  async search(queryVector, options = {}) {
+    const body = {
+      vector: Array.from(queryVector),
+      topK: options.limit || 10,
+      namespace: this.namespace,
+      includeMetadata: true,
+      includeValues: options.includeVectors === true
+    };
+    if (options.filter !== undefined) {
+      body.filter = this.compileFilter(options.filter);
+    }
+    const { matches = [] } = await this._data('/query', body);
+    const euclidean = this.metricType === 'euclidean';
+    const kept = options.threshold === undefined
+      ? matches
+      : matches.filter((match) => (euclidean ? match.score <= options.threshold : match.score >= options.threshold));
+    return Promise.all(kept.map(async (match) => ({
+      ...(await this._fromVector(match, options.includeVectors === true)),
+      [euclidean ? 'distance' : 'score']: match.score
+    })));
+  }
+
+  /**
+   * Compile a filter to a Pinecone metadata filter
+   * @param {Object} filter - Filter built with `filters.Filter`
+   * @returns {Object}
+   */
+  compileFilter(filter) {
+    return compilePineconeFilter(filter);
+  }
+
+  /**
+   * Send a request and return the parsed response body
+   * @private
+   */
+  async _request(method, url, body) {
+    return this._result(await this._send(method, url, body), method, new URL(url).pathname);
+  }
+
+  /**
+   * Send a request to the data plane API of the index
+   * @private
+   */
+  async _data(path, body) {
+    if (!this.host) {
+      await this.connect();
+    }
+    return this._request(body === undefined ? 'GET' : 'POST', `${this.host}${path}`, body);
+  }
+
+  /**
+   * @private
+   */
+  async _send(method, url, body) {
+    try {
+      return await this.fetch(url, {
+        method,
+        headers: {
+          'Api-Key': this.config.apiKey,
+          'Content-Type': 'application/json',
+          'X-Pinecone-API-Version': API_VERSION
+        },
+        body: body === undefined ? undefined : JSON.stringify(body)
+      });
+    } catch (error) {
+      throw new RequestError(`Pinecone ${method} ${new URL(url).pathname} failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _result(response, method, path) {
+    const text = await response.text();
+    let payload = {};
+    try {
+      payload = text ? JSON.parse(text) : {};
+    } catch (error) {
+      payload = { message: text };
+    }
+    if (!response.ok) {
+      const reason = (payload.error && payload.error.message) || payload.message || response.statusText;
+      throw new RequestError(`Pinecone ${method} ${path} failed with ${response.status}: ${reason}`);
+    }
+    return payload;
+  }
+
+  /**
+   * @private
+   */
+  _requireIndexName() {
+    if (!this.indexName) {
+      throw new InvalidConfigurationError("Creating or deleting an index needs the indexName");
+    }
+  }
+
+  /**
+   * Fetch the vectors with the given IDs, in batches
+   * @private
+   */
+  async _fetch(ids) {
+    const found = [];
+    for (let start = 0; start < ids.length; start += BATCH_SIZE) {
+      const query = new URLSearchParams(ids.slice(start, start + BATCH_SIZE).map((id) => ['ids', String(id)]));
+      query.append('namespace', this.namespace);
+      const { vectors = {} } = await this._data(`/vectors/fetch?${query}`);
+      found.push(...Object.values(vectors));
+    }
+    return found;
+  }
+
+  /**
+   * @private
+   */
+  async _write(vectors, requireIds) {
+    if (!Array.isArray(vectors)) {
+      throw new InvalidInputError("Vectors must be an array");
+    }
+    const prepared = vectors.map((record) => this._toVector(record, requireIds));
+    const ids = prepared.map(({ vector }) => vector.id);
+    if (!requireIds) {
+      const seen = new Set();
+      for (const id of ids) {
+        if (seen.has(id)) {
+          throw new InvalidInputError(`ID ${id} appears more than once in the inserted vectors`);
+        }
+        seen.add(id);
+      }
+    }
+    // Side fields of the versions being replaced, to delete those the new versions do not move;
+    // inserts fetch them too, to reject IDs that already exist
+    const previous = this.sideStore || !requireIds ? await this._fetch(ids) : [];
+    if (!requireIds && previous.length > 0) {
+      throw new InvalidInputError(`A vector with ID ${previous[0].id} already exists; use upsert to replace it`);
+    }
+    // Store the moved fields first, so readers never see a reference without its value
+    await Promise.all(prepared.flatMap(({ vector, moved }) => moved
+      .map(([field, value]) => this.sideStore.put(this._sideKey(vector.id, field), value))));
+    for (let start = 0; start < prepared.length; start += BATCH_SIZE) {
+      await this._data('/vectors/upsert', {
+        vectors: prepared.slice(start, start + BATCH_SIZE).map(({ vector }) => vector),
+        namespace: this.namespace
+      });
+    }
+    const kept = new Set(prepared.flatMap(({ vector, moved }) => moved.map(([field]) => JSON.stringify([vector.id, field]))));
+    await Promise.all(previous.flatMap(({ id, metadata = {} }) => (metadata[this.fields.sideFields] || [])
+      .filter((field) => !kept.has(JSON.stringify([id, field])))
+      .map((field) => this.sideStore.delete(this._sideKey(id, field)))));
+    return ids;
+  }
+
+  /**
+   * Build a Pinecone vector, moving the largest string fields to the side store while its
+   * metadata is over the limit
+   * @private
+   */
+  _toVector({ id, vector, vectorMetadata, metadata = {} }, requireId) {
+    if (id === undefined && requireId) {
+      throw new InvalidInputError("Every upserted vector needs an ID");
+    }
+    if (Object.prototype.hasOwnProperty.call(metadata, this.fields.sideFields)) {
+      throw new InvalidInputError(`Metadata field ${this.fields.sideFields} is reserved for the side store`);
+    }
+    const recordId = id === undefined ? crypto.randomUUID() : String(id);
+    const stored = { ...metadata };
+    if (vectorMetadata !== undefined) {
+      stored[this.fields.vectorMetadata] = Buffer.isBuffer(vectorMetadata) ? vectorMetadata.toString('base64') : vectorMetadata;
+    }
+
+    const moved = [];
+    let size = Buffer.byteLength(JSON.stringify(stored));
+    if (size > this.maxMetadataBytes) {
+      if (!this.sideStore) {
+        throw new InvalidInputError(`Metadata of vector ${recordId} is ${size} bytes, over the limit of ${this.maxMetadataBytes}; configure a sideStore`);
+      }
+      const candidates = Object.entries(stored)
+        .filter(([field, value]) => typeof value === 'string' && field !== this.fields.vectorMetadata)
+        .sort((a, b) => b[1].length - a[1].length);
+      for (const [field, value] of candidates) {
+        if (size <= this.maxMetadataBytes) {
+          break;
+        }
+        delete stored[field];
+        moved.push([field, value]);
+        stored[this.fields.sideFields] = moved.map(([name]) => name);
+        size = Buffer.byteLength(JSON.stringify(stored));
+      }
+      if (size > this.maxMetadataBytes) {
+        throw new InvalidInputError(`Metadata of vector ${recordId} is over the limit of ${this.maxMetadataBytes} bytes without its string fields`);
+      }
+    }
+    return { vector: { id: recordId, values: Array.from(vector), metadata: stored }, moved };
+  }
+
+  /**
+   * Turn a Pinecone vector back into a record, reading the moved fields from the side store
+   * @private
+   */
+  async _fromVector(vector, includeVector) {
+    const {
+      [this.fields.vectorMetadata]: vectorMetadata,
+      [this.fields.sideFields]: sideFields = [],
+      ...metadata
+    } = vector.metadata || {};
+    if (sideFields.length > 0 && !this.sideStore) {
+      throw new InvalidConfigurationError(`Vector ${vector.id} has fields in a side store, but no sideStore is configured`);
+    }
+    const values = await Promise.all(sideFields.map((field) => this.sideStore.get(this._sideKey(vector.id, field))));
+    sideFields.forEach((field, i) => {
+      metadata[field] = values[i];
+    });
+
+    const result = { id: vector.id };
+    if (includeVector && vector.values) {
+      result.vector = vector.values;
+    }
+    if (vectorMetadata !== undefined) {
+      result.vectorMetadata = vectorMetadata;
+    }
+    result.metadata = metadata;
+    return result;
+  }
+
+  /**
+   * @private
+   */
+  _sideKey(id, field) {
+    return { namespace: this.namespace, id, field };
+  }
+}
+
+/**
+ * URL of a host given with or without its scheme
+ * @private
+ */
+function toUrl(host) {
+  const url = /^https?:\/\//.test(host) ? host : `https://${host}`;
+  return url.replace(/\/+$/, '');
+}
+
+export default PineconeAdapter;
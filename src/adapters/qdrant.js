@@ -0,0 +1,419 @@
+import crypto from 'crypto';
+import BaseAdapter from './base.js';
+import { compileQdrantFilter } from '../filters/index.js';
+import { InvalidInputError, InvalidConfigurationError, RequestError } from '../exceptions/index.js';
+
+/**
+ * Qdrant distance of each metric type
+ * @private
+ */
+const QDRANT_DISTANCES = Object.freeze({
+  cosine: 'Cosine',
+  euclidean: 'Euclid',
+  dot: 'Dot'
+});
+
+/**
+ * Payload index of each metadata field type; binary fields are stored without an index
+ * @private
+ */
+const PAYLOAD_INDEXES = Object.freeze({
+  'string': 'keyword',
+  'string[]': 'keyword',
+  'number': 'float',
+  'boolean': 'bool',
+  'binary': null
+});
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Adapter for Qdrant, through its REST API.
+ *
+ * Metadata fields are stored in the point payload, together with the original record ID and the
+ * base64 vector metadata (the `encodeVectorMetadata` bytes). `createCollection` creates a payload
+ * index for each declared field: keyword indexes for strings, such as deterministic ciphertexts,
+ * so `match` filters on them are fast. Binary fields, such as text envelopes, are not indexed.
+ *
+ * Qdrant point IDs must be UUIDs or unsigned integers, so other IDs are mapped to a UUID derived
+ * from them; results carry the original ID.
+ *
+ * Qdrant normalizes the vectors of cosine collections when it stores them, so encrypted vectors
+ * read back from them no longer decrypt to the original embeddings. Use the dot metric with
+ * normalized embeddings, which ranks the same, if you need the vectors back.
+ *
+ * @example
+ * ```javascript
+ * import { QdrantAdapter, EncryptedAdapter } from 'dcpe-js';
+ *
+ * const qdrant = new QdrantAdapter({ url: 'http://localhost:6333', apiKey: process.env.QDRANT_API_KEY, collectionName: 'chunks' });
+ * const adapter = new EncryptedAdapter(qdrant, dcpe, { schema });
+ * await adapter.createCollection({ dimension: 1024, fields: { source_url: 'string' } });
+ * ```
+ */
+class QdrantAdapter extends BaseAdapter {
+  /**
+   * Create a Qdrant adapter
+   * @param {Object} config - Configuration options
+   * @param {string} config.url - Base URL of the REST API, such as `http://localhost:6333` (`config.host` works too)
+   * @param {string} [config.apiKey] - API key, sent in the `api-key` header
+   * @param {string} config.collectionName - Collection name
+   * @param {number} [config.dimension] - Vector dimension, if createCollection is not given one
+   * @param {string} [config.metricType="cosine"] - Distance metric (cosine, euclidean, dot)
+   * @param {Object} [config.fields] - Names of the payload fields holding the parts of each record
+   * @param {string} [config.fields.id="id"] - Payload field with the original record ID
+   * @param {string} [config.fields.vectorMetadata="vector_metadata"] - Payload field with the vector metadata
+   * @param {Function} [config.fetch=globalThis.fetch] - fetch implementation
+   */
+  constructor(config = {}) {
+    super(config);
+    const url = config.url || config.host;
+    if (typeof url !== 'string' || url.length === 0) {
+      throw new InvalidConfigurationError("QdrantAdapter needs the url of the Qdrant REST API");
+    }
+    if (typeof config.collectionName !== 'string' || config.collectionName.length === 0) {
+      throw new InvalidConfigurationError("QdrantAdapter needs a collectionName");
+    }
+    this.metricType = config.metricType || 'cosine';
+    if (!QDRANT_DISTANCES[this.metricType]) {
+      throw new InvalidConfigurationError(`Unknown metric type: ${this.metricType}`);
+    }
+    this.url = url.replace(/\/+$/, '');
+    this.collectionPath = `/collections/${encodeURIComponent(config.collectionName)}`;
+    this.fields = {
+      id: 'id',
+      vectorMetadata: 'vector_metadata',
+      ...(config.fields || {})
+    };
+    this.fetch = config.fetch || globalThis.fetch;
+  }
+
+  /**
+   * Check that the API answers
+   * @returns {Promise<boolean>}
+   * @throws {RequestError} If Qdrant cannot be reached or rejects the API key
+   */
+  async connect() {
+    await this._request('GET', '/collections');
+    return true;
+  }
+
+  async disconnect() {
+    // Every request is independent, so there is nothing to close
+  }
+
+  /**
+   * Create the collection and a payload index for each declared field
+   * @param {Object} schema - Collection schema (see BaseAdapter#createCollection)
+   * @returns {Promise<boolean>} - False if the collection already existed
+   */
+  async createCollection(schema = {}) {
+    if (await this._exists()) {
+      return false;
+    }
+    const dimension = schema.dimension || this.config.dimension;
+    if (!Number.isInteger(dimension) || dimension < 1) {
+      throw new InvalidInputError("Vector dimension must be a positive integer");
+    }
+    const metricType = schema.metricType || this.metricType;
+    if (!QDRANT_DISTANCES[metricType]) {
+      throw new InvalidInputError(`Unknown metric type: ${metricType}`);
+    }
+    const fields = Object.entries(schema.fields || {});
+    for (const [name, type] of fields) {
+      if (PAYLOAD_INDEXES[type] === undefined) {
+        throw new InvalidInputError(`Unsupported type of field ${name}: ${type}`);
+      }
+    }
+
+    await this._request('PUT', this.collectionPath, {
+      vectors: { size: dimension, distance: QDRANT_DISTANCES[metricType] }
+    });
+    for (const [name, type] of [[this.fields.id, 'string'], ...fields]) {
+      if (PAYLOAD_INDEXES[type]) {
+        await this._request('PUT', `${this.collectionPath}/index?wait=true`, {
+          field_name: name,
+          field_schema: PAYLOAD_INDEXES[type]
+        });
+      }
+    }
+    this.metricType = metricType;
+    return true;
+  }
+
+  async dropCollection() {
+    if (!(await this._exists())) {
+      return false;
+    }
+    await this._request('DELETE', this.collectionPath);
+    return true;
+  }
+
+  /**
+   * Insert vectors; IDs are generated for vectors without one. Qdrant only upserts, so the IDs
+   * are looked up first and the call is rejected if one of them already exists.
+   * @param {Array<Object>} vectors - Vectors, as `{ id, vector, vectorMetadata, metadata }`
+   * @returns {Promise<Array<string>>} - IDs of the inserted vectors
+   * @throws {InvalidInputError} If a vector is invalid, an ID already exists or appears twice
+   */
+  async insert(vectors) {
+    return this._write(vectors, false);
+  }
+
+  /**
+   * Insert vectors, replacing those with the same IDs
+   * @param {Array<Object>} vectors - Vectors, as `{ id, vector, vectorMetadata, metadata }`, each with an ID
+   * @returns {Promise<Array<string>>} - IDs of the written vectors
+   */
+  async upsert(vectors) {
+    return this._write(vectors, true);
+  }
+
+  /**
+   * Fetch vectors by ID
+   * @param {Array<string>} ids - IDs
+   * @returns {Promise<Array<Object>>} - The vectors found, as `{ id, vector, vectorMetadata, metadata }`
+   */
+  async get(ids) {
+    if (!Array.isArray(ids)) {
+      throw new InvalidInputError("IDs must be an array");
+    }
+    if (ids.length === 0) {
+      return [];
+    }
+    const points = await this._request('POST', `${this.collectionPath}/points`, {
+      ids: ids.map(toPointId),
+      with_payload: true,
+      with_vector: true
+    });
+    return points.map((point) => this._fromPoint(point, true));
+  }
+
+  /**
+   * Delete vectors by ID or filter
+   * @param {Array<string>|Object} idsOrFilter - IDs, a filter built with `filters.Filter`, or a
+   *   Qdrant filter object (with `must`, `should` or `must_not`)
+   * @returns {Promise<number>} - Number of deleted vectors, counted before deleting them
+   */
+  async delete(idsOrFilter) {
+    let selector;
+    let count;
+    if (Array.isArray(idsOrFilter)) {
+      if (idsOrFilter.length === 0) {
+        return 0;
+      }
+      selector = { points: idsOrFilter.map(toPointId) };
+      count = (await this._request('POST', `${this.collectionPath}/points`, {
+        ids: selector.points,
+        with_payload: false,
+        with_vector: false
+      })).length;
+    } else {
+      selector = { filter: this.compileFilter(idsOrFilter) };
+      count = await this._count(selector.filter);
+    }
+    await this._request('POST', `${this.collectionPath}/points/delete?wait=true`, selector);
+    return count;
+  }
+
+  /**
+   * Count vectors
+   * @param {Object} [filter] - Filter built with `filters.Filter`, or a Qdrant filter object
+   * @returns {Promise<number>}
+   */
+  async count(filter) {
+    return this._count(filter === undefined ? undefined : this.compileFilter(filter));
+  }
+
+  /**
+   * Search for the nearest vectors
+   * @param {Array<number>} queryVector - Query vector
+   * @param {Object} [options] - Search options
+   * @param {number} [options.limit=10] - Maximum number of results
+   * @param {Object} [options.filter] - Filter built with `filters.Filter`, or a Qdrant filter object
+   * @param {number} [options.threshold] - Minimum score, or maximum distance for the euclidean metric
+   * @param {boolean} [options.includeVectors=false] - Return the vectors
+   * @param {Object} [options.params] - Search parameters, such as `{ hnsw_ef: 128 }`
+   * @returns {Promise<Array<Object>>} - Results `{ id, score, vectorMetadata, metadata }`, with `distance`
+   *   instead of `score` for the euclidean metric
+   */
+  async search(queryVector, options = {}) {
+    const body = {
+      vector: Array.from(queryVector),
+      limit: options.limit || 10,
+      with_payload: true,
+      with_vector: options.includeVectors === true
+    };
+    if (options.filter !== undefined) {
+      body.filter = this.compileFilter(options.filter);
+    }
+    if (options.threshold !== undefined) {
+      body.score_threshold = options.threshold;
+    }
+    if (options.params) {
+      body.params = options.params;
+    }
+    const points = await this._request('POST', `${this.collectionPath}/points/search`, body);
+    const euclidean = this.metricType === 'euclidean';
+    return points.map((point) => ({
+      ...this._fromPoint(point, options.includeVectors === true),
+      [euclidean ? 'distance' : 'score']: point.score
+    }));
+  }
+
+  /**
+   * Compile a filter to a Qdrant filter; Qdrant filter objects are returned as they are
+   * @param {Object} filter - Filter built with `filters.Filter`, or a Qdrant filter object
+   * @returns {Object}
+   */
+  compileFilter(filter) {
+    if (filter && (filter.must || filter.should || filter.must_not) && filter.op === undefined) {
+      return filter;
+    }
+    return compileQdrantFilter(filter);
+  }
+
+  /**
+   * Send a request to the REST API and return the `result` of the response
+   * @private
+   */
+  async _request(method, path, body) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.config.apiKey) {
+      headers['api-key'] = this.config.apiKey;
+    }
+    let response;
+    try {
+      response = await this.fetch(`${this.url}${path}`, {
+        method,
+        headers,
+        body: body === undefined ? undefined : JSON.stringify(body)
+      });
+    } catch (error) {
+      throw new RequestError(`Qdrant ${method} ${path} failed: ${error.message}`);
+    }
+    const payload = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      const reason = (payload.status && payload.status.error) || response.statusText;
+      throw new RequestError(`Qdrant ${method} ${path} failed with ${response.status}: ${reason}`);
+    }
+    return payload.result;
+  }
+
+  /**
+   * @private
+   */
+  async _exists() {
+    return (await this._request('GET', `${this.collectionPath}/exists`)).exists;
+  }
+
+  /**
+   * @private
+   */
+  async _count(filter) {
+    const body = { exact: true };
+    if (filter !== undefined) {
+      body.filter = filter;
+    }
+    return (await this._request('POST', `${this.collectionPath}/points/count`, body)).count;
+  }
+
+  /**
+   * @private
+   */
+  async _write(vectors, requireIds) {
+    if (!Array.isArray(vectors)) {
+      throw new InvalidInputError("Vectors must be an array");
+    }
+    if (vectors.length === 0) {
+      return [];
+    }
+    const points = vectors.map((record) => this._toPoint(record, requireIds));
+    if (!requireIds) {
+      await this._checkNewPoints(points);
+    }
+    await this._request('PUT', `${this.collectionPath}/points?wait=true`, { points });
+    return points.map((point) => point.payload[this.fields.id]);
+  }
+
+  /**
+   * Reject inserted points whose IDs repeat or already exist, since writing them would replace a point
+   * @private
+   */
+  async _checkNewPoints(points) {
+    const recordIds = new Map();
+    for (const point of points) {
+      if (recordIds.has(point.id)) {
+        throw new InvalidInputError(`ID ${point.payload[this.fields.id]} appears more than once in the inserted vectors`);
+      }
+      recordIds.set(point.id, point.payload[this.fields.id]);
+    }
+    const existing = await this._request('POST', `${this.collectionPath}/points`, {
+      ids: [...recordIds.keys()],
+      with_payload: false,
+      with_vector: false
+    });
+    if (existing.length > 0) {
+      throw new InvalidInputError(`A vector with ID ${recordIds.get(existing[0].id)} already exists; use upsert to replace it`);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _toPoint({ id, vector, vectorMetadata, metadata = {} }, requireId) {
+    if (id === undefined && requireId) {
+      throw new InvalidInputError("Every upserted vector needs an ID");
+    }
+    if (Object.prototype.hasOwnProperty.call(metadata, this.fields.id)) {
+      throw new InvalidInputError(`Metadata field ${this.fields.id} collides with the ID payload field`);
+    }
+    const recordId = id === undefined ? crypto.randomUUID() : String(id);
+    const payload = { ...metadata, [this.fields.id]: recordId };
+    if (vectorMetadata !== undefined) {
+      payload[this.fields.vectorMetadata] = Buffer.isBuffer(vectorMetadata) ? vectorMetadata.toString('base64') : vectorMetadata;
+    }
+    return { id: toPointId(recordId), vector: Array.from(vector), payload };
+  }
+
+  /**
+   * @private
+   */
+  _fromPoint(point, includeVector) {
+    const { [this.fields.id]: id, [this.fields.vectorMetadata]: vectorMetadata, ...metadata } = point.payload || {};
+    const result = { id: id === undefined ? String(point.id) : id };
+    if (includeVector && point.vector) {
+      result.vector = point.vector;
+    }
+    if (vectorMetadata !== undefined) {
+      result.vectorMetadata = vectorMetadata;
+    }
+    result.metadata = metadata;
+    return result;
+  }
+}
+
+/**
+ * Qdrant point ID of a record ID: lowercase UUIDs and unsigned integers are used as they are,
+ * other IDs are mapped to a UUID derived from their SHA-256 hash. Only IDs written the way
+ * Qdrant writes them back are used as they are, so "0123" and "123", or a UUID in upper and
+ * lower case, get different points.
+ * @private
+ */
+function toPointId(id) {
+  const text = String(id);
+  if (UUID_PATTERN.test(text) && text === text.toLowerCase()) {
+    return text;
+  }
+  if (/^\d+$/.test(text) && Number.isSafeInteger(Number(text)) && String(Number(text)) === text) {
+    return Number(text);
+  }
+  const bytes = crypto.createHash('sha256').update(text, 'utf8').digest().subarray(0, 16);
+  // Version 5-style name-based UUID bits, so the IDs are valid RFC 4122 UUIDs
+  bytes[6] = (bytes[6] & 0x0f) | 0x50;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+  const hex = bytes.toString('hex');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+export default QdrantAdapter;
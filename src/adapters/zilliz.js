@@ -1,457 +1,437 @@
-import { MilvusClient } from '@zilliz/milvus2-sdk-node';
-import dotenv from 'dotenv';
-import cohere from 'cohere-ai';
-import puppeteer from 'puppeteer';
-import { RagEncryptionClient } from '../rag_encryption/index.js';
+import crypto from 'crypto';
+import BaseAdapter from './base.js';
+import { Filter, compileMilvusFilter } from '../filters/index.js';
+import { InvalidInputError, InvalidConfigurationError, RequestError } from '../exceptions/index.js';
 
-// Load environment variables
-dotenv.config();
-
-// Initialize Cohere client
-cohere.apiKey = process.env.COHERE_API_KEY;
-
-// Initialize Milvus client
-const milvusClient = new MilvusClient({
-  address: process.env.ZILLIZ_ENDPOINT,
-  token: process.env.ZILLIZ_TOKEN,
+/**
+ * Milvus metric of each adapter metric type
+ * @private
+ */
+const MILVUS_METRICS = Object.freeze({
+  cosine: 'COSINE',
+  euclidean: 'L2',
+  dot: 'IP'
 });
 
-const collectionName = 'Encrypted_Data_March_2025';
+/**
+ * Milvus data types, as numbered in the Milvus protocol
+ * @private
+ */
+const MILVUS_DATA_TYPES = Object.freeze({
+  BOOL: 1,
+  DOUBLE: 11,
+  VARCHAR: 21,
+  ARRAY: 22,
+  FLOAT_VECTOR: 101
+});
 
-// Initialize DCPE client
-let encryptionClient = null;
+const MAX_VARCHAR_LENGTH = 65535;
 
 /**
- * Initialize the encryption client with the provided key or from environment variables
+ * Adapter for Zilliz Cloud and Milvus, through the Milvus Node.js SDK.
+ *
+ * Each vector is a row with a string primary key, a float vector field and one scalar field per
+ * metadata field (the collection has dynamic fields enabled, so undeclared metadata is stored
+ * too). The base64 metadata needed to decrypt a vector is stored alongside it: give records a
+ * `vectorMetadata`, such as the one encryptBatch returns, and it is written to the vector
+ * metadata field and returned as `vectorMetadata` on reads.
+ *
+ * The SDK (`@zilliz/milvus2-sdk-node`) is loaded on connect; pass `client` to use your own.
+ *
+ * @example
+ * ```javascript
+ * import { ZillizAdapter, EncryptedAdapter } from 'dcpe-js';
+ *
+ * const zilliz = new ZillizAdapter({
+ *   endpoint: process.env.ZILLIZ_ENDPOINT,
+ *   token: process.env.ZILLIZ_TOKEN,
+ *   collectionName: 'documents'
+ * });
+ * const adapter = new EncryptedAdapter(zilliz, dcpe, { schema });
+ * await adapter.connect();
+ * await adapter.createCollection({ dimension: 1024, fields: { source_url: 'string' } });
+ * ```
  */
-async function initializeEncryptionClient(encryptionKey = null) {
-  // If a key is provided directly, use it; otherwise, use environment variable
-  const key = encryptionKey || Buffer.from(process.env.DCPE_ENCRYPTION_KEY, 'hex');
-  
-  // Approximation factor for vector encryption
-  const approximationFactor = parseFloat(process.env.DCPE_APPROXIMATION_FACTOR || '1.0');
-  
-  // Initialize the client
-  encryptionClient = await RagEncryptionClient.create(key, approximationFactor);
-  return encryptionClient;
-}
-
-// Function to extract content from a website URL
-async function extractWebsiteContent(url) {
-  const browser = await puppeteer.launch();
-  const page = await browser.newPage();
+class ZillizAdapter extends BaseAdapter {
+  /**
+   * Create a Zilliz adapter
+   * @param {Object} config - Configuration options
+   * @param {string} [config.endpoint] - Cluster endpoint (`config.host` works too)
+   * @param {string} [config.token] - API key, or `user:password` (`config.apiKey` works too)
+   * @param {string} config.collectionName - Collection name
+   * @param {number} [config.dimension] - Vector dimension, if createCollection is not given one
+   * @param {string} [config.metricType="cosine"] - Distance metric (cosine, euclidean, dot)
+   * @param {string} [config.indexType="AUTOINDEX"] - Index created on the vector field
+   * @param {Object} [config.fields] - Names of the fields holding the parts of each record
+   * @param {string} [config.fields.id="id"] - Primary key field
+   * @param {string} [config.fields.vector="vector"] - Vector field
+   * @param {string} [config.fields.vectorMetadata="vector_metadata"] - Field with the vector metadata
+   * @param {Object} [config.client] - MilvusClient to use instead of creating one
+   */
+  constructor(config = {}) {
+    super(config);
+    if (typeof config.collectionName !== 'string' || config.collectionName.length === 0) {
+      throw new InvalidConfigurationError("ZillizAdapter needs a collectionName");
+    }
+    this.metricType = config.metricType || 'cosine';
+    if (!MILVUS_METRICS[this.metricType]) {
+      throw new InvalidConfigurationError(`Unknown metric type: ${this.metricType}`);
+    }
+    this.fields = {
+      id: 'id',
+      vector: 'vector',
+      vectorMetadata: 'vector_metadata',
+      ...(config.fields || {})
+    };
+    this.client = config.client || null;
+    this.ownsClient = false;
+  }
 
-  try {
-    await page.goto(url, { waitUntil: 'domcontentloaded' });
-    const content = await page.evaluate(() => {
-      return document.body.innerText;
+  /**
+   * Create the Milvus client, unless one was given
+   * @returns {Promise<boolean>}
+   * @throws {InvalidConfigurationError} If the SDK is not installed
+   */
+  async connect() {
+    if (this.client) {
+      return true;
+    }
+    let sdk;
+    try {
+      sdk = await import('@zilliz/milvus2-sdk-node');
+    } catch (error) {
+      throw new InvalidConfigurationError("ZillizAdapter needs @zilliz/milvus2-sdk-node: install it or pass a client");
+    }
+    this.client = new sdk.MilvusClient({
+      address: this.config.endpoint || this.config.host,
+      token: this.config.token || this.config.apiKey
     });
-    return content;
-  } catch (error) {
-    console.error('Error extracting website content:', error);
-    throw error;
-  } finally {
-    await browser.close();
+    this.ownsClient = true;
+    return true;
   }
-}
-
-// Function to chunk text into smaller pieces
-function chunkText(text, chunkSize = 600, chunkOverlap = 20) {
-  const chunks = [];
-  let start = 0;
-
-  while (start < text.length) {
-    const end = Math.min(start + chunkSize, text.length);
-    const chunk = text.slice(start, end);
-    chunks.push(chunk);
 
-    // Move the start index forward by chunkSize minus overlap
-    start += chunkSize - chunkOverlap;
+  async disconnect() {
+    if (this.ownsClient && this.client) {
+      await this.client.closeConnection();
+      this.client = null;
+      this.ownsClient = false;
+    }
   }
 
-  return chunks;
-}
+  /**
+   * Create the collection, its vector index, and load it
+   * @param {Object} schema - Collection schema (see BaseAdapter#createCollection)
+   * @returns {Promise<boolean>} - False if the collection already existed
+   */
+  async createCollection(schema = {}) {
+    const client = this._client();
+    const collection = this.config.collectionName;
+    const exists = await client.hasCollection({ collection_name: collection });
+    check(exists, 'hasCollection');
+    if (exists.value) {
+      return false;
+    }
+    const dimension = schema.dimension || this.config.dimension;
+    if (!Number.isInteger(dimension) || dimension < 1) {
+      throw new InvalidInputError("Vector dimension must be a positive integer");
+    }
+    const metricType = schema.metricType || this.metricType;
+    if (!MILVUS_METRICS[metricType]) {
+      throw new InvalidInputError(`Unknown metric type: ${metricType}`);
+    }
 
-// Function to get embeddings using Cohere
-async function getEmbeddings(text) {
-  const response = await fetch('https://api.cohere.ai/embed', {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'Authorization': `Bearer ${process.env.COHERE_API_KEY}`,
-    },
-    body: JSON.stringify({
-      model: 'embed-english-light-v3.0',
-      texts: [text],
-      truncate: 'RIGHT',
-      input_type: 'search_document',
-    }),
-  });
+    const fields = [
+      { name: this.fields.id, data_type: MILVUS_DATA_TYPES.VARCHAR, is_primary_key: true, autoID: false, max_length: 512 },
+      { name: this.fields.vector, data_type: MILVUS_DATA_TYPES.FLOAT_VECTOR, dim: dimension }
+    ];
+    for (const [name, type] of Object.entries(schema.fields || {})) {
+      if (name === this.fields.id || name === this.fields.vector) {
+        throw new InvalidInputError(`Metadata field ${name} collides with the ${name === this.fields.id ? 'id' : 'vector'} field`);
+      }
+      fields.push({ name, ...fieldType(name, type) });
+    }
 
-  if (!response.ok) {
-    throw new Error(`Failed to fetch embeddings: ${response.statusText}`);
+    check(await client.createCollection({
+      collection_name: collection,
+      fields,
+      enable_dynamic_field: true
+    }), 'createCollection');
+    check(await client.createIndex({
+      collection_name: collection,
+      field_name: this.fields.vector,
+      index_type: this.config.indexType || 'AUTOINDEX',
+      metric_type: MILVUS_METRICS[metricType]
+    }), 'createIndex');
+    check(await client.loadCollection({ collection_name: collection }), 'loadCollection');
+    // Searches must use the metric the index was built with
+    this.metricType = metricType;
+    return true;
   }
 
-  const data = await response.json();
-  return data.embeddings[0];
-}
-
-// Function to get query embedding and encrypt it
-async function getQueryEmbedding(query) {
-  // Make sure encryption client is initialized
-  if (!encryptionClient) {
-    await initializeEncryptionClient();
+  async dropCollection() {
+    const client = this._client();
+    const exists = await client.hasCollection({ collection_name: this.config.collectionName });
+    check(exists, 'hasCollection');
+    if (!exists.value) {
+      return false;
+    }
+    check(await client.dropCollection({ collection_name: this.config.collectionName }), 'dropCollection');
+    return true;
   }
-  
-  // Get original embedding
-  const response = await fetch('https://api.cohere.ai/embed', {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'Authorization': `Bearer ${process.env.COHERE_API_KEY}`,
-    },
-    body: JSON.stringify({
-      model: 'embed-english-light-v3.0',
-      texts: [query],
-      truncate: 'RIGHT',
-      input_type: 'search_query',
-    }),
-  });
 
-  if (!response.ok) {
-    throw new Error(`Failed to fetch query embedding: ${response.statusText}`);
+  /**
+   * Insert vectors; IDs are generated for vectors without one. Milvus keeps both rows when a
+   * primary key is inserted twice, so the IDs are looked up first and the call is rejected if one
+   * of them already exists.
+   * @param {Array<Object>} vectors - Vectors, as `{ id, vector, vectorMetadata, metadata }`
+   * @returns {Promise<Array<string>>} - IDs of the inserted vectors
+   * @throws {InvalidInputError} If a vector is invalid, an ID already exists or appears twice
+   */
+  async insert(vectors) {
+    const rows = this._toRows(vectors, false);
+    await this._checkNewIds(rows.map((row) => row[this.fields.id]));
+    check(await this._client().insert({ collection_name: this.config.collectionName, data: rows }), 'insert');
+    return rows.map((row) => row[this.fields.id]);
   }
 
-  const data = await response.json();
-  const embedding = data.embeddings[0];
-  
-  // Encrypt the query vector - we don't actually store this metadata
-  // but return it for decryption later
-  const [encryptedVector, vectorMetadata] = encryptionClient.encryptVector(embedding);
-  
-  return { 
-    encryptedVector, 
-    vectorMetadata 
-  };
-}
-
-// Function to perform vector search with encrypted vectors
-async function vectorSearch(encryptedQueryEmbedding) {
-  const searchResults = await milvusClient.search({
-    collection_name: collectionName,
-    vectors: [encryptedQueryEmbedding],
-    search_params: {
-      anns_field: 'vector',
-      topk: 5,
-      metric_type: 'COSINE',
-      params: JSON.stringify({ nprobe: 10 }),
-    },
-    output_fields: ['chunk_text', 'source_url', 'upload_date'],
-  });
-
-  
-  // Debug the full response structure # CONSOLE LOG ADDED
-  console.log("Full search response structure:", JSON.stringify(searchResults, null, 2));
-
-  return searchResults.results; // Return raw search results
-}
+  /**
+   * Insert vectors, replacing those with the same IDs
+   * @param {Array<Object>} vectors - Vectors, as `{ id, vector, vectorMetadata, metadata }`, each with an ID
+   * @returns {Promise<Array<string>>} - IDs of the written vectors
+   */
+  async upsert(vectors) {
+    const rows = this._toRows(vectors, true);
+    check(await this._client().upsert({ collection_name: this.config.collectionName, data: rows }), 'upsert');
+    return rows.map((row) => row[this.fields.id]);
+  }
 
-async function filteredVectorSearch(encryptedQueryEmbedding, filterOptions = {}) {
-  try {
-    // Build filter expression based on provided options
-    let filterExpr = '';
-    
-    // Filter by source URL (deterministic encryption)
-    if (filterOptions.sourceUrl) {
-      // Encrypt the URL using deterministic encryption to match stored values
-      if (!encryptionClient) {
-        await initializeEncryptionClient();
-      }
-      
-      // Convert URL to the same format as stored in the database 
-      const encryptedUrl = encryptionClient
-        .encryptDeterministicText(filterOptions.sourceUrl)
-        .toString('base64');
-        
-      filterExpr = `source_url == "${encryptedUrl}"`;
-    }
-    
-    // Filter by date range
-    if (filterOptions.startDate && filterOptions.endDate) {
-      const dateFilter = `(upload_date >= "${filterOptions.startDate}" and upload_date <= "${filterOptions.endDate}")`;
-      filterExpr = filterExpr ? `${filterExpr} and ${dateFilter}` : dateFilter;
-    } else if (filterOptions.startDate) {
-      const dateFilter = `upload_date >= "${filterOptions.startDate}"`;
-      filterExpr = filterExpr ? `${filterExpr} and ${dateFilter}` : dateFilter;
-    } else if (filterOptions.endDate) {
-      const dateFilter = `upload_date <= "${filterOptions.endDate}"`;
-      filterExpr = filterExpr ? `${filterExpr} and ${dateFilter}` : dateFilter;
+  /**
+   * Fetch vectors by ID
+   * @param {Array<string>} ids - IDs
+   * @returns {Promise<Array<Object>>} - The vectors found, as `{ id, vector, vectorMetadata, metadata }`
+   */
+  async get(ids) {
+    if (!Array.isArray(ids)) {
+      throw new InvalidInputError("IDs must be an array");
     }
-    
-    // Additional custom filter expression
-    if (filterOptions.customFilter) {
-      filterExpr = filterExpr 
-        ? `${filterExpr} and (${filterOptions.customFilter})` 
-        : filterOptions.customFilter;
+    if (ids.length === 0) {
+      return [];
     }
-    
-    // Prepare search options
-    const searchOptions = {
-      collection_name: collectionName,
-      vectors: [encryptedQueryEmbedding],
-      search_params: {
-        anns_field: 'vector',
-        topk: filterOptions.limit || 5,
-        metric_type: 'COSINE',
-        params: JSON.stringify({ nprobe: filterOptions.nprobe || 10 }),
-      },
-      output_fields: ['chunk_text', 'source_url', 'upload_date'],
-    };
-    
-    // Add filter if we have one
-    if (filterExpr) {
-      searchOptions.filter = filterExpr;
-      console.log(`Applying filter: ${filterExpr}`);
-    }
-
-    const searchResults = await milvusClient.search(searchOptions);
-    
-    // Debug the full response structure with applied filters
-    console.log("Filtered search response:", JSON.stringify(searchResults, null, 2));
+    const response = await this._client().query({
+      collection_name: this.config.collectionName,
+      filter: compileMilvusFilter(Filter.in(this.fields.id, ids)),
+      output_fields: ['*', this.fields.vector],
+      limit: ids.length
+    });
+    check(response, 'query');
+    return response.data.map((row) => this._fromRow(row, true));
+  }
 
-    return searchResults.results; 
-  } catch (error) {
-    console.error("Error in filtered vector search:", error);
-    throw error;
+  /**
+   * Delete vectors by ID or filter
+   * @param {Array<string>|Object|string} idsOrFilter - IDs, a filter built with `filters.Filter`, or a
+   *   Milvus boolean expression
+   * @returns {Promise<number>} - Number of deleted vectors
+   */
+  async delete(idsOrFilter) {
+    if (Array.isArray(idsOrFilter) && idsOrFilter.length === 0) {
+      return 0;
+    }
+    const filter = Array.isArray(idsOrFilter) ? Filter.in(this.fields.id, idsOrFilter) : idsOrFilter;
+    const response = await this._client().delete({
+      collection_name: this.config.collectionName,
+      filter: this.compileFilter(filter)
+    });
+    check(response, 'delete');
+    return Number(response.delete_cnt || 0);
   }
-}
 
-// Function to process data and prepare it for ingestion with encryption
-async function processData(data, sourceUrl) {
-  // Make sure encryption client is initialized
-  if (!encryptionClient) {
-    await initializeEncryptionClient();
+  /**
+   * Count vectors
+   * @param {Object|string} [filter] - Filter built with `filters.Filter`, or a Milvus boolean expression
+   * @returns {Promise<number>}
+   */
+  async count(filter) {
+    const response = await this._client().query({
+      collection_name: this.config.collectionName,
+      filter: filter === undefined ? '' : this.compileFilter(filter),
+      output_fields: ['count(*)']
+    });
+    check(response, 'query');
+    return Number(response.data[0]['count(*)']);
   }
-  
-  const processedData = [];
-  const chunks = chunkText(data);
 
-  for (const chunkText of chunks) {
-    // Generate embeddings for each chunk
-    const embedding = await getEmbeddings(chunkText);
-    
-    // Encrypt the vector embedding
-    const [encryptedVector, vectorMetadata] = encryptionClient.encryptVector(embedding);
-    
-    // Encrypt the chunk text using standard encryption
-    const encryptedText = encryptionClient.encryptText(chunkText);
-    
-    // Encrypt the source URL using deterministic encryption (for filtering)
-    const encryptedUrl = encryptionClient.encryptDeterministicText(sourceUrl);
-    
-    // Properly serialize buffers to base64 strings for VARCHAR storage
-    const chunkDict = {
-      source_url: encryptedUrl.toString('base64'),
-      chunk_text: Buffer.concat([encryptedText.iv, encryptedText.ciphertext, encryptedText.tag]).toString('base64'),
-      upload_date: new Date().toISOString(), // Not encrypted as it's just a timestamp
-      vector: encryptedVector,
+  /**
+   * Search for the nearest vectors
+   * @param {Array<number>} queryVector - Query vector
+   * @param {Object} [options] - Search options
+   * @param {number} [options.limit=10] - Maximum number of results
+   * @param {Object|string} [options.filter] - Filter built with `filters.Filter`, or a Milvus boolean expression
+   * @param {number} [options.threshold] - Minimum score, or maximum distance for the euclidean metric
+   * @param {boolean} [options.includeVectors=false] - Return the vectors
+   * @param {Object} [options.params] - Index search parameters, such as `{ nprobe: 10 }`
+   * @returns {Promise<Array<Object>>} - Results `{ id, score, vectorMetadata, metadata }`, with `distance` (squared,
+   *   as Milvus reports L2 distances) instead of `score` for the euclidean metric
+   */
+  async search(queryVector, options = {}) {
+    const request = {
+      collection_name: this.config.collectionName,
+      data: [Array.from(queryVector)],
+      anns_field: this.fields.vector,
+      limit: options.limit || 10,
+      metric_type: MILVUS_METRICS[this.metricType],
+      output_fields: options.includeVectors ? ['*', this.fields.vector] : ['*']
     };
-    
-    processedData.push(chunkDict);
+    if (options.filter !== undefined) {
+      request.filter = this.compileFilter(options.filter);
+    }
+    if (options.params) {
+      request.params = options.params;
+    }
+    const response = await this._client().search(request);
+    check(response, 'search');
+
+    const euclidean = this.metricType === 'euclidean';
+    return response.results
+      .filter((row) => options.threshold === undefined
+        || (euclidean ? row.score <= options.threshold : row.score >= options.threshold))
+      .map((row) => {
+        const { score, ...fields } = row;
+        return { ...this._fromRow(fields, options.includeVectors === true), [euclidean ? 'distance' : 'score']: score };
+      });
   }
 
-  return processedData;
-}
-
-// Function to process and ingest data with encryption
-async function processAndIngestData(url) {
-  // Extract text from the URL
-  const textData = await extractWebsiteContent(url);
-
-  // Process data with encryption
-  const processedData = await processData(textData, url);
-
-  // Insert data into Milvus collection
-  await milvusClient.insert({
-    collection_name: collectionName,
-    fields_data: processedData,
-  });
+  /**
+   * Compile a filter to a Milvus boolean expression; expressions are returned as they are
+   * @param {Object|string} filter - Filter built with `filters.Filter`, or a Milvus boolean expression
+   * @returns {string}
+   */
+  compileFilter(filter) {
+    return typeof filter === 'string' ? filter : compileMilvusFilter(filter);
+  }
 
-  return 'Encrypted data ingested successfully';
-}
+  /**
+   * @private
+   */
+  _client() {
+    if (!this.client) {
+      throw new Error('ZillizAdapter is not connected; call connect() first');
+    }
+    return this.client;
+  }
 
-// Function to perform vector search and format results with decryption
-async function searchQuery(query, filterOptions = {}) {
-  // Make sure encryption client is initialized
-  if (!encryptionClient) {
-    await initializeEncryptionClient();
+  /**
+   * Reject inserted IDs that repeat or already exist
+   * @private
+   */
+  async _checkNewIds(ids) {
+    const seen = new Set();
+    for (const id of ids) {
+      if (seen.has(id)) {
+        throw new InvalidInputError(`ID ${id} appears more than once in the inserted vectors`);
+      }
+      seen.add(id);
+    }
+    if (ids.length === 0) {
+      return;
+    }
+    const response = await this._client().query({
+      collection_name: this.config.collectionName,
+      filter: compileMilvusFilter(Filter.in(this.fields.id, ids)),
+      output_fields: [this.fields.id],
+      limit: ids.length
+    });
+    check(response, 'query');
+    if (response.data.length > 0) {
+      throw new InvalidInputError(`A vector with ID ${response.data[0][this.fields.id]} already exists; use upsert to replace it`);
+    }
   }
-  
-  // Get and encrypt query embedding
-  const { encryptedVector, vectorMetadata } = await getQueryEmbedding(query);
 
-  // Perform vector search with or without filters
-  const searchResults = filterOptions && Object.keys(filterOptions).length > 0
-    ? await filteredVectorSearch(encryptedVector, filterOptions)
-    : await vectorSearch(encryptedVector);
-  
-  // Add debugging to check search results structure
-  console.log("Search results structure:", JSON.stringify(searchResults[0], null, 2));
-    
-  // Decrypt search results with proper error handling
-  const decryptedResults = searchResults.map(result => {
-    try {
-      // Skip processing "[object Object]" results from previous incorrect storage
-      if (result.chunk_text === "[object Object]" || !result.chunk_text) {
-        console.warn("Found incorrectly serialized data:", result.chunk_text);
-        return {
-          error: "Incorrectly stored encrypted data",
-          score: result.score,
-          raw_result: result
-        };
+  /**
+   * @private
+   */
+  _toRows(vectors, requireIds) {
+    if (!Array.isArray(vectors)) {
+      throw new InvalidInputError("Vectors must be an array");
+    }
+    return vectors.map(({ id, vector, vectorMetadata, metadata = {} }) => {
+      if (id === undefined && requireIds) {
+        throw new InvalidInputError("Every upserted vector needs an ID");
       }
-      
-      // Convert base64 string to Buffer
-      const encryptedChunkBuffer = Buffer.from(result.chunk_text, 'base64');
-      
-      // Extract components from the encrypted chunk text
-      const iv = encryptedChunkBuffer.subarray(0, 12);
-      const tag = encryptedChunkBuffer.subarray(encryptedChunkBuffer.length - 16);
-      const ciphertext = encryptedChunkBuffer.subarray(12, encryptedChunkBuffer.length - 16);
-      
-      // Decrypt the chunk text
-      const decryptedText = encryptionClient.decryptText(ciphertext, iv, tag);
-      
-      // Handle source_url similarly
-      let decryptedUrl = result.source_url;
-      
-      // Skip processing "[object Object]" urls from previous incorrect storage
-      if (result.source_url !== "[object Object]") {
-        try {
-          const encryptedSourceBuffer = Buffer.from(result.source_url, 'base64');
-          decryptedUrl = encryptionClient.decryptDeterministicText(encryptedSourceBuffer);
-        } catch (urlError) {
-          console.warn("Could not decrypt URL:", urlError.message);
+      for (const reserved of [this.fields.id, this.fields.vector]) {
+        if (Object.prototype.hasOwnProperty.call(metadata, reserved)) {
+          throw new InvalidInputError(`Metadata field ${reserved} collides with a field of the collection`);
         }
       }
-      
-      // Return decrypted result
-      return {
-        source_url: decryptedUrl,
-        chunk_text: decryptedText,
-        score: result.score,
-        upload_date: result.upload_date,
-      };
-    } catch (error) {
-      console.error("Error decrypting result:", error);
-      return {
-        error: `Decryption failed: ${error.message}`,
-        score: result.score
+      const row = {
+        ...metadata,
+        [this.fields.id]: id === undefined ? crypto.randomUUID() : String(id),
+        [this.fields.vector]: Array.from(vector)
       };
+      if (vectorMetadata !== undefined) {
+        row[this.fields.vectorMetadata] = Buffer.isBuffer(vectorMetadata) ? vectorMetadata.toString('base64') : vectorMetadata;
+      }
+      return row;
+    });
+  }
+
+  /**
+   * @private
+   */
+  _fromRow(row, includeVector) {
+    const {
+      [this.fields.id]: id,
+      [this.fields.vector]: vector,
+      [this.fields.vectorMetadata]: vectorMetadata,
+      ...metadata
+    } = row;
+    const result = { id };
+    if (includeVector && vector !== undefined) {
+      result.vector = vector;
     }
-  });
-  
-  // Filter out results with errors
-  return decryptedResults.filter(result => !result.error);
+    if (vectorMetadata !== undefined) {
+      result.vectorMetadata = vectorMetadata;
+    }
+    result.metadata = metadata;
+    return result;
+  }
 }
 
-// Function to create the encrypted collection
-// async function createEncryptedCollection() {
-//   try {
-//     // Check if collection already exists
-//     const hasCollection = await milvusClient.hasCollection({
-//       collection_name: collectionName,
-//     });
-
-//     if (hasCollection.value) {
-//       console.log(`Collection ${collectionName} already exists.`);
-//       return;
-//     }
-
-//     // Create collection with appropriate schema
-//     await milvusClient.createCollection({
-//       collection_name: collectionName,
-//       fields: [
-//         {
-//           name: 'id',
-//           description: 'ID field',
-//           data_type: 5, // DataType.Int64
-//           is_primary_key: true,
-//           autoID: true,
-//         },
-//         {
-//           name: 'encrypted_source_url',
-//           description: 'Deterministically encrypted URL',
-//           data_type: 21, // DataType.BINARY_VECTOR
-//           type_params: {
-//             max_length: '1024', // Adjust based on your encrypted URL size
-//           },
-//         },
-//         {
-//           name: 'encrypted_chunk_text',
-//           description: 'Encrypted text chunk',
-//           data_type: 21, // DataType.BINARY_VECTOR
-//           type_params: {
-//             max_length: '10240', // Adjust based on your expected chunk size
-//           },
-//         },
-//         {
-//           name: 'upload_date',
-//           description: 'Upload timestamp',
-//           data_type: 20, // DataType.VARCHAR
-//           type_params: {
-//             max_length: '64',
-//           },
-//         },
-//         {
-//           name: 'vector',
-//           description: 'Encrypted vector embedding',
-//           data_type: 6, // DataType.FloatVector
-//           type_params: {
-//             dim: '1024', // Must match your cohere embedding dimension
-//           },
-//         },
-//         {
-//           name: 'vector_metadata',
-//           description: 'Vector encryption metadata',
-//           data_type: 21, // DataType.BINARY_VECTOR
-//           type_params: {
-//             max_length: '256', // Adjust based on your metadata size
-//           },
-//         },
-//       ],
-//       enable_dynamic_field: true,
-//     });
-
-//     // Create index
-//     await milvusClient.createIndex({
-//       collection_name: collectionName,
-//       field_name: 'vector',
-//       index_type: 'FLAT',
-//       metric_type: 'COSINE',
-//     });
-
-//     // Load collection to memory
-//     await milvusClient.loadCollection({
-//       collection_name: collectionName,
-//     });
+/**
+ * Milvus field of a metadata field type
+ * @private
+ */
+function fieldType(name, type) {
+  switch (type) {
+  case 'string':
+  case 'binary':
+    return { data_type: MILVUS_DATA_TYPES.VARCHAR, max_length: MAX_VARCHAR_LENGTH };
+  case 'number':
+    return { data_type: MILVUS_DATA_TYPES.DOUBLE };
+  case 'boolean':
+    return { data_type: MILVUS_DATA_TYPES.BOOL };
+  case 'string[]':
+    return {
+      data_type: MILVUS_DATA_TYPES.ARRAY,
+      element_type: MILVUS_DATA_TYPES.VARCHAR,
+      max_capacity: 4096,
+      max_length: MAX_VARCHAR_LENGTH
+    };
+  default:
+    throw new InvalidInputError(`Unsupported type of field ${name}: ${type}`);
+  }
+}
 
-//     console.log(`Collection ${collectionName} created successfully.`);
-//   } catch (error) {
-//     console.error('Error creating collection:', error);
-//     throw error;
-//   }
-// }
+/**
+ * Throw if a Milvus response reports an error
+ * @private
+ */
+function check(response, action) {
+  const status = response && (response.status || response);
+  if (status && status.error_code !== undefined && status.error_code !== 'Success' && status.error_code !== 0) {
+    throw new RequestError(`Milvus ${action} failed: ${status.reason || status.error_code}`);
+  }
+  return response;
+}
 
-export { 
-  searchQuery, 
-  processAndIngestData, 
-  extractWebsiteContent, 
-  chunkText, 
-  getQueryEmbedding, 
-  vectorSearch, 
-  filteredVectorSearch,
-  processData,
-  // createEncryptedCollection, 
-  initializeEncryptionClient 
-};
\ No newline at end of file
+export default ZillizAdapter;
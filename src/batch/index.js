@@ -0,0 +1,280 @@
+import { Worker } from 'worker_threads';
+import * as exceptions from '../exceptions/index.js';
+import { InvalidInputError } from '../exceptions/index.js';
+
+
+/**
+ * Batch encryption and decryption of records, in the calling thread or on a pool of worker threads.
+ *
+ * A record is `{ id, vector, text, metadata }`. Every field but `id` is optional, and `metadata`
+ * is an object whose values are encrypted deterministically. Results come back in input order;
+ * a record that cannot be processed gets an `error` instead of failing the whole batch.
+ *
+ * The clients taking part implement `_encryptRecord(record, options)`, `_decryptRecord(record, options)`,
+ * `_toBatchWorkerState()` and a static `_fromBatchWorkerState(state)`, which rebuilds the client
+ * in a worker thread (see ./worker.js).
+ */
+
+
+const BatchOperation = Object.freeze({
+    ENCRYPT: 'encrypt',
+    DECRYPT: 'decrypt'
+});
+
+
+const DEFAULT_CHUNK_SIZE = 256;
+
+
+const WORKER_URL = new URL('./worker.js', import.meta.url);
+
+
+/**
+ * Encrypts or decrypts a batch of records with a client.
+ * @param {Object} client - The RagEncryptionClient or DCPE instance doing the work.
+ * @param {Array<Object>} records - The records to process.
+ * @param {string} operation - The operation (from BatchOperation).
+ * @param {Object} [options] - Batch options.
+ * @param {number} [options.workers=0] - Number of worker threads; 0 processes the batch in the calling thread.
+ * @param {number} [options.chunkSize=256] - Number of records sent to a worker at a time.
+ * @param {string} [options.textEncoding='base64url'] - Encoding of text envelopes.
+ * @returns {Promise<Array<Object>>} - One result per record, in input order.
+ * @throws {InvalidInputError} If the records or options are invalid.
+ */
+async function runBatch(client, records, operation, options = {}) {
+    if (!Array.isArray(records)) {
+        throw new InvalidInputError("Records must be an array");
+    }
+    const { workers = 0, chunkSize = DEFAULT_CHUNK_SIZE, ...recordOptions } = options;
+    if (!Number.isInteger(workers) || workers < 0) {
+        throw new InvalidInputError("Workers must be a non-negative integer");
+    }
+    if (!Number.isInteger(chunkSize) || chunkSize <= 0) {
+        throw new InvalidInputError("Chunk size must be a positive integer");
+    }
+
+    if (workers === 0 || records.length === 0) {
+        return processRecords(client, records, operation, recordOptions);
+    }
+    return runOnWorkers(client, records, operation, recordOptions, workers, chunkSize);
+}
+
+
+/**
+ * Processes records one by one, turning each failure into an error result.
+ * @param {Object} client - The client doing the work.
+ * @param {Array<Object>} records - The records to process.
+ * @param {string} operation - The operation (from BatchOperation).
+ * @param {Object} options - Record options.
+ * @returns {Array<Object>}
+ */
+function processRecords(client, records, operation, options) {
+    return records.map((record) => {
+        try {
+            if (!record || typeof record !== 'object') {
+                throw new InvalidInputError("Record must be an object");
+            }
+            return operation === BatchOperation.ENCRYPT
+                ? client._encryptRecord(record, options)
+                : client._decryptRecord(record, options);
+        } catch (error) {
+            return { id: record && typeof record === 'object' ? record.id : undefined, error };
+        }
+    });
+}
+
+
+/**
+ * Applies a function to every value of a record's metadata object.
+ * @param {Object} metadata - The metadata fields.
+ * @param {Function} fn - Maps one value.
+ * @returns {Object}
+ * @throws {InvalidInputError} If metadata is not a plain object.
+ */
+function mapMetadata(metadata, fn) {
+    if (!metadata || typeof metadata !== 'object' || Array.isArray(metadata)) {
+        throw new InvalidInputError("Record metadata must be an object");
+    }
+    return Object.fromEntries(Object.entries(metadata).map(([field, value]) => [field, fn(value)]));
+}
+
+
+/**
+ * Splits the records into chunks and hands them out to a pool of worker threads.
+ * @private
+ */
+async function runOnWorkers(client, records, operation, options, workers, chunkSize) {
+    const chunks = [];
+    for (let start = 0; start < records.length; start += chunkSize) {
+        chunks.push({ start, records: records.slice(start, start + chunkSize) });
+    }
+
+    const workerData = { state: client._toBatchWorkerState() };
+    const pool = Array.from({ length: Math.min(workers, chunks.length) }, () => new Worker(WORKER_URL, { workerData }));
+    const results = new Array(records.length);
+    let nextChunk = 0;
+    try {
+        await Promise.all(pool.map(async (worker) => {
+            while (nextChunk < chunks.length) {
+                const chunk = chunks[nextChunk++];
+                const chunkResults = await runChunk(worker, chunk.records, operation, options);
+                chunkResults.forEach((result, i) => {
+                    results[chunk.start + i] = fromWorkerResult(result);
+                });
+            }
+        }));
+    } finally {
+        await Promise.all(pool.map((worker) => worker.terminate()));
+    }
+    return results;
+}
+
+
+/**
+ * Sends one chunk to a worker and waits for its results. Records that cannot be cloned to
+ * the worker (functions, symbols, ...) get an error result instead of failing the chunk.
+ * @param {Worker} worker - The worker thread.
+ * @param {Array<Object>} records - The records of the chunk.
+ * @param {string} operation - The operation (from BatchOperation).
+ * @param {Object} options - Record options.
+ * @returns {Promise<Array<Object>>} - One result per record, as posted by the worker.
+ * @throws {Error} If the worker fails or exits before returning its results.
+ */
+async function runChunk(worker, records, operation, options) {
+    try {
+        return await sendChunk(worker, records, operation, options);
+    } catch (error) {
+        if (!error.cloning) {
+            throw error;
+        }
+    }
+
+    const results = new Array(records.length);
+    const sendable = [];
+    records.forEach((record, i) => {
+        try {
+            structuredClone(record);
+            sendable.push(i);
+        } catch (error) {
+            results[i] = toWorkerResult({ id: record && typeof record === 'object' ? record.id : undefined, error });
+        }
+    });
+    if (sendable.length > 0) {
+        const sent = await sendChunk(worker, sendable.map((i) => records[i]), operation, options);
+        sent.forEach((result, j) => {
+            results[sendable[j]] = result;
+        });
+    }
+    return results;
+}
+
+
+/**
+ * Posts one chunk and waits for the reply, the worker's failure or its exit
+ * @private
+ */
+function sendChunk(worker, records, operation, options) {
+    return new Promise((resolve, reject) => {
+        const onMessage = (results) => {
+            stopListening();
+            resolve(results);
+        };
+        const onError = (error) => {
+            stopListening();
+            reject(error);
+        };
+        const onExit = (code) => {
+            stopListening();
+            reject(new Error(`Batch worker exited with code ${code} before returning its results`));
+        };
+        const stopListening = () => {
+            worker.off('message', onMessage);
+            worker.off('error', onError);
+            worker.off('exit', onExit);
+        };
+        worker.on('message', onMessage);
+        worker.on('error', onError);
+        worker.on('exit', onExit);
+        try {
+            worker.postMessage({ operation, records, options });
+        } catch (error) {
+            // Thrown synchronously when a record cannot be cloned; runChunk retries record by record
+            stopListening();
+            error.cloning = error.name === 'DataCloneError';
+            reject(error);
+        }
+    });
+}
+
+
+/**
+ * Prepares a result for posting to the main thread. Errors do not keep their class
+ * across threads, so they are sent as their name and message.
+ * @param {Object} result - A result from processRecords.
+ * @returns {Object}
+ */
+function toWorkerResult(result) {
+    if (!result.error) {
+        return result;
+    }
+    const { name, message } = result.error;
+    return { id: result.id, error: { name, message } };
+}
+
+
+/**
+ * Restores a result posted by a worker
+ * @private
+ */
+function fromWorkerResult(result) {
+    if (!result.error) {
+        return restoreBuffers(result);
+    }
+    const { name, message } = result.error;
+    const ErrorClass = exceptions[name] || globalThis[name];
+    const error = ErrorClass === Error || (typeof ErrorClass === 'function' && ErrorClass.prototype instanceof Error)
+        ? new ErrorClass()
+        : new Error();
+    error.name = name;
+    error.message = message;
+    return { id: result.id, error };
+}
+
+
+/**
+ * Turns the byte fields of a record back into Buffers after it crossed a thread,
+ * which delivers them as plain Uint8Arrays.
+ * @param {Object} record - The record or result.
+ * @returns {Object}
+ */
+function restoreBuffers(record) {
+    const toBuffer = (value) => (value instanceof Uint8Array && !Buffer.isBuffer(value)
+        ? Buffer.from(value.buffer, value.byteOffset, value.byteLength)
+        : value);
+
+    if (!record || typeof record !== 'object') {
+        return record;
+    }
+    const restored = { ...record };
+    for (const field of ['vectorMetadata', 'text']) {
+        if (field in restored) {
+            restored[field] = toBuffer(restored[field]);
+        }
+    }
+    if (restored.metadata && typeof restored.metadata === 'object' && !Array.isArray(restored.metadata)) {
+        restored.metadata = Object.fromEntries(
+            Object.entries(restored.metadata).map(([field, value]) => [field, toBuffer(value)])
+        );
+    }
+    return restored;
+}
+
+
+export {
+    BatchOperation,
+    runBatch,
+    processRecords,
+    runChunk,
+    mapMetadata,
+    toWorkerResult,
+    restoreBuffers
+};
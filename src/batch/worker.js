@@ -0,0 +1,25 @@
+import { parentPort, workerData } from 'worker_threads';
+import { RagEncryptionClient } from '../rag_encryption/index.js';
+import DCPE from '../dcpe.js';
+import { processRecords, toWorkerResult, restoreBuffers } from './index.js';
+
+
+/**
+ * Entry point of the worker threads started by runBatch.
+ *
+ * The worker rebuilds the calling client from the state it was started with,
+ * then processes one chunk of records per message.
+ */
+
+
+const clientTypes = { RagEncryptionClient, DCPE };
+
+
+const { state } = workerData;
+const client = clientTypes[state.type]._fromBatchWorkerState(state);
+
+
+parentPort.on('message', ({ operation, records, options }) => {
+    const results = processRecords(client, records.map(restoreBuffers), operation, options);
+    parentPort.postMessage(results.map(toWorkerResult));
+});
@@ -0,0 +1,172 @@
+import crypto from 'crypto';
+import { hkdf } from '../crypto/hkdf.js';
+import { validateConfig, createSchema } from '../utils/config-validator.js';
+import { InvalidConfigurationError, InvalidInputError } from '../exceptions/index.js';
+
+
+/**
+ * Blind indexes: truncated HMACs of values (or of parts of values) stored next to the encrypted value,
+ * so a database can match filters it cannot read. Each index has its own key, derived with HKDF
+ * from the index name, type and case sensitivity, so tokens of different indexes cannot be compared.
+ *
+ * Truncating tokens trades false positives for leakage: with `tokenLength` bytes, two distinct values
+ * share a token with probability 2^-(8 * tokenLength). Short tokens make equal tokens weaker evidence
+ * of equal values, but results must then be decrypted and checked again to drop false positives.
+ */
+
+
+/**
+ * What a blind index matches
+ * @enum {string}
+ */
+const BlindIndexType = Object.freeze({
+    EXACT: 'exact',   // One token per value: equality
+    TAGS: 'tags',     // One token per element of an array: contains
+    PREFIX: 'prefix'  // One token per prefix length: starts with
+});
+
+
+const BLIND_INDEX_SALT = Buffer.from('DCPE-BlindIndex');
+
+const OPTIONS_DEFINITION = createSchema({
+    type: { type: 'string', default: BlindIndexType.EXACT },
+    caseInsensitive: { type: 'boolean', default: false },
+    tokenLength: { type: 'number', default: 16 },
+    minPrefixLength: { type: 'number', default: 1 },
+    maxPrefixLength: { type: 'number', default: 16 }
+});
+
+
+/**
+ * A named blind index, producing the tokens to store for values and the tokens to query them with.
+ *
+ * @example
+ * const tags = client.createBlindIndex('tags', { type: 'tags', caseInsensitive: true, tokenLength: 8 });
+ * const stored = tags.tokens(['Finance', 'Q3']);     // store in an array field
+ * const filter = tags.queryToken('finance');         // `array_contains(tags, "<token>")`
+ */
+class BlindIndex {
+    /**
+     * Creates a blind index.
+     * @param {Buffer} keyMaterial - Key the index key is derived from.
+     * @param {string} name - Index name, usually the field name. Indexes with different names have unrelated tokens.
+     * @param {Object} [options] - Index options.
+     * @param {string} [options.type='exact'] - 'exact', 'tags' or 'prefix' (see BlindIndexType).
+     * @param {boolean} [options.caseInsensitive=false] - Lowercase values (after NFKC normalization) before hashing.
+     * @param {number} [options.tokenLength=16] - Bytes of HMAC kept per token, from 1 to 32.
+     * @param {number} [options.minPrefixLength=1] - Shortest prefix indexed, in characters (prefix indexes).
+     * @param {number} [options.maxPrefixLength=16] - Longest prefix indexed, in characters (prefix indexes).
+     */
+    constructor(keyMaterial, name, options = {}) {
+        if (!Buffer.isBuffer(keyMaterial)) {
+            throw new InvalidInputError("Blind index key material must be a Buffer");
+        }
+        if (typeof name !== 'string' || name.length === 0) {
+            throw new InvalidInputError("Blind index name must be a non-empty string");
+        }
+
+        let config;
+        try {
+            config = validateConfig(options, OPTIONS_DEFINITION);
+        } catch (e) {
+            throw new InvalidConfigurationError(`Invalid blind index options: ${e.message}`);
+        }
+        if (!Object.values(BlindIndexType).includes(config.type)) {
+            throw new InvalidConfigurationError(`Unknown blind index type: ${config.type}`);
+        }
+        if (!Number.isInteger(config.tokenLength) || config.tokenLength < 1 || config.tokenLength > 32) {
+            throw new InvalidConfigurationError("Blind index token length must be an integer from 1 to 32 bytes");
+        }
+        if (!Number.isInteger(config.minPrefixLength) || !Number.isInteger(config.maxPrefixLength)
+            || config.minPrefixLength < 1 || config.maxPrefixLength < config.minPrefixLength) {
+            throw new InvalidConfigurationError("Prefix lengths must be integers with 1 <= minPrefixLength <= maxPrefixLength");
+        }
+
+        this.name = name;
+        this.type = config.type;
+        this.caseInsensitive = config.caseInsensitive;
+        this.tokenLength = config.tokenLength;
+        this.minPrefixLength = config.minPrefixLength;
+        this.maxPrefixLength = config.maxPrefixLength;
+        const info = `${this.type}:${this.caseInsensitive ? 'ci' : 'cs'}:${name}`;
+        this._key = hkdf(keyMaterial, 32, BLIND_INDEX_SALT, Buffer.from(info, 'utf8'));
+    }
+
+
+    /**
+     * Tokens to store for a value: one for exact indexes, one per distinct element for tag indexes
+     * and one per indexed prefix length for prefix indexes.
+     * @param {string|Array<string>} value - A string, or an array of strings for tag indexes.
+     * @returns {Array<string>} - The tokens (base64url).
+     */
+    tokens(value) {
+        switch (this.type) {
+            case BlindIndexType.TAGS:
+                if (!Array.isArray(value)) {
+                    throw new InvalidInputError(`Value of tag index ${this.name} must be an array of strings`);
+                }
+                return [...new Set(value.map((tag) => this._token(this._normalize(tag))))];
+            case BlindIndexType.PREFIX: {
+                const characters = Array.from(this._normalize(value));
+                const longest = Math.min(characters.length, this.maxPrefixLength);
+                const tokens = [];
+                for (let length = this.minPrefixLength; length <= longest; length++) {
+                    tokens.push(this._token(characters.slice(0, length).join('')));
+                }
+                return tokens;
+            }
+            default:
+                return [this._token(this._normalize(value))];
+        }
+    }
+
+
+    /**
+     * Token to query the index with: the token of a value for exact indexes, of one element for
+     * tag indexes and of a prefix for prefix indexes. Prefixes longer than maxPrefixLength are
+     * cut to it, which matches more values; check decrypted results for the full prefix.
+     * @param {string} value - Value, element or prefix to look for.
+     * @returns {string} - The token (base64url).
+     */
+    queryToken(value) {
+        const normalized = this._normalize(value);
+        if (this.type !== BlindIndexType.PREFIX) {
+            return this._token(normalized);
+        }
+
+        const characters = Array.from(normalized);
+        if (characters.length < this.minPrefixLength) {
+            throw new InvalidInputError(`Prefix must be at least ${this.minPrefixLength} characters for index ${this.name}`);
+        }
+        return this._token(characters.slice(0, this.maxPrefixLength).join(''));
+    }
+
+
+    /**
+     * @private
+     */
+    _normalize(value) {
+        if (typeof value !== 'string') {
+            throw new InvalidInputError(`Values of blind index ${this.name} must be strings`);
+        }
+        return this.caseInsensitive ? value.normalize('NFKC').toLowerCase() : value;
+    }
+
+
+    /**
+     * @private
+     */
+    _token(value) {
+        return crypto.createHmac('sha256', this._key)
+            .update(value, 'utf8')
+            .digest()
+            .subarray(0, this.tokenLength)
+            .toString('base64url');
+    }
+}
+
+
+export {
+    BlindIndexType,
+    BlindIndex
+};
@@ -0,0 +1,28 @@
+/**
+ * DCPE-JS browser and edge entry point
+ *
+ * Everything exported here runs on WebCrypto and `Uint8Array` alone, without Node's
+ * `crypto` module or a `Buffer` polyfill, so it works in browsers and in edge runtimes
+ * such as Vercel Edge Functions and Cloudflare Workers.
+ */
+
+import * as exceptions from './exceptions/index.js';
+import * as bytes from './runtime/bytes.js';
+import { getRuntime, setRuntime, webRuntime } from './runtime/index.js';
+import { ShuffleAlgorithm, KeyScheduleVersion, TextAlgorithm } from './crypto/constants.js';
+import { WebRagEncryptionClient } from './web/index.js';
+
+export {
+  WebRagEncryptionClient,
+  exceptions,
+  bytes,
+  getRuntime,
+  setRuntime,
+  webRuntime,
+  ShuffleAlgorithm,
+  KeyScheduleVersion,
+  TextAlgorithm
+};
+
+// Export version
+export const VERSION = '0.1.0';
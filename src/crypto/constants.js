@@ -0,0 +1,91 @@
+/**
+ * Constants and enumerations shared by the Node implementation and the WebCrypto client.
+ * Both must derive identical keys and keystreams, so they read them from here.
+ * The numeric enumeration ids are written into vector metadata, so existing values must never change.
+ */
+
+
+// Labels and salts for key derivation
+const SHUFFLE_KEY = "One Ring to rule them all, One Ring to find them, One Ring to bring them all, and in the darkness bind them";
+const NOISE_SEED_LABEL = "DCPE-Noise";
+const SHUFFLE_INFO = "DCPE-Permutation";
+const KEY_SCHEDULE_SALT = "DCPE-KeySchedule";
+const KEY_SCHEDULE_V1_PREFIX = "dcpe/v1/";
+const TENANT_TAG_LABEL = "DCPE-Tenant";
+const TENANT_NAMESPACE_LABEL = "DCPE-Namespace";
+const DETERMINISTIC_SALT = "DCPE-Deterministic";
+const DETERMINISTIC_INFO = "deterministic_encryption_key";
+const ORDERED_SALT = "DCPE-Ordered";
+const ORDERED_INFO = "ordered_encryption_key";
+
+
+/**
+ * Enumeration for the keyed permutation algorithms used by shuffle/unshuffle.
+ */
+const ShuffleAlgorithm = Object.freeze({
+    LEGACY_HMAC_BYTE: 1,
+    HMAC_CTR: 2
+});
+
+const CURRENT_SHUFFLE_ALGORITHM = ShuffleAlgorithm.HMAC_CTR;
+
+
+/**
+ * Enumeration for key schedule versions.
+ */
+const KeyScheduleVersion = Object.freeze({
+    LEGACY: 0,
+    HKDF_V1: 1
+});
+
+const CURRENT_KEY_SCHEDULE_VERSION = KeyScheduleVersion.HKDF_V1;
+
+
+/**
+ * Enumeration for EDEK Types
+ */
+const EdekType = Object.freeze({
+    STANDALONE: "Standalone",
+    SAAS_SHIELD: "SaasShield",
+    DATA_CONTROL_PLATFORM: "DataControlPlatform"
+});
+
+
+/**
+ * Enumeration for Payload Types
+ */
+const PayloadType = Object.freeze({
+    DETERMINISTIC_FIELD: "DeterministicField",
+    VECTOR_METADATA: "VectorMetadata",
+    STANDARD_EDEK: "StandardEdek"
+});
+
+
+/**
+ * Enumeration for the algorithms recorded in serialized encrypted text
+ */
+const TextAlgorithm = Object.freeze({
+    AES_256_GCM: 1
+});
+
+
+export {
+    SHUFFLE_KEY,
+    NOISE_SEED_LABEL,
+    SHUFFLE_INFO,
+    KEY_SCHEDULE_SALT,
+    KEY_SCHEDULE_V1_PREFIX,
+    TENANT_TAG_LABEL,
+    TENANT_NAMESPACE_LABEL,
+    DETERMINISTIC_SALT,
+    DETERMINISTIC_INFO,
+    ORDERED_SALT,
+    ORDERED_INFO,
+    ShuffleAlgorithm,
+    CURRENT_SHUFFLE_ALGORITHM,
+    KeyScheduleVersion,
+    CURRENT_KEY_SCHEDULE_VERSION,
+    EdekType,
+    PayloadType,
+    TextAlgorithm
+};
@@ -1,107 +1,114 @@
 import crypto from 'crypto';
-import { create, all } from 'mathjs';
 import { InvalidKeyError, DecryptError } from '../exceptions/index.js';
-import { VectorEncryptionKey, ScalingFactor, EncryptionKey } from '../keys/index.js';
+import { VectorEncryptionKey, EncryptionKey } from '../keys/index.js';
+import { hkdf } from './hkdf.js';
+import * as constants from './constants.js';
+import {
+    KeystreamRng,
+    sampleNormalVector as sampleNormalVectorFrom,
+    sampleNoiseVector,
+    sampleIndex,
+    permuteIndices,
+    applyPermutation,
+    applyInversePermutation
+} from './sampling.js';
+import { AuthHash, isVector, addNoise, removeNoise, authHashMessage } from './vectors.js';
 
 
 
 
-const math = create(all);
+// Constants
+const NOISE_SEED_LABEL = Buffer.from(constants.NOISE_SEED_LABEL);
+const SHUFFLE_SALT = Buffer.from(constants.SHUFFLE_KEY);
+const SHUFFLE_INFO = Buffer.from(constants.SHUFFLE_INFO);
+const { ShuffleAlgorithm, CURRENT_SHUFFLE_ALGORITHM } = constants;
 
 
-// Constants
-const SHUFFLE_KEY = "One Ring to rule them all, One Ring to find them, One Ring to bring them all, and in the darkness bind them";
+// Permutations depend only on the key, the length and the algorithm, so they are computed
+// once per key object and reused. The WeakMap lets them go when the key does.
+const permutationCache = new WeakMap();
 
 
 /**
- * Represents an authentication hash.
+ * Deterministic pseudorandom generator driven by an HMAC-SHA256 counter-mode keystream.
+ *
+ * Each block is HMAC(seed, counter) with a 64-bit big-endian counter, consumed four
+ * bytes at a time. Two generators built from the same seed produce identical output,
+ * which is what lets decryption regenerate the exact noise added during encryption.
  */
-class AuthHash {
-    constructor(hashBytes) {
-        if (!Buffer.isBuffer(hashBytes)) {
-            throw new TypeError("AuthHash must be initialized with a Buffer");
-        }
-        if (hashBytes.length !== 32) {
-            throw new Error("AuthHash must be 32 bytes long");
+class DeterministicRng extends KeystreamRng {
+    /**
+     * @param {Buffer} seed - The secret seed for the keystream.
+     */
+    constructor(seed) {
+        if (!Buffer.isBuffer(seed) || seed.length === 0) {
+            throw new TypeError("DeterministicRng seed must be a non-empty Buffer");
         }
-        this.hashBytes = hashBytes;
+        super();
+        this.seed = seed;
+        this.counter = 0;
     }
 
 
-    getBytes() {
-        return this.hashBytes;
+    /**
+     * Creates a generator seeded with fresh cryptographic randomness.
+     * @returns {DeterministicRng}
+     */
+    static random() {
+        return new DeterministicRng(crypto.randomBytes(32));
     }
 
 
-    equals(other) {
-        return other instanceof AuthHash && this.hashBytes.equals(other.hashBytes);
+    /**
+     * Computes the next keystream block.
+     * @private
+     */
+    _nextBlock() {
+        const counterBytes = Buffer.alloc(8);
+        counterBytes.writeBigUInt64BE(BigInt(this.counter++));
+        return crypto.createHmac('sha256', this.seed).update(counterBytes).digest();
     }
+}
 
 
-    toString() {
-        return `AuthHash(${this.hashBytes.toString('hex')})`;
-    }
+/**
+ * Creates the deterministic generator used for the noise of a single vector.
+ * The seed is HMAC(key, label | iv), so every (key, iv) pair yields its own noise stream.
+ * @param {VectorEncryptionKey} key - The encryption key.
+ * @param {Buffer} iv - The initialization vector.
+ * @returns {DeterministicRng}
+ */
+function createNoiseRng(key, iv) {
+    const seed = crypto.createHmac('sha256', key.key.getBytes())
+        .update(NOISE_SEED_LABEL)
+        .update(iv)
+        .digest();
+    return new DeterministicRng(seed);
 }
 
 
 /**
  * Generates a random vector sampled from a multivariate normal distribution.
  * @param {number} dimensionality - The dimensionality of the vector.
+ * @param {DeterministicRng} [rng] - The generator to draw from. Defaults to a freshly seeded random generator.
  * @returns {Array<number>} - The sampled vector.
  */
-function sampleNormalVector(dimensionality) {
-    return Array.from({ length: dimensionality }, () => {
-      // Use crypto instead of Math.random()
-      const u1Bytes = crypto.randomBytes(4);
-      const u2Bytes = crypto.randomBytes(4);
-      const u1 = u1Bytes.readUInt32LE(0) / 0x100000000;
-      const u2 = u2Bytes.readUInt32LE(0) / 0x100000000;
-      const z0 = Math.sqrt(-2.0 * Math.log(u1)) * Math.cos(2.0 * Math.PI * u2);
-      return z0;
-    });
-  }
-
-
+function sampleNormalVector(dimensionality, rng = DeterministicRng.random()) {
+    return sampleNormalVectorFrom(dimensionality, rng);
+}
 
 
 /**
- * Generates a random uniform point in the range [0, 1).
+ * Generates a uniform point in the range [0, 1).
  *
- * This function uses cryptographic randomness to ensure high-quality random values.
- * It generates 4 random bytes, interprets them as a 32-bit unsigned integer,
- * and then normalizes the value to a floating-point number in the range [0, 1).
+ * It reads a 32-bit unsigned integer from the generator and normalizes
+ * the value to a floating-point number in the range [0, 1).
  *
- * @returns {number} A random floating-point number in the range [0, 1).
- */
-function sampleUniformPoint() {
-    const bytes = crypto.randomBytes(4);
-    return bytes.readUInt32LE(0) / 0x100000000;
-  }
-
-
-/**
- * Calculates a uniform point within an n-dimensional ball.
- * @param {ScalingFactor} scalingFactor - The scaling factor.
- * @param {number} approximationFactor - The approximation factor.
- * @param {number} uniformPoint - The sampled uniform point.
- * @param {number} dimensionality - The dimensionality of the vector.
- * @returns {number} - The calculated point.
+ * @param {DeterministicRng} [rng] - The generator to draw from. Defaults to a freshly seeded random generator.
+ * @returns {number} A floating-point number in the range [0, 1).
  */
-function calculateUniformPointInBall(scalingFactor, approximationFactor, uniformPoint, dimensionality) {
-    const radius = (scalingFactor.getFactor() / 4) * approximationFactor;
-    return radius * Math.pow(uniformPoint, 1 / dimensionality);
-}
-
-
-/**
- * Normalizes a sampled vector.
- * @param {Array<number>} vector - The sampled vector.
- * @param {number} scale - The scaling factor.
- * @returns {Array<number>} - The normalized vector.
- */
-function normalizeVector(vector, scale) {
-    const norm = math.norm(vector);
-    return vector.map((val) => (val * scale) / norm);
+function sampleUniformPoint(rng = DeterministicRng.random()) {
+    return rng.nextUniform();
 }
 
 
@@ -111,7 +118,7 @@ function normalizeVector(vector, scale) {
  * @param {Buffer} iv - The initialization vector.
  * @param {number} approximationFactor - The approximation factor.
  * @param {number} dimensionality - The dimensionality of the vector.
- * @returns {Array<number>} - The noise vector.
+ * @returns {Float64Array} - The noise vector.
  */
 function generateNoiseVector(key, iv, approximationFactor, dimensionality) {
     if (!key) {
@@ -127,10 +134,9 @@ function generateNoiseVector(key, iv, approximationFactor, dimensionality) {
         throw new Error("Dimensionality must be a positive integer");
     }
    
-    const normalVector = sampleNormalVector(dimensionality);
-    const uniformPoint = sampleUniformPoint();
-    const scaledPoint = calculateUniformPointInBall(key.scalingFactor, approximationFactor, uniformPoint, dimensionality);
-    return normalizeVector(normalVector, scaledPoint);
+    // Noise is derived from the key and IV so decryption can regenerate it exactly
+    const rng = createNoiseRng(key, iv);
+    return sampleNoiseVector(rng, key.scalingFactor.getFactor(), approximationFactor, dimensionality);
 }
 
 
@@ -140,6 +146,9 @@ function generateNoiseVector(key, iv, approximationFactor, dimensionality) {
  * Creates a random number generator (RNG) function based on a given cryptographic key.
  * The RNG function generates pseudo-random numbers in the range [0, 1) using HMAC with SHA-256.
  *
+ * This is the generator behind `ShuffleAlgorithm.LEGACY_HMAC_BYTE`. It only HMACs the low byte
+ * of its counter, so it repeats after 256 draws; it is kept to unshuffle data written with it.
+ *
  * @param {Object} key - The cryptographic key used to seed the RNG. It must have a `getBytes` method
  *                       that returns the key as a byte array.
  * @returns {Function} A function that generates a pseudo-random number between 0 (inclusive) and 1 (exclusive)
@@ -156,83 +165,103 @@ function createRngFromKey(key) {
 
 
 /**
- * Shuffles an array deterministically based on a key.
+ * Creates the keystream for `ShuffleAlgorithm.HMAC_CTR`.
+ * The key is never used directly: a permutation subkey is derived from it with HKDF first.
  * @param {EncryptionKey} key - The encryption key used for deterministic shuffling.
- * @param {Array} inputArray - The array to shuffle.
- * @returns {Array} - The shuffled array.
+ * @returns {DeterministicRng}
  */
-function shuffle(key, inputArray) {
-    if (!key || !Array.isArray(inputArray)) {
-        throw new Error("Invalid input to shuffle function");
-    }
+function createPermutationRng(key) {
+    const subkey = hkdf(key.getBytes(), 32, SHUFFLE_SALT, SHUFFLE_INFO);
+    return new DeterministicRng(subkey);
+}
 
 
-    // Create a deterministic random number generator based on the key
-    const rng = createRngFromKey(key);
+/**
+ * Computes the Fisher-Yates permutation of `length` indices for a key.
+ * @param {EncryptionKey} key - The encryption key used for deterministic shuffling.
+ * @param {number} length - The number of elements to permute.
+ * @param {number} algorithm - The permutation algorithm (from ShuffleAlgorithm).
+ * @returns {Array<number>} - The permuted indices.
+ * @throws {Error} - If the algorithm is not supported.
+ */
+function computePermutation(key, length, algorithm) {
+    let permutations = permutationCache.get(key);
+    if (!permutations) {
+        permutations = new Map();
+        permutationCache.set(key, permutations);
+    }
+    const cacheKey = `${algorithm}:${length}`;
+    if (!permutations.has(cacheKey)) {
+        permutations.set(cacheKey, derivePermutation(key, length, algorithm));
+    }
+    return permutations.get(cacheKey);
+}
 
 
-    // Create an array of indices and shuffle them
-    const indices = inputArray.map((_, index) => index);
-    for (let i = indices.length - 1; i > 0; i--) {
-        const j = Math.floor(rng() * (i + 1));
-        [indices[i], indices[j]] = [indices[j], indices[i]];
+/**
+ * Derives the permutation for `computePermutation` without caching it.
+ * @private
+ */
+function derivePermutation(key, length, algorithm) {
+    let nextIndex;
+    if (algorithm === ShuffleAlgorithm.HMAC_CTR) {
+        const rng = createPermutationRng(key);
+        nextIndex = (bound) => sampleIndex(rng, bound);
+    } else if (algorithm === ShuffleAlgorithm.LEGACY_HMAC_BYTE) {
+        const rng = createRngFromKey(key);
+        nextIndex = (bound) => Math.floor(rng() * bound);
+    } else {
+        throw new Error(`Unsupported shuffle algorithm: ${algorithm}`);
     }
 
-
-    // Use the shuffled indices to reorder the input array
-    return indices.map((index) => inputArray[index]);
+    return permuteIndices(length, nextIndex);
 }
 
 
 /**
- * Unshuffles an array that was shuffled deterministically based on a key.
+ * Shuffles an array deterministically based on a key.
  * @param {EncryptionKey} key - The encryption key used for deterministic shuffling.
- * @param {Array} shuffledArray - The array to unshuffle.
- * @returns {Array} - The unshuffled array.
+ * @param {Array|Float32Array|Float64Array} inputArray - The array to shuffle.
+ * @param {number} [algorithm=CURRENT_SHUFFLE_ALGORITHM] - The permutation algorithm (from ShuffleAlgorithm).
+ * @returns {Array|Float32Array|Float64Array} - The shuffled array, of the same type as the input.
  */
+function shuffle(key, inputArray, algorithm = CURRENT_SHUFFLE_ALGORITHM) {
+    if (!key || !(Array.isArray(inputArray) || isVector(inputArray))) {
+        throw new Error("Invalid input to shuffle function");
+    }
+
+
+    // Use the keyed permutation to reorder the input array
+    const indices = computePermutation(key, inputArray.length, algorithm);
+    return applyPermutation(indices, inputArray);
+}
+
+
 /**
  * Reverses the shuffling of an array based on a given key.
  *
- * @param {string} key - A string used to seed the deterministic random number generator.
- * @param {Array} shuffledArray - The array that was previously shuffled and needs to be restored to its original order.
- * @returns {Array} - The original array restored to its unshuffled order.
+ * @param {EncryptionKey} key - The encryption key used for deterministic shuffling.
+ * @param {Array|Float32Array|Float64Array} shuffledArray - The array that was previously shuffled and needs to be restored to its original order.
+ * @param {number} [algorithm=CURRENT_SHUFFLE_ALGORITHM] - The permutation algorithm the array was shuffled with.
+ * @returns {Array|Float32Array|Float64Array} - The original array restored to its unshuffled order.
  * @throws {Error} - Throws an error if the key is not provided or if the shuffledArray is not an array.
  *
  * @description
- * This function assumes that the array was shuffled using a deterministic algorithm
- * based on the same key. It recreates the shuffle permutation using a seeded random
- * number generator and then reverses the shuffle to restore the original order.
- *
- * Note: The function relies on the existence of `createRngFromKey`, which must generate
- * a deterministic random number generator seeded by the provided key.
+ * This function recreates the permutation used by `shuffle` for the same key and
+ * algorithm, and then reverses it to restore the original order.
  */
-function unshuffle(key, shuffledArray) {
-    if (!key || !Array.isArray(shuffledArray)) {
+function unshuffle(key, shuffledArray, algorithm = CURRENT_SHUFFLE_ALGORITHM) {
+    if (!key || !(Array.isArray(shuffledArray) || isVector(shuffledArray))) {
         throw new Error("Invalid input to unshuffle function");
     }
 
 
-    // Create a deterministic random number generator based on the key
-    const rng = createRngFromKey(key);
-
-
     // First recreate the exact same permutation that was used in the shuffle function
-    const indices = Array.from({ length: shuffledArray.length }, (_, i) => i);
-    for (let i = indices.length - 1; i > 0; i--) {
-        const j = Math.floor(rng() * (i + 1));
-        [indices[i], indices[j]] = [indices[j], indices[i]];
-    }
-
-
-    // Create a mapping from shuffled position to original position
-    const reverseMap = new Array(indices.length);
-    for (let i = 0; i < indices.length; i++) {
-        reverseMap[indices[i]] = i;
-    }
+    const indices = computePermutation(key, shuffledArray.length, algorithm);
 
 
-    // Use the mapping to restore the original order
-    return shuffledArray.map((_, i) => shuffledArray[reverseMap[i]]);
+    // Use the inverse mapping to restore the original order
+    return applyInversePermutation(indices, shuffledArray);
 }
 
 
@@ -241,17 +270,13 @@ function unshuffle(key, shuffledArray) {
  * @param {VectorEncryptionKey} key - The encryption key.
  * @param {number} approximationFactor - The approximation factor.
  * @param {Buffer} iv - The initialization vector.
- * @param {Array<number>} encryptedVector - The encrypted vector.
+ * @param {Array<number>|Float32Array|Float64Array} encryptedVector - The encrypted vector.
+ * @param {Uint8Array} [trailer] - The vector metadata fields after the AuthHash, which it covers.
  * @returns {AuthHash} - The computed authentication hash.
  */
-function computeAuthHash(key, approximationFactor, iv, encryptedVector) {
+function computeAuthHash(key, approximationFactor, iv, encryptedVector, trailer) {
     const hmac = crypto.createHmac('sha256', key.key.getBytes());
-    hmac.update(Buffer.from(Float32Array.of(key.scalingFactor.getFactor()).buffer));
-    hmac.update(Buffer.from(Float32Array.of(approximationFactor).buffer));
-    hmac.update(iv);
-    encryptedVector.forEach((val) => {
-        hmac.update(Buffer.from(Float32Array.of(val).buffer));
-    });
+    hmac.update(authHashMessage(key.scalingFactor.getFactor(), approximationFactor, iv, encryptedVector, trailer));
     return new AuthHash(hmac.digest());
 }
 
@@ -260,10 +285,13 @@ function computeAuthHash(key, approximationFactor, iv, encryptedVector) {
  * Encrypts a vector embedding.
  * @param {VectorEncryptionKey} key - The encryption key.
  * @param {number} approximationFactor - The approximation factor.
- * @param {Array<number>} vector - The plaintext vector.
+ * @param {Array<number>|Float32Array|Float64Array} vector - The plaintext vector.
+ * @param {Uint8Array} [trailer] - The vector metadata fields after the AuthHash, to authenticate
+ *                                 along with the vector (see encodeVectorMetadataTrailer).
  * @returns {Object} - The encryption result containing ciphertext, IV, and auth hash.
+ *   The ciphertext is of the same type as the plaintext vector.
  */
-function encryptVector(key, approximationFactor, vector) {
+function encryptVector(key, approximationFactor, vector, trailer) {
     if (!key || !key.scalingFactor) {
         throw new InvalidKeyError("Scaling factor is not initialized in the encryption key");
     }
@@ -276,15 +304,10 @@ function encryptVector(key, approximationFactor, vector) {
 
     const iv = crypto.randomBytes(12);
     const noiseVector = generateNoiseVector(key, iv, approximationFactor, vector.length);
-    const ciphertext = vector.map((val, i) => key.scalingFactor.getFactor() * val + noiseVector[i]);
-
-
-    if (!ciphertext.every((val) => Number.isFinite(val))) {
-        throw new Error("Overflow error: Embedding or approximation factor too large.");
-    }
+    const ciphertext = addNoise(vector, key.scalingFactor.getFactor(), noiseVector);
 
 
-    const authHash = computeAuthHash(key, approximationFactor, iv, ciphertext);
+    const authHash = computeAuthHash(key, approximationFactor, iv, ciphertext, trailer);
 
 
     return { ciphertext, iv, authHash };
@@ -293,8 +316,9 @@ function encryptVector(key, approximationFactor, vector) {
  * Decrypts an encrypted vector embedding.
  * @param {VectorEncryptionKey} key - The encryption key.
  * @param {number} approximationFactor - The approximation factor.
- * @param {Object} encryptedResult - The encryption result containing ciphertext, IV, and auth hash.
- * @returns {Array<number>} - The decrypted vector.
+ * @param {Object} encryptedResult - The encryption result containing ciphertext, IV, and auth hash,
+ *   and the `trailer` of the vector metadata when it has one.
+ * @returns {Array<number>|Float32Array|Float64Array} - The decrypted vector, of the same type as the ciphertext.
  */
 function decryptVector(key, approximationFactor, encryptedResult) {
     if (key.scalingFactor.getFactor() === 0) {
@@ -302,27 +326,31 @@ function decryptVector(key, approximationFactor, encryptedResult) {
     }
 
 
-    const { ciphertext, iv, authHash } = encryptedResult;
+    const { ciphertext, iv, authHash, trailer } = encryptedResult;
 
 
-    if (!computeAuthHash(key, approximationFactor, iv, ciphertext).equals(authHash)) {
+    if (!computeAuthHash(key, approximationFactor, iv, ciphertext, trailer).equals(authHash)) {
         throw new DecryptError("Authentication hash mismatch");
     }
 
 
     const noiseVector = generateNoiseVector(key, iv, approximationFactor, ciphertext.length);
-    return ciphertext.map((val, i) => (val - noiseVector[i]) / key.scalingFactor.getFactor());
+    return removeNoise(ciphertext, key.scalingFactor.getFactor(), noiseVector);
 }
 
 
 export {
     AuthHash,
+    DeterministicRng,
     encryptVector,
     decryptVector,
     computeAuthHash,
     generateNoiseVector,
     shuffle,
     unshuffle,
+    ShuffleAlgorithm,
+    CURRENT_SHUFFLE_ALGORITHM,
     sampleNormalVector,
-    sampleUniformPoint
+    sampleUniformPoint,
+    isVector
 };
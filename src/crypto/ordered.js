@@ -0,0 +1,230 @@
+import crypto from 'crypto';
+import { InvalidInputError, DecryptError } from '../exceptions/index.js';
+
+
+/**
+ * Order-preserving encryption of numbers and dates, so range filters can run on ciphertexts.
+ *
+ * Values are mapped to 64-bit integers that sort like the values, then through a keyed, strictly
+ * increasing function into a 96-bit range. The function is sampled lazily: walking down a binary
+ * tree over the plaintext domain, each node splits its ciphertext interval at a point chosen by
+ * HMAC of the node, leaving each half at least as many ciphertexts as it has plaintexts.
+ * Encryption is deterministic and decryption walks the same tree, checking the leaf it reaches.
+ *
+ * Ciphertexts reveal the order of the values (and so equality), and roughly how far apart they are.
+ * Use this mode only for fields whose order is not sensitive on its own, such as upload dates.
+ *
+ * Given a numeric key ID, the ciphertext carries it above the 96 ciphertext bits (8 more hex digits),
+ * so decryption can pick the key. Ciphertexts under the same key still compare like their values.
+ */
+
+
+const DOMAIN_BITS = 64;
+const RANGE_BITS = 96;
+const DOMAIN_SIZE = 1n << BigInt(DOMAIN_BITS);
+const RANGE_SIZE = 1n << BigInt(RANGE_BITS);
+const SIGN_BIT = 1n << 63n;
+const HEX_LENGTH = RANGE_BITS / 4;
+const KEY_ID_HEX_LENGTH = 8;
+const KEY_ID_RANGE_SIZE = RANGE_SIZE << 32n;
+
+
+/**
+ * Encodings of ordered ciphertexts
+ * @enum {string}
+ */
+const OrderedEncoding = Object.freeze({
+    HEX: 'hex',      // Fixed-width lowercase hex string; sorts lexicographically like the values
+    BIGINT: 'bigint' // BigInt, for NUMERIC and DECIMAL columns
+});
+
+
+/**
+ * Encrypt a number or date so that ciphertexts compare like the values.
+ * Dates are encrypted as their millisecond timestamps.
+ * @param {Buffer} key - 32-byte ordered encryption key
+ * @param {number|Date} value - Finite number or valid date
+ * @param {string} [encoding='hex'] - Ciphertext encoding (see OrderedEncoding)
+ * @param {number|null} [keyId=null] - Numeric ID of the key, recorded in the ciphertext
+ * @returns {string|bigint} - The ciphertext
+ * @throws {InvalidInputError} If the value or encoding is invalid
+ */
+function encryptOrdered(key, value, encoding = OrderedEncoding.HEX, keyId = null) {
+    const plaintext = toOrderedInteger(value);
+
+    let rangeLow = 0n;
+    let rangeHigh = RANGE_SIZE;
+    let domainLow = 0n;
+    let domainHigh = DOMAIN_SIZE;
+    let depth = 0;
+    while (domainHigh - domainLow > 1n) {
+        const domainMid = domainLow + (domainHigh - domainLow) / 2n;
+        const rangeMid = splitPoint(key, depth, domainLow, domainMid, domainHigh, rangeLow, rangeHigh);
+        if (plaintext < domainMid) {
+            domainHigh = domainMid;
+            rangeHigh = rangeMid;
+        } else {
+            domainLow = domainMid;
+            rangeLow = rangeMid;
+        }
+        depth++;
+    }
+
+    const ciphertext = leafCiphertext(key, domainLow, rangeLow, rangeHigh);
+    if (keyId === null) {
+        return encodeCiphertext(ciphertext, encoding, HEX_LENGTH);
+    }
+    return encodeCiphertext((BigInt(keyId) << BigInt(RANGE_BITS)) | ciphertext, encoding, HEX_LENGTH + KEY_ID_HEX_LENGTH);
+}
+
+
+/**
+ * Split the key ID off a ciphertext produced by encryptOrdered with one
+ * @param {string|bigint} ciphertext - Hex or BigInt ciphertext
+ * @returns {{ keyId: number|null, ciphertext: string|bigint }} - The key ID, or null for ciphertexts
+ *   without one, and the ciphertext to pass to decryptOrdered
+ */
+function splitOrderedKeyId(ciphertext) {
+    if (typeof ciphertext === 'string' && ciphertext.length === HEX_LENGTH + KEY_ID_HEX_LENGTH && /^[0-9a-f]+$/.test(ciphertext)) {
+        return {
+            keyId: parseInt(ciphertext.slice(0, KEY_ID_HEX_LENGTH), 16),
+            ciphertext: ciphertext.slice(KEY_ID_HEX_LENGTH)
+        };
+    }
+    if (typeof ciphertext === 'bigint' && ciphertext >= RANGE_SIZE && ciphertext < KEY_ID_RANGE_SIZE) {
+        return { keyId: Number(ciphertext >> BigInt(RANGE_BITS)), ciphertext: ciphertext & (RANGE_SIZE - 1n) };
+    }
+    return { keyId: null, ciphertext };
+}
+
+
+/**
+ * Decrypt a ciphertext produced by encryptOrdered
+ * @param {Buffer} key - 32-byte ordered encryption key
+ * @param {string|bigint} ciphertext - Hex or BigInt ciphertext
+ * @returns {number} - The value; dates come back as millisecond timestamps
+ * @throws {DecryptError} If the ciphertext was not produced with this key
+ */
+function decryptOrdered(key, ciphertext) {
+    const target = decodeCiphertext(ciphertext);
+
+    let rangeLow = 0n;
+    let rangeHigh = RANGE_SIZE;
+    let domainLow = 0n;
+    let domainHigh = DOMAIN_SIZE;
+    let depth = 0;
+    while (domainHigh - domainLow > 1n) {
+        const domainMid = domainLow + (domainHigh - domainLow) / 2n;
+        const rangeMid = splitPoint(key, depth, domainLow, domainMid, domainHigh, rangeLow, rangeHigh);
+        if (target < rangeMid) {
+            domainHigh = domainMid;
+            rangeHigh = rangeMid;
+        } else {
+            domainLow = domainMid;
+            rangeLow = rangeMid;
+        }
+        depth++;
+    }
+
+    if (leafCiphertext(key, domainLow, rangeLow, rangeHigh) !== target) {
+        throw new DecryptError("Ordered ciphertext was not produced with this key");
+    }
+    return fromOrderedInteger(domainLow);
+}
+
+
+/**
+ * Keyed pseudo-random BigInt for a tree node, identified by its depth and lowest plaintext
+ * @private
+ */
+function nodeRandom(key, depth, domainLow) {
+    const node = Buffer.alloc(9);
+    node.writeUInt8(depth, 0);
+    node.writeBigUInt64BE(domainLow, 1);
+    return BigInt('0x' + crypto.createHmac('sha256', key).update(node).digest('hex').slice(0, 32));
+}
+
+
+/**
+ * Ciphertext at which the left half of a node's interval ends
+ * @private
+ */
+function splitPoint(key, depth, domainLow, domainMid, domainHigh, rangeLow, rangeHigh) {
+    const leftSize = domainMid - domainLow;
+    const slack = (rangeHigh - rangeLow) - (domainHigh - domainLow);
+    return rangeLow + leftSize + nodeRandom(key, depth, domainLow) % (slack + 1n);
+}
+
+
+/**
+ * Ciphertext of a single plaintext, chosen within the interval it was left with
+ * @private
+ */
+function leafCiphertext(key, domainLow, rangeLow, rangeHigh) {
+    return rangeLow + nodeRandom(key, DOMAIN_BITS, domainLow) % (rangeHigh - rangeLow);
+}
+
+
+/**
+ * Map a number or date to a 64-bit integer with the same order: the IEEE 754 bits of the value,
+ * with the sign bit flipped for positive values and every bit flipped for negative ones
+ * @private
+ */
+function toOrderedInteger(value) {
+    const number = value instanceof Date ? value.getTime() : value;
+    if (typeof number !== 'number' || !Number.isFinite(number)) {
+        throw new InvalidInputError("Ordered values must be finite numbers or valid dates");
+    }
+    const view = new DataView(new ArrayBuffer(8));
+    view.setFloat64(0, number === 0 ? 0 : number); // -0 and 0 are the same value
+    const bits = view.getBigUint64(0);
+    return bits & SIGN_BIT ? ~bits & (DOMAIN_SIZE - 1n) : bits | SIGN_BIT;
+}
+
+
+/**
+ * @private
+ */
+function fromOrderedInteger(integer) {
+    const bits = integer & SIGN_BIT ? integer ^ SIGN_BIT : ~integer & (DOMAIN_SIZE - 1n);
+    const view = new DataView(new ArrayBuffer(8));
+    view.setBigUint64(0, bits);
+    return view.getFloat64(0);
+}
+
+
+/**
+ * @private
+ */
+function encodeCiphertext(ciphertext, encoding, hexLength) {
+    switch (encoding) {
+        case OrderedEncoding.HEX:
+            return ciphertext.toString(16).padStart(hexLength, '0');
+        case OrderedEncoding.BIGINT:
+            return ciphertext;
+        default:
+            throw new InvalidInputError(`Unknown ordered encoding: ${encoding}`);
+    }
+}
+
+
+/**
+ * @private
+ */
+function decodeCiphertext(ciphertext) {
+    if (typeof ciphertext === 'bigint' && ciphertext >= 0n && ciphertext < RANGE_SIZE) {
+        return ciphertext;
+    }
+    if (typeof ciphertext === 'string' && ciphertext.length === HEX_LENGTH && /^[0-9a-f]+$/.test(ciphertext)) {
+        return BigInt('0x' + ciphertext);
+    }
+    throw new InvalidInputError(`Ordered ciphertext must be a ${HEX_LENGTH}-character hex string or a ${RANGE_BITS}-bit BigInt`);
+}
+
+
+export {
+    OrderedEncoding,
+    encryptOrdered,
+    decryptOrdered,
+    splitOrderedKeyId
+};
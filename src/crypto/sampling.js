@@ -0,0 +1,198 @@
+/**
+ * Pseudorandom generator that consumes a keystream block by block.
+ *
+ * Subclasses supply the blocks; this class only turns them into numbers, so the Node
+ * generator and the WebCrypto generator read a keystream in exactly the same way.
+ * Nothing here depends on Node's `crypto` or `Buffer`.
+ */
+class KeystreamRng {
+    constructor() {
+        this.block = new Uint8Array(0);
+        this.offset = 0;
+    }
+
+
+    /**
+     * Returns the next keystream block.
+     * @returns {Uint8Array}
+     * @private
+     */
+    _nextBlock() {
+        throw new Error("KeystreamRng subclasses must implement _nextBlock");
+    }
+
+
+    /**
+     * Returns the next 32-bit unsigned integer from the keystream, read little-endian.
+     * @returns {number}
+     */
+    nextUint32() {
+        if (this.offset + 4 > this.block.length) {
+            this.block = this._nextBlock();
+            this.offset = 0;
+        }
+        const b = this.block;
+        const o = this.offset;
+        this.offset += 4;
+        return (b[o] | (b[o + 1] << 8) | (b[o + 2] << 16) | (b[o + 3] << 24)) >>> 0;
+    }
+
+
+    /**
+     * Returns the next floating-point number in the range [0, 1).
+     * @returns {number}
+     */
+    nextUniform() {
+        return this.nextUint32() / 0x100000000;
+    }
+}
+
+
+/**
+ * Generates a random vector sampled from a multivariate normal distribution.
+ * Draws exactly two 32-bit values per component.
+ * @param {number} dimensionality - The dimensionality of the vector.
+ * @param {KeystreamRng} rng - The generator to draw from.
+ * @param {Array<number>|Float64Array} [output] - Where to write the samples; a new array by default.
+ * @returns {Array<number>|Float64Array} - The sampled vector.
+ */
+function sampleNormalVector(dimensionality, rng, output = new Array(dimensionality)) {
+    for (let i = 0; i < dimensionality; i++) {
+        // Box-Muller transform; u1 is shifted into (0, 1] so the logarithm stays finite
+        const u1 = (rng.nextUint32() + 1) / 0x100000000;
+        const u2 = rng.nextUniform();
+        output[i] = Math.sqrt(-2.0 * Math.log(u1)) * Math.cos(2.0 * Math.PI * u2);
+    }
+    return output;
+}
+
+
+/**
+ * Calculates a uniform point within an n-dimensional ball.
+ * @param {number} scalingFactor - The scaling factor value.
+ * @param {number} approximationFactor - The approximation factor.
+ * @param {number} uniformPoint - The sampled uniform point.
+ * @param {number} dimensionality - The dimensionality of the vector.
+ * @returns {number} - The calculated point.
+ */
+function calculateUniformPointInBall(scalingFactor, approximationFactor, uniformPoint, dimensionality) {
+    const radius = (scalingFactor / 4) * approximationFactor;
+    return radius * Math.pow(uniformPoint, 1 / dimensionality);
+}
+
+
+/**
+ * Normalizes a sampled vector in place.
+ *
+ * The norm is summed in the same order and with the same operations as mathjs' `norm`,
+ * which computed it before, so noise vectors stay bit-for-bit what they were.
+ * @param {Array<number>|Float64Array} vector - The sampled vector.
+ * @param {number} scale - The scaling factor.
+ * @returns {Array<number>|Float64Array} - The same vector, normalized.
+ */
+function normalizeVector(vector, scale) {
+    let sumOfSquares = 0;
+    for (let i = 0; i < vector.length; i++) {
+        sumOfSquares = Math.pow(Math.abs(vector[i]), 2) + sumOfSquares;
+    }
+    const norm = Math.pow(sumOfSquares, 0.5);
+    for (let i = 0; i < vector.length; i++) {
+        vector[i] = (vector[i] * scale) / norm;
+    }
+    return vector;
+}
+
+
+/**
+ * Samples the noise vector for one encryption from a generator seeded for it.
+ * Draws `2 * dimensionality + 1` 32-bit values.
+ * @param {KeystreamRng} rng - The noise generator.
+ * @param {number} scalingFactor - The scaling factor value.
+ * @param {number} approximationFactor - The approximation factor.
+ * @param {number} dimensionality - The dimensionality of the vector.
+ * @returns {Float64Array} - The noise vector.
+ */
+function sampleNoiseVector(rng, scalingFactor, approximationFactor, dimensionality) {
+    const normalVector = sampleNormalVector(dimensionality, rng, new Float64Array(dimensionality));
+    const uniformPoint = rng.nextUniform();
+    const scaledPoint = calculateUniformPointInBall(scalingFactor, approximationFactor, uniformPoint, dimensionality);
+    return normalizeVector(normalVector, scaledPoint);
+}
+
+
+/**
+ * Draws an unbiased integer in the range [0, bound) using rejection sampling.
+ * @param {KeystreamRng} rng - The generator to draw from.
+ * @param {number} bound - The exclusive upper bound (at most 2^32).
+ * @returns {number}
+ */
+function sampleIndex(rng, bound) {
+    const limit = 0x100000000 - (0x100000000 % bound);
+    let value = rng.nextUint32();
+    while (value >= limit) {
+        value = rng.nextUint32();
+    }
+    return value % bound;
+}
+
+
+/**
+ * Computes a Fisher-Yates permutation of `length` indices.
+ * @param {number} length - The number of elements to permute.
+ * @param {Function} nextIndex - Returns an integer in the range [0, bound) for a given bound.
+ * @returns {Array<number>} - The permuted indices.
+ */
+function permuteIndices(length, nextIndex) {
+    const indices = Array.from({ length }, (_, i) => i);
+    for (let i = indices.length - 1; i > 0; i--) {
+        const j = nextIndex(i + 1);
+        [indices[i], indices[j]] = [indices[j], indices[i]];
+    }
+    return indices;
+}
+
+
+/**
+ * Applies a permutation: element `i` of the result is `input[indices[i]]`.
+ * Typed arrays come back as the same typed array.
+ * @param {Array<number>} indices - The permutation.
+ * @param {Array|Float32Array|Float64Array} input - The array to permute.
+ * @returns {Array|Float32Array|Float64Array} - The permuted array.
+ */
+function applyPermutation(indices, input) {
+    const result = new input.constructor(indices.length);
+    for (let i = 0; i < indices.length; i++) {
+        result[i] = input[indices[i]];
+    }
+    return result;
+}
+
+
+/**
+ * Reverses a permutation applied with `applyPermutation`.
+ * Typed arrays come back as the same typed array.
+ * @param {Array<number>} indices - The permutation.
+ * @param {Array|Float32Array|Float64Array} shuffledArray - The permuted array.
+ * @returns {Array|Float32Array|Float64Array} - The array in its original order.
+ */
+function applyInversePermutation(indices, shuffledArray) {
+    // Create a mapping from shuffled position to original position
+    const reverseMap = new Array(indices.length);
+    for (let i = 0; i < indices.length; i++) {
+        reverseMap[indices[i]] = i;
+    }
+    return shuffledArray.map((_, i) => shuffledArray[reverseMap[i]]);
+}
+
+
+export {
+    KeystreamRng,
+    sampleNormalVector,
+    calculateUniformPointInBall,
+    normalizeVector,
+    sampleNoiseVector,
+    sampleIndex,
+    permuteIndices,
+    applyPermutation,
+    applyInversePermutation
+};
@@ -0,0 +1,156 @@
+import { isBytes, concatBytes, bytesToHex, equalBytes } from '../runtime/bytes.js';
+
+
+/**
+ * Helpers for the vector types the encryption functions accept, and the arithmetic of vector
+ * encryption that the Node implementation and the WebCrypto client share.
+ *
+ * A vector is a plain array of numbers, a `Float32Array` or a `Float64Array`. Typed arrays
+ * are passed through as they are, so embeddings from a model never need to be copied into
+ * a JS array first. Nothing here depends on Node's `crypto` or `Buffer`.
+ */
+
+
+/**
+ * Represents an authentication hash.
+ */
+class AuthHash {
+    constructor(hashBytes) {
+        if (!isBytes(hashBytes)) {
+            throw new TypeError("AuthHash must be initialized with a Uint8Array");
+        }
+        if (hashBytes.length !== 32) {
+            throw new Error("AuthHash must be 32 bytes long");
+        }
+        this.hashBytes = hashBytes;
+    }
+
+
+    getBytes() {
+        return this.hashBytes;
+    }
+
+
+    equals(other) {
+        return other instanceof AuthHash && equalBytes(this.hashBytes, other.hashBytes);
+    }
+
+
+    toString() {
+        return `AuthHash(${bytesToHex(this.hashBytes)})`;
+    }
+}
+
+
+/**
+ * Checks whether a value is a vector: an array of numbers, a `Float32Array` or a `Float64Array`.
+ * @param {*} value - The value to check.
+ * @returns {boolean}
+ */
+function isVector(value) {
+    if (value instanceof Float32Array || value instanceof Float64Array) {
+        return true;
+    }
+    return Array.isArray(value) && value.every((x) => typeof x === 'number');
+}
+
+
+/**
+ * Allocates a vector of the same kind as another: a typed array of the same type,
+ * or a plain array.
+ * @param {Array<number>|Float32Array|Float64Array} template - The vector whose kind to copy.
+ * @param {number} length - The length of the new vector.
+ * @returns {Array<number>|Float32Array|Float64Array}
+ */
+function createVectorLike(template, length) {
+    if (template instanceof Float32Array || template instanceof Float64Array) {
+        return new template.constructor(length);
+    }
+    return new Array(length);
+}
+
+
+/**
+ * Returns the bytes of a vector stored as 32-bit floats in platform byte order, which is
+ * how vector authentication hashes have always been computed. A `Float32Array` is viewed
+ * in place rather than copied.
+ * @param {Array<number>|Float32Array|Float64Array} vector - The vector.
+ * @returns {Uint8Array}
+ */
+function vectorToFloat32Bytes(vector) {
+    const floats = vector instanceof Float32Array ? vector : Float32Array.from(vector);
+    return new Uint8Array(floats.buffer, floats.byteOffset, floats.byteLength);
+}
+
+
+/**
+ * Scales a vector and adds noise to it: `scalingFactor * vector[i] + noiseVector[i]`.
+ * @param {Array<number>|Float32Array|Float64Array} vector - The plaintext vector, already shuffled.
+ * @param {number} scalingFactor - The scaling factor.
+ * @param {Float64Array} noiseVector - The noise vector, of the same length.
+ * @returns {Array<number>|Float32Array|Float64Array} - The ciphertext, of the same type as the vector.
+ * @throws {Error} If a component overflows.
+ */
+function addNoise(vector, scalingFactor, noiseVector) {
+    const ciphertext = createVectorLike(vector, vector.length);
+    for (let i = 0; i < vector.length; i++) {
+        ciphertext[i] = scalingFactor * vector[i] + noiseVector[i];
+        if (!Number.isFinite(ciphertext[i])) {
+            throw new Error("Overflow error: Embedding or approximation factor too large.");
+        }
+    }
+    return ciphertext;
+}
+
+
+/**
+ * Reverses addNoise.
+ * @param {Array<number>|Float32Array|Float64Array} ciphertext - The encrypted vector.
+ * @param {number} scalingFactor - The scaling factor.
+ * @param {Float64Array} noiseVector - The noise vector the ciphertext was encrypted with.
+ * @returns {Array<number>|Float32Array|Float64Array} - The shuffled plaintext, of the same type as the ciphertext.
+ */
+function removeNoise(ciphertext, scalingFactor, noiseVector) {
+    const vector = createVectorLike(ciphertext, ciphertext.length);
+    for (let i = 0; i < ciphertext.length; i++) {
+        vector[i] = (ciphertext[i] - noiseVector[i]) / scalingFactor;
+    }
+    return vector;
+}
+
+
+/**
+ * Returns the message an AuthHash is the HMAC of: the scaling factor, the approximation
+ * factor, the IV and the ciphertext, with every number as a 32-bit float, then the metadata
+ * fields after the AuthHash (see encodeVectorMetadataTrailer) and their length in one byte.
+ *
+ * Without a trailer the message is the one vectors have always been authenticated with. The
+ * length byte keeps trailers of different lengths apart, and a trailer apart from the float32
+ * ciphertext bytes, which always number a multiple of four.
+ * @param {number} scalingFactor - The scaling factor.
+ * @param {number} approximationFactor - The approximation factor.
+ * @param {Uint8Array} iv - The initialization vector.
+ * @param {Array<number>|Float32Array|Float64Array} ciphertext - The encrypted vector.
+ * @param {Uint8Array} [trailer] - The metadata fields after the AuthHash.
+ * @returns {Uint8Array}
+ */
+function authHashMessage(scalingFactor, approximationFactor, iv, ciphertext, trailer = new Uint8Array(0)) {
+    return concatBytes(
+        vectorToFloat32Bytes([scalingFactor, approximationFactor]),
+        iv,
+        vectorToFloat32Bytes(ciphertext),
+        trailer,
+        trailer.length > 0 ? Uint8Array.of(trailer.length) : trailer
+    );
+}
+
+
+export {
+    AuthHash,
+    isVector,
+    createVectorLike,
+    vectorToFloat32Bytes,
+    addNoise,
+    removeNoise,
+    authHashMessage
+};
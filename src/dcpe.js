@@ -16,12 +16,17 @@
  * // Encrypt a vector
  * const vector = [0.1, 0.2, 0.3, 0.4];
  * const encryptedVector = dcpe.encryptVector(vector);
+ * // encryptedVector is { vector, metadata }
  * ```
  */
 import * as crypto from './crypto/index.js';
+import * as headers from './headers/index.js';
 import * as ragEncryption from './rag_encryption/index.js';
 import * as keyProvider from './key_provider/index.js';
 import * as keys from './keys/index.js';
+import * as batch from './batch/index.js';
+import * as schemas from './schema/index.js';
+import * as filters from './filters/index.js';
 
 
 class DCPE {
@@ -121,7 +126,13 @@ class DCPE {
    * ```
    */
   setKeys(encryptionKeys) {
+    const previousKeys = this.keyProvider.currentKey;
     this.keyProvider.setKeys(encryptionKeys);
+
+    // Drop the cached text client of the replaced key so its material is not kept around
+    if (previousKeys && previousKeys !== this.keyProvider.currentKey) {
+      ragEncryption.invalidateClient(previousKeys);
+    }
   }
 
 
@@ -130,62 +141,134 @@ class DCPE {
    * This preserves the relative distances between vectors so similarity search
    * still works on the encrypted vectors.
    *
-   * @param {Array<number>} vector - Vector to encrypt
+   * @param {Array<number>|Float32Array|Float64Array} vector - Vector to encrypt
    * @param {Object} options - Encryption options
-   * @returns {Array<number>} - Encrypted vector that can be stored in a vector database
+   * @param {number} [options.approximationFactor] - Overrides the configured approximation factor
+   * @returns {{vector: Array<number>|Float32Array|Float64Array, metadata: string}} - Encrypted vector, of the
+   *   same type as the input, to store in a vector database, and base64 metadata (key header, IV and auth hash)
+   *   to store alongside it for decryption
    * @throws {Error} If encryption fails or keys are not set
    *
    * @example
    * ```javascript
    * const vector = [0.1, 0.2, 0.3, 0.4];
-   * const encryptedVector = dcpe.encryptVector(vector);
-   * // Store encryptedVector in your vector database
+   * const encrypted = dcpe.encryptVector(vector);
+   * // Store encrypted.vector in your vector database and encrypted.metadata next to it
    * ```
    */
   encryptVector(vector, options = {}) {
     const key = this.keyProvider.getKeys();
-    const approximationFactor = options.approximationFactor || this.config.vectorConfig.approximationFactor || 1.0;
+    const approximationFactor = this._getApproximationFactor(options);
    
     // Directly pass the needed parameters to the crypto function in the correct order
     const result = crypto.encryptVector(key, approximationFactor, vector);
-   
-    return result.ciphertext; // Return just the ciphertext for storage
+    const keyIdHeader = new headers.KeyIdHeader(0, headers.EdekType.STANDALONE, headers.PayloadType.VECTOR_METADATA);
+    const metadata = headers.encodeVectorMetadata(keyIdHeader, result.iv, result.authHash);
+
+    return {
+      vector: result.ciphertext,
+      metadata: metadata.toString('base64')
+    };
+  }
+
+
+  /**
+   * Encrypt several vectors with the same options
+   * @param {Array<Array<number>>} vectors - Vectors to encrypt
+   * @param {Object} options - Encryption options (see encryptVector)
+   * @returns {Array<{vector: Array<number>, metadata: string}>} - Encrypted vectors, in input order
+   * @throws {Error} If encryption fails or keys are not set
+   *
+   * @example
+   * ```javascript
+   * const encrypted = dcpe.encryptVectors([[0.1, 0.2], [0.3, 0.4]]);
+   * ```
+   */
+  encryptVectors(vectors, options = {}) {
+    if (!Array.isArray(vectors)) {
+      throw new TypeError('Vectors must be an array');
+    }
+    return vectors.map((vector) => this.encryptVector(vector, options));
   }
 
 
   /**
    * Decrypt a vector that was encrypted with DCPE
-   * @param {Array<number>} encryptedVector - Encrypted vector
+   * @param {{vector: Array<number>, metadata: string}|Array<number>|Float32Array|Float64Array} encrypted - The
+   *   object returned by encryptVector, or the encrypted vector on its own (then pass its metadata as the second argument)
+   * @param {string|Buffer|Object} [metadata] - Vector metadata, when `encrypted` is a bare vector:
+   *   the base64 string or Buffer from encryptVector, or an object with `iv` and `authHash`
    * @param {Object} options - Decryption options
-   * @returns {Array<number>} - Original, decrypted vector
+   * @param {number} [options.approximationFactor] - Overrides the configured approximation factor
+   * @returns {Array<number>|Float32Array|Float64Array} - Original, decrypted vector, of the same type as the
+   *   encrypted vector
    * @throws {Error} If decryption fails or keys are not set
    *
    * @example
    * ```javascript
-   * const encryptedVector = getVectorFromDatabase();
-   * const decryptedVector = dcpe.decryptVector(encryptedVector);
+   * const encrypted = dcpe.encryptVector(vector);
+   * const decryptedVector = dcpe.decryptVector(encrypted);
    * ```
    */
-  decryptVector(encryptedVector, metadata, options = {}) {
+  decryptVector(encrypted, metadata, options = {}) {
+    let ciphertext = encrypted;
+    if (encrypted && !crypto.isVector(encrypted) && typeof encrypted === 'object') {
+      // decryptVector({ vector, metadata }, options)
+      ciphertext = encrypted.vector;
+      options = metadata || {};
+      metadata = encrypted.metadata;
+    }
+    if (!metadata) {
+      throw new TypeError('Vector metadata is required for decryption');
+    }
+
     const key = this.keyProvider.getKeys();
-    const approximationFactor = options.approximationFactor || this.config.vectorConfig.approximationFactor || 1.0;
+    const approximationFactor = this._getApproximationFactor(options);
    
     // Create the encryptedResult object expected by the crypto function
     const encryptedResult = {
-      ciphertext: encryptedVector,
-      iv: metadata.iv,
-      authHash: metadata.authHash
+      ciphertext,
+      ...this._decodeVectorMetadata(metadata)
     };
    
     return crypto.decryptVector(key, approximationFactor, encryptedResult);
   }
 
 
+  /**
+   * Resolve the approximation factor from call options and configuration
+   * @private
+   */
+  _getApproximationFactor(options) {
+    return options.approximationFactor || this.config.vectorConfig.approximationFactor || 1.0;
+  }
+
+
+  /**
+   * Decode vector metadata into the IV and auth hash
+   * @private
+   */
+  _decodeVectorMetadata(metadata) {
+    if (typeof metadata === 'string' || Buffer.isBuffer(metadata)) {
+      const bytes = Buffer.isBuffer(metadata) ? metadata : Buffer.from(metadata, 'base64');
+      const { iv, authHash } = headers.decodeVectorMetadata(bytes);
+      return { iv, authHash };
+    }
+    return {
+      iv: metadata.iv,
+      authHash: metadata.authHash
+    };
+  }
+
+
   /**
    * Encrypt text using AES-GCM encryption
    * @param {string} text - Text to encrypt
    * @param {Object} options - Encryption options
-   * @returns {Object} - Encrypted text object containing ciphertext, iv, and tag
+   * @param {string} [options.encoding] - 'buffer', 'base64url' or 'hex' to return a serialized envelope
+   * @param {string|Buffer} [options.aad] - Associated data, such as a record ID, to bind the ciphertext to
+   * @returns {Object|Buffer|string} - Encrypted text object containing ciphertext, iv, and tag,
+   *                                   or the serialized envelope when an encoding is given
    * @throws {Error} If encryption fails or keys are not set
    *
    * @example
@@ -193,6 +276,9 @@ class DCPE {
    * const text = "This is sensitive information";
    * const encryptedText = dcpe.encryptText(text);
    * // encryptedText contains { ciphertext, iv, tag } that can be stored
+   *
+   * const envelope = dcpe.encryptText(text, { encoding: 'base64url' });
+   * // envelope is a single string that records the key and algorithm used
    * ```
    */
   encryptText(text, options = {}) {
@@ -203,8 +289,11 @@ class DCPE {
 
   /**
    * Decrypt text that was encrypted with AES-GCM
-   * @param {Object} encryptedText - Encrypted text object containing ciphertext, iv, and tag
+   * @param {Object|Buffer|string} encryptedText - Encrypted text object containing ciphertext, iv, and tag,
+   *                                               or a serialized envelope
    * @param {Object} options - Decryption options
+   * @param {string} [options.encoding='base64url'] - Encoding of a string envelope
+   * @param {string|Buffer} [options.aad] - The associated data given to encryptText
    * @returns {string} - Original, decrypted text
    * @throws {Error} If decryption fails or keys are not set
    *
@@ -226,6 +315,8 @@ class DCPE {
    *
    * @param {string|number} value - Value to encrypt
    * @param {Object} options - Encryption options
+   * @param {string|Buffer} [options.aad] - Associated data, such as the field name, to bind the ciphertext to.
+   *                                        Filters must encrypt their values with the same aad.
    * @returns {Buffer} - Deterministically encrypted value that can be used for filtering
    * @throws {Error} If encryption fails or keys are not set
    *
@@ -246,6 +337,7 @@ class DCPE {
    * Decrypt metadata field that was encrypted with deterministic encryption
    * @param {Buffer} encryptedValue - Encrypted value
    * @param {Object} options - Decryption options
+   * @param {string|Buffer} [options.aad] - The associated data given to encryptMetadata
    * @returns {string|number} - Original, decrypted value
    * @throws {Error} If decryption fails or keys are not set
    *
@@ -259,6 +351,289 @@ class DCPE {
     const keys = this.keyProvider.getKeys();
     return ragEncryption.decryptMetadataField(encryptedValue, keys, options);
   }
+
+
+  /**
+   * Encrypt a number or date with order-preserving encryption, so range filters can compare ciphertexts.
+   * Ciphertexts reveal the order of the values, so only use it for fields whose order is not sensitive.
+   * @param {number|Date} value - Finite number, or date (encrypted as its millisecond timestamp)
+   * @param {Object} options - Encryption options
+   * @param {string} [options.encoding='hex'] - 'hex' for a fixed-width string that sorts like the values, or 'bigint'
+   * @returns {string|bigint} - Ordered ciphertext
+   * @throws {Error} If the value is not a finite number or valid date, or keys are not set
+   *
+   * @example
+   * ```javascript
+   * const uploadDate = dcpe.encryptOrderedField(new Date());
+   *
+   * // Later, filter on a date range
+   * const { gte, lte } = dcpe.encryptOrderedRange({ gte: new Date('2025-01-01'), lte: new Date('2025-03-31') });
+   * const filter = `upload_date >= "${gte}" and upload_date <= "${lte}"`;
+   * ```
+   */
+  encryptOrderedField(value, options = {}) {
+    const keys = this.keyProvider.getKeys();
+    return ragEncryption.encryptOrderedField(value, keys, options);
+  }
+
+
+  /**
+   * Decrypt a value encrypted with encryptOrderedField
+   * @param {string|bigint} ciphertext - Ordered ciphertext
+   * @returns {number} - Original value; dates come back as millisecond timestamps
+   * @throws {Error} If decryption fails or keys are not set
+   */
+  decryptOrderedField(ciphertext) {
+    const keys = this.keyProvider.getKeys();
+    return ragEncryption.decryptOrderedField(ciphertext, keys);
+  }
+
+
+  /**
+   * Encrypt the bounds of a range filter on a field encrypted with encryptOrderedField
+   * @param {Object} range - Any of `gt`, `gte`, `lt` and `lte`
+   * @param {Object} options - Encryption options (see encryptOrderedField)
+   * @returns {Object} - The same bounds, encrypted
+   * @throws {Error} If a bound is unknown or invalid, or keys are not set
+   */
+  encryptOrderedRange(range, options = {}) {
+    const keys = this.keyProvider.getKeys();
+    return ragEncryption.encryptOrderedRange(range, keys, options);
+  }
+
+
+  /**
+   * Create a blind index for filters deterministic encryption cannot express: tags arrays (contains),
+   * case-insensitive matching and prefixes. Store `index.tokens(value)` next to the encrypted value and
+   * filter with `index.queryToken(value)`.
+   * @param {string} name - Index name, usually the field name; indexes with different names have unrelated tokens
+   * @param {Object} options - Index options
+   * @param {string} [options.type='exact'] - 'exact', 'tags' or 'prefix'
+   * @param {boolean} [options.caseInsensitive=false] - Match regardless of case
+   * @param {number} [options.tokenLength=16] - Bytes kept per token (1-32); shorter tokens leak less but match
+   *   more false positives
+   * @param {number} [options.minPrefixLength=1] - Shortest indexed prefix (prefix indexes)
+   * @param {number} [options.maxPrefixLength=16] - Longest indexed prefix (prefix indexes)
+   * @returns {BlindIndex} - The blind index
+   * @throws {Error} If the options are invalid or keys are not set
+   *
+   * @example
+   * ```javascript
+   * const tagIndex = dcpe.createBlindIndex('tags', { type: 'tags', caseInsensitive: true, tokenLength: 8 });
+   * const record = { tags: tagIndex.tokens(['Finance', 'Q3']) };
+   * const filter = `array_contains(tags, "${tagIndex.queryToken('finance')}")`;
+   * ```
+   */
+  createBlindIndex(name, options = {}) {
+    const keys = this.keyProvider.getKeys();
+    return ragEncryption.createBlindIndex(name, keys, options);
+  }
+
+
+  /**
+   * Compute the HMAC token of a field value, for fields stored in `hmac-token` mode.
+   * Equal values of the same field get equal tokens, so queries can filter on them without the
+   * value being stored, even encrypted.
+   * @param {string} field - Field name; tokens of different fields are unrelated
+   * @param {string} value - Field value
+   * @returns {string} - Token (base64url)
+   * @throws {Error} If keys are not set
+   *
+   * @example
+   * ```javascript
+   * const filter = `author == "${dcpe.createFieldToken('author', 'jane@example.com')}"`;
+   * ```
+   */
+  createFieldToken(field, value) {
+    return schemas.computeFieldToken(this._getKeyMaterial(), field, value);
+  }
+
+
+  /**
+   * Encrypt a record according to an encryption schema that lists the mode of each field:
+   * `vector`, `randomized`, `deterministic`, `ordered`, `plaintext` or `hmac-token`
+   * @param {Object} record - Plaintext record
+   * @param {Object} schema - Encryption schema `{ fields, strict }` (see schema.defineSchema)
+   * @returns {Object} - Encrypted record. The metadata of each vector field is stored in `<field>_metadata`
+   *   (or the field's `metadataField`); encrypted text and deterministic values are strings.
+   * @throws {InvalidConfigurationError} If the schema is invalid
+   * @throws {InvalidInputError} If the record has a field the schema does not list, or a value that cannot be encrypted
+   *
+   * @example
+   * ```javascript
+   * const documentSchema = schema.defineSchema({
+   *   fields: { id: 'plaintext', embedding: 'vector', chunk_text: 'randomized', source_url: 'deterministic' }
+   * });
+   * const encrypted = dcpe.encryptRecord({ id: 1, embedding, chunk_text, source_url }, documentSchema);
+   * // encrypted is { id, embedding, embedding_metadata, chunk_text, source_url }
+   * ```
+   */
+  encryptRecord(record, schema) {
+    return schemas.encryptRecord(this, record, schema);
+  }
+
+
+  /**
+   * Decrypt a record produced by encryptRecord with the same schema.
+   * Fields in `hmac-token` mode cannot be decrypted and keep their tokens.
+   * @param {Object} record - Encrypted record
+   * @param {Object} schema - Encryption schema
+   * @returns {Object} - Decrypted record, without the vector metadata fields
+   * @throws {InvalidConfigurationError} If the schema is invalid
+   * @throws {Error} If a field cannot be decrypted
+   */
+  decryptRecord(record, schema) {
+    return schemas.decryptRecord(this, record, schema);
+  }
+
+
+  /**
+   * Encrypt the values of a filter for records encrypted with encryptRecord and the same schema,
+   * ready to compile for a database with `filters.compileFilter`
+   * @param {Object} filter - Filter built with `filters.Filter`
+   * @param {Object} schema - Encryption schema of the records
+   * @returns {Object} - The filter with encrypted values
+   * @throws {InvalidInputError} If a field cannot be filtered, such as a randomized field, or a range is
+   *   asked of a field that is not ordered or plaintext
+   *
+   * @example
+   * ```javascript
+   * import { filters } from 'dcpe-js';
+   * const { Filter, compileFilter } = filters;
+   *
+   * const filter = dcpe.encryptFilter(Filter.and(
+   *   Filter.eq('source_url', 'https://example.com/report'),
+   *   Filter.range('upload_date', { gte: new Date('2025-01-01') })
+   * ), documentSchema);
+   * const expression = compileFilter(filter, 'milvus');
+   * ```
+   */
+  encryptFilter(filter, schema) {
+    return filters.encryptFilter(filter, this, schema);
+  }
+
+
+  /**
+   * Encrypt a batch of records, optionally spread over worker threads.
+   * A record that cannot be encrypted gets an error in its result instead of failing the batch.
+   * @param {Array<Object>} records - Records of the form `{ id, vector, text, metadata }`; every field but `id`
+   *   is optional, and the values of `metadata` are encrypted like encryptMetadata
+   * @param {Object} options - Batch options
+   * @param {number} [options.workers=0] - Number of worker threads; 0 encrypts in the calling thread
+   * @param {number} [options.chunkSize=256] - Number of records sent to a worker at a time
+   * @param {string} [options.textEncoding='base64url'] - Encoding of the text envelopes
+   * @param {number} [options.approximationFactor] - Overrides the configured approximation factor
+   * @returns {Promise<Array<Object>>} - One result per record, in input order: `{ id, vector, vectorMetadata, text, metadata }`
+   *   with the encrypted fields (vectorMetadata as base64, like encryptVector), or `{ id, error }`
+   * @throws {Error} If the records are not an array or keys are not set
+   *
+   * @example
+   * ```javascript
+   * const results = await dcpe.encryptBatch(chunks.map((chunk) => ({
+   *   id: chunk.id,
+   *   vector: chunk.embedding,
+   *   text: chunk.text,
+   *   metadata: { category: chunk.category }
+   * })), { workers: 4 });
+   *
+   * const failed = results.filter((result) => result.error);
+   * ```
+   */
+  async encryptBatch(records, options = {}) {
+    return batch.runBatch(this, records, batch.BatchOperation.ENCRYPT, options);
+  }
+
+
+  /**
+   * Decrypt a batch of records produced by encryptBatch, optionally spread over worker threads
+   * @param {Array<Object>} records - Records of the form `{ id, vector, vectorMetadata, text, metadata }`
+   * @param {Object} options - Batch options (see encryptBatch)
+   * @returns {Promise<Array<Object>>} - One result per record, in input order: `{ id, vector, text, metadata }`
+   *   with the decrypted fields, or `{ id, error }`
+   * @throws {Error} If the records are not an array or keys are not set
+   */
+  async decryptBatch(records, options = {}) {
+    return batch.runBatch(this, records, batch.BatchOperation.DECRYPT, options);
+  }
+
+
+  /**
+   * Encrypt the fields of one batch record
+   * @private
+   */
+  _encryptRecord(record, options) {
+    const result = { id: record.id };
+    if (record.vector !== undefined) {
+      const encrypted = this.encryptVector(record.vector, options);
+      result.vector = encrypted.vector;
+      result.vectorMetadata = encrypted.metadata;
+    }
+    if (record.text !== undefined) {
+      result.text = this.encryptText(record.text, { encoding: options.textEncoding || 'base64url' });
+    }
+    if (record.metadata !== undefined) {
+      result.metadata = batch.mapMetadata(record.metadata, (value) => this.encryptMetadata(value));
+    }
+    return result;
+  }
+
+
+  /**
+   * Decrypt the fields of one batch record
+   * @private
+   */
+  _decryptRecord(record, options) {
+    const result = { id: record.id };
+    if (record.vector !== undefined) {
+      result.vector = this.decryptVector(record.vector, record.vectorMetadata, options);
+    }
+    if (record.text !== undefined) {
+      result.text = this.decryptText(record.text, { encoding: options.textEncoding || 'base64url' });
+    }
+    if (record.metadata !== undefined) {
+      result.metadata = batch.mapMetadata(record.metadata, (value) => this.decryptMetadata(value));
+    }
+    return result;
+  }
+
+
+  /**
+   * Everything a worker thread needs to rebuild this instance: the vector configuration and current keys
+   * @private
+   */
+  _toBatchWorkerState() {
+    const currentKeys = this.keyProvider.getKeys();
+    return {
+      type: 'DCPE',
+      vectorConfig: this.config.vectorConfig,
+      keyMaterial: this._getKeyMaterial(),
+      scalingFactor: currentKeys instanceof keys.VectorEncryptionKey ? currentKeys.scalingFactor.getFactor() : null
+    };
+  }
+
+
+  /**
+   * Raw bytes of the current key
+   * @private
+   */
+  _getKeyMaterial() {
+    const currentKeys = this.keyProvider.getKeys();
+    return currentKeys instanceof keys.VectorEncryptionKey ? currentKeys.key.getBytes() : currentKeys;
+  }
+
+
+  /**
+   * Rebuild an instance in a worker thread from _toBatchWorkerState
+   * @private
+   */
+  static _fromBatchWorkerState(state) {
+    const dcpe = new DCPE({ vectorConfig: state.vectorConfig });
+    const keyMaterial = Buffer.from(state.keyMaterial);
+    dcpe.setKeys(state.scalingFactor === null
+      ? keyMaterial
+      : new keys.VectorEncryptionKey(new keys.ScalingFactor(state.scalingFactor), new keys.EncryptionKey(keyMaterial)));
+    return dcpe;
+  }
 }
 
 
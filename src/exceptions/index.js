@@ -34,6 +34,15 @@ class InvalidInputError extends DCPEError {
     }
 }
 
+// Error from a key provider that has no key under the requested ID
+class KeyNotFoundError extends InvalidKeyError {
+    constructor(message = "Key not found") {
+        super(message);
+        this.name = "KeyNotFoundError";
+        this.message = `KeyNotFoundError: ${message.replace(/^KeyNotFoundError: /, '')}`;
+    }
+}
+
 // Base class for encryption-related errors
 class EncryptError extends DCPEError {
     constructor(message = "Encryption error") {
@@ -139,6 +148,7 @@ export {
     DCPEError,
     InvalidConfigurationError,
     InvalidKeyError,
+    KeyNotFoundError,
     InvalidInputError,
     EncryptError,
     DecryptError,
@@ -0,0 +1,198 @@
+import { InvalidInputError } from '../exceptions/index.js';
+
+
+/**
+ * Filter expressions are small trees of plain objects, independent of any database:
+ *
+ * - `{ op: 'eq', field, value }`
+ * - `{ op: 'in', field, values }`
+ * - `{ op: 'range', field, bounds }`, with any of `gt`, `gte`, `lt` and `lte` in `bounds`
+ * - `{ op: 'and', filters }` / `{ op: 'or', filters }`
+ * - `{ op: 'not', filter }`
+ *
+ * Build them with `Filter`, encrypt their values with encryptFilter, then compile them for a database.
+ */
+
+
+/**
+ * Operators of filter nodes
+ * @enum {string}
+ */
+const FilterOperator = Object.freeze({
+    EQ: 'eq',
+    IN: 'in',
+    RANGE: 'range',
+    AND: 'and',
+    OR: 'or',
+    NOT: 'not'
+});
+
+
+const RANGE_BOUNDS = Object.freeze(['gt', 'gte', 'lt', 'lte']);
+
+
+/**
+ * Builders for filter nodes
+ *
+ * @example
+ * const filter = Filter.and(
+ *     Filter.eq('source_url', 'https://example.com/report'),
+ *     Filter.range('upload_date', { gte: new Date('2025-01-01') }),
+ *     Filter.not(Filter.in('category', ['draft', 'archived']))
+ * );
+ */
+const Filter = Object.freeze({
+    /**
+     * @param {string} field - Field name
+     * @param {*} value - Value the field must equal
+     * @returns {Object}
+     */
+    eq(field, value) {
+        return { op: FilterOperator.EQ, field: checkField(field), value: checkValue(value) };
+    },
+
+    /**
+     * @param {string} field - Field name
+     * @param {Array} values - Values, one of which the field must equal
+     * @returns {Object}
+     */
+    in(field, values) {
+        if (!Array.isArray(values) || values.length === 0) {
+            throw new InvalidInputError("Values of an in filter must be a non-empty array");
+        }
+        return { op: FilterOperator.IN, field: checkField(field), values: values.map(checkValue) };
+    },
+
+    /**
+     * @param {string} field - Field name
+     * @param {Object} bounds - Any of `gt`, `gte`, `lt` and `lte`
+     * @returns {Object}
+     */
+    range(field, bounds) {
+        return { op: FilterOperator.RANGE, field: checkField(field), bounds: checkBounds(bounds) };
+    },
+
+    /**
+     * @param {...Object} filters - Filters that must all match
+     * @returns {Object}
+     */
+    and(...filters) {
+        return { op: FilterOperator.AND, filters: checkFilters(filters) };
+    },
+
+    /**
+     * @param {...Object} filters - Filters, one of which must match
+     * @returns {Object}
+     */
+    or(...filters) {
+        return { op: FilterOperator.OR, filters: checkFilters(filters) };
+    },
+
+    /**
+     * @param {Object} filter - Filter that must not match
+     * @returns {Object}
+     */
+    not(filter) {
+        return { op: FilterOperator.NOT, filter: checkFilters([filter])[0] };
+    }
+});
+
+
+/**
+ * Call a visitor for the node type of a filter, checking the node on the way
+ * @param {Object} filter - Filter node
+ * @param {Object<string, Function>} visitors - One function per operator, called with the node
+ * @returns {*} - What the visitor returns
+ * @throws {InvalidInputError} If the node is malformed
+ */
+function visitFilter(filter, visitors) {
+    if (!filter || typeof filter !== 'object') {
+        throw new InvalidInputError("Filter must be an object");
+    }
+    switch (filter.op) {
+        case FilterOperator.EQ:
+            checkField(filter.field);
+            return visitors.eq(filter);
+        case FilterOperator.IN:
+            checkField(filter.field);
+            if (!Array.isArray(filter.values) || filter.values.length === 0) {
+                throw new InvalidInputError("Values of an in filter must be a non-empty array");
+            }
+            return visitors.in(filter);
+        case FilterOperator.RANGE:
+            checkField(filter.field);
+            checkBounds(filter.bounds);
+            return visitors.range(filter);
+        case FilterOperator.AND:
+        case FilterOperator.OR:
+            checkFilters(filter.filters);
+            return visitors[filter.op](filter);
+        case FilterOperator.NOT:
+            return visitors.not(filter);
+        default:
+            throw new InvalidInputError(`Unknown filter operator: ${filter.op}`);
+    }
+}
+
+
+/**
+ * @private
+ */
+function checkField(field) {
+    if (typeof field !== 'string' || field.length === 0) {
+        throw new InvalidInputError("Filter field must be a non-empty string");
+    }
+    return field;
+}
+
+
+/**
+ * @private
+ */
+function checkValue(value) {
+    if (value === undefined || value === null) {
+        throw new InvalidInputError("Filter values must not be null or undefined");
+    }
+    return value;
+}
+
+
+/**
+ * @private
+ */
+function checkBounds(bounds) {
+    if (!bounds || typeof bounds !== 'object' || Object.keys(bounds).length === 0) {
+        throw new InvalidInputError("Range bounds must be an object with at least one of gt, gte, lt and lte");
+    }
+    for (const [bound, value] of Object.entries(bounds)) {
+        if (!RANGE_BOUNDS.includes(bound)) {
+            throw new InvalidInputError(`Unknown range bound: ${bound}`);
+        }
+        checkValue(value);
+    }
+    return bounds;
+}
+
+
+/**
+ * @private
+ */
+function checkFilters(filters) {
+    if (!Array.isArray(filters) || filters.length === 0) {
+        throw new InvalidInputError("Combined filters must have at least one filter");
+    }
+    for (const filter of filters) {
+        if (!filter || typeof filter !== 'object' || !Object.values(FilterOperator).includes(filter.op)) {
+            throw new InvalidInputError("Combined filters must be filter nodes");
+        }
+    }
+    return filters;
+}
+
+
+export {
+    FilterOperator,
+    RANGE_BOUNDS,
+    Filter,
+    visitFilter
+};
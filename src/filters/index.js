@@ -0,0 +1,148 @@
+import { InvalidInputError } from '../exceptions/index.js';
+import { defineSchema, lookupField, FieldMode } from '../schema/index.js';
+import { FilterOperator, Filter, visitFilter } from './ast.js';
+import { compileMilvusFilter } from './milvus.js';
+import { compileQdrantFilter } from './qdrant.js';
+import { compilePineconeFilter } from './pinecone.js';
+import { compilePgvectorFilter, quoteIdentifier } from './pgvector.js';
+import { compileMemoryFilter } from './memory.js';
+
+
+/**
+ * Backend-agnostic filters over encrypted fields: build a filter with `Filter`, encrypt its values
+ * with the encryption schema of the collection, then compile it for the database.
+ *
+ * @example
+ * ```javascript
+ * const filter = Filter.and(
+ *     Filter.eq('source_url', url),
+ *     Filter.range('upload_date', { gte: new Date('2025-01-01') })
+ * );
+ * const expression = compileFilter(encryptFilter(filter, dcpe, schema), FilterDialect.MILVUS);
+ * ```
+ */
+
+
+/**
+ * Databases filters compile to
+ * @enum {string}
+ */
+const FilterDialect = Object.freeze({
+    MILVUS: 'milvus',     // Boolean expression string (Milvus, Zilliz)
+    QDRANT: 'qdrant',     // Filter JSON
+    PINECONE: 'pinecone', // Metadata filter JSON
+    PGVECTOR: 'pgvector', // Parameterized SQL condition `{ text, values }`
+    MEMORY: 'memory'      // Predicate over metadata objects (InMemoryAdapter)
+});
+
+
+const COMPILERS = Object.freeze({
+    [FilterDialect.MILVUS]: compileMilvusFilter,
+    [FilterDialect.QDRANT]: compileQdrantFilter,
+    [FilterDialect.PINECONE]: compilePineconeFilter,
+    [FilterDialect.PGVECTOR]: compilePgvectorFilter,
+    [FilterDialect.MEMORY]: compileMemoryFilter
+});
+
+
+/**
+ * Encrypt the values of a filter the way encryptRecord stores each field, so the filter matches
+ * the stored ciphertexts: deterministic fields are encrypted deterministically, ordered fields
+ * order-preserving, and hmac-token fields replaced by their tokens. Plaintext fields are unchanged.
+ * @param {Object} filter - Filter node
+ * @param {Object} codec - Object doing the encryption, such as a DCPE instance
+ * @param {Object} schema - Encryption schema of the records (see schema.defineSchema)
+ * @returns {Object} - A new filter with encrypted values
+ * @throws {InvalidInputError} If a field cannot be filtered the way the filter asks
+ */
+function encryptFilter(filter, codec, schema) {
+    const normalized = defineSchema(schema);
+
+    const modeOf = (field) => {
+        const known = lookupField(normalized, field);
+        if (known) {
+            return known.mode;
+        }
+        if (normalized.strict) {
+            throw new InvalidInputError(`Field ${field} is not in the encryption schema`);
+        }
+        return FieldMode.PLAINTEXT;
+    };
+    const encryptValue = (field, value) => {
+        const mode = modeOf(field);
+        switch (mode) {
+            case FieldMode.PLAINTEXT:
+                return value;
+            case FieldMode.DETERMINISTIC:
+                return codec.encryptMetadata(requireString(field, value)).toString('base64');
+            case FieldMode.ORDERED:
+                return codec.encryptOrderedField(value);
+            case FieldMode.HMAC_TOKEN:
+                return codec.createFieldToken(field, requireString(field, value));
+            default:
+                throw new InvalidInputError(`Field ${field} uses ${mode} encryption and cannot be filtered`);
+        }
+    };
+
+    const encrypt = (node) => visitFilter(node, {
+        eq: ({ field, value }) => Filter.eq(field, encryptValue(field, value)),
+        in: ({ field, values }) => Filter.in(field, values.map((value) => encryptValue(field, value))),
+        range: ({ field, bounds }) => {
+            const mode = modeOf(field);
+            if (mode !== FieldMode.PLAINTEXT && mode !== FieldMode.ORDERED) {
+                throw new InvalidInputError(`Range filters need an ordered or plaintext field; ${field} uses ${mode} encryption`);
+            }
+            return Filter.range(field, Object.fromEntries(Object.entries(bounds)
+                .map(([bound, value]) => [bound, encryptValue(field, value)])));
+        },
+        and: ({ filters }) => Filter.and(...filters.map(encrypt)),
+        or: ({ filters }) => Filter.or(...filters.map(encrypt)),
+        not: ({ filter: inner }) => Filter.not(encrypt(inner))
+    });
+
+    return encrypt(filter);
+}
+
+
+/**
+ * Compile a filter to the native syntax of a database
+ * @param {Object} filter - Filter node, usually from encryptFilter
+ * @param {string} dialect - Target database (see FilterDialect)
+ * @param {Object} [options] - Options of the compiler (pgvector: `startIndex`, `jsonColumn`)
+ * @returns {string|Object|Function} - Milvus expression, Qdrant or Pinecone filter object, pgvector
+ *   `{ text, values }`, or a predicate over metadata objects
+ * @throws {InvalidInputError} If the dialect is unknown or the filter cannot be expressed in it
+ */
+function compileFilter(filter, dialect, options = {}) {
+    const compiler = COMPILERS[dialect];
+    if (!compiler) {
+        throw new InvalidInputError(`Unknown filter dialect: ${dialect}`);
+    }
+    return compiler(filter, options);
+}
+
+
+/**
+ * @private
+ */
+function requireString(field, value) {
+    if (typeof value !== 'string') {
+        throw new InvalidInputError(`Filter values of ${field} must be strings to be encrypted`);
+    }
+    return value;
+}
+
+
+export {
+    FilterOperator,
+    FilterDialect,
+    Filter,
+    encryptFilter,
+    compileFilter,
+    compileMilvusFilter,
+    compileQdrantFilter,
+    compilePineconeFilter,
+    compilePgvectorFilter,
+    compileMemoryFilter,
+    quoteIdentifier
+};
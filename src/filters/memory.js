@@ -0,0 +1,102 @@
+import { visitFilter } from './ast.js';
+
+
+/**
+ * Compiles filters to predicates over metadata objects, for adapters that filter in JavaScript
+ * such as InMemoryAdapter. The semantics follow what the database compilers produce:
+ *
+ * - `eq` and `in` compare with strict equality; on an array field they match if any element does
+ * - ranges compare numbers, bigints and dates numerically, and strings code unit by code unit,
+ *   which orders ordered-encryption hex ciphertexts like `COLLATE "C"` does
+ * - a condition on a missing field, or on a value of another type than the bound, does not match,
+ *   so its negation does
+ */
+
+
+const COMPARISONS = Object.freeze({
+    gt: (a, b) => a > b,
+    gte: (a, b) => a >= b,
+    lt: (a, b) => a < b,
+    lte: (a, b) => a <= b
+});
+
+
+/**
+ * Compile a filter to a predicate
+ * @param {Object} filter - Filter node
+ * @returns {function(Object): boolean} - Predicate taking the metadata of a record
+ * @throws {InvalidInputError} If the filter is malformed
+ *
+ * @example
+ * const matches = compileMemoryFilter(Filter.range('page', { gte: 2 }));
+ * records.filter((record) => matches(record.metadata));
+ */
+function compileMemoryFilter(filter) {
+    return visitFilter(filter, {
+        eq: ({ field, value }) => {
+            const expected = comparable(value);
+            return (metadata) => anyValue(metadata, field, (actual) => actual === expected);
+        },
+        in: ({ field, values }) => {
+            const expected = new Set(values.map(comparable));
+            return (metadata) => anyValue(metadata, field, (actual) => expected.has(actual));
+        },
+        range: ({ field, bounds }) => {
+            const checks = Object.entries(bounds).map(([bound, value]) => {
+                const limit = comparable(value);
+                return (actual) => sameKind(actual, limit) && COMPARISONS[bound](actual, limit);
+            });
+            return (metadata) => anyValue(metadata, field, (actual) => checks.every((check) => check(actual)));
+        },
+        and: ({ filters }) => {
+            const predicates = filters.map(compileMemoryFilter);
+            return (metadata) => predicates.every((predicate) => predicate(metadata));
+        },
+        or: ({ filters }) => {
+            const predicates = filters.map(compileMemoryFilter);
+            return (metadata) => predicates.some((predicate) => predicate(metadata));
+        },
+        not: ({ filter: inner }) => {
+            const predicate = compileMemoryFilter(inner);
+            return (metadata) => !predicate(metadata);
+        }
+    });
+}
+
+
+/**
+ * Test the value of a field, or each element of an array field
+ * @private
+ */
+function anyValue(metadata, field, test) {
+    if (!metadata || !Object.prototype.hasOwnProperty.call(metadata, field)) {
+        return false;
+    }
+    const value = metadata[field];
+    if (Array.isArray(value)) {
+        return value.some((element) => element !== null && element !== undefined && test(comparable(element)));
+    }
+    return value !== null && value !== undefined && test(comparable(value));
+}
+
+
+/**
+ * @private
+ */
+function comparable(value) {
+    return value instanceof Date ? value.getTime() : value;
+}
+
+
+/**
+ * @private
+ */
+function sameKind(a, b) {
+    const numeric = (value) => typeof value === 'number' || typeof value === 'bigint';
+    return (numeric(a) && numeric(b)) || (typeof a === 'string' && typeof b === 'string');
+}
+
+
+export {
+    compileMemoryFilter
+};
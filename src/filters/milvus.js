@@ -0,0 +1,73 @@
+import { InvalidInputError } from '../exceptions/index.js';
+import { visitFilter } from './ast.js';
+
+
+/**
+ * Compiles filters to Milvus / Zilliz boolean expressions, such as
+ * `(source_url == "..." and upload_date >= "...")`.
+ */
+
+
+const FIELD_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+const COMPARISONS = Object.freeze({ gt: '>', gte: '>=', lt: '<', lte: '<=' });
+
+const ESCAPES = Object.freeze({ '\\': '\\\\', '"': '\\"', '\n': '\\n', '\r': '\\r', '\t': '\\t' });
+
+
+/**
+ * Compile a filter to a Milvus boolean expression
+ * @param {Object} filter - Filter node
+ * @returns {string} - The expression
+ * @throws {InvalidInputError} If the filter is malformed or has a field name or value Milvus cannot express
+ */
+function compileMilvusFilter(filter) {
+    return visitFilter(filter, {
+        eq: ({ field, value }) => `${fieldName(field)} == ${literal(value)}`,
+        in: ({ field, values }) => `${fieldName(field)} in [${values.map(literal).join(', ')}]`,
+        range: ({ field, bounds }) => `(${Object.entries(bounds)
+            .map(([bound, value]) => `${fieldName(field)} ${COMPARISONS[bound]} ${literal(value)}`)
+            .join(' and ')})`,
+        and: ({ filters }) => `(${filters.map(compileMilvusFilter).join(' and ')})`,
+        or: ({ filters }) => `(${filters.map(compileMilvusFilter).join(' or ')})`,
+        not: ({ filter: inner }) => `not (${compileMilvusFilter(inner)})`
+    });
+}
+
+
+/**
+ * @private
+ */
+function fieldName(field) {
+    if (!FIELD_PATTERN.test(field)) {
+        throw new InvalidInputError(`Invalid Milvus field name: ${field}`);
+    }
+    return field;
+}
+
+
+/**
+ * Milvus literal for a value; strings are double-quoted with backslash escapes
+ * @private
+ */
+function literal(value) {
+    switch (typeof value) {
+        case 'string':
+            return `"${value.replace(/[\\"\n\r\t]/g, (character) => ESCAPES[character])}"`;
+        case 'number':
+            if (!Number.isFinite(value)) {
+                throw new InvalidInputError("Filter numbers must be finite");
+            }
+            return String(value);
+        case 'bigint':
+        case 'boolean':
+            return String(value);
+        default:
+            throw new InvalidInputError(`Unsupported filter value type: ${typeof value}`);
+    }
+}
+
+
+export {
+    compileMilvusFilter
+};
@@ -0,0 +1,141 @@
+import { InvalidInputError } from '../exceptions/index.js';
+import { visitFilter } from './ast.js';
+
+
+/**
+ * Compiles filters to a parameterized SQL condition for PostgreSQL with pgvector, such as
+ * `("source_url" = $1 AND "upload_date" COLLATE "C" >= $2)`. Values are never written into the
+ * SQL; identifiers are double-quoted.
+ *
+ * Fields are columns by default. With `jsonColumn`, they are keys of a JSONB column and are cast
+ * to the type of the values they are compared with, except the fields listed in `columns`.
+ */
+
+
+const COMPARISONS = Object.freeze({ gt: '>', gte: '>=', lt: '<', lte: '<=' });
+
+
+/**
+ * Compile a filter to a SQL condition
+ * @param {Object} filter - Filter node
+ * @param {Object} [options] - Compiler options
+ * @param {number} [options.startIndex=1] - Number of the first parameter placeholder, to append the
+ *   condition to a query that already has parameters
+ * @param {string} [options.jsonColumn] - JSONB column holding the fields, instead of one column per field
+ * @param {Array<string>} [options.columns] - Fields with their own column even though `jsonColumn` is set
+ * @returns {{text: string, values: Array}} - The condition and its parameters
+ * @throws {InvalidInputError} If the filter is malformed or has unsupported values
+ *
+ * @example
+ * const { text, values } = compilePgvectorFilter(filter, { startIndex: 2, jsonColumn: 'metadata' });
+ * await pool.query(`SELECT id FROM chunks WHERE ${text} ORDER BY embedding <=> $1 LIMIT 5`, [query, ...values]);
+ */
+function compilePgvectorFilter(filter, options = {}) {
+    const startIndex = options.startIndex === undefined ? 1 : options.startIndex;
+    if (!Number.isInteger(startIndex) || startIndex < 1) {
+        throw new InvalidInputError("startIndex must be a positive integer");
+    }
+    const values = [];
+    const parameter = (value) => {
+        values.push(typeof value === 'bigint' ? value.toString() : value);
+        return `$${startIndex + values.length - 1}`;
+    };
+    const columns = new Set(options.columns || []);
+    const column = (field, sample) => columnExpression(field, sample, columns.has(field) ? null : options.jsonColumn);
+
+    const compile = (node) => visitFilter(node, {
+        eq: ({ field, value }) => `${column(field, value)} = ${parameter(sqlValue(value))}`,
+        in: ({ field, values: list }) => {
+            sameType(field, list);
+            return `${column(field, list[0])} IN (${list.map((value) => parameter(sqlValue(value))).join(', ')})`;
+        },
+        range: ({ field, bounds }) => {
+            const entries = Object.entries(bounds);
+            sameType(field, entries.map(([, value]) => value));
+            // Compare hex ciphertexts byte by byte, whatever the database collation
+            const collate = typeof entries[0][1] === 'string' ? ' COLLATE "C"' : '';
+            return `(${entries
+                .map(([bound, value]) => `${column(field, value)}${collate} ${COMPARISONS[bound]} ${parameter(sqlValue(value))}`)
+                .join(' AND ')})`;
+        },
+        and: ({ filters }) => `(${filters.map(compile).join(' AND ')})`,
+        or: ({ filters }) => `(${filters.map(compile).join(' OR ')})`,
+        not: ({ filter: inner }) => `NOT (${compile(inner)})`
+    });
+
+    return { text: compile(filter), values };
+}
+
+
+/**
+ * Double-quote an identifier, doubling embedded quotes
+ * @param {string} identifier - Table or column name
+ * @returns {string}
+ */
+function quoteIdentifier(identifier) {
+    if (typeof identifier !== 'string' || identifier.length === 0 || identifier.includes('\0')) {
+        throw new InvalidInputError("SQL identifiers must be non-empty strings without NUL characters");
+    }
+    return `"${identifier.replace(/"/g, '""')}"`;
+}
+
+
+/**
+ * @private
+ */
+function columnExpression(field, sample, jsonColumn) {
+    if (!jsonColumn) {
+        return quoteIdentifier(field);
+    }
+    const key = `(${quoteIdentifier(jsonColumn)}->>${quoteLiteral(field)})`;
+    switch (typeof sample) {
+        case 'number':
+        case 'bigint':
+            return `${key}::numeric`;
+        case 'boolean':
+            return `${key}::boolean`;
+        default:
+            return key;
+    }
+}
+
+
+/**
+ * Single-quote a string literal, doubling embedded quotes
+ * @private
+ */
+function quoteLiteral(text) {
+    if (text.includes('\0')) {
+        throw new InvalidInputError("SQL literals must not contain NUL characters");
+    }
+    return `'${text.replace(/'/g, "''")}'`;
+}
+
+
+/**
+ * @private
+ */
+function sqlValue(value) {
+    if (typeof value === 'string' || typeof value === 'boolean' || typeof value === 'bigint'
+        || (typeof value === 'number' && Number.isFinite(value))) {
+        return value;
+    }
+    throw new InvalidInputError(`Unsupported filter value type: ${typeof value}`);
+}
+
+
+/**
+ * @private
+ */
+function sameType(field, values) {
+    const type = typeof values[0];
+    if (values.some((value) => typeof value !== type)) {
+        throw new InvalidInputError(`Values compared with ${field} must all have the same type`);
+    }
+}
+
+
+export {
+    compilePgvectorFilter,
+    quoteIdentifier
+};
@@ -0,0 +1,75 @@
+import { InvalidInputError } from '../exceptions/index.js';
+import { visitFilter } from './ast.js';
+
+
+/**
+ * Compiles filters to Pinecone metadata filters (`$eq`, `$in`, `$gte`, `$and`, ...).
+ *
+ * Pinecone has no `$not`, so negations are pushed down to the conditions (`$ne`, `$nin` and
+ * the complementary comparisons). Its comparison operators only take numbers, so ranges over
+ * ordered ciphertexts (hex strings) are rejected.
+ */
+
+
+const COMPLEMENTS = Object.freeze({ gt: '$lte', gte: '$lt', lt: '$gte', lte: '$gt' });
+
+
+/**
+ * Compile a filter to a Pinecone metadata filter
+ * @param {Object} filter - Filter node
+ * @returns {Object} - The filter, to pass as `filter` in query requests
+ * @throws {InvalidInputError} If the filter is malformed or cannot be expressed in Pinecone
+ */
+function compilePineconeFilter(filter) {
+    return compile(filter, false);
+}
+
+
+/**
+ * @private
+ */
+function compile(filter, negated) {
+    return visitFilter(filter, {
+        eq: ({ field, value }) => ({ [field]: { [negated ? '$ne' : '$eq']: metadataValue(value) } }),
+        in: ({ field, values }) => ({ [field]: { [negated ? '$nin' : '$in']: values.map(metadataValue) } }),
+        range: ({ field, bounds }) => {
+            const entries = Object.entries(bounds).map(([bound, value]) => [bound, rangeValue(field, value)]);
+            if (!negated) {
+                return { [field]: Object.fromEntries(entries.map(([bound, value]) => [`$${bound}`, value])) };
+            }
+            // not (a and b) == (not a) or (not b)
+            const complements = entries.map(([bound, value]) => ({ [field]: { [COMPLEMENTS[bound]]: value } }));
+            return complements.length === 1 ? complements[0] : { $or: complements };
+        },
+        and: ({ filters }) => ({ [negated ? '$or' : '$and']: filters.map((inner) => compile(inner, negated)) }),
+        or: ({ filters }) => ({ [negated ? '$and' : '$or']: filters.map((inner) => compile(inner, negated)) }),
+        not: ({ filter: inner }) => compile(inner, !negated)
+    });
+}
+
+
+/**
+ * @private
+ */
+function metadataValue(value) {
+    if (typeof value === 'string' || typeof value === 'boolean' || (typeof value === 'number' && Number.isFinite(value))) {
+        return value;
+    }
+    throw new InvalidInputError(`Pinecone metadata filters only take strings, numbers and booleans, got ${typeof value}`);
+}
+
+
+/**
+ * @private
+ */
+function rangeValue(field, value) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+        throw new InvalidInputError(`Pinecone range filters only compare numbers; ${field} has a ${typeof value} bound`);
+    }
+    return value;
+}
+
+
+export {
+    compilePineconeFilter
+};
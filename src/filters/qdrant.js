@@ -0,0 +1,72 @@
+import { InvalidInputError } from '../exceptions/index.js';
+import { visitFilter, FilterOperator } from './ast.js';
+
+
+/**
+ * Compiles filters to Qdrant filter JSON: `must`, `should` and `must_not` clauses of
+ * `match` and `range` conditions.
+ *
+ * Qdrant range conditions only compare numbers, so ranges over ordered ciphertexts (hex strings)
+ * cannot be expressed; they are rejected rather than silently compared as something else.
+ */
+
+
+/**
+ * Compile a filter to a Qdrant filter
+ * @param {Object} filter - Filter node
+ * @returns {Object} - The filter, to pass as `filter` in search and scroll requests
+ * @throws {InvalidInputError} If the filter is malformed or cannot be expressed in Qdrant
+ */
+function compileQdrantFilter(filter) {
+    const condition = compileCondition(filter);
+    // The top level of a Qdrant filter must be a clause object
+    return condition.must || condition.should || condition.must_not ? condition : { must: [condition] };
+}
+
+
+/**
+ * @private
+ */
+function compileCondition(filter) {
+    return visitFilter(filter, {
+        eq: ({ field, value }) => ({ key: field, match: { value: matchValue(value) } }),
+        in: ({ field, values }) => ({ key: field, match: { any: values.map(matchValue) } }),
+        range: ({ field, bounds }) => ({ key: field, range: rangeBounds(field, bounds) }),
+        and: ({ filters }) => ({ must: filters.map(compileCondition) }),
+        or: ({ filters }) => ({ should: filters.map(compileCondition) }),
+        not: ({ filter: inner }) => ({
+            must_not: inner.op === FilterOperator.OR ? inner.filters.map(compileCondition) : [compileCondition(inner)]
+        })
+    });
+}
+
+
+/**
+ * @private
+ */
+function matchValue(value) {
+    if (typeof value === 'string' || typeof value === 'boolean' || Number.isInteger(value)) {
+        return value;
+    }
+    throw new InvalidInputError(`Qdrant can only match strings, integers and booleans, got ${typeof value}`);
+}
+
+
+/**
+ * @private
+ */
+function rangeBounds(field, bounds) {
+    const range = {};
+    for (const [bound, value] of Object.entries(bounds)) {
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+            throw new InvalidInputError(`Qdrant range filters only compare numbers; ${field} has a ${typeof value} bound`);
+        }
+        range[bound] = value;
+    }
+    return range;
+}
+
+
+export {
+    compileQdrantFilter
+};
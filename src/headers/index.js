@@ -1,23 +1,31 @@
 import { InvalidInputError } from '../exceptions/index.js';
-import { AuthHash } from '../crypto/index.js';
+import { AuthHash } from '../crypto/vectors.js';
+import {
+    ShuffleAlgorithm,
+    KeyScheduleVersion,
+    EdekType,
+    PayloadType,
+    TextAlgorithm
+} from '../crypto/constants.js';
+import {
+    isBytes,
+    concatBytes,
+    bytesToHex,
+    hexToBytes,
+    bytesToBase64url,
+    base64urlToBytes,
+    uintToBytesBE,
+    readUint32BE,
+    toPlatformBytes
+} from '../runtime/bytes.js';
 
-/**
- * Enumeration for EDEK Types
- */
-const EdekType = Object.freeze({
-    STANDALONE: "Standalone",
-    SAAS_SHIELD: "SaasShield",
-    DATA_CONTROL_PLATFORM: "DataControlPlatform"
-});
+// The wire formats here are shared by RagEncryptionClient and WebRagEncryptionClient, so this
+// module only uses Uint8Array helpers. Bytes it returns are Buffers wherever Buffer exists.
 
 /**
- * Enumeration for Payload Types
+ * Encodings accepted by serializeEncryptedText and parseEncryptedText
  */
-const PayloadType = Object.freeze({
-    DETERMINISTIC_FIELD: "DeterministicField",
-    VECTOR_METADATA: "VectorMetadata",
-    STANDARD_EDEK: "StandardEdek"
-});
+const TEXT_ENCODINGS = ['buffer', 'base64url', 'hex'];
 
 /**
  * Represents the Key ID Header
@@ -56,19 +64,22 @@ class KeyIdHeader {
 
     /**
      * Serializes the KeyIdHeader to bytes.
-     * @returns {Buffer}
+     * @returns {Uint8Array}
+     * @throws {RangeError} If the key ID is not an unsigned 32-bit integer.
      */
     writeToBytes() {
-        const buffer = Buffer.alloc(6);
-        buffer.writeUInt32BE(this.keyId, 0); // Write keyId (4 bytes)
-        buffer.writeUInt8(this._encodeTypeByte(), 4); // Write encoded type byte
-        buffer.writeUInt8(0, 5); // Padding byte
-        return buffer;
+        if (!Number.isInteger(this.keyId) || this.keyId < 0 || this.keyId > 0xFFFFFFFF) {
+            throw new RangeError(`keyId must be an unsigned 32-bit integer, got ${this.keyId}`);
+        }
+        return toPlatformBytes(concatBytes(
+            uintToBytesBE(this.keyId), // keyId (4 bytes)
+            Uint8Array.of(this._encodeTypeByte(), 0) // Encoded type byte and padding byte
+        ));
     }
 
     /**
      * Parses bytes and reconstructs a KeyIdHeader instance.
-     * @param {Buffer} headerBytes - The serialized header bytes.
+     * @param {Uint8Array} headerBytes - The serialized header bytes.
      * @returns {KeyIdHeader}
      */
     static parseFromBytes(headerBytes) {
@@ -76,9 +87,9 @@ class KeyIdHeader {
             throw new InvalidInputError(`Header bytes must be 6 bytes long, got ${headerBytes.length}`);
         }
 
-        const keyId = headerBytes.readUInt32BE(0); // Read keyId (4 bytes)
-        const typeByte = headerBytes.readUInt8(4); // Read type byte
-        const paddingByte = headerBytes.readUInt8(5); // Read padding byte
+        const keyId = readUint32BE(headerBytes, 0); // Read keyId (4 bytes)
+        const typeByte = headerBytes[4]; // Read type byte
+        const paddingByte = headerBytes[5]; // Read padding byte
 
         if (paddingByte !== 0) {
             throw new InvalidInputError(`Padding byte in header is not zero: ${paddingByte}`);
@@ -119,49 +130,252 @@ class KeyIdHeader {
 }
 
 /**
- * Represents Vector Metadata, including IV and AuthHash.
+ * Represents Vector Metadata, including IV, AuthHash, the shuffle algorithm, the key schedule version
+ * and the optional tenant tag.
  */
 class VectorMetadata {
     /**
      * @param {KeyIdHeader} keyIdHeader - The KeyIdHeader instance.
-     * @param {Buffer} iv - The initialization vector.
+     * @param {Uint8Array} iv - The initialization vector.
      * @param {AuthHash} authHash - The authentication hash.
+     * @param {number} [shuffleAlgorithm=ShuffleAlgorithm.LEGACY_HMAC_BYTE] - The shuffle algorithm (from ShuffleAlgorithm).
+     * @param {number} [keyScheduleVersion=KeyScheduleVersion.LEGACY] - The key schedule version (from KeyScheduleVersion).
+     * @param {Uint8Array|null} [tenantTag=null] - The 4-byte tenant tag, for keys derived per tenant.
      */
-    constructor(keyIdHeader, iv, authHash) {
+    constructor(
+        keyIdHeader,
+        iv,
+        authHash,
+        shuffleAlgorithm = ShuffleAlgorithm.LEGACY_HMAC_BYTE,
+        keyScheduleVersion = KeyScheduleVersion.LEGACY,
+        tenantTag = null
+    ) {
         if (!(keyIdHeader instanceof KeyIdHeader)) {
             throw new TypeError("keyIdHeader must be an instance of KeyIdHeader");
         }
-        if (!Buffer.isBuffer(iv)) {
-            throw new TypeError("iv must be a Buffer");
+        if (!isBytes(iv)) {
+            throw new TypeError("iv must be a Uint8Array");
         }
         if (!(authHash instanceof AuthHash)) {
             throw new TypeError("authHash must be an instance of AuthHash");
         }
+        if (!Object.values(ShuffleAlgorithm).includes(shuffleAlgorithm)) {
+            throw new TypeError("shuffleAlgorithm must be a valid ShuffleAlgorithm value");
+        }
+        if (!Object.values(KeyScheduleVersion).includes(keyScheduleVersion)) {
+            throw new TypeError("keyScheduleVersion must be a valid KeyScheduleVersion value");
+        }
+        if (tenantTag !== null && !(isBytes(tenantTag) && tenantTag.length === 4)) {
+            throw new TypeError("tenantTag must be a 4-byte Uint8Array");
+        }
         this.keyIdHeader = keyIdHeader;
         this.iv = iv;
         this.authHash = authHash;
+        this.shuffleAlgorithm = shuffleAlgorithm;
+        this.keyScheduleVersion = keyScheduleVersion;
+        this.tenantTag = tenantTag;
     }
 }
 
 /**
  * Encodes vector metadata into bytes.
+ *
+ * Layout: KeyIdHeader (6) | IV (12) | AuthHash (32) | shuffle algorithm (1, optional)
+ * | key schedule version (1, optional) | tenant tag (4, optional). A missing trailing byte
+ * means the legacy value (`ShuffleAlgorithm.LEGACY_HMAC_BYTE`, `KeyScheduleVersion.LEGACY`),
+ * and a missing tenant tag means the keys were not derived per tenant. The AuthHash covers
+ * the fields after it (see encodeVectorMetadataTrailer).
+ *
  * @param {KeyIdHeader} keyIdHeader - The KeyIdHeader instance.
- * @param {Buffer} iv - The initialization vector.
+ * @param {Uint8Array} iv - The initialization vector.
  * @param {AuthHash} authHash - The authentication hash.
- * @returns {Buffer}
+ * @param {number} [shuffleAlgorithm] - The shuffle algorithm (from ShuffleAlgorithm) to record.
+ * @param {number} [keyScheduleVersion] - The key schedule version (from KeyScheduleVersion) to record.
+ *                                        Requires shuffleAlgorithm.
+ * @param {Uint8Array|null} [tenantTag] - The 4-byte tenant tag to record. Requires keyScheduleVersion.
+ * @returns {Uint8Array}
  */
-function encodeVectorMetadata(keyIdHeader, iv, authHash) {
-    return Buffer.concat([
+function encodeVectorMetadata(keyIdHeader, iv, authHash, shuffleAlgorithm, keyScheduleVersion, tenantTag) {
+    return toPlatformBytes(concatBytes(
         keyIdHeader.writeToBytes(),
         iv,
-        authHash.getBytes()
-    ]);
+        authHash.getBytes(),
+        encodeVectorMetadataTrailer(shuffleAlgorithm, keyScheduleVersion, tenantTag)
+    ));
+}
+
+/**
+ * Encodes the fields of vector metadata that follow the AuthHash. The AuthHash is computed
+ * over these bytes too, so they must be known before the vector is encrypted.
+ * @param {number} [shuffleAlgorithm] - The shuffle algorithm (from ShuffleAlgorithm) to record.
+ * @param {number} [keyScheduleVersion] - The key schedule version (from KeyScheduleVersion) to record.
+ *                                        Requires shuffleAlgorithm.
+ * @param {Uint8Array|null} [tenantTag] - The 4-byte tenant tag to record. Requires keyScheduleVersion.
+ * @returns {Uint8Array} - Empty when no field is given.
+ */
+function encodeVectorMetadataTrailer(shuffleAlgorithm, keyScheduleVersion, tenantTag) {
+    const parts = [];
+    if (shuffleAlgorithm !== undefined) {
+        parts.push(Uint8Array.of(shuffleAlgorithm));
+    } else if (keyScheduleVersion !== undefined) {
+        throw new InvalidInputError("keyScheduleVersion cannot be encoded without shuffleAlgorithm");
+    }
+    if (keyScheduleVersion !== undefined) {
+        parts.push(Uint8Array.of(keyScheduleVersion));
+    } else if (tenantTag) {
+        throw new InvalidInputError("tenantTag cannot be encoded without keyScheduleVersion");
+    }
+    if (tenantTag) {
+        if (!isBytes(tenantTag) || tenantTag.length !== 4) {
+            throw new InvalidInputError("tenantTag must be a 4-byte Uint8Array");
+        }
+        parts.push(tenantTag);
+    }
+    return toPlatformBytes(concatBytes(...parts));
+}
+
+/**
+ * Decodes vector metadata produced by encodeVectorMetadata.
+ * @param {Uint8Array} metadataBytes - The encoded metadata.
+ * @returns {VectorMetadata} - With `trailer` set to the bytes after the AuthHash, which the
+ *                             AuthHash covers.
+ * @throws {InvalidInputError} If the metadata is malformed.
+ */
+function decodeVectorMetadata(metadataBytes) {
+    const { keyIdHeader, remainingBytes } = decodeVersionPrefixedValue(metadataBytes);
+    if (keyIdHeader.payloadType !== PayloadType.VECTOR_METADATA) {
+        throw new InvalidInputError(`Expected a ${PayloadType.VECTOR_METADATA} payload, got ${keyIdHeader.payloadType}`);
+    }
+    if (![44, 45, 46, 50].includes(remainingBytes.length)) {
+        throw new InvalidInputError(`Vector metadata has an invalid length: ${metadataBytes.length}`);
+    }
+
+    const iv = remainingBytes.subarray(0, 12);
+    const authHash = new AuthHash(remainingBytes.subarray(12, 44));
+    const shuffleAlgorithm = remainingBytes.length > 44
+        ? remainingBytes[44]
+        : ShuffleAlgorithm.LEGACY_HMAC_BYTE;
+
+    const keyScheduleVersion = remainingBytes.length > 45
+        ? remainingBytes[45]
+        : KeyScheduleVersion.LEGACY;
+    const tenantTag = remainingBytes.length > 46
+        ? toPlatformBytes(remainingBytes.slice(46, 50))
+        : null;
+
+    if (!Object.values(ShuffleAlgorithm).includes(shuffleAlgorithm)) {
+        throw new InvalidInputError(`Unsupported shuffle algorithm in vector metadata: ${shuffleAlgorithm}`);
+    }
+    if (!Object.values(KeyScheduleVersion).includes(keyScheduleVersion)) {
+        throw new InvalidInputError(`Unsupported key schedule version in vector metadata: ${keyScheduleVersion}`);
+    }
+
+    const metadata = new VectorMetadata(keyIdHeader, iv, authHash, shuffleAlgorithm, keyScheduleVersion, tenantTag);
+    metadata.trailer = remainingBytes.subarray(44);
+    return metadata;
+}
+
+/**
+ * Serializes encrypted text into a self-describing envelope.
+ *
+ * Layout: KeyIdHeader (6, payload type `StandardEdek`) | algorithm (1) | nonce (12)
+ * | ciphertext | tag (16). The header carries the numeric ID of the key used, so the
+ * envelope can be decrypted without storing the key ID alongside it.
+ *
+ * @param {Object} encryptedText - Encrypted text as returned by RagEncryptionClient.encryptText.
+ * @param {Uint8Array} encryptedText.ciphertext - The encrypted text.
+ * @param {Uint8Array} encryptedText.iv - The 12-byte nonce.
+ * @param {Uint8Array} encryptedText.tag - The 16-byte authentication tag.
+ * @param {number} [encryptedText.keyId=0] - Numeric ID of the key used.
+ * @param {string} [encoding='buffer'] - 'buffer', 'base64url' or 'hex'.
+ * @param {number} [algorithm=TextAlgorithm.AES_256_GCM] - The algorithm (from TextAlgorithm) to record.
+ * @returns {Uint8Array|string} The envelope, as bytes or a string in the requested encoding.
+ * @throws {InvalidInputError} If a component or the encoding is invalid.
+ */
+function serializeEncryptedText(encryptedText, encoding = 'buffer', algorithm = TextAlgorithm.AES_256_GCM) {
+    const { ciphertext, iv, tag, keyId = 0 } = encryptedText || {};
+    if (!isBytes(ciphertext) || !isBytes(iv) || !isBytes(tag)) {
+        throw new InvalidInputError("Ciphertext, IV, and tag must be Uint8Arrays");
+    }
+    if (iv.length !== 12 || tag.length !== 16) {
+        throw new InvalidInputError("IV must be 12 bytes and tag must be 16 bytes");
+    }
+    if (!Object.values(TextAlgorithm).includes(algorithm)) {
+        throw new InvalidInputError(`Unsupported text algorithm: ${algorithm}`);
+    }
+    checkTextEncoding(encoding);
+
+    const keyIdHeader = new KeyIdHeader(keyId ?? 0, EdekType.STANDALONE, PayloadType.STANDARD_EDEK);
+    const envelope = concatBytes(
+        keyIdHeader.writeToBytes(),
+        Uint8Array.of(algorithm),
+        iv,
+        ciphertext,
+        tag
+    );
+    if (encoding === 'hex') {
+        return bytesToHex(envelope);
+    }
+    return encoding === 'base64url' ? bytesToBase64url(envelope) : toPlatformBytes(envelope);
+}
+
+/**
+ * Parses an envelope produced by serializeEncryptedText.
+ * @param {Uint8Array|string} serialized - The envelope, as bytes or an encoded string.
+ * @param {string} [encoding='base64url'] - Encoding of a string envelope: 'base64url' or 'hex'.
+ * @returns {{ keyIdHeader: KeyIdHeader, keyId: number, algorithm: number, iv: Uint8Array, ciphertext: Uint8Array, tag: Uint8Array }}
+ * @throws {InvalidInputError} If the envelope is malformed.
+ */
+function parseEncryptedText(serialized, encoding = 'base64url') {
+    let bytes = serialized;
+    if (typeof serialized === 'string') {
+        checkTextEncoding(encoding);
+        if (encoding === 'buffer') {
+            throw new InvalidInputError("A string envelope needs a 'base64url' or 'hex' encoding");
+        }
+        bytes = toPlatformBytes(encoding === 'hex' ? hexToBytes(serialized) : base64urlToBytes(serialized));
+    } else if (!isBytes(serialized)) {
+        throw new InvalidInputError("Serialized text must be a Uint8Array or a string");
+    }
+
+    const { keyIdHeader, remainingBytes } = decodeVersionPrefixedValue(bytes);
+    if (keyIdHeader.payloadType !== PayloadType.STANDARD_EDEK) {
+        throw new InvalidInputError(`Expected a ${PayloadType.STANDARD_EDEK} payload, got ${keyIdHeader.payloadType}`);
+    }
+    if (remainingBytes.length < 1 + 12 + 16) {
+        throw new InvalidInputError("Serialized text too short");
+    }
+
+    const algorithm = remainingBytes[0];
+    if (!Object.values(TextAlgorithm).includes(algorithm)) {
+        throw new InvalidInputError(`Unsupported text algorithm: ${algorithm}`);
+    }
+
+    return {
+        keyIdHeader,
+        keyId: keyIdHeader.keyId,
+        algorithm,
+        iv: remainingBytes.subarray(1, 13),
+        ciphertext: remainingBytes.subarray(13, remainingBytes.length - 16),
+        tag: remainingBytes.subarray(remainingBytes.length - 16)
+    };
+}
+
+/**
+ * Rejects encodings other than those in TEXT_ENCODINGS.
+ * @param {string} encoding - The requested encoding.
+ * @private
+ */
+function checkTextEncoding(encoding) {
+    if (!TEXT_ENCODINGS.includes(encoding)) {
+        throw new InvalidInputError(`Unsupported encoding: ${encoding}. Use one of ${TEXT_ENCODINGS.join(', ')}`);
+    }
 }
 
 /**
  * Decodes a byte stream with a prefixed KeyIdHeader.
- * @param {Buffer} valueBytes - The byte stream.
- * @returns {{ keyIdHeader: KeyIdHeader, remainingBytes: Buffer }}
+ * @param {Uint8Array} valueBytes - The byte stream.
+ * @returns {{ keyIdHeader: KeyIdHeader, remainingBytes: Uint8Array }}
  */
 function decodeVersionPrefixedValue(valueBytes) {
     if (valueBytes.length < 6) {
@@ -175,11 +389,87 @@ function decodeVersionPrefixedValue(valueBytes) {
     return { keyIdHeader, remainingBytes };
 }
 
+/**
+ * Prefixes a deterministic ciphertext with a KeyIdHeader, so decryption can pick the key it
+ * was encrypted with.
+ *
+ * Layout: KeyIdHeader (6) | nonce (12) | ciphertext | tag (16).
+ *
+ * @param {number} keyId - Numeric ID of the key used.
+ * @param {Uint8Array} encryptedField - nonce | ciphertext | tag.
+ * @returns {Uint8Array}
+ */
+function encodeDeterministicField(keyId, encryptedField) {
+    if (!isBytes(encryptedField)) {
+        throw new InvalidInputError("Encrypted field must be a Uint8Array");
+    }
+    return toPlatformBytes(concatBytes(
+        new KeyIdHeader(keyId, EdekType.STANDALONE, PayloadType.DETERMINISTIC_FIELD).writeToBytes(),
+        encryptedField
+    ));
+}
+
+/**
+ * Splits the KeyIdHeader off a deterministic ciphertext produced by encodeDeterministicField.
+ * Deterministic ciphertexts used to be written without a header, so bytes that do not start
+ * with a DeterministicField header come back whole, with a null key ID. A headerless ciphertext
+ * can still start with bytes that parse as a header; callers that fail to decrypt with the key
+ * of the header should retry without it.
+ * @param {Uint8Array} bytes - The deterministic ciphertext.
+ * @returns {{ keyId: number|null, encryptedField: Uint8Array }}
+ */
+function decodeDeterministicField(bytes) {
+    let decoded = null;
+    if (bytes.length >= 6 + 28) { // header + nonce + tag
+        try {
+            decoded = decodeVersionPrefixedValue(bytes);
+        } catch (error) {
+            if (!(error instanceof InvalidInputError)) {
+                throw error;
+            }
+        }
+    }
+    if (!decoded || decoded.keyIdHeader.payloadType !== PayloadType.DETERMINISTIC_FIELD) {
+        return { keyId: null, encryptedField: bytes };
+    }
+    return { keyId: decoded.keyIdHeader.keyId, encryptedField: decoded.remainingBytes };
+}
+
+/**
+ * Computes the numeric ID a KeyRegistry prefers for a key ID from the SHA-256 digest of the
+ * key ID: its first 4 bytes, with zero, which is reserved for keys without an identifier, mapped to 1.
+ * @param {Uint8Array} digest - The SHA-256 digest of the UTF-8 key ID.
+ * @returns {number}
+ */
+function numericKeyIdFromDigest(digest) {
+    const numericId = readUint32BE(digest, 0);
+    return numericId === 0 ? 1 : numericId;
+}
+
+/**
+ * Numeric key ID that headers carried before the key registry existed:
+ * the sum of the key ID's character codes modulo 9999.
+ * @param {string} keyId - The string key identifier.
+ * @returns {number}
+ */
+function legacyNumericKeyId(keyId) {
+    return (typeof keyId === 'string' ? keyId.split('').reduce((a, c) => a + c.charCodeAt(0), 0) : 1) % 9999;
+}
+
 export {
     EdekType,
     PayloadType,
+    TextAlgorithm,
     KeyIdHeader,
     VectorMetadata,
     encodeVectorMetadata,
-    decodeVersionPrefixedValue
+    encodeVectorMetadataTrailer,
+    decodeVectorMetadata,
+    serializeEncryptedText,
+    parseEncryptedText,
+    encodeDeterministicField,
+    decodeDeterministicField,
+    decodeVersionPrefixedValue,
+    numericKeyIdFromDigest,
+    legacyNumericKeyId
 };
\ No newline at end of file
@@ -11,7 +11,14 @@ import * as keyProvider from './key_provider/index.js';
 import * as keys from './keys/index.js';
 import * as ragEncryption from './rag_encryption/index.js';
 import * as configUtils from './utils/config-validator.js';
-import { BaseAdapter } from './adapters/index.js';
+import * as runtime from './runtime/index.js';
+import * as pipeline from './pipeline/index.js';
+import * as schema from './schema/index.js';
+import * as blindIndex from './blind_index/index.js';
+import * as filters from './filters/index.js';
+import { nodeRuntime } from './runtime/node.js';
+import { WebRagEncryptionClient } from './web/index.js';
+import { BaseAdapter, EncryptedAdapter, InMemoryAdapter, ZillizAdapter, PgVectorAdapter, QdrantAdapter, PineconeAdapter, LocalFileAdapter } from './adapters/index.js';
 
 // Import and export the main DCPE class
 import DCPE from './dcpe.js';
@@ -26,7 +33,21 @@ export {
   keys,
   ragEncryption,
   configUtils,
-  BaseAdapter
+  runtime,
+  pipeline,
+  schema,
+  blindIndex,
+  filters,
+  nodeRuntime,
+  WebRagEncryptionClient,
+  BaseAdapter,
+  EncryptedAdapter,
+  InMemoryAdapter,
+  ZillizAdapter,
+  PgVectorAdapter,
+  QdrantAdapter,
+  PineconeAdapter,
+  LocalFileAdapter
 };
 
 // Export version
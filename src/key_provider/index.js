@@ -1,4 +1,14 @@
+import crypto from 'crypto';
 import { ScalingFactor, EncryptionKey, VectorEncryptionKey } from '../keys/index.js';
+import { InvalidInputError, KeyNotFoundError } from '../exceptions/index.js';
+import { numericKeyIdFromDigest } from '../headers/index.js';
+
+
+/**
+ * Reserved key identifier under which key providers persist the key registry.
+ */
+const KEY_REGISTRY_ID = "__dcpe_key_registry__";
+
 /**
  * Abstract KeyProvider class for managing cryptographic keys.
  */
@@ -7,7 +17,8 @@ class KeyProvider {
      * Retrieves a key from the provider.
      * @param {string} [keyId] - The identifier for the key to retrieve.
      * @returns {Promise<Buffer>} - The raw key material as a Buffer.
-     * @throws {Error} - If the key is not found or cannot be accessed.
+     * @throws {KeyNotFoundError} - If there is no key under the identifier.
+     * @throws {Error} - If the key cannot be accessed.
      */
     async getKey(keyId) {
         throw new Error("getKey method must be implemented by subclasses");
@@ -24,6 +35,213 @@ class KeyProvider {
     async storeKey(keyMaterial, keyId) {
         throw new Error("storeKey method must be implemented by subclasses");
     }
+
+
+    /**
+     * Loads the persisted key registry entries.
+     * The default implementation reads them as JSON stored under KEY_REGISTRY_ID, and returns no
+     * entries only when getKey throws KeyNotFoundError: the registry is saved back after loading,
+     * so treating any other failure as an empty registry would overwrite the stored one.
+     * @returns {Promise<Object<string, number>>} - Map of string key IDs to numeric key IDs.
+     * @throws {Error} - If the registry exists but cannot be read.
+     */
+    async loadKeyRegistry() {
+        let registryBytes;
+        try {
+            registryBytes = await this.getKey(KEY_REGISTRY_ID);
+        } catch (error) {
+            if (error instanceof KeyNotFoundError) {
+                return {};
+            }
+            throw error;
+        }
+        return parseKeyRegistry(registryBytes);
+    }
+
+
+    /**
+     * Persists the key registry entries.
+     * The default implementation stores them as JSON under KEY_REGISTRY_ID.
+     * @param {Object<string, number>} entries - Map of string key IDs to numeric key IDs.
+     * @returns {Promise<void>}
+     */
+    async storeKeyRegistry(entries) {
+        await this.storeKey(Buffer.from(JSON.stringify(entries), 'utf8'), KEY_REGISTRY_ID);
+    }
+}
+
+
+/**
+ * Parses persisted key registry bytes.
+ * @param {Buffer} registryBytes - JSON encoded registry entries.
+ * @returns {Object<string, number>}
+ * @throws {InvalidInputError} - If the registry is malformed.
+ */
+function parseKeyRegistry(registryBytes) {
+    let entries;
+    try {
+        entries = JSON.parse(registryBytes.toString('utf8'));
+    } catch (error) {
+        throw new InvalidInputError(`Key registry is not valid JSON: ${error.message}`);
+    }
+    if (typeof entries !== 'object' || entries === null || Array.isArray(entries)) {
+        throw new InvalidInputError("Key registry must be an object");
+    }
+    return entries;
+}
+
+
+/**
+ * Maps string key identifiers to stable 32-bit numeric identifiers.
+ *
+ * Numeric IDs are written into KeyIdHeader, so a key used for encryption must keep
+ * its numeric ID forever. New IDs start from a hash of the key ID (probing on collision)
+ * and, once assigned, are persisted through the key provider when one is attached.
+ */
+class KeyRegistry {
+    /**
+     * @param {KeyProvider|null} [keyProvider=null] - Provider used to persist the registry.
+     */
+    constructor(keyProvider = null) {
+        this.keyProvider = keyProvider;
+        this.numericIds = new Map();
+        this.keyIds = new Map();
+    }
+
+
+    /**
+     * Loads persisted entries from the key provider, if any.
+     * @returns {Promise<KeyRegistry>}
+     */
+    async load() {
+        if (this.keyProvider && typeof this.keyProvider.loadKeyRegistry === 'function') {
+            const entries = await this.keyProvider.loadKeyRegistry();
+            for (const [keyId, numericId] of Object.entries(entries)) {
+                this._set(keyId, numericId);
+            }
+        }
+        return this;
+    }
+
+
+    /**
+     * Assigns (or returns the existing) numeric ID for a key ID without persisting it.
+     * @param {string} keyId - The string key identifier.
+     * @returns {number} - The numeric key identifier.
+     */
+    assign(keyId) {
+        if (typeof keyId !== 'string' || keyId.length === 0) {
+            throw new InvalidInputError("Key ID must be a non-empty string");
+        }
+        if (this.numericIds.has(keyId)) {
+            return this.numericIds.get(keyId);
+        }
+
+        let numericId = KeyRegistry.hashKeyId(keyId);
+        while (this.keyIds.has(numericId)) {
+            numericId = numericId === 0xFFFFFFFF ? 1 : numericId + 1;
+        }
+        this._set(keyId, numericId);
+        return numericId;
+    }
+
+
+    /**
+     * Assigns a numeric ID for a key ID and persists the registry if it changed.
+     * @param {string} keyId - The string key identifier.
+     * @returns {Promise<number>} - The numeric key identifier.
+     */
+    async register(keyId) {
+        const isNew = !this.numericIds.has(keyId);
+        const numericId = this.assign(keyId);
+        if (isNew) {
+            await this.save();
+        }
+        return numericId;
+    }
+
+
+    /**
+     * Persists the registry through the key provider, if one is attached.
+     * @returns {Promise<void>}
+     */
+    async save() {
+        if (this.keyProvider && typeof this.keyProvider.storeKeyRegistry === 'function') {
+            await this.keyProvider.storeKeyRegistry(this.toJSON());
+        }
+    }
+
+
+    /**
+     * Returns the numeric ID of a key ID, if registered.
+     * @param {string} keyId - The string key identifier.
+     * @returns {number|undefined}
+     */
+    getNumericId(keyId) {
+        return this.numericIds.get(keyId);
+    }
+
+
+    /**
+     * Returns the key ID registered for a numeric ID, if any.
+     * @param {number} numericId - The numeric key identifier.
+     * @returns {string|undefined}
+     */
+    getKeyId(numericId) {
+        return this.keyIds.get(numericId);
+    }
+
+
+    /**
+     * Serializes the registry entries.
+     * @returns {Object<string, number>}
+     */
+    toJSON() {
+        return Object.fromEntries(this.numericIds);
+    }
+
+
+    /**
+     * Creates a registry from entries serialized with toJSON.
+     * @param {Object<string, number>} entries - The serialized entries.
+     * @param {KeyProvider|null} [keyProvider=null] - Provider used to persist the registry.
+     * @returns {KeyRegistry}
+     */
+    static fromJSON(entries, keyProvider = null) {
+        const registry = new KeyRegistry(keyProvider);
+        for (const [keyId, numericId] of Object.entries(entries)) {
+            registry._set(keyId, numericId);
+        }
+        return registry;
+    }
+
+
+    /**
+     * Computes the preferred numeric ID for a key ID: the first 4 bytes of its SHA-256 hash.
+     * Zero is reserved for keys without an identifier.
+     * @param {string} keyId - The string key identifier.
+     * @returns {number}
+     */
+    static hashKeyId(keyId) {
+        return numericKeyIdFromDigest(crypto.createHash('sha256').update(keyId, 'utf8').digest());
+    }
+
+
+    /**
+     * Records an entry, rejecting conflicts with existing entries.
+     * @private
+     */
+    _set(keyId, numericId) {
+        if (!Number.isInteger(numericId) || numericId <= 0 || numericId > 0xFFFFFFFF) {
+            throw new InvalidInputError(`Invalid numeric key ID for ${keyId}: ${numericId}`);
+        }
+        const existing = this.keyIds.get(numericId);
+        if (existing !== undefined && existing !== keyId) {
+            throw new InvalidInputError(`Numeric key ID ${numericId} is already assigned to ${existing}`);
+        }
+        this.numericIds.set(keyId, numericId);
+        this.keyIds.set(numericId, keyId);
+    }
 }
 
 
@@ -47,12 +265,12 @@ class ClientKeyProvider extends KeyProvider {
      * Retrieves a key from the in-memory store.
      * @param {string} [keyId] - The identifier for the key to retrieve.
      * @returns {Promise<Buffer>} - The raw key material as a Buffer.
-     * @throws {Error} - If the key is not found.
+     * @throws {KeyNotFoundError} - If the key is not found.
      */
     async getKey(keyId) {
         const key = this.keyStore[keyId || "default"];
         if (!key) {
-            throw new Error(`Key not found: ${keyId || "default"}`);
+            throw new KeyNotFoundError(`Key not found: ${keyId || "default"}`);
         }
         return Buffer.from(key, "base64");
     }
@@ -91,12 +309,12 @@ class LocalKeyProvider extends KeyProvider {
      * Retrieves a key from the local store
      * @param {string} [keyId] - The identifier for the key to retrieve
      * @returns {Promise<Buffer>} - The raw key material as a Buffer
-     * @throws {Error} - If the key is not found
+     * @throws {KeyNotFoundError} - If the key is not found
      */
     async getKey(keyId) {
         const key = this.keys[keyId || "default"] || this.currentKey;
         if (!key) {
-            throw new Error(`Key not found: ${keyId || "default"}`);
+            throw new KeyNotFoundError(`Key not found: ${keyId || "default"}`);
         }
         return key;
     }
@@ -115,6 +333,17 @@ class LocalKeyProvider extends KeyProvider {
     }
 
 
+    /**
+     * Loads the persisted key registry entries
+     * Reads the local store directly, since getKey falls back to the current key
+     * @returns {Promise<Object<string, number>>} - Map of string key IDs to numeric key IDs
+     */
+    async loadKeyRegistry() {
+        const registryBytes = this.keys[KEY_REGISTRY_ID];
+        return registryBytes ? parseKeyRegistry(registryBytes) : {};
+    }
+
+
     /**
      * Sets the encryption keys
      * @param {Object|Buffer} encryptionKeys - Encryption keys to set
@@ -161,4 +390,4 @@ class LocalKeyProvider extends KeyProvider {
 }
 
 
-export { KeyProvider, ClientKeyProvider, LocalKeyProvider };
+export { KeyProvider, ClientKeyProvider, LocalKeyProvider, KeyRegistry, KEY_REGISTRY_ID };
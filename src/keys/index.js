@@ -1,5 +1,14 @@
 import crypto from 'crypto';
 import { InvalidKeyError } from '../exceptions/index.js';
+import { hkdf } from '../crypto/hkdf.js';
+import * as constants from '../crypto/constants.js';
+
+
+const { KeyScheduleVersion, CURRENT_KEY_SCHEDULE_VERSION } = constants;
+
+const KEY_SCHEDULE_SALT = Buffer.from(constants.KEY_SCHEDULE_SALT);
+const TENANT_TAG_LABEL = Buffer.from(constants.TENANT_TAG_LABEL);
+const TENANT_NAMESPACE_LABEL = Buffer.from(constants.TENANT_NAMESPACE_LABEL);
 
 
 /**
@@ -189,6 +198,116 @@ class VectorEncryptionKey {
 }
 
 
+/**
+ * Independent per-purpose subkeys derived from a single master key.
+ *
+ * With `KeyScheduleVersion.HKDF_V1` each subkey is HKDF(master, label) with its own label,
+ * so a weakness in one primitive does not carry over to the others.
+ * `KeyScheduleVersion.LEGACY` reproduces the original behaviour of using the master key
+ * for every purpose, and exists only to decrypt data written that way.
+ */
+class KeySchedule {
+    /**
+     * @param {EncryptionKey} vectorKey - Key for vector noise and authentication.
+     * @param {EncryptionKey} shuffleKey - Key for the vector permutation.
+     * @param {EncryptionKey} textKey - Key for randomized text encryption.
+     * @param {EncryptionKey} deterministicKey - Key for deterministic text encryption.
+     * @param {number} version - The key schedule version (from KeyScheduleVersion).
+     */
+    constructor(vectorKey, shuffleKey, textKey, deterministicKey, version) {
+        for (const key of [vectorKey, shuffleKey, textKey, deterministicKey]) {
+            if (!(key instanceof EncryptionKey)) {
+                throw new TypeError('KeySchedule subkeys must be EncryptionKey instances');
+            }
+        }
+        if (!Object.values(KeyScheduleVersion).includes(version)) {
+            throw new TypeError('version must be a valid KeyScheduleVersion value');
+        }
+        this.vectorKey = vectorKey;
+        this.shuffleKey = shuffleKey;
+        this.textKey = textKey;
+        this.deterministicKey = deterministicKey;
+        this.version = version;
+    }
+
+
+    /**
+     * Derives the subkeys for a master key.
+     * @param {Buffer} masterKey - The raw master key bytes.
+     * @param {number} [version=CURRENT_KEY_SCHEDULE_VERSION] - The key schedule version.
+     * @returns {KeySchedule}
+     * @throws {InvalidKeyError} If the version is not supported.
+     */
+    static derive(masterKey, version = CURRENT_KEY_SCHEDULE_VERSION) {
+        if (!Buffer.isBuffer(masterKey)) {
+            throw new TypeError('Master key must be a Buffer');
+        }
+
+        switch (version) {
+            case KeyScheduleVersion.LEGACY: {
+                const key = new EncryptionKey(masterKey);
+                return new KeySchedule(key, key, key, key, version);
+            }
+            case KeyScheduleVersion.HKDF_V1: {
+                const derive = (label) => new EncryptionKey(
+                    hkdf(masterKey, 32, KEY_SCHEDULE_SALT, Buffer.from(`${constants.KEY_SCHEDULE_V1_PREFIX}${label}`))
+                );
+                return new KeySchedule(
+                    derive('vector'),
+                    derive('shuffle'),
+                    derive('text'),
+                    derive('deterministic'),
+                    version
+                );
+            }
+            default:
+                throw new InvalidKeyError(`Unsupported key schedule version: ${version}`);
+        }
+    }
+}
+
+
+/**
+ * Computes the 4-byte tag that binds vector metadata to a tenant.
+ * The tag is an HMAC of the tenant ID under a key derived from the master secret, so the tags
+ * stored next to each vector cannot be matched against guessed tenant IDs without the secret.
+ * @param {Buffer} masterSecret - The master secret the tenant keys are derived from.
+ * @param {string} tenantId - The tenant ID.
+ * @returns {Buffer}
+ */
+function computeTenantTag(masterSecret, tenantId) {
+    if (!Buffer.isBuffer(masterSecret)) {
+        throw new TypeError('Master secret must be a Buffer');
+    }
+    if (typeof tenantId !== 'string') {
+        throw new TypeError('Tenant ID must be a string');
+    }
+    const tagKey = hkdf(masterSecret, 32, KEY_SCHEDULE_SALT, TENANT_TAG_LABEL);
+    return crypto.createHmac('sha256', tagKey)
+        .update(Buffer.from(tenantId, 'utf-8'))
+        .digest()
+        .subarray(0, 4);
+}
+
+
+/**
+ * Computes the name of a tenant's namespace in a store shared by tenants.
+ * The name is an HMAC under the key material derived for the tenant, so only holders of the
+ * tenant's keys can tell which namespace belongs to which tenant.
+ * @param {Buffer} tenantKeyMaterial - The key material derived for the tenant.
+ * @returns {string} `tenant-` followed by 32 hex digits.
+ */
+function computeTenantNamespace(tenantKeyMaterial) {
+    if (!Buffer.isBuffer(tenantKeyMaterial)) {
+        throw new TypeError('Tenant key material must be a Buffer');
+    }
+    const hash = crypto.createHmac('sha256', tenantKeyMaterial)
+        .update(TENANT_NAMESPACE_LABEL)
+        .digest('hex');
+    return `tenant-${hash.slice(0, 32)}`;
+}
+
+
 /**
  * Generates a cryptographically random EncryptionKey (32 bytes).
  * @returns {EncryptionKey}
@@ -225,6 +344,11 @@ export {
     EncryptionKey,
     ScalingFactor,
     VectorEncryptionKey,
+    KeySchedule,
+    KeyScheduleVersion,
+    CURRENT_KEY_SCHEDULE_VERSION,
+    computeTenantTag,
+    computeTenantNamespace,
     generateRandomKey,
     generateEncryptionKeys
 }
\ No newline at end of file
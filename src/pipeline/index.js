@@ -0,0 +1,367 @@
+import { Transform } from 'stream';
+import { InvalidInputError } from '../exceptions/index.js';
+
+
+/**
+ * Streaming ingestion: encrypts records from an async iterable (or a stream) one at a time,
+ * so exports far larger than memory can be piped through encryption into a vector database.
+ *
+ * Input records are `{ id, embedding, text, fields }`. Output records are `{ id, vector, metadata }`,
+ * the shape adapters' `insert` takes: the encrypted embedding, and a metadata object holding the text
+ * envelope, the vector metadata needed to decrypt the embedding, and each field encrypted
+ * according to its policy. Encrypted values are strings, so they fit VARCHAR and JSON columns.
+ *
+ * Checkpoints record how many source records have been consumed. To resume an interrupted run,
+ * read the source again from the start and pass the last saved checkpoint as `resumeFrom`.
+ */
+
+
+/**
+ * How a field of an input record is stored
+ * @enum {string}
+ */
+const FieldPolicy = Object.freeze({
+    DETERMINISTIC: 'deterministic', // Encrypted deterministically (base64), so exact-match filters work
+    RANDOMIZED: 'randomized',       // Encrypted as a text envelope (base64url)
+    PLAINTEXT: 'plaintext',         // Stored as given
+    DROP: 'drop'                    // Not stored
+});
+
+
+const DEFAULT_OPTIONS = Object.freeze({
+    fields: {},
+    defaultPolicy: FieldPolicy.RANDOMIZED,
+    textField: 'text',
+    vectorMetadataField: 'vector_metadata',
+    batchSize: 0,
+    resumeFrom: null,
+    checkpointInterval: 1000,
+    progressInterval: 1000,
+    onCheckpoint: null,
+    onProgress: null,
+    onError: null
+});
+
+
+/**
+ * Encrypts records from an async iterable, yielding them ready for an adapter's `insert`.
+ *
+ * The generator only reads from the source when the consumer asks for the next record, so a slow
+ * consumer slows the reads down instead of records piling up in memory. A checkpoint is reported
+ * once the consumer has asked for the records after it, so in a `for await` loop that inserts each
+ * record or batch, a checkpoint never covers records that were not inserted yet.
+ *
+ * @param {AsyncIterable<Object>|Iterable<Object>} source - Records of the form `{ id, embedding, text, fields }`.
+ * @param {RagEncryptionClient} client - The client to encrypt with.
+ * @param {Object} [options] - Pipeline options.
+ * @param {Object<string, string>} [options.fields] - Policy (from FieldPolicy) of each field in `fields`.
+ * @param {string} [options.defaultPolicy='randomized'] - Policy of fields not listed in `options.fields`.
+ * @param {string} [options.textField='text'] - Metadata key of the text envelope.
+ * @param {string} [options.vectorMetadataField='vector_metadata'] - Metadata key of the vector metadata.
+ * @param {number} [options.batchSize=0] - Yield arrays of this many records instead of single records.
+ * @param {Object} [options.resumeFrom] - A checkpoint from an earlier run; the records it covers are skipped.
+ * @param {number} [options.checkpointInterval=1000] - Source records between checkpoints.
+ * @param {number} [options.progressInterval=1000] - Source records between progress reports.
+ * @param {Function} [options.onCheckpoint] - Called with `{ position, id }` at each checkpoint and at the end.
+ * @param {Function} [options.onProgress] - Called with `{ position, processed, failed, skipped }`.
+ * @param {Function} [options.onError] - Called with `(error, record)` for a record that cannot be encrypted,
+ *                                       which is then left out. Without it, the error ends the pipeline.
+ * @returns {AsyncGenerator<Object|Array<Object>>}
+ *
+ * @example
+ * for await (const batch of encryptRecords(readJsonl('chunks.jsonl'), client, {
+ *     fields: { source_url: FieldPolicy.DETERMINISTIC, page: FieldPolicy.PLAINTEXT },
+ *     batchSize: 500,
+ *     resumeFrom: loadCheckpoint(),
+ *     onCheckpoint: saveCheckpoint
+ * })) {
+ *     await adapter.insert(batch);
+ * }
+ */
+async function* encryptRecords(source, client, options = {}) {
+    const pipeline = new PipelineState(client, options);
+    let batch = [];
+    for await (const record of source) {
+        const encrypted = pipeline.process(record);
+        if (encrypted === null) {
+            continue;
+        }
+        if (pipeline.options.batchSize > 0) {
+            batch.push(encrypted);
+            if (batch.length < pipeline.options.batchSize) {
+                continue;
+            }
+            yield batch;
+            batch = [];
+        } else {
+            yield encrypted;
+        }
+        pipeline.delivered();
+    }
+    if (batch.length > 0) {
+        yield batch;
+        pipeline.delivered();
+    }
+    pipeline.finish();
+}
+
+
+/**
+ * Object-mode Transform stream that encrypts records, for use with `stream.pipeline`.
+ *
+ * It takes the same options as encryptRecords, except that checkpoints and progress are also
+ * emitted as 'checkpoint' and 'progress' events. Backpressure is handled by the stream machinery.
+ * A checkpoint is emitted once the records it covers have been pushed downstream, which may be
+ * up to a buffer's worth ahead of what the destination has written.
+ *
+ * @example
+ * const encryptStream = new EncryptionTransform(client, { fields: { category: FieldPolicy.DETERMINISTIC } });
+ * encryptStream.on('checkpoint', saveCheckpoint);
+ * await pipeline(readJsonlStream, encryptStream, adapterWriteStream);
+ */
+class EncryptionTransform extends Transform {
+    /**
+     * @param {RagEncryptionClient} client - The client to encrypt with.
+     * @param {Object} [options] - Pipeline options, as for encryptRecords, plus Transform options
+     *                             such as `highWaterMark`.
+     */
+    constructor(client, options = {}) {
+        const { highWaterMark, ...pipelineOptions } = options;
+        super({ objectMode: true, ...(highWaterMark === undefined ? {} : { highWaterMark }) });
+
+        this.pipeline = new PipelineState(client, {
+            ...pipelineOptions,
+            onCheckpoint: (checkpoint) => {
+                this.emit('checkpoint', checkpoint);
+                if (pipelineOptions.onCheckpoint) {
+                    pipelineOptions.onCheckpoint(checkpoint);
+                }
+            },
+            onProgress: (progress) => {
+                this.emit('progress', progress);
+                if (pipelineOptions.onProgress) {
+                    pipelineOptions.onProgress(progress);
+                }
+            }
+        });
+        this.batch = [];
+    }
+
+
+    _transform(record, encoding, callback) {
+        let encrypted;
+        try {
+            encrypted = this.pipeline.process(record);
+        } catch (error) {
+            callback(error);
+            return;
+        }
+        if (encrypted !== null) {
+            if (this.pipeline.options.batchSize > 0) {
+                this.batch.push(encrypted);
+                if (this.batch.length >= this.pipeline.options.batchSize) {
+                    this.push(this.batch);
+                    this.batch = [];
+                    this.pipeline.delivered();
+                }
+            } else {
+                this.push(encrypted);
+                this.pipeline.delivered();
+            }
+        }
+        callback();
+    }
+
+
+    _flush(callback) {
+        if (this.batch.length > 0) {
+            this.push(this.batch);
+            this.batch = [];
+            this.pipeline.delivered();
+        }
+        this.pipeline.finish();
+        callback();
+    }
+}
+
+
+/**
+ * Encrypts one input record according to the field policies.
+ * @param {RagEncryptionClient} client - The client to encrypt with.
+ * @param {Object} record - The record, `{ id, embedding, text, fields }`.
+ * @param {Object} [options] - The `fields`, `defaultPolicy`, `textField` and `vectorMetadataField` options
+ *                             of encryptRecords.
+ * @returns {{id: string|number, vector: Array<number>|Float32Array|Float64Array, metadata: Object}}
+ * @throws {InvalidInputError} If the record is malformed or a field cannot be stored under its policy.
+ */
+function encryptRecord(client, record, options = {}) {
+    const { fields, defaultPolicy, textField, vectorMetadataField } = { ...DEFAULT_OPTIONS, ...options };
+    if (!record || typeof record !== 'object') {
+        throw new InvalidInputError("Record must be an object");
+    }
+    if (typeof record.id !== 'string' && typeof record.id !== 'number') {
+        throw new InvalidInputError("Record id must be a string or a number");
+    }
+
+    const result = { id: record.id, metadata: {} };
+    if (record.embedding !== undefined) {
+        const [vector, vectorMetadata] = client.encryptVector(record.embedding);
+        result.vector = vector;
+        result.metadata[vectorMetadataField] = vectorMetadata.toString('base64');
+    }
+    if (record.text !== undefined) {
+        result.metadata[textField] = client.encryptText(record.text, { encoding: 'base64url' });
+    }
+
+    for (const [field, value] of Object.entries(record.fields || {})) {
+        if (field === textField || field === vectorMetadataField) {
+            throw new InvalidInputError(`Field ${field} collides with the ${field === textField ? 'text' : 'vector metadata'} field`);
+        }
+        const policy = fields[field] || defaultPolicy;
+        switch (policy) {
+            case FieldPolicy.DETERMINISTIC:
+                result.metadata[field] = client.encryptDeterministicText(requireString(field, value)).toString('base64');
+                break;
+            case FieldPolicy.RANDOMIZED:
+                result.metadata[field] = client.encryptText(requireString(field, value), { encoding: 'base64url' });
+                break;
+            case FieldPolicy.PLAINTEXT:
+                result.metadata[field] = value;
+                break;
+            case FieldPolicy.DROP:
+                break;
+            default:
+                throw new InvalidInputError(`Unknown field policy for ${field}: ${policy}`);
+        }
+    }
+    return result;
+}
+
+
+/**
+ * Checks that a field to be encrypted holds a string
+ * @private
+ */
+function requireString(field, value) {
+    if (typeof value !== 'string') {
+        throw new InvalidInputError(`Field ${field} must be a string to be encrypted`);
+    }
+    return value;
+}
+
+
+/**
+ * Counters, checkpoints and progress shared by encryptRecords and EncryptionTransform
+ * @private
+ */
+class PipelineState {
+    constructor(client, options) {
+        if (!client || typeof client.encryptVector !== 'function') {
+            throw new InvalidInputError("A RagEncryptionClient is required");
+        }
+        this.client = client;
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        for (const name of ['batchSize', 'checkpointInterval', 'progressInterval']) {
+            if (!Number.isInteger(this.options[name]) || this.options[name] < 0) {
+                throw new InvalidInputError(`${name} must be a non-negative integer`);
+            }
+        }
+
+        const { resumeFrom } = this.options;
+        this.resumePosition = resumeFrom ? resumeFrom.position : 0;
+        if (!Number.isInteger(this.resumePosition) || this.resumePosition < 0) {
+            throw new InvalidInputError("resumeFrom must be a checkpoint from an earlier run");
+        }
+
+        // position counts source records; a due checkpoint waits until the records before it are delivered
+        this.position = 0;
+        this.processed = 0;
+        this.failed = 0;
+        this.lastId = resumeFrom ? resumeFrom.id : null;
+        this.lastCheckpoint = this.resumePosition;
+        this.checkpointDue = false;
+    }
+
+
+    /**
+     * Encrypts the next source record, or returns null if it is skipped or failed
+     */
+    process(record) {
+        this.position++;
+        if (this.position <= this.resumePosition) {
+            return null;
+        }
+
+        let encrypted = null;
+        try {
+            encrypted = encryptRecord(this.client, record, this.options);
+            this.processed++;
+        } catch (error) {
+            if (!this.options.onError) {
+                throw error;
+            }
+            this.failed++;
+            this.options.onError(error, record);
+        }
+        this.lastId = record && typeof record === 'object' ? record.id : null;
+
+        const { checkpointInterval, progressInterval } = this.options;
+        if (checkpointInterval > 0 && this.position - this.lastCheckpoint >= checkpointInterval) {
+            this.checkpointDue = true;
+        }
+        if (progressInterval > 0 && (this.position - this.resumePosition) % progressInterval === 0) {
+            this.reportProgress();
+        }
+        return encrypted;
+    }
+
+
+    /**
+     * Called once everything processed so far has been handed to the consumer
+     */
+    delivered() {
+        if (this.checkpointDue) {
+            this.checkpointDue = false;
+            this.lastCheckpoint = this.position;
+            if (this.options.onCheckpoint) {
+                this.options.onCheckpoint(this.checkpoint());
+            }
+        }
+    }
+
+
+    /**
+     * Reports the final checkpoint and progress once the source is exhausted
+     */
+    finish() {
+        if (this.options.onCheckpoint && this.position > this.resumePosition) {
+            this.options.onCheckpoint(this.checkpoint());
+        }
+        this.reportProgress();
+    }
+
+
+    checkpoint() {
+        return { position: this.position, id: this.lastId };
+    }
+
+
+    reportProgress() {
+        if (this.options.onProgress) {
+            this.options.onProgress({
+                position: this.position,
+                processed: this.processed,
+                failed: this.failed,
+                skipped: Math.min(this.position, this.resumePosition)
+            });
+        }
+    }
+}
+
+
+export {
+    FieldPolicy,
+    encryptRecords,
+    encryptRecord,
+    EncryptionTransform
+};
@@ -1,9 +1,29 @@
-import { encryptVector, decryptVector, shuffle, unshuffle, computeAuthHash, AuthHash } from '../crypto/index.js';
-import { KeyIdHeader, encodeVectorMetadata, decodeVersionPrefixedValue } from '../headers/index.js';
-import { VectorEncryptionKey, EncryptionKey, ScalingFactor } from '../keys/index.js';
-import { InvalidInputError, DecryptError } from '../exceptions/index.js';
+import { encryptVector, decryptVector, shuffle, unshuffle, computeAuthHash, CURRENT_SHUFFLE_ALGORITHM } from '../crypto/index.js';
+import {
+    KeyIdHeader,
+    encodeVectorMetadata,
+    encodeVectorMetadataTrailer,
+    decodeVectorMetadata,
+    serializeEncryptedText,
+    parseEncryptedText,
+    encodeDeterministicField,
+    decodeDeterministicField,
+    legacyNumericKeyId
+} from '../headers/index.js';
+import { VectorEncryptionKey, EncryptionKey, ScalingFactor, KeySchedule, KeyScheduleVersion, computeTenantTag, computeTenantNamespace } from '../keys/index.js';
+import { KeyRegistry } from '../key_provider/index.js';
+import { InvalidInputError, InvalidKeyError, DecryptError } from '../exceptions/index.js';
 import crypto from 'crypto';
 import { hkdf } from '../crypto/hkdf.js';
+import { isVector } from '../crypto/vectors.js';
+import { BatchOperation, runBatch, mapMetadata } from '../batch/index.js';
+import { DETERMINISTIC_SALT, DETERMINISTIC_INFO, ORDERED_SALT, ORDERED_INFO } from '../crypto/constants.js';
+import { encryptOrdered, decryptOrdered, splitOrderedKeyId } from '../crypto/ordered.js';
+import { BlindIndex } from '../blind_index/index.js';
+import { computeFieldToken } from '../schema/index.js';
+
+
+const ORDERED_RANGE_BOUNDS = ['gt', 'gte', 'lt', 'lte'];
 
 
 /**
@@ -39,12 +59,41 @@ constructor(encryptionKey = null, approximationFactor = 1.0, keyProvider = null,
 
 /**
  * Creates an instance of RagEncryptionClient.
+ *
+ * Pass an options object instead of raw key material to derive the client's keys
+ * for one tenant from a shared master secret. Such clients also carry a `tenantNamespace`:
+ * a name for the tenant's partition of a shared store, computed from the tenant's keys.
+ *
+ * @param {Buffer|Object|null} encryptionKey - Raw encryption key bytes, or tenant derivation options.
+ * @param {Buffer} [encryptionKey.masterSecret] - Master secret shared by all tenants.
+ * @param {string} [encryptionKey.tenantId] - Tenant whose keys are derived.
+ * @param {string} [encryptionKey.derivationPath='default'] - Derivation path for the tenant keys.
+ * @param {number} [encryptionKey.approximationFactor] - Approximation factor; overrides the positional argument.
+ * @param {number} approximationFactor - Approximation factor for vector encryption.
+ * @param {KeyProvider} keyProvider - Optional key provider implementation.
+ * @param {string} keyId - Optional key identifier to use with the key provider.
+ * @returns {Promise<RagEncryptionClient>}
+ *
+ * @example
+ * const client = await RagEncryptionClient.create({
+ *     masterSecret,
+ *     tenantId: 'tenant-42',
+ *     derivationPath: 'embeddings/v1'
+ * });
  */
 static async create(encryptionKey = null, approximationFactor = 1.0, keyProvider = null, keyId = null) {
     // Create a new instance with validation skipped
     const client = new RagEncryptionClient(null, 1.0, null, null, true);
    
-    if (keyProvider && keyId) {
+    if (encryptionKey && !Buffer.isBuffer(encryptionKey) && typeof encryptionKey === 'object') {
+            const options = encryptionKey;
+            client._initializeForTenant(
+                options.masterSecret,
+                options.tenantId,
+                options.derivationPath === undefined ? 'default' : options.derivationPath,
+                options.approximationFactor === undefined ? approximationFactor : options.approximationFactor
+            );
+        } else if (keyProvider && keyId) {
         // Rest remains the same...
             // Check for the getKey method instead of instanceof
             if (typeof keyProvider.getKey !== 'function') {
@@ -64,7 +113,7 @@ static async create(encryptionKey = null, approximationFactor = 1.0, keyProvider
      * Initialize client with direct key material
      * @private
      */
-    _initializeWithKey(encryptionKey, approximationFactor) {
+    _initializeWithKey(encryptionKey, approximationFactor, keyId = "local-key") {
         if (!Buffer.isBuffer(encryptionKey) || encryptionKey.length < 32) {
             throw new InvalidInputError("Encryption key must be a Buffer of at least 32 bytes");
         }
@@ -73,15 +122,206 @@ static async create(encryptionKey = null, approximationFactor = 1.0, keyProvider
         }
 
 
-        this.vectorEncryptionKey = new VectorEncryptionKey(
-            new ScalingFactor(approximationFactor),
-            new EncryptionKey(encryptionKey)
-        );
-        this.textEncryptionKey = new EncryptionKey(encryptionKey);
-        this.deterministicEncryptionKey = new EncryptionKey(encryptionKey);
         this.approximationFactor = approximationFactor;
-        this.keyId = "local-key";
+        this._applyKeyMaterial(encryptionKey);
         this.keyProvider = null;
+        this.tenantId = null;
+        this.derivationPath = null;
+        this.tenantNamespace = null;
+        this._tenantTag = null;
+        this.keyRegistry = this.keyRegistry || new KeyRegistry();
+        this._keyring = new Map();
+        this._setCurrentKeyId(keyId);
+    }
+
+
+    /**
+     * Register the key ID of the current key material and add it to the keyring.
+     * The previous current key, if any, stays in the keyring as a retired key.
+     * @private
+     */
+    _setCurrentKeyId(keyId) {
+        const previous = this._keyring.get(this.numericKeyId);
+        if (previous) {
+            previous.retired = true;
+        }
+        this.keyId = keyId;
+        this.numericKeyId = this.keyRegistry.assign(keyId);
+        this._keyring.set(this.numericKeyId, this._createKeyringEntry(keyId, this._keyMaterial, false));
+    }
+
+
+    /**
+     * Keyring entry for some key material; key schedules are derived lazily and cached
+     * @private
+     */
+    _createKeyringEntry(keyId, keyMaterial, retired) {
+        return { keyId, keyMaterial, retired, schedules: new Map() };
+    }
+
+
+    /**
+     * Look up the keyring entry for the numeric key ID of a header
+     * @private
+     */
+    _keyringEntryFor(numericKeyId) {
+        const entry = this._keyring.get(numericKeyId);
+        if (entry) {
+            return entry;
+        }
+        // Headers written before the key registry carried a character-sum hash of the key ID
+        for (const candidate of this._keyring.values()) {
+            if (numericKeyId === legacyNumericKeyId(candidate.keyId)) {
+                return candidate;
+            }
+        }
+        const keyId = this.keyRegistry.getKeyId(numericKeyId);
+        throw new InvalidKeyError(
+            keyId
+                ? `Key ${keyId} (id ${numericKeyId}) is not loaded; call loadKey("${keyId}") first`
+                : `Unknown key id ${numericKeyId}`
+        );
+    }
+
+
+    /**
+     * Load a key from the key provider so data encrypted under it can be decrypted.
+     * @param {string} keyId - Key identifier to fetch from the key provider.
+     * @returns {Promise<number>} - The numeric key ID written in headers for this key.
+     */
+    async loadKey(keyId) {
+        if (!this.keyProvider) {
+            throw new InvalidInputError("loadKey requires a key provider");
+        }
+        let keyMaterial;
+        try {
+            keyMaterial = await this.keyProvider.getKey(keyId);
+        } catch (error) {
+            throw new InvalidInputError(`Failed to get key from provider: ${error.message}`);
+        }
+        if (this.tenantId) {
+            keyMaterial = VectorEncryptionKey.deriveFromSecret(keyMaterial, this.tenantId, this.derivationPath).key.getBytes();
+        }
+        const numericKeyId = await this.keyRegistry.register(keyId);
+        if (numericKeyId !== this.numericKeyId) {
+            this._keyring.set(numericKeyId, this._createKeyringEntry(keyId, keyMaterial, true));
+        }
+        return numericKeyId;
+    }
+
+
+    /**
+     * Lists the keys in the keyring: the current key first, then retired keys.
+     * @returns {Array<{keyId: string, numericKeyId: number, current: boolean}>}
+     */
+    listKeys() {
+        return [...this._keyring.entries()]
+            .map(([numericKeyId, entry]) => ({ keyId: entry.keyId, numericKeyId, current: !entry.retired }))
+            .sort((a, b) => Number(b.current) - Number(a.current));
+    }
+
+
+    /**
+     * Removes a retired key from the keyring. Data still encrypted under it becomes unreadable.
+     * @param {string} keyId - Key identifier of the retired key.
+     * @returns {boolean} - True if a key was removed.
+     */
+    removeRetiredKey(keyId) {
+        const numericKeyId = this.keyRegistry.getNumericId(keyId);
+        const entry = this._keyring.get(numericKeyId);
+        if (!entry) {
+            return false;
+        }
+        if (!entry.retired) {
+            throw new InvalidInputError("The current key cannot be removed; rotate to a new key first");
+        }
+        return this._keyring.delete(numericKeyId);
+    }
+
+
+    /**
+     * Initialize client with keys derived for one tenant from a master secret
+     * @private
+     */
+    _initializeForTenant(masterSecret, tenantId, derivationPath, approximationFactor) {
+        if (!Buffer.isBuffer(masterSecret) || masterSecret.length < 32) {
+            throw new InvalidInputError("Master secret must be a Buffer of at least 32 bytes");
+        }
+        if (typeof tenantId !== 'string' || tenantId.length === 0) {
+            throw new InvalidInputError("Tenant ID must be a non-empty string");
+        }
+        if (typeof derivationPath !== 'string') {
+            throw new InvalidInputError("Derivation path must be a string");
+        }
+
+        const tenantKey = VectorEncryptionKey.deriveFromSecret(masterSecret, tenantId, derivationPath);
+        this._initializeWithKey(tenantKey.key.getBytes(), approximationFactor, `tenant:${tenantId}`);
+        this.tenantId = tenantId;
+        this.derivationPath = derivationPath;
+        // Derived from the tenant's first key, so rotating keys does not move the tenant's data
+        this.tenantNamespace = computeTenantNamespace(tenantKey.key.getBytes());
+        this._tenantTag = computeTenantTag(masterSecret, tenantId);
+    }
+
+
+    /**
+     * Derive the per-purpose subkeys from raw key material and make them current
+     * @private
+     */
+    _applyKeyMaterial(keyMaterial) {
+        this._keyMaterial = keyMaterial;
+        this.keySchedule = KeySchedule.derive(keyMaterial);
+        this.vectorEncryptionKey = this._vectorKeyFor(this.keySchedule);
+        this.shuffleEncryptionKey = this.keySchedule.shuffleKey;
+        this.textEncryptionKey = this.keySchedule.textKey;
+        this.deterministicEncryptionKey = this.keySchedule.deterministicKey;
+    }
+
+
+    /**
+     * Build the vector encryption key for a key schedule
+     * @private
+     */
+    _vectorKeyFor(keySchedule) {
+        return new VectorEncryptionKey(
+            new ScalingFactor(this.approximationFactor),
+            keySchedule.vectorKey
+        );
+    }
+
+
+    /**
+     * Key schedule of a keyring entry for a given version
+     * @private
+     */
+    _keyScheduleFor(version, entry) {
+        if (!entry.schedules.has(version)) {
+            entry.schedules.set(version, KeySchedule.derive(entry.keyMaterial, version));
+        }
+        return entry.schedules.get(version);
+    }
+
+
+    /**
+     * Text keys to try on decryption. With a numeric key ID only that key is tried,
+     * otherwise the current key and then each retired key. For every key the current
+     * subkey comes first, then the key used before the key schedule existed, so older
+     * ciphertexts stay readable
+     * @private
+     */
+    _textKeyCandidates(purpose, numericKeyId = null) {
+        const entries = numericKeyId === null || numericKeyId === undefined
+            ? [this._keyring.get(this.numericKeyId), ...[...this._keyring.values()].filter((entry) => entry.retired)]
+            : [this._keyringEntryFor(numericKeyId)];
+
+        const candidates = [];
+        for (const entry of entries) {
+            candidates.push(this._keyScheduleFor(this.keySchedule.version, entry)[purpose]);
+            if (this.keySchedule.version !== KeyScheduleVersion.LEGACY) {
+                candidates.push(this._keyScheduleFor(KeyScheduleVersion.LEGACY, entry)[purpose]);
+            }
+        }
+        return candidates;
     }
 
 
@@ -92,54 +332,60 @@ static async create(encryptionKey = null, approximationFactor = 1.0, keyProvider
     async _initializeWithKeyProvider(keyProvider, keyId, approximationFactor) {
         try {
             const encryptionKey = await keyProvider.getKey(keyId);
-            this._initializeWithKey(encryptionKey, approximationFactor);
-            this.keyId = keyId;
+            this.keyRegistry = await new KeyRegistry(keyProvider).load();
+            this._initializeWithKey(encryptionKey, approximationFactor, keyId);
             this.keyProvider = keyProvider;
+            await this.keyRegistry.save();
         } catch (error) {
             throw new InvalidInputError(`Failed to get key from provider: ${error.message}`);
         }
     }
 
 
-    // Update rotateKey to support key provider
     /**
      * Rotate to a new encryption key.
+     * The previous key is retired but kept in the keyring, so data encrypted under it
+     * still decrypts; use the reencrypt* methods to upgrade that data to the new key.
      * @param {Buffer} newKeyMaterial - New raw encryption key bytes (optional if using key provider).
-     * @param {string} newKeyId - New key identifier to use with the current key provider (optional).
+     * @param {string} newKeyId - New key identifier, fetched from the current key provider if there is one.
+     *                            Defaults to the current key ID suffixed with a fingerprint of the new material.
      */
     async rotateKey(newKeyMaterial = null, newKeyId = null) {
-        // Store old keys for reference
-        this._oldVectorEncryptionKey = this.vectorEncryptionKey;
-        this._oldTextEncryptionKey = this.textEncryptionKey;
-        this._oldDeterministicEncryptionKey = this.deterministicEncryptionKey;
-       
         // Get new key material
         let newKey;
+        let keyId;
         if (this.keyProvider && newKeyId) {
             // Get from provider if available
             try {
                 newKey = await this.keyProvider.getKey(newKeyId);
-                this.keyId = newKeyId;
             } catch (error) {
                 throw new InvalidInputError(`Failed to get new key from provider: ${error.message}`);
             }
+            keyId = newKeyId;
         } else if (newKeyMaterial) {
             // Use directly provided material
             if (!Buffer.isBuffer(newKeyMaterial) || newKeyMaterial.length < 32) {
                 throw new InvalidInputError("New key material must be a Buffer of at least 32 bytes");
             }
             newKey = newKeyMaterial;
+            keyId = newKeyId || `${this.keyId.split('@')[0]}@${crypto.createHash('sha256').update(newKey).digest('hex').slice(0, 12)}`;
         } else {
             throw new InvalidInputError("Either newKeyMaterial or newKeyId must be provided");
         }
        
-        // Update current keys with new material
-        this.vectorEncryptionKey = new VectorEncryptionKey(
-            new ScalingFactor(this.approximationFactor),
-            new EncryptionKey(newKey)
-        );
-        this.textEncryptionKey = new EncryptionKey(newKey);
-        this.deterministicEncryptionKey = new EncryptionKey(newKey);
+        // Tenant clients treat new material as a new master secret and re-derive their keys
+        if (this.tenantId) {
+            newKey = VectorEncryptionKey.deriveFromSecret(newKey, this.tenantId, this.derivationPath).key.getBytes();
+        }
+
+        if (keyId === this.keyId) {
+            throw new InvalidInputError(`Key ${keyId} is already the current key`);
+        }
+
+        // Update current keys with new material; the old key stays in the keyring as retired
+        this._applyKeyMaterial(newKey);
+        this._setCurrentKeyId(keyId);
+        await this.keyRegistry.save();
     }
 
 
@@ -147,34 +393,44 @@ static async create(encryptionKey = null, approximationFactor = 1.0, keyProvider
 
     /**
      * Encrypts a vector embedding.
-     * @param {Array<number>} plaintextVector - The plaintext vector to encrypt.
-     * @returns {[Array<number>, Buffer]} - A tuple containing the encrypted vector and metadata.
+     * @param {Array<number>|Float32Array|Float64Array} plaintextVector - The plaintext vector to encrypt.
+     * @returns {[Array<number>|Float32Array|Float64Array, Buffer]} - A tuple containing the encrypted vector,
+     *                                                              of the same type as the input, and metadata.
      */
     encryptVector(plaintextVector) {
-        if (!Array.isArray(plaintextVector) || !plaintextVector.every((x) => typeof x === 'number')) {
-            throw new InvalidInputError("Plaintext vector must be an array of numbers");
+        if (!isVector(plaintextVector)) {
+            throw new InvalidInputError("Plaintext vector must be an array of numbers, a Float32Array or a Float64Array");
         }
 
 
         // Shuffle the plaintext vector
-        const shuffledVector = shuffle(this.textEncryptionKey, plaintextVector);
+        const shuffledVector = shuffle(this.shuffleEncryptionKey, plaintextVector, CURRENT_SHUFFLE_ALGORITHM);
 
 
-        // Encrypt the shuffled vector
+        // Encrypt the shuffled vector, authenticating the metadata fields that follow the AuthHash
+        const trailer = encodeVectorMetadataTrailer(CURRENT_SHUFFLE_ALGORITHM, this.keySchedule.version, this._tenantTag);
         const encryptResult = encryptVector(
             this.vectorEncryptionKey,
             this.approximationFactor,
-            shuffledVector
+            shuffledVector,
+            trailer
         );
 
 
         // Generate metadata
         const keyIdHeader = new KeyIdHeader(
-            (typeof this.keyId === 'string' ? this.keyId.split('').reduce((a, c) => a + c.charCodeAt(0), 0) : 1) % 9999,
+            this.numericKeyId,
             "Standalone",
             "VectorMetadata"
         );
-        const metadata = encodeVectorMetadata(keyIdHeader, encryptResult.iv, encryptResult.authHash);
+        const metadata = encodeVectorMetadata(
+            keyIdHeader,
+            encryptResult.iv,
+            encryptResult.authHash,
+            CURRENT_SHUFFLE_ALGORITHM,
+            this.keySchedule.version,
+            this._tenantTag
+        );
 
 
         // Return tuple format like Python
@@ -184,106 +440,166 @@ static async create(encryptionKey = null, approximationFactor = 1.0, keyProvider
 
     /**
      * Decrypts an encrypted vector embedding.
-     * @param {Array<number>} encryptedVector - The encrypted vector.
+     * @param {Array<number>|Float32Array|Float64Array} encryptedVector - The encrypted vector.
      * @param {Buffer} pairedIclInfo - The metadata associated with the encrypted vector.
-     * @returns {Array<number>} - The decrypted plaintext vector.
+     * @returns {Array<number>|Float32Array|Float64Array} - The decrypted plaintext vector, of the same type
+     *                                                       as the encrypted vector.
      */
     decryptVector(encryptedVector, pairedIclInfo) {
-        if (!Array.isArray(encryptedVector) || !encryptedVector.every((x) => typeof x === 'number')) {
-            throw new InvalidInputError("Encrypted vector must be an array of numbers");
+        if (!isVector(encryptedVector)) {
+            throw new InvalidInputError("Encrypted vector must be an array of numbers, a Float32Array or a Float64Array");
         }
         if (!Buffer.isBuffer(pairedIclInfo)) {
             throw new InvalidInputError("Metadata must be a Buffer");
         }
 
 
-        /// Decode metadata
-        const { keyIdHeader, remainingBytes } = decodeVersionPrefixedValue(pairedIclInfo);
-        const iv = remainingBytes.subarray(0, 12);
-        const authHashBytes = remainingBytes.subarray(12);
-
+        // Decode metadata
+        const { keyIdHeader, iv, authHash, shuffleAlgorithm, keyScheduleVersion, tenantTag, trailer } = decodeVectorMetadata(pairedIclInfo);
+        if (this._tenantTag && !(tenantTag && tenantTag.equals(this._tenantTag))) {
+            throw new DecryptError(`Vector metadata is not bound to tenant ${this.tenantId}`);
+        }
 
-        // Convert the Buffer to an AuthHash object
-        const authHash = new AuthHash(authHashBytes);
+        // Pick the key named by the header
+        const keySchedule = this._keyScheduleFor(keyScheduleVersion, this._keyringEntryFor(keyIdHeader.keyId));
 
 
         // Decrypt the vector
         const shuffledVector = decryptVector(
-            this.vectorEncryptionKey,
+            this._vectorKeyFor(keySchedule),
             this.approximationFactor,
             {
                 ciphertext: encryptedVector,
                 iv,
-                authHash
+                authHash,
+                trailer
             }
         );
 
 
-        // Unshuffle the vector
-        return unshuffle(this.textEncryptionKey, shuffledVector);
+        // Unshuffle the vector with the algorithm recorded in its metadata
+        return unshuffle(keySchedule.shuffleKey, shuffledVector, shuffleAlgorithm);
     }
 
 
     /**
      * Encrypts a text string using AES-GCM.
      * @param {string} plaintext - The plaintext string to encrypt.
-     * @returns {Object} - Encrypted text, IV, and authentication tag.
+     * @param {Object} [options] - Encryption options.
+     * @param {string} [options.encoding] - 'buffer', 'base64url' or 'hex' to receive a serialized envelope
+     *                                      (see serializeEncryptedText) instead of the separate components.
+     * @param {string|Buffer} [options.aad] - Associated data, such as a record ID or field name, that is
+     *                                        authenticated but not stored. Decryption must pass the same value.
+     * @returns {Object|Buffer|string} - Encrypted text, IV, authentication tag and the numeric ID of the key used,
+     *                                   or the serialized envelope when an encoding is given.
      */
-    encryptText(plaintext) {
+    encryptText(plaintext, options = {}) {
         if (typeof plaintext !== 'string') {
             throw new InvalidInputError("Plaintext must be a string.");
         }
+        const aad = toAadBuffer(options.aad);
    
         // Ensure the key is exactly 32 bytes
         const key = this.textEncryptionKey.getBytes().subarray(0, 32);
        
         const iv = crypto.randomBytes(12);
         const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+        if (aad) {
+            cipher.setAAD(aad);
+        }
         const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
         const tag = cipher.getAuthTag();
    
-        return { ciphertext, iv, tag };
+        const encryptedText = { ciphertext, iv, tag, keyId: this.numericKeyId };
+        return options.encoding ? serializeEncryptedText(encryptedText, options.encoding) : encryptedText;
     }
 
 
     /**
      * Decrypts an AES-GCM encrypted text.
-     * @param {Buffer} ciphertext - The encrypted text.
-     * @param {Buffer} iv - The initialization vector.
-     * @param {Buffer} tag - The authentication tag.
+     *
+     * Also accepts a serialized envelope followed by the options; the key ID is then read
+     * from the envelope header.
+     *
+     * @param {Buffer|string} ciphertext - The encrypted text, or a serialized envelope.
+     * @param {Buffer|Object} [iv] - The initialization vector, or the options for an envelope.
+     * @param {Buffer} [tag] - The authentication tag.
+     * @param {number} [keyId] - Numeric ID of the key used, as returned by encryptText.
+     *                           Without it, every key in the keyring is tried.
+     * @param {Object} [options] - Decryption options.
+     * @param {string} [options.encoding='base64url'] - Encoding of a string envelope.
+     * @param {string|Buffer} [options.aad] - The associated data passed to encryptText.
      * @returns {string} - The decrypted plaintext string.
      */
-    decryptText(ciphertext, iv, tag) {
+    decryptText(ciphertext, iv, tag, keyId = null, options = {}) {
+        if (!Buffer.isBuffer(iv)) {
+            const envelopeOptions = iv || {};
+            const envelope = parseEncryptedText(ciphertext, envelopeOptions.encoding);
+            return this.decryptText(envelope.ciphertext, envelope.iv, envelope.tag, envelope.keyId, envelopeOptions);
+        }
+
         if (!Buffer.isBuffer(ciphertext) || !Buffer.isBuffer(iv) || !Buffer.isBuffer(tag)) {
             throw new InvalidInputError("Ciphertext, IV, and tag must be Buffers.");
         }
+        const aad = toAadBuffer(options.aad);
    
-        // Ensure the key is exactly 32 bytes
-        const key = this.textEncryptionKey.getBytes().subarray(0, 32);
-       
-        const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
-        decipher.setAuthTag(tag);
-        const plaintext = Buffer.concat([decipher.update(ciphertext), decipher.final()]);
-   
-        return plaintext.toString('utf8');
+        return this._decryptWithCandidates(this._textKeyCandidates('textKey', keyId), (textKey) => {
+            // Ensure the key is exactly 32 bytes
+            const key = textKey.getBytes().subarray(0, 32);
+
+            const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+            if (aad) {
+                decipher.setAAD(aad);
+            }
+            decipher.setAuthTag(tag);
+            const plaintext = Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+
+            return plaintext.toString('utf8');
+        }, "Text decryption failed");
+    }
+
+
+    /**
+     * Run a decryption with each candidate key until one authenticates
+     * @private
+     */
+    _decryptWithCandidates(candidates, decryptFn, failureMessage) {
+        let lastError = null;
+        for (const candidate of candidates) {
+            try {
+                return decryptFn(candidate);
+            } catch (e) {
+                lastError = e;
+            }
+        }
+        throw new DecryptError(`${failureMessage}: ${lastError.message}`);
     }
 
 
     /**
      * Encrypts text deterministically using AES-GCM, mirroring Python implementation
      * with HKDF key derivation and deterministic nonce generation.
+     *
+     * With associated data the nonce is also derived from it, so the same plaintext encrypts
+     * to the same ciphertext only within one context.
+     *
      * @param {string} plaintext - The plaintext string to encrypt.
-     * @returns {Buffer} - The encrypted text with metadata.
+     * @param {Object} [options] - Encryption options.
+     * @param {string|Buffer} [options.aad] - Associated data, such as a field name, that is authenticated
+     *                                        but not stored. Decryption must pass the same value.
+     * @returns {Buffer} - The encrypted text with metadata: the KeyIdHeader of the current key, then
+     *                     nonce + ciphertext + tag.
      */
-    encryptDeterministicText(plaintext) {
+    encryptDeterministicText(plaintext, options = {}) {
         if (typeof plaintext !== 'string') {
             throw new InvalidInputError("Plaintext must be a string");
         }
+        const aad = toAadBuffer(options.aad);
 
 
         // 1. Derive key using HKDF similarly to Python implementation
-        const salt = Buffer.from('DCPE-Deterministic');
-        const info = Buffer.from('deterministic_encryption_key');
+        const salt = Buffer.from(DETERMINISTIC_SALT);
+        const info = Buffer.from(DETERMINISTIC_INFO);
         const derivedKey = hkdf(
             this.deterministicEncryptionKey.getBytes(),
             32,
@@ -292,29 +608,41 @@ static async create(encryptionKey = null, approximationFactor = 1.0, keyProvider
         );
 
 
-        // 2. Create deterministic nonce using HMAC from plaintext
+        // 2. Create deterministic nonce using HMAC from plaintext (and the length-prefixed AAD, if any)
         const hmac = crypto.createHmac('sha256', derivedKey);
+        if (aad) {
+            const aadLength = Buffer.alloc(4);
+            aadLength.writeUInt32BE(aad.length, 0);
+            hmac.update(Buffer.concat([aadLength, aad]));
+        }
         hmac.update(Buffer.from(plaintext, 'utf8'));
         const deterministicNonce = hmac.digest().subarray(0, 12);
 
 
         // 3. Encrypt with AES-GCM using the derived key and deterministic nonce
         const cipher = crypto.createCipheriv('aes-256-gcm', derivedKey, deterministicNonce);
+        if (aad) {
+            cipher.setAAD(aad);
+        }
         const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
         const tag = cipher.getAuthTag();
 
 
-        // 4. Match Python's output format: nonce + ciphertext + tag
-        return Buffer.concat([deterministicNonce, ciphertext, tag]);
+        // 4. Match Python's output format: nonce + ciphertext + tag, after the key ID header
+        return encodeDeterministicField(this.numericKeyId, Buffer.concat([deterministicNonce, ciphertext, tag]));
     }
 
 
     /**
      * Decrypts deterministically encrypted text, matching Python implementation.
+     * Only the key named in the KeyIdHeader is tried; ciphertexts written before they carried a
+     * header are tried with every key in the keyring.
      * @param {Buffer} encryptedData - The encrypted text.
+     * @param {Object} [options] - Decryption options.
+     * @param {string|Buffer} [options.aad] - The associated data passed to encryptDeterministicText.
      * @returns {string} - The decrypted plaintext string.
      */
-    decryptDeterministicText(encryptedData) {
+    decryptDeterministicText(encryptedData, options = {}) {
         if (!Buffer.isBuffer(encryptedData)) {
             throw new InvalidInputError("Encrypted data must be a Buffer");
         }
@@ -323,37 +651,327 @@ static async create(encryptionKey = null, approximationFactor = 1.0, keyProvider
         if (encryptedData.length < 28) { // 12 (nonce) + 16 (min tag size)
             throw new InvalidInputError("Encrypted data too short");
         }
+        const aad = toAadBuffer(options.aad);
+        const { keyId, encryptedField } = decodeDeterministicField(encryptedData);
+        if (keyId === null) {
+            return this._decryptDeterministicField(this._textKeyCandidates('deterministicKey'), encryptedData, aad);
+        }
+        try {
+            return this._decryptDeterministicField(this._textKeyCandidates('deterministicKey', keyId), encryptedField, aad);
+        } catch (error) {
+            // A headerless ciphertext whose first bytes happen to parse as a header
+            try {
+                return this._decryptDeterministicField(this._textKeyCandidates('deterministicKey'), encryptedData, aad);
+            } catch (legacyError) {
+                throw error;
+            }
+        }
+    }
 
 
+    /**
+     * Decrypt nonce + ciphertext + tag with each candidate deterministic key
+     * @private
+     */
+    _decryptDeterministicField(candidates, encryptedField, aad) {
         // 1. Split components: nonce + ciphertext + tag
-        const nonce = encryptedData.subarray(0, 12);
-        const ciphertext = encryptedData.subarray(12, encryptedData.length - 16);
-        const tag = encryptedData.subarray(encryptedData.length - 16);
-
+        const nonce = encryptedField.subarray(0, 12);
+        const ciphertext = encryptedField.subarray(12, encryptedField.length - 16);
+        const tag = encryptedField.subarray(encryptedField.length - 16);
+
+
+        // 2. Derive the same key used for encryption and decrypt with AES-GCM
+        return this._decryptWithCandidates(candidates, (deterministicKey) => {
+            const salt = Buffer.from(DETERMINISTIC_SALT);
+            const info = Buffer.from(DETERMINISTIC_INFO);
+            const derivedKey = hkdf(
+                deterministicKey.getBytes(),
+                32,
+                salt,
+                info
+            );
 
-        // 2. Derive the same key used for encryption
-        const salt = Buffer.from('DCPE-Deterministic');
-        const info = Buffer.from('deterministic_encryption_key');
-        const derivedKey = hkdf(
-            this.deterministicEncryptionKey.getBytes(),
-            32,
-            salt,
-            info
-        );
-
-
-        // 3. Decrypt with AES-GCM
-        try {
             const decipher = crypto.createDecipheriv('aes-256-gcm', derivedKey, nonce);
+            if (aad) {
+                decipher.setAAD(aad);
+            }
             decipher.setAuthTag(tag);
             const plaintext = Buffer.concat([decipher.update(ciphertext), decipher.final()]);
             return plaintext.toString('utf8');
-        } catch (e) {
-            throw new DecryptError(`Deterministic text decryption failed: ${e.message}`);
+        }, "Deterministic text decryption failed");
+    }
+
+
+    /**
+     * Encrypts a number or date with order-preserving encryption, so range filters (`gte`, `lte`, ...)
+     * can compare ciphertexts directly. Ciphertexts reveal the order of the values; see crypto/ordered.js.
+     * @param {number|Date} value - Finite number, or date (encrypted as its millisecond timestamp).
+     * @param {Object} [options] - Encryption options.
+     * @param {string} [options.encoding='hex'] - 'hex' for a fixed-width string that sorts like the values,
+     *                                            or 'bigint'.
+     * @returns {string|bigint} - The ordered ciphertext, carrying the numeric ID of the current key.
+     */
+    encryptOrderedField(value, options = {}) {
+        return encryptOrdered(this._orderedKey(this.deterministicEncryptionKey), value, options.encoding, this.numericKeyId);
+    }
+
+
+    /**
+     * Decrypts a value encrypted with encryptOrderedField, with the key whose ID it carries.
+     * Ciphertexts written before they carried a key ID are tried with every key in the keyring.
+     * @param {string|bigint} ciphertext - The ordered ciphertext.
+     * @returns {number} - The value; dates come back as millisecond timestamps.
+     */
+    decryptOrderedField(ciphertext) {
+        const { keyId, ciphertext: keyCiphertext } = splitOrderedKeyId(ciphertext);
+        return this._decryptWithCandidates(
+            this._textKeyCandidates('deterministicKey', keyId),
+            (deterministicKey) => decryptOrdered(this._orderedKey(deterministicKey), keyCiphertext),
+            "Ordered field decryption failed"
+        );
+    }
+
+
+    /**
+     * Encrypts the bounds of a range filter, for comparison with values encrypted by encryptOrderedField.
+     * @param {Object} range - Bounds of the range; any of `gt`, `gte`, `lt` and `lte`.
+     * @param {Object} [options] - Encryption options (see encryptOrderedField).
+     * @returns {Object} - The same bounds, encrypted.
+     *
+     * @example
+     * const { gte, lte } = client.encryptOrderedRange({ gte: new Date('2025-01-01'), lte: new Date('2025-03-31') });
+     * const filter = `upload_date >= "${gte}" and upload_date <= "${lte}"`;
+     */
+    encryptOrderedRange(range, options = {}) {
+        if (!range || typeof range !== 'object') {
+            throw new InvalidInputError("Range must be an object");
+        }
+        const encrypted = {};
+        for (const [bound, value] of Object.entries(range)) {
+            if (!ORDERED_RANGE_BOUNDS.includes(bound)) {
+                throw new InvalidInputError(`Unknown range bound: ${bound}`);
+            }
+            encrypted[bound] = this.encryptOrderedField(value, options);
+        }
+        return encrypted;
+    }
+
+
+    /**
+     * Creates a blind index, for filters deterministic encryption cannot express: tags arrays (contains),
+     * case-insensitive matching and prefixes. Its key is derived from the current key.
+     * @param {string} name - Index name, usually the field name.
+     * @param {Object} [options] - Index options (see BlindIndex).
+     * @returns {BlindIndex}
+     *
+     * @example
+     * const prefixes = client.createBlindIndex('title', { type: 'prefix', caseInsensitive: true, maxPrefixLength: 8 });
+     * const stored = prefixes.tokens('Quarterly report');
+     * const query = prefixes.queryToken('quart');
+     */
+    createBlindIndex(name, options = {}) {
+        return new BlindIndex(this.deterministicEncryptionKey.getBytes(), name, options);
+    }
+
+
+    /**
+     * Computes the HMAC token of a field value, as stored for `hmac-token` fields of an encryption schema.
+     * Matches DCPE.createFieldToken for the same key material.
+     * @param {string} field - Field name; tokens of different fields are unrelated.
+     * @param {string} value - Field value.
+     * @returns {string} - The token (base64url).
+     */
+    createFieldToken(field, value) {
+        return computeFieldToken(this._keyMaterial, field, value);
+    }
+
+
+    /**
+     * Derive the ordered encryption key from a deterministic subkey
+     * @private
+     */
+    _orderedKey(deterministicKey) {
+        return hkdf(deterministicKey.getBytes(), 32, Buffer.from(ORDERED_SALT), Buffer.from(ORDERED_INFO));
+    }
+
+
+    /**
+     * Re-encrypts a vector under the current key.
+     * @param {Array<number>} encryptedVector - The encrypted vector.
+     * @param {Buffer} pairedIclInfo - The metadata associated with the encrypted vector.
+     * @returns {[Array<number>, Buffer]} - The vector and metadata encrypted under the current key.
+     */
+    reencryptVector(encryptedVector, pairedIclInfo) {
+        return this.encryptVector(this.decryptVector(encryptedVector, pairedIclInfo));
+    }
+
+
+    /**
+     * Re-encrypts AES-GCM encrypted text under the current key, keeping its associated data.
+     * A serialized envelope is returned as an envelope in the same encoding.
+     * @param {Buffer|string} ciphertext - The encrypted text, or a serialized envelope.
+     * @param {Buffer|Object} [iv] - The initialization vector, or the options for an envelope.
+     * @param {Buffer} [tag] - The authentication tag.
+     * @param {number} [keyId] - Numeric ID of the key used, as returned by encryptText.
+     * @param {Object} [options] - Options, as for decryptText.
+     * @returns {Object|Buffer|string} - The text encrypted under the current key, in the form it was given.
+     */
+    reencryptText(ciphertext, iv, tag, keyId = null, options = {}) {
+        const plaintext = this.decryptText(ciphertext, iv, tag, keyId, options);
+        if (!Buffer.isBuffer(iv)) {
+            const envelopeOptions = iv || {};
+            const encoding = Buffer.isBuffer(ciphertext) ? 'buffer' : (envelopeOptions.encoding || 'base64url');
+            return this.encryptText(plaintext, { ...envelopeOptions, encoding });
+        }
+        return this.encryptText(plaintext, { aad: options.aad });
+    }
+
+
+    /**
+     * Re-encrypts deterministically encrypted text under the current key, keeping its associated data.
+     * Filters on the field must then use ciphertexts produced by the current key.
+     * @param {Buffer} encryptedData - The encrypted text.
+     * @param {Object} [options] - Options, as for decryptDeterministicText.
+     * @returns {Buffer} - The text encrypted deterministically under the current key.
+     */
+    reencryptDeterministicText(encryptedData, options = {}) {
+        return this.encryptDeterministicText(this.decryptDeterministicText(encryptedData, options), options);
+    }
+
+
+    /**
+     * Encrypts a batch of records, optionally spread over worker threads.
+     * @param {Array<Object>} records - Records of the form `{ id, vector, text, metadata }`. Every field but `id`
+     *                                  is optional; the values of `metadata` are encrypted with encryptDeterministicText.
+     * @param {Object} [options] - Batch options.
+     * @param {number} [options.workers=0] - Number of worker threads; 0 encrypts in the calling thread.
+     * @param {number} [options.chunkSize=256] - Number of records sent to a worker at a time.
+     * @param {string} [options.textEncoding='base64url'] - Encoding of the text envelopes.
+     * @returns {Promise<Array<Object>>} - One result per record, in input order: `{ id, vector, vectorMetadata, text, metadata }`
+     *                                     with the encrypted fields, or `{ id, error }` for a record that could not be encrypted.
+     */
+    async encryptBatch(records, options = {}) {
+        return runBatch(this, records, BatchOperation.ENCRYPT, options);
+    }
+
+
+    /**
+     * Decrypts a batch of records produced by encryptBatch, optionally spread over worker threads.
+     * @param {Array<Object>} records - Records of the form `{ id, vector, vectorMetadata, text, metadata }`.
+     * @param {Object} [options] - Batch options, as for encryptBatch.
+     * @returns {Promise<Array<Object>>} - One result per record, in input order: `{ id, vector, text, metadata }`
+     *                                     with the decrypted fields, or `{ id, error }` for a record that could not be decrypted.
+     */
+    async decryptBatch(records, options = {}) {
+        return runBatch(this, records, BatchOperation.DECRYPT, options);
+    }
+
+
+    /**
+     * Encrypts the fields of one batch record
+     * @private
+     */
+    _encryptRecord(record, options) {
+        const result = { id: record.id };
+        if (record.vector !== undefined) {
+            [result.vector, result.vectorMetadata] = this.encryptVector(record.vector);
+        }
+        if (record.text !== undefined) {
+            result.text = this.encryptText(record.text, { encoding: options.textEncoding || 'base64url' });
+        }
+        if (record.metadata !== undefined) {
+            result.metadata = mapMetadata(record.metadata, (value) => this.encryptDeterministicText(value));
+        }
+        return result;
+    }
+
+
+    /**
+     * Decrypts the fields of one batch record
+     * @private
+     */
+    _decryptRecord(record, options) {
+        const result = { id: record.id };
+        if (record.vector !== undefined) {
+            result.vector = this.decryptVector(record.vector, record.vectorMetadata);
+        }
+        if (record.text !== undefined) {
+            result.text = this.decryptText(record.text, { encoding: options.textEncoding || 'base64url' });
+        }
+        if (record.metadata !== undefined) {
+            result.metadata = mapMetadata(record.metadata, (value) => this.decryptDeterministicText(value));
+        }
+        return result;
+    }
+
+
+    /**
+     * Everything a worker thread needs to rebuild this client: the keyring, the key
+     * registry and the tenant, but not the key provider
+     * @private
+     */
+    _toBatchWorkerState() {
+        return {
+            type: 'RagEncryptionClient',
+            approximationFactor: this.approximationFactor,
+            keyId: this.keyId,
+            keyRegistry: this.keyRegistry.toJSON(),
+            keyring: [...this._keyring.entries()].map(([numericKeyId, entry]) => ({
+                numericKeyId,
+                keyId: entry.keyId,
+                keyMaterial: entry.keyMaterial,
+                retired: entry.retired
+            })),
+            tenantId: this.tenantId,
+            derivationPath: this.derivationPath,
+            tenantNamespace: this.tenantNamespace,
+            tenantTag: this._tenantTag
+        };
+    }
+
+
+    /**
+     * Rebuilds a client in a worker thread from _toBatchWorkerState
+     * @private
+     */
+    static _fromBatchWorkerState(state) {
+        const client = new RagEncryptionClient(null, 1.0, null, null, true);
+        const current = state.keyring.find((entry) => !entry.retired);
+        client.keyRegistry = KeyRegistry.fromJSON(state.keyRegistry);
+        client._initializeWithKey(Buffer.from(current.keyMaterial), state.approximationFactor, state.keyId);
+        for (const entry of state.keyring) {
+            if (entry.retired) {
+                client._keyring.set(entry.numericKeyId, client._createKeyringEntry(entry.keyId, Buffer.from(entry.keyMaterial), true));
+            }
+        }
+        if (state.tenantId) {
+            client.tenantId = state.tenantId;
+            client.derivationPath = state.derivationPath;
+            client.tenantNamespace = state.tenantNamespace;
+            client._tenantTag = Buffer.from(state.tenantTag);
         }
+        return client;
     }
+}
 
 
+/**
+ * Normalizes associated data for AES-GCM.
+ * @param {string|Buffer|undefined|null} aad - The associated data.
+ * @returns {Buffer|null} - The associated data bytes, or null when none was given.
+ * @private
+ */
+function toAadBuffer(aad) {
+    if (aad === undefined || aad === null) {
+        return null;
+    }
+    if (typeof aad === 'string') {
+        return Buffer.from(aad, 'utf8');
+    }
+    if (Buffer.isBuffer(aad)) {
+        return aad;
+    }
+    throw new InvalidInputError("Associated data must be a string or a Buffer");
 }
 
 
@@ -364,36 +982,98 @@ export { RagEncryptionClient };
 
 
 /**
- * Encryption client instance for utility functions
- * @type {RagEncryptionClient}
+ * Maximum number of clients kept by the utility functions before the least
+ * recently used one is evicted
+ * @type {number}
+ * @private
+ */
+const MAX_CACHED_CLIENTS = 64;
+
+const CLIENT_FINGERPRINT_LABEL = Buffer.from('DCPE-ClientCache');
+
+/**
+ * Encryption clients for utility functions, keyed by key fingerprint.
+ * Map iteration order doubles as LRU order (oldest first).
+ * @type {Map<string, RagEncryptionClient>}
+ * @private
+ */
+const _clientCache = new Map();
+
+/**
+ * Extract raw key material from the accepted key formats
+ * @param {Buffer|VectorEncryptionKey} keys - Encryption keys
+ * @returns {Buffer}
+ * @private
+ */
+function _getKeyMaterial(keys) {
+    if (_isVectorEncryptionKey(keys)) {
+        // If it's a VectorEncryptionKey object, extract the underlying key bytes
+        return keys.key.getBytes();
+    } else if (Buffer.isBuffer(keys)) {
+        // If it's already a Buffer, use it directly
+        return keys;
+    }
+    throw new InvalidInputError('Invalid key format: expected Buffer or VectorEncryptionKey');
+}
+
+/**
  * @private
  */
-let _clientInstance = null;
+function _isVectorEncryptionKey(keys) {
+    return Boolean(keys && typeof keys === 'object' && keys.key && typeof keys.key.getBytes === 'function');
+}
 
+/**
+ * Compute the cache key for key material without keeping the key itself as a Map key
+ * @param {Buffer} keyMaterial - Raw key material
+ * @returns {string}
+ * @private
+ */
+function _fingerprint(keyMaterial) {
+    return crypto.createHmac('sha256', CLIENT_FINGERPRINT_LABEL).update(keyMaterial).digest('hex');
+}
 
 /**
- * Get or initialize the client instance
+ * Get or initialize the client instance for the given keys
  * @param {Buffer|VectorEncryptionKey} keys - Encryption keys
  * @returns {RagEncryptionClient}
  * @private
  */
 function _getClientInstance(keys) {
-    if (!_clientInstance) {
-        // Extract raw key material if keys is a VectorEncryptionKey
-        let keyMaterial;
-        if (keys && typeof keys === 'object' && keys.key && typeof keys.key.getBytes === 'function') {
-            // If it's a VectorEncryptionKey object, extract the underlying key bytes
-            keyMaterial = keys.key.getBytes();
-        } else if (Buffer.isBuffer(keys)) {
-            // If it's already a Buffer, use it directly
-            keyMaterial = keys;
-        } else {
-            throw new InvalidInputError('Invalid key format: expected Buffer or VectorEncryptionKey');
+    const keyMaterial = _getKeyMaterial(keys);
+    const fingerprint = _fingerprint(keyMaterial);
+
+    let client = _clientCache.get(fingerprint);
+    if (client) {
+        // Re-insert to mark as most recently used
+        _clientCache.delete(fingerprint);
+    } else {
+        client = new RagEncryptionClient(keyMaterial);
+        if (_clientCache.size >= MAX_CACHED_CLIENTS) {
+            _clientCache.delete(_clientCache.keys().next().value);
         }
-       
-        _clientInstance = new RagEncryptionClient(keyMaterial);
     }
-    return _clientInstance;
+    _clientCache.set(fingerprint, client);
+    return client;
+}
+
+/**
+ * Drops the cached client for the given keys, e.g. after they are replaced or revoked
+ * @param {*} keys - Encryption keys; keys of other formats never have a cached client
+ * @returns {boolean} - True if a cached client was removed
+ */
+function invalidateClient(keys) {
+    if (!Buffer.isBuffer(keys) && !_isVectorEncryptionKey(keys)) {
+        return false;
+    }
+    return _clientCache.delete(_fingerprint(_getKeyMaterial(keys)));
+}
+
+/**
+ * Drops every cached client
+ */
+function clearClientCache() {
+    _clientCache.clear();
 }
 
 
@@ -402,24 +1082,32 @@ function _getClientInstance(keys) {
  * @param {string} text - Text to encrypt
  * @param {Buffer} keys - Encryption keys
  * @param {Object} options - Encryption options
- * @returns {Object} - Encrypted text, IV, and authentication tag
+ * @param {string} [options.encoding] - 'buffer', 'base64url' or 'hex' to return a serialized envelope
+ * @param {string|Buffer} [options.aad] - Associated data to authenticate, required again on decryption
+ * @returns {Object|Buffer|string} - Encrypted text, IV, and authentication tag, or the serialized envelope
  */
 function encryptText(text, keys, options = {}) {
     const client = _getClientInstance(keys);
-    return client.encryptText(text);
+    return client.encryptText(text, options);
 }
 
 
 /**
  * Decrypts an AES-GCM encrypted text
- * @param {Object} encryptedText - Encrypted text object with ciphertext, iv, and tag
+ * @param {Object|Buffer|string} encryptedText - Encrypted text object with ciphertext, iv, and tag,
+ *                                               or a serialized envelope
  * @param {Buffer} keys - Encryption keys
  * @param {Object} options - Decryption options
+ * @param {string} [options.encoding='base64url'] - Encoding of a string envelope
+ * @param {string|Buffer} [options.aad] - Associated data passed on encryption
  * @returns {string} - Decrypted text
  */
 function decryptText(encryptedText, keys, options = {}) {
     const client = _getClientInstance(keys);
-    return client.decryptText(encryptedText.ciphertext, encryptedText.iv, encryptedText.tag);
+    if (typeof encryptedText === 'string' || Buffer.isBuffer(encryptedText)) {
+        return client.decryptText(encryptedText, options);
+    }
+    return client.decryptText(encryptedText.ciphertext, encryptedText.iv, encryptedText.tag, encryptedText.keyId, options);
 }
 
 
@@ -428,11 +1116,12 @@ function decryptText(encryptedText, keys, options = {}) {
  * @param {string} value - Value to encrypt
  * @param {Buffer} keys - Encryption keys
  * @param {Object} options - Encryption options
+ * @param {string|Buffer} [options.aad] - Associated data to authenticate, required again on decryption
  * @returns {Buffer} - Encrypted value
  */
 function encryptDeterministicText(value, keys, options = {}) {
     const client = _getClientInstance(keys);
-    return client.encryptDeterministicText(value);
+    return client.encryptDeterministicText(value, options);
 }
 
 
@@ -441,20 +1130,79 @@ function encryptDeterministicText(value, keys, options = {}) {
  * @param {Buffer} encryptedValue - Encrypted value
  * @param {Buffer} keys - Encryption keys
  * @param {Object} options - Decryption options
+ * @param {string|Buffer} [options.aad] - Associated data passed on encryption
  * @returns {string} - Decrypted value
  */
 function decryptDeterministicText(encryptedValue, keys, options = {}) {
     const client = _getClientInstance(keys);
-    return client.decryptDeterministicText(encryptedValue);
+    return client.decryptDeterministicText(encryptedValue, options);
+}
+
+
+/**
+ * Encrypts a number or date with order-preserving encryption
+ * @param {number|Date} value - Value to encrypt
+ * @param {Buffer} keys - Encryption keys
+ * @param {Object} options - Encryption options
+ * @param {string} [options.encoding='hex'] - 'hex' or 'bigint'
+ * @returns {string|bigint} - Ordered ciphertext
+ */
+function encryptOrderedField(value, keys, options = {}) {
+    const client = _getClientInstance(keys);
+    return client.encryptOrderedField(value, options);
+}
+
+
+/**
+ * Decrypts a value encrypted with encryptOrderedField
+ * @param {string|bigint} ciphertext - Ordered ciphertext
+ * @param {Buffer} keys - Encryption keys
+ * @returns {number} - Decrypted value
+ */
+function decryptOrderedField(ciphertext, keys) {
+    const client = _getClientInstance(keys);
+    return client.decryptOrderedField(ciphertext);
+}
+
+
+/**
+ * Encrypts the bounds of a range filter on an ordered field
+ * @param {Object} range - Any of `gt`, `gte`, `lt` and `lte`
+ * @param {Buffer} keys - Encryption keys
+ * @param {Object} options - Encryption options (see encryptOrderedField)
+ * @returns {Object} - The encrypted bounds
+ */
+function encryptOrderedRange(range, keys, options = {}) {
+    const client = _getClientInstance(keys);
+    return client.encryptOrderedRange(range, options);
+}
+
+
+/**
+ * Creates a blind index keyed by the given keys
+ * @param {string} name - Index name
+ * @param {Buffer} keys - Encryption keys
+ * @param {Object} options - Index options (see BlindIndex)
+ * @returns {BlindIndex}
+ */
+function createBlindIndex(name, keys, options = {}) {
+    const client = _getClientInstance(keys);
+    return client.createBlindIndex(name, options);
 }
 
 
 // Export additional functions
 export {
+    invalidateClient,
+    clearClientCache,
     encryptText,
     decryptText,
     encryptDeterministicText,
     decryptDeterministicText,
+    encryptOrderedField,
+    decryptOrderedField,
+    encryptOrderedRange,
+    createBlindIndex,
     encryptDeterministicText as encryptMetadataField,
     decryptDeterministicText as decryptMetadataField
 };
@@ -0,0 +1,209 @@
+import { InvalidInputError } from '../exceptions/index.js';
+
+
+/**
+ * Byte helpers on plain `Uint8Array`s.
+ *
+ * Node's `Buffer` is a `Uint8Array` subclass, so everything here also accepts Buffers,
+ * but nothing here needs `Buffer` to exist; these helpers are what the browser and edge
+ * build uses in its place.
+ */
+
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+
+/**
+ * Checks whether a value is a byte array (a `Uint8Array`, including a Node `Buffer`).
+ * @param {*} value - The value to check.
+ * @returns {boolean}
+ */
+function isBytes(value) {
+    return value instanceof Uint8Array;
+}
+
+
+/**
+ * Concatenates byte arrays.
+ * @param {...Uint8Array} arrays - The arrays to concatenate.
+ * @returns {Uint8Array}
+ */
+function concatBytes(...arrays) {
+    const result = new Uint8Array(arrays.reduce((total, array) => total + array.length, 0));
+    let offset = 0;
+    for (const array of arrays) {
+        result.set(array, offset);
+        offset += array.length;
+    }
+    return result;
+}
+
+
+/**
+ * Encodes a string as UTF-8.
+ * @param {string} text - The string to encode.
+ * @returns {Uint8Array}
+ */
+function utf8ToBytes(text) {
+    return textEncoder.encode(text);
+}
+
+
+/**
+ * Decodes UTF-8 bytes into a string.
+ * @param {Uint8Array} bytes - The bytes to decode.
+ * @returns {string}
+ */
+function bytesToUtf8(bytes) {
+    return textDecoder.decode(bytes);
+}
+
+
+/**
+ * Encodes bytes as lowercase hex.
+ * @param {Uint8Array} bytes - The bytes to encode.
+ * @returns {string}
+ */
+function bytesToHex(bytes) {
+    return Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+
+/**
+ * Decodes a hex string.
+ * @param {string} hex - The hex string.
+ * @returns {Uint8Array}
+ * @throws {InvalidInputError} If the string is not valid hex.
+ */
+function hexToBytes(hex) {
+    if (typeof hex !== 'string' || hex.length % 2 !== 0 || !/^[0-9a-fA-F]*$/.test(hex)) {
+        throw new InvalidInputError("Invalid hex string");
+    }
+    const bytes = new Uint8Array(hex.length / 2);
+    for (let i = 0; i < bytes.length; i++) {
+        bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+    }
+    return bytes;
+}
+
+
+/**
+ * Encodes bytes as unpadded base64url.
+ * @param {Uint8Array} bytes - The bytes to encode.
+ * @returns {string}
+ */
+function bytesToBase64url(bytes) {
+    let binary = '';
+    for (const byte of bytes) {
+        binary += String.fromCharCode(byte);
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+
+/**
+ * Decodes a base64url string. Standard base64 and padding are accepted too.
+ * @param {string} text - The base64url string.
+ * @returns {Uint8Array}
+ * @throws {InvalidInputError} If the string is not valid base64url.
+ */
+function base64urlToBytes(text) {
+    if (typeof text !== 'string' || !/^[A-Za-z0-9\-_+/]*={0,2}$/.test(text)) {
+        throw new InvalidInputError("Invalid base64url string");
+    }
+    const base64 = text.replace(/-/g, '+').replace(/_/g, '/').replace(/=+$/, '');
+    const binary = atob(base64.padEnd(base64.length + ((4 - (base64.length % 4)) % 4), '='));
+    return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+}
+
+
+/**
+ * Compares two byte arrays in time independent of where they differ.
+ * @param {Uint8Array} a - The first array.
+ * @param {Uint8Array} b - The second array.
+ * @returns {boolean}
+ */
+function equalBytes(a, b) {
+    if (a.length !== b.length) {
+        return false;
+    }
+    let diff = 0;
+    for (let i = 0; i < a.length; i++) {
+        diff |= a[i] ^ b[i];
+    }
+    return diff === 0;
+}
+
+
+/**
+ * Encodes an unsigned integer as big-endian bytes.
+ * @param {number} value - The value to encode.
+ * @param {number} [length=4] - The number of bytes: 4 or 8.
+ * @returns {Uint8Array}
+ */
+function uintToBytesBE(value, length = 4) {
+    const bytes = new Uint8Array(length);
+    const view = new DataView(bytes.buffer);
+    if (length === 8) {
+        view.setBigUint64(0, BigInt(value));
+    } else {
+        view.setUint32(0, value);
+    }
+    return bytes;
+}
+
+
+/**
+ * Reads a big-endian unsigned 32-bit integer.
+ * @param {Uint8Array} bytes - The bytes to read from.
+ * @param {number} [offset=0] - The offset to read at.
+ * @returns {number}
+ */
+function readUint32BE(bytes, offset = 0) {
+    return new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength).getUint32(offset);
+}
+
+
+/**
+ * Encodes a number as the bytes of a 32-bit float in platform byte order,
+ * which is how vector authentication hashes have always been computed.
+ * @param {number} value - The value to encode.
+ * @returns {Uint8Array}
+ */
+function float32ToBytes(value) {
+    return new Uint8Array(Float32Array.of(value).buffer);
+}
+
+
+/**
+ * Returns bytes as a Node `Buffer` over the same memory where `Buffer` exists, and unchanged
+ * elsewhere. Modules shared by the Node and browser builds pass the bytes they return through
+ * it, so Node callers keep receiving Buffers.
+ * @param {Uint8Array} bytes - The bytes.
+ * @returns {Uint8Array}
+ */
+function toPlatformBytes(bytes) {
+    const { Buffer } = globalThis;
+    if (!Buffer || Buffer.isBuffer(bytes)) {
+        return bytes;
+    }
+    return Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+}
+
+
+export {
+    isBytes,
+    concatBytes,
+    utf8ToBytes,
+    bytesToUtf8,
+    bytesToHex,
+    hexToBytes,
+    bytesToBase64url,
+    base64urlToBytes,
+    equalBytes,
+    uintToBytesBE,
+    readUint32BE,
+    float32ToBytes,
+    toPlatformBytes
+};
@@ -0,0 +1,68 @@
+import { InvalidConfigurationError } from '../exceptions/index.js';
+import { webRuntime } from './web.js';
+
+
+/**
+ * Methods every runtime provides. All but `randomBytes` are asynchronous, because
+ * WebCrypto is.
+ *
+ * - `randomBytes(length)` - cryptographically random bytes
+ * - `sha256(data)` - SHA-256 digest
+ * - `hmacSha256(key, data)` / `hmacSha256Many(key, messages)` - HMAC-SHA256
+ * - `hkdf(ikm, length, salt, info)` - HKDF-SHA256
+ * - `aesGcmEncrypt(key, iv, plaintext, aad)` - AES-256-GCM, returns `{ ciphertext, tag }`
+ * - `aesGcmDecrypt(key, iv, ciphertext, tag, aad)` - throws DecryptError on authentication failure
+ */
+const RUNTIME_METHODS = Object.freeze([
+    'randomBytes',
+    'sha256',
+    'hmacSha256',
+    'hmacSha256Many',
+    'hkdf',
+    'aesGcmEncrypt',
+    'aesGcmDecrypt'
+]);
+
+
+let currentRuntime = null;
+
+
+/**
+ * Replaces the runtime used when none is passed explicitly.
+ * @param {Object|null} runtime - A runtime such as `webRuntime` or `nodeRuntime`, or null to
+ *                                go back to detecting WebCrypto.
+ * @throws {InvalidConfigurationError} If the runtime is missing a method.
+ */
+function setRuntime(runtime) {
+    if (runtime !== null) {
+        const missing = RUNTIME_METHODS.filter((method) => typeof runtime?.[method] !== 'function');
+        if (missing.length > 0) {
+            throw new InvalidConfigurationError(`Runtime is missing methods: ${missing.join(', ')}`);
+        }
+    }
+    currentRuntime = runtime;
+}
+
+
+/**
+ * Returns the runtime set with setRuntime, or the WebCrypto runtime when the environment has WebCrypto.
+ * @returns {Object}
+ * @throws {InvalidConfigurationError} If no runtime was set and WebCrypto is not available.
+ */
+function getRuntime() {
+    if (currentRuntime) {
+        return currentRuntime;
+    }
+    if (globalThis.crypto && globalThis.crypto.subtle) {
+        return webRuntime;
+    }
+    throw new InvalidConfigurationError("No crypto runtime available: WebCrypto is missing, call setRuntime(nodeRuntime)");
+}
+
+
+export {
+    RUNTIME_METHODS,
+    setRuntime,
+    getRuntime,
+    webRuntime
+};
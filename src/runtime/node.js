@@ -0,0 +1,106 @@
+import crypto from 'crypto';
+import { DecryptError } from '../exceptions/index.js';
+import { hkdf } from '../crypto/hkdf.js';
+
+
+/**
+ * Runtime backed by Node's `crypto` module. It has the same asynchronous interface as
+ * `webRuntime`, for Node versions without `globalThis.crypto`. Returns Buffers,
+ * which are `Uint8Array`s.
+ */
+const nodeRuntime = Object.freeze({
+    name: 'node',
+
+
+    /**
+     * @param {number} length - The number of bytes.
+     * @returns {Buffer}
+     */
+    randomBytes(length) {
+        return crypto.randomBytes(length);
+    },
+
+
+    /**
+     * @param {Uint8Array} data - The data to hash.
+     * @returns {Promise<Buffer>}
+     */
+    async sha256(data) {
+        return crypto.createHash('sha256').update(data).digest();
+    },
+
+
+    /**
+     * @param {Uint8Array} key - The HMAC key.
+     * @param {Uint8Array} data - The message.
+     * @returns {Promise<Buffer>}
+     */
+    async hmacSha256(key, data) {
+        return crypto.createHmac('sha256', key).update(data).digest();
+    },
+
+
+    /**
+     * @param {Uint8Array} key - The HMAC key.
+     * @param {Array<Uint8Array>} messages - The messages.
+     * @returns {Promise<Array<Buffer>>}
+     */
+    async hmacSha256Many(key, messages) {
+        return messages.map((message) => crypto.createHmac('sha256', key).update(message).digest());
+    },
+
+
+    /**
+     * @param {Uint8Array} ikm - Input key material.
+     * @param {number} length - The number of bytes to derive.
+     * @param {Uint8Array} [salt] - The salt.
+     * @param {Uint8Array} [info] - The context information.
+     * @returns {Promise<Buffer>}
+     */
+    async hkdf(ikm, length, salt, info) {
+        return hkdf(Buffer.from(ikm), length, salt && Buffer.from(salt), info && Buffer.from(info));
+    },
+
+
+    /**
+     * @param {Uint8Array} key - The 32-byte AES key.
+     * @param {Uint8Array} iv - The 12-byte nonce.
+     * @param {Uint8Array} plaintext - The plaintext.
+     * @param {Uint8Array|null} [aad] - Associated data.
+     * @returns {Promise<{ ciphertext: Buffer, tag: Buffer }>}
+     */
+    async aesGcmEncrypt(key, iv, plaintext, aad = null) {
+        const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+        if (aad) {
+            cipher.setAAD(aad);
+        }
+        const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+        return { ciphertext, tag: cipher.getAuthTag() };
+    },
+
+
+    /**
+     * @param {Uint8Array} key - The 32-byte AES key.
+     * @param {Uint8Array} iv - The 12-byte nonce.
+     * @param {Uint8Array} ciphertext - The ciphertext.
+     * @param {Uint8Array} tag - The 16-byte authentication tag.
+     * @param {Uint8Array|null} [aad] - Associated data.
+     * @returns {Promise<Buffer>}
+     * @throws {DecryptError} If authentication fails.
+     */
+    async aesGcmDecrypt(key, iv, ciphertext, tag, aad = null) {
+        try {
+            const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+            if (aad) {
+                decipher.setAAD(aad);
+            }
+            decipher.setAuthTag(tag);
+            return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+        } catch (error) {
+            throw new DecryptError(error.message);
+        }
+    }
+});
+
+
+export { nodeRuntime };
@@ -0,0 +1,136 @@
+import { DecryptError, InvalidConfigurationError } from '../exceptions/index.js';
+import { concatBytes } from './bytes.js';
+
+
+// getRandomValues fills at most 65536 bytes per call
+const MAX_RANDOM_BYTES_PER_CALL = 65536;
+
+
+/**
+ * Returns the WebCrypto implementation of the current environment.
+ * @returns {Crypto}
+ * @throws {InvalidConfigurationError} If WebCrypto is not available.
+ * @private
+ */
+function getWebCrypto() {
+    const webCrypto = globalThis.crypto;
+    if (!webCrypto || !webCrypto.subtle || typeof webCrypto.getRandomValues !== 'function') {
+        throw new InvalidConfigurationError("WebCrypto (globalThis.crypto.subtle) is not available in this environment");
+    }
+    return webCrypto;
+}
+
+
+/**
+ * Runtime backed by WebCrypto, for browsers and edge runtimes (Vercel, Cloudflare Workers, Deno)
+ * and for Node versions that expose `globalThis.crypto`. Uses `Uint8Array` throughout.
+ */
+const webRuntime = Object.freeze({
+    name: 'web',
+
+
+    /**
+     * @param {number} length - The number of bytes.
+     * @returns {Uint8Array}
+     */
+    randomBytes(length) {
+        const webCrypto = getWebCrypto();
+        const bytes = new Uint8Array(length);
+        for (let offset = 0; offset < length; offset += MAX_RANDOM_BYTES_PER_CALL) {
+            webCrypto.getRandomValues(bytes.subarray(offset, offset + MAX_RANDOM_BYTES_PER_CALL));
+        }
+        return bytes;
+    },
+
+
+    /**
+     * @param {Uint8Array} data - The data to hash.
+     * @returns {Promise<Uint8Array>}
+     */
+    async sha256(data) {
+        return new Uint8Array(await getWebCrypto().subtle.digest('SHA-256', data));
+    },
+
+
+    /**
+     * @param {Uint8Array} key - The HMAC key.
+     * @param {Uint8Array} data - The message.
+     * @returns {Promise<Uint8Array>}
+     */
+    async hmacSha256(key, data) {
+        const [digest] = await this.hmacSha256Many(key, [data]);
+        return digest;
+    },
+
+
+    /**
+     * HMACs several messages under one key, importing the key only once.
+     * @param {Uint8Array} key - The HMAC key.
+     * @param {Array<Uint8Array>} messages - The messages.
+     * @returns {Promise<Array<Uint8Array>>}
+     */
+    async hmacSha256Many(key, messages) {
+        const subtle = getWebCrypto().subtle;
+        const cryptoKey = await subtle.importKey('raw', key, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+        const digests = await Promise.all(messages.map((message) => subtle.sign('HMAC', cryptoKey, message)));
+        return digests.map((digest) => new Uint8Array(digest));
+    },
+
+
+    /**
+     * @param {Uint8Array} ikm - Input key material.
+     * @param {number} length - The number of bytes to derive.
+     * @param {Uint8Array} [salt] - The salt.
+     * @param {Uint8Array} [info] - The context information.
+     * @returns {Promise<Uint8Array>}
+     */
+    async hkdf(ikm, length, salt = new Uint8Array(0), info = new Uint8Array(0)) {
+        const subtle = getWebCrypto().subtle;
+        const cryptoKey = await subtle.importKey('raw', ikm, 'HKDF', false, ['deriveBits']);
+        const bits = await subtle.deriveBits({ name: 'HKDF', hash: 'SHA-256', salt, info }, cryptoKey, length * 8);
+        return new Uint8Array(bits);
+    },
+
+
+    /**
+     * @param {Uint8Array} key - The 32-byte AES key.
+     * @param {Uint8Array} iv - The 12-byte nonce.
+     * @param {Uint8Array} plaintext - The plaintext.
+     * @param {Uint8Array|null} [aad] - Associated data.
+     * @returns {Promise<{ ciphertext: Uint8Array, tag: Uint8Array }>}
+     */
+    async aesGcmEncrypt(key, iv, plaintext, aad = null) {
+        const subtle = getWebCrypto().subtle;
+        const cryptoKey = await subtle.importKey('raw', key, 'AES-GCM', false, ['encrypt']);
+        const params = aad ? { name: 'AES-GCM', iv, additionalData: aad } : { name: 'AES-GCM', iv };
+        const sealed = new Uint8Array(await subtle.encrypt(params, cryptoKey, plaintext));
+        return {
+            ciphertext: sealed.subarray(0, sealed.length - 16),
+            tag: sealed.subarray(sealed.length - 16)
+        };
+    },
+
+
+    /**
+     * @param {Uint8Array} key - The 32-byte AES key.
+     * @param {Uint8Array} iv - The 12-byte nonce.
+     * @param {Uint8Array} ciphertext - The ciphertext.
+     * @param {Uint8Array} tag - The 16-byte authentication tag.
+     * @param {Uint8Array|null} [aad] - Associated data.
+     * @returns {Promise<Uint8Array>}
+     * @throws {DecryptError} If authentication fails.
+     */
+    async aesGcmDecrypt(key, iv, ciphertext, tag, aad = null) {
+        const subtle = getWebCrypto().subtle;
+        const cryptoKey = await subtle.importKey('raw', key, 'AES-GCM', false, ['decrypt']);
+        const params = aad ? { name: 'AES-GCM', iv, additionalData: aad } : { name: 'AES-GCM', iv };
+        try {
+            return new Uint8Array(await subtle.decrypt(params, cryptoKey, concatBytes(ciphertext, tag)));
+        } catch (error) {
+            throw new DecryptError("Unsupported state or unable to authenticate data");
+        }
+    }
+});
+
+
+export { webRuntime };
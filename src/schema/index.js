@@ -0,0 +1,312 @@
+import crypto from 'crypto';
+import { hkdf } from '../crypto/hkdf.js';
+import { validateConfig, createSchema } from '../utils/config-validator.js';
+import { InvalidConfigurationError, InvalidInputError } from '../exceptions/index.js';
+
+
+/**
+ * Declarative field-level encryption: a schema lists how each field of a record is stored,
+ * so every service encrypts the same documents the same way.
+ *
+ * @example
+ * ```javascript
+ * const schema = {
+ *     fields: {
+ *         id: 'plaintext',
+ *         embedding: 'vector',
+ *         chunk_text: 'randomized',
+ *         source_url: 'deterministic',
+ *         author: 'hmac-token',
+ *         upload_date: 'ordered'
+ *     }
+ * };
+ * ```
+ */
+
+
+/**
+ * How a field of a record is stored
+ * @enum {string}
+ */
+const FieldMode = Object.freeze({
+    VECTOR: 'vector',               // Encrypted with DCPE; its metadata goes to a companion field
+    RANDOMIZED: 'randomized',       // Encrypted as a text envelope (base64url)
+    DETERMINISTIC: 'deterministic', // Encrypted deterministically (base64), so exact-match filters work
+    ORDERED: 'ordered',             // Numbers and dates, encrypted order-preserving (hex), so range filters work
+    PLAINTEXT: 'plaintext',         // Stored as given
+    HMAC_TOKEN: 'hmac-token'        // Replaced by a keyed hash (base64url); cannot be decrypted
+});
+
+
+const SCHEMA_DEFINITION = createSchema({
+    fields: { type: 'object' },
+    strict: { type: 'boolean', default: true },
+    defaultMode: { type: 'string' }
+}, ['fields']);
+
+const FIELD_DEFINITION = createSchema({
+    mode: { type: 'string' },
+    metadataField: { type: 'string' }
+}, ['mode']);
+
+const FIELD_TOKEN_SALT = Buffer.from('DCPE-FieldToken');
+
+/**
+ * Schemas returned by defineSchema, which are frozen and need no further validation
+ * @type {WeakSet<Object>}
+ * @private
+ */
+const _normalizedSchemas = new WeakSet();
+
+
+/**
+ * Validate a schema and normalize every field to `{ mode, metadataField }`.
+ * Fields may be given as a mode string or as an object with a `mode` and, for vector fields,
+ * the `metadataField` that holds the vector metadata (default `<field>_metadata`).
+ * @param {Object} schema - Schema of the form `{ fields, strict, defaultMode }`
+ * @param {Object<string, string|Object>} schema.fields - Mode of each field
+ * @param {boolean} [schema.strict=true] - Reject records with fields the schema does not list;
+ *   when false, those fields are copied unchanged
+ * @param {string} [schema.defaultMode] - Mode of the fields the schema does not list, instead of
+ *   rejecting or copying them; any mode but `vector`
+ * @returns {Object} - Frozen normalized schema. Pass it to encryptRecord and decryptRecord
+ *   instead of the plain object to validate the schema only once.
+ * @throws {InvalidConfigurationError} If the schema is invalid
+ */
+function defineSchema(schema) {
+    if (_normalizedSchemas.has(schema)) {
+        return schema;
+    }
+    if (!schema || typeof schema !== 'object') {
+        throw new InvalidConfigurationError("Encryption schema must be an object");
+    }
+
+    const config = validated(schema, SCHEMA_DEFINITION, 'encryption schema');
+    if (config.fields === null || Array.isArray(config.fields)) {
+        throw new InvalidConfigurationError("Encryption schema fields must be an object");
+    }
+
+    const fields = {};
+    const modes = Object.values(FieldMode);
+    for (const [name, spec] of Object.entries(config.fields)) {
+        const field = validated(typeof spec === 'string' ? { mode: spec } : spec, FIELD_DEFINITION, `field ${name}`);
+        if (!modes.includes(field.mode)) {
+            throw new InvalidConfigurationError(`Unknown encryption mode for field ${name}: ${field.mode}`);
+        }
+        if (field.mode !== FieldMode.VECTOR && field.metadataField !== undefined) {
+            throw new InvalidConfigurationError(`Only vector fields have a metadata field: ${name}`);
+        }
+        fields[name] = Object.freeze({
+            mode: field.mode,
+            metadataField: field.mode === FieldMode.VECTOR ? (field.metadataField || `${name}_metadata`) : null
+        });
+    }
+
+    const taken = new Set(Object.keys(fields));
+    for (const [name, field] of Object.entries(fields)) {
+        if (field.metadataField) {
+            if (taken.has(field.metadataField)) {
+                throw new InvalidConfigurationError(`Metadata field of vector field ${name} collides with another field: ${field.metadataField}`);
+            }
+            taken.add(field.metadataField);
+        }
+    }
+
+    const defaultMode = config.defaultMode === undefined ? null : config.defaultMode;
+    if (defaultMode !== null && (!modes.includes(defaultMode) || defaultMode === FieldMode.VECTOR)) {
+        throw new InvalidConfigurationError(`Invalid default encryption mode: ${defaultMode}`);
+    }
+
+    const normalized = Object.freeze({ fields: Object.freeze(fields), strict: config.strict, defaultMode });
+    _normalizedSchemas.add(normalized);
+    return normalized;
+}
+
+
+/**
+ * Encrypt the fields of a record according to a schema.
+ * Fields missing from the record, or null, are left out of or kept as null in the result.
+ * @param {Object} codec - Object doing the encryption, such as a DCPE instance: `encryptVector`, `encryptText`,
+ *   `encryptMetadata`, `encryptOrderedField` and `createFieldToken`
+ * @param {Object} record - Plaintext record
+ * @param {Object} schema - Schema (see defineSchema)
+ * @returns {Object} - Encrypted record, with the metadata of each vector field in its metadata field
+ * @throws {InvalidInputError} If the record does not match the schema
+ */
+function encryptRecord(codec, record, schema) {
+    const normalized = defineSchema(schema);
+    const result = {};
+
+    for (const [name, value] of Object.entries(checkRecord(record))) {
+        const field = lookupField(normalized, name);
+        if (!field) {
+            if (normalized.strict) {
+                throw new InvalidInputError(`Field ${name} is not in the encryption schema`);
+            }
+            result[name] = value;
+            continue;
+        }
+        if (value === null || value === undefined || field.mode === FieldMode.PLAINTEXT) {
+            result[name] = value;
+            continue;
+        }
+
+        switch (field.mode) {
+            case FieldMode.VECTOR: {
+                const encrypted = codec.encryptVector(value);
+                result[name] = encrypted.vector;
+                result[field.metadataField] = encrypted.metadata;
+                break;
+            }
+            case FieldMode.RANDOMIZED:
+                result[name] = codec.encryptText(requireString(name, value), { encoding: 'base64url' });
+                break;
+            case FieldMode.DETERMINISTIC:
+                result[name] = codec.encryptMetadata(requireString(name, value)).toString('base64');
+                break;
+            case FieldMode.ORDERED:
+                result[name] = codec.encryptOrderedField(value);
+                break;
+            case FieldMode.HMAC_TOKEN:
+                result[name] = codec.createFieldToken(name, requireString(name, value));
+                break;
+        }
+    }
+    return result;
+}
+
+
+/**
+ * Decrypt a record produced by encryptRecord with the same schema.
+ * HMAC token fields cannot be decrypted and are returned as tokens.
+ * @param {Object} codec - Object doing the decryption, such as a DCPE instance: `decryptVector`, `decryptText`,
+ *   `decryptMetadata` and `decryptOrderedField`
+ * @param {Object} record - Encrypted record
+ * @param {Object} schema - Schema (see defineSchema)
+ * @returns {Object} - Decrypted record, without the vector metadata fields
+ * @throws {InvalidInputError} If the record does not match the schema
+ */
+function decryptRecord(codec, record, schema) {
+    const normalized = defineSchema(schema);
+    const metadataFields = new Set(Object.values(normalized.fields).map((field) => field.metadataField).filter(Boolean));
+    const result = {};
+
+    for (const [name, value] of Object.entries(checkRecord(record))) {
+        const field = lookupField(normalized, name);
+        if (metadataFields.has(name)) {
+            continue;
+        }
+        if (!field) {
+            if (normalized.strict) {
+                throw new InvalidInputError(`Field ${name} is not in the encryption schema`);
+            }
+            result[name] = value;
+            continue;
+        }
+        if (value === null || value === undefined || field.mode === FieldMode.PLAINTEXT || field.mode === FieldMode.HMAC_TOKEN) {
+            result[name] = value;
+            continue;
+        }
+
+        switch (field.mode) {
+            case FieldMode.VECTOR: {
+                const metadata = record[field.metadataField];
+                if (metadata === undefined || metadata === null) {
+                    throw new InvalidInputError(`Vector field ${name} has no metadata in ${field.metadataField}`);
+                }
+                result[name] = codec.decryptVector(value, metadata);
+                break;
+            }
+            case FieldMode.RANDOMIZED:
+                result[name] = codec.decryptText(value, { encoding: 'base64url' });
+                break;
+            case FieldMode.DETERMINISTIC:
+                result[name] = codec.decryptMetadata(Buffer.isBuffer(value) ? value : Buffer.from(value, 'base64'));
+                break;
+            case FieldMode.ORDERED:
+                result[name] = codec.decryptOrderedField(value);
+                break;
+        }
+    }
+    return result;
+}
+
+
+/**
+ * Compute the HMAC token of a field value. The token key is derived from the key material
+ * separately for each field, so equal values in different fields get unrelated tokens.
+ * @param {Buffer} keyMaterial - Raw key material
+ * @param {string} field - Field name
+ * @param {string} value - Field value
+ * @returns {string} - Token (base64url)
+ */
+function computeFieldToken(keyMaterial, field, value) {
+    if (typeof field !== 'string' || typeof value !== 'string') {
+        throw new InvalidInputError("Field name and value of an HMAC token must be strings");
+    }
+    const tokenKey = hkdf(keyMaterial, 32, FIELD_TOKEN_SALT, Buffer.from(field, 'utf8'));
+    return crypto.createHmac('sha256', tokenKey).update(value, 'utf8').digest('base64url');
+}
+
+
+/**
+ * Field of a normalized schema, falling back to its default mode
+ * @param {Object} schema - Normalized schema (see defineSchema)
+ * @param {string} name - Field name
+ * @returns {{mode: string, metadataField: string|null}|null} - The field, or null if the schema neither
+ *   lists it nor has a default mode
+ */
+function lookupField(schema, name) {
+    if (Object.prototype.hasOwnProperty.call(schema.fields, name)) {
+        return schema.fields[name];
+    }
+    return schema.defaultMode ? { mode: schema.defaultMode, metadataField: null } : null;
+}
+
+
+/**
+ * Validate a configuration object with the config validator, rethrowing its errors as InvalidConfigurationError
+ * @private
+ */
+function validated(config, definition, label) {
+    if (!config || typeof config !== 'object') {
+        throw new InvalidConfigurationError(`Invalid ${label}: expected a mode or an object`);
+    }
+    try {
+        return validateConfig(config, definition);
+    } catch (e) {
+        throw new InvalidConfigurationError(`Invalid ${label}: ${e.message}`);
+    }
+}
+
+
+/**
+ * @private
+ */
+function checkRecord(record) {
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+        throw new InvalidInputError("Record must be an object");
+    }
+    return record;
+}
+
+
+/**
+ * @private
+ */
+function requireString(name, value) {
+    if (typeof value !== 'string') {
+        throw new InvalidInputError(`Field ${name} must be a string to be encrypted`);
+    }
+    return value;
+}
+
+
+export {
+    FieldMode,
+    defineSchema,
+    lookupField,
+    encryptRecord,
+    decryptRecord,
+    computeFieldToken
+};
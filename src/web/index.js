@@ -0,0 +1,488 @@
+import { InvalidInputError, InvalidKeyError, DecryptError } from '../exceptions/index.js';
+import { getRuntime } from '../runtime/index.js';
+import { isBytes, concatBytes, utf8ToBytes, bytesToUtf8, uintToBytesBE } from '../runtime/bytes.js';
+import {
+    KeystreamRng,
+    sampleNoiseVector,
+    sampleIndex,
+    permuteIndices,
+    applyPermutation,
+    applyInversePermutation
+} from '../crypto/sampling.js';
+import { AuthHash, isVector, addNoise, removeNoise, authHashMessage } from '../crypto/vectors.js';
+import {
+    KeyIdHeader,
+    encodeVectorMetadata,
+    encodeVectorMetadataTrailer,
+    decodeVectorMetadata,
+    serializeEncryptedText,
+    parseEncryptedText,
+    encodeDeterministicField,
+    decodeDeterministicField,
+    numericKeyIdFromDigest,
+    legacyNumericKeyId
+} from '../headers/index.js';
+import * as constants from '../crypto/constants.js';
+
+
+const { CURRENT_SHUFFLE_ALGORITHM, CURRENT_KEY_SCHEDULE_VERSION, EdekType, PayloadType } = constants;
+
+
+/**
+ * Raised when a prefetched keystream runs out before the computation using it finishes
+ * @private
+ */
+class KeystreamExhaustedError extends Error {}
+
+
+/**
+ * Generator over an HMAC-SHA256 counter-mode keystream that is computed ahead of time,
+ * because WebCrypto can only compute it asynchronously. It produces the same numbers as
+ * the Node `DeterministicRng` for the same seed.
+ * @private
+ */
+class PrefetchedRng extends KeystreamRng {
+    /**
+     * @param {Object} runtime - The crypto runtime.
+     * @param {Uint8Array} seed - The secret seed for the keystream.
+     */
+    constructor(runtime, seed) {
+        super();
+        this.runtime = runtime;
+        this.seed = seed;
+        this.blocks = [];
+        this.nextBlockIndex = 0;
+    }
+
+
+    /**
+     * Computes keystream blocks until at least `blockCount` are available.
+     * @param {number} blockCount - The number of blocks needed.
+     */
+    async prefetch(blockCount) {
+        const counters = [];
+        for (let counter = this.blocks.length; counter < blockCount; counter++) {
+            counters.push(uintToBytesBE(counter, 8));
+        }
+        this.blocks.push(...await this.runtime.hmacSha256Many(this.seed, counters));
+    }
+
+
+    /**
+     * Starts reading the keystream from the beginning again.
+     */
+    rewind() {
+        this.block = new Uint8Array(0);
+        this.offset = 0;
+        this.nextBlockIndex = 0;
+    }
+
+
+    _nextBlock() {
+        if (this.nextBlockIndex >= this.blocks.length) {
+            throw new KeystreamExhaustedError();
+        }
+        return this.blocks[this.nextBlockIndex++];
+    }
+}
+
+
+/**
+ * WebCrypto implementation of RagEncryptionClient for browsers and edge runtimes.
+ *
+ * Every method is asynchronous because WebCrypto is. Ciphertexts are interchangeable with
+ * those of RagEncryptionClient for the same key and key ID. Both clients encode vector metadata
+ * and text envelopes with the headers module and share the vector arithmetic in
+ * crypto/vectors.js; this client writes vectors with the current key schedule and shuffle
+ * algorithm. Key rotation, key providers and per-tenant derivation stay with RagEncryptionClient.
+ */
+class WebRagEncryptionClient {
+    /**
+     * Use WebRagEncryptionClient.create(), which derives the subkeys asynchronously.
+     * @param {Object} state - Derived client state.
+     * @private
+     */
+    constructor(state) {
+        Object.assign(this, state);
+        this._permutations = new Map();
+    }
+
+
+    /**
+     * Creates a client from raw key material.
+     * @param {Uint8Array} encryptionKey - Raw encryption key bytes (at least 32).
+     * @param {Object} [options] - Client options.
+     * @param {number} [options.approximationFactor=1.0] - Approximation factor for vector encryption.
+     * @param {string} [options.keyId='local-key'] - Key identifier, as given to RagEncryptionClient.
+     * @param {number} [options.numericKeyId] - Numeric key ID written into headers. Defaults to the ID a
+     *                                          fresh KeyRegistry assigns to keyId.
+     * @param {Object} [options.runtime] - Crypto runtime. Defaults to getRuntime().
+     * @returns {Promise<WebRagEncryptionClient>}
+     */
+    static async create(encryptionKey, options = {}) {
+        const {
+            approximationFactor = 1.0,
+            keyId = "local-key",
+            numericKeyId = null,
+            runtime = getRuntime()
+        } = options;
+        if (!isBytes(encryptionKey) || encryptionKey.length < 32) {
+            throw new InvalidInputError("Encryption key must be a Uint8Array of at least 32 bytes");
+        }
+        if (typeof approximationFactor !== 'number') {
+            throw new InvalidInputError("Approximation factor must be a number");
+        }
+        if (typeof keyId !== 'string' || keyId.length === 0) {
+            throw new InvalidInputError("Key ID must be a non-empty string");
+        }
+
+        const derive = (label) => runtime.hkdf(
+            encryptionKey,
+            32,
+            utf8ToBytes(constants.KEY_SCHEDULE_SALT),
+            utf8ToBytes(`${constants.KEY_SCHEDULE_V1_PREFIX}${label}`)
+        );
+        const [vectorKey, shuffleKey, textKey, deterministicKey] = await Promise.all(
+            ['vector', 'shuffle', 'text', 'deterministic'].map(derive)
+        );
+
+        return new WebRagEncryptionClient({
+            runtime,
+            approximationFactor,
+            keyId,
+            numericKeyId: numericKeyId ?? numericKeyIdFromDigest(await runtime.sha256(utf8ToBytes(keyId))),
+            vectorKey,
+            shuffleKey,
+            textKey,
+            deterministicKey,
+            _legacyKey: encryptionKey
+        });
+    }
+
+
+    /**
+     * Encrypts a vector embedding.
+     * @param {Array<number>|Float32Array|Float64Array} plaintextVector - The plaintext vector to encrypt.
+     * @returns {Promise<[Array<number>|Float32Array|Float64Array, Uint8Array]>} - The encrypted vector,
+     *   of the same type as the input, and its metadata.
+     */
+    async encryptVector(plaintextVector) {
+        if (!isVector(plaintextVector)) {
+            throw new InvalidInputError("Plaintext vector must be an array of numbers, a Float32Array or a Float64Array");
+        }
+
+        const indices = await this._permutation(plaintextVector.length);
+        const shuffledVector = applyPermutation(indices, plaintextVector);
+
+        const iv = this.runtime.randomBytes(12);
+        const noiseVector = await this._noiseVector(iv, shuffledVector.length);
+        const ciphertext = addNoise(shuffledVector, this.approximationFactor, noiseVector);
+        const authHash = await this._authHash(iv, ciphertext, encodeVectorMetadataTrailer(
+            CURRENT_SHUFFLE_ALGORITHM,
+            CURRENT_KEY_SCHEDULE_VERSION
+        ));
+
+        const metadata = encodeVectorMetadata(
+            new KeyIdHeader(this.numericKeyId, EdekType.STANDALONE, PayloadType.VECTOR_METADATA),
+            iv,
+            authHash,
+            CURRENT_SHUFFLE_ALGORITHM,
+            CURRENT_KEY_SCHEDULE_VERSION
+        );
+        return [ciphertext, metadata];
+    }
+
+
+    /**
+     * Decrypts an encrypted vector embedding.
+     * @param {Array<number>|Float32Array|Float64Array} encryptedVector - The encrypted vector.
+     * @param {Uint8Array} metadata - The metadata returned with the encrypted vector.
+     * @returns {Promise<Array<number>|Float32Array|Float64Array>} - The decrypted plaintext vector,
+     *   of the same type as the encrypted vector.
+     */
+    async decryptVector(encryptedVector, metadata) {
+        if (!isVector(encryptedVector)) {
+            throw new InvalidInputError("Encrypted vector must be an array of numbers, a Float32Array or a Float64Array");
+        }
+        if (!isBytes(metadata)) {
+            throw new InvalidInputError("Metadata must be a Uint8Array");
+        }
+
+        const { keyIdHeader, iv, authHash, shuffleAlgorithm, keyScheduleVersion, trailer } = decodeVectorMetadata(metadata);
+        if (shuffleAlgorithm !== CURRENT_SHUFFLE_ALGORITHM || keyScheduleVersion !== CURRENT_KEY_SCHEDULE_VERSION) {
+            throw new InvalidInputError("Vectors encrypted with legacy parameters can only be decrypted by RagEncryptionClient");
+        }
+        this._checkKeyId(keyIdHeader.keyId);
+
+        if (!(await this._authHash(iv, encryptedVector, trailer)).equals(authHash)) {
+            throw new DecryptError("Authentication hash mismatch");
+        }
+
+        const noiseVector = await this._noiseVector(iv, encryptedVector.length);
+        const shuffledVector = removeNoise(encryptedVector, this.approximationFactor, noiseVector);
+        return applyInversePermutation(await this._permutation(shuffledVector.length), shuffledVector);
+    }
+
+
+    /**
+     * Encrypts a text string using AES-GCM.
+     * @param {string} plaintext - The plaintext string to encrypt.
+     * @param {Object} [options] - Encryption options.
+     * @param {string} [options.encoding] - 'buffer', 'base64url' or 'hex' to receive a serialized envelope.
+     * @param {string|Uint8Array} [options.aad] - Associated data, required again on decryption.
+     * @returns {Promise<Object|Uint8Array|string>} - Encrypted text, IV, tag and numeric key ID,
+     *                                                or the serialized envelope when an encoding is given.
+     */
+    async encryptText(plaintext, options = {}) {
+        if (typeof plaintext !== 'string') {
+            throw new InvalidInputError("Plaintext must be a string.");
+        }
+        const iv = this.runtime.randomBytes(12);
+        const { ciphertext, tag } = await this.runtime.aesGcmEncrypt(
+            this.textKey, iv, utf8ToBytes(plaintext), toAadBytes(options.aad)
+        );
+
+        const encryptedText = { ciphertext, iv, tag, keyId: this.numericKeyId };
+        return options.encoding ? serializeEncryptedText(encryptedText, options.encoding) : encryptedText;
+    }
+
+
+    /**
+     * Decrypts AES-GCM encrypted text, given either its components or a serialized envelope.
+     * @param {Uint8Array|string|Object} encryptedText - A serialized envelope, or `{ ciphertext, iv, tag, keyId }`.
+     * @param {Object} [options] - Decryption options.
+     * @param {string} [options.encoding='base64url'] - Encoding of a string envelope.
+     * @param {string|Uint8Array} [options.aad] - The associated data given on encryption.
+     * @returns {Promise<string>} - The decrypted plaintext string.
+     */
+    async decryptText(encryptedText, options = {}) {
+        const { ciphertext, iv, tag, keyId = null } = typeof encryptedText === 'string' || isBytes(encryptedText)
+            ? parseEncryptedText(encryptedText, options.encoding)
+            : encryptedText;
+        if (!isBytes(ciphertext) || !isBytes(iv) || !isBytes(tag)) {
+            throw new InvalidInputError("Ciphertext, IV, and tag must be Uint8Arrays.");
+        }
+        if (keyId !== null) {
+            this._checkKeyId(keyId);
+        }
+
+        const aad = toAadBytes(options.aad);
+        return bytesToUtf8(await this._decryptWithCandidates(
+            [this.textKey, this._legacyKey.subarray(0, 32)],
+            (key) => this.runtime.aesGcmDecrypt(key, iv, ciphertext, tag, aad),
+            "Text decryption failed"
+        ));
+    }
+
+
+    /**
+     * Encrypts text deterministically; the output matches RagEncryptionClient.encryptDeterministicText.
+     * @param {string} plaintext - The plaintext string to encrypt.
+     * @param {Object} [options] - Encryption options.
+     * @param {string|Uint8Array} [options.aad] - Associated data, required again on decryption.
+     * @returns {Promise<Uint8Array>} - KeyIdHeader | nonce | ciphertext | tag.
+     */
+    async encryptDeterministicText(plaintext, options = {}) {
+        if (typeof plaintext !== 'string') {
+            throw new InvalidInputError("Plaintext must be a string");
+        }
+        const aad = toAadBytes(options.aad);
+        const derivedKey = await this._deterministicKeyFor(this.deterministicKey);
+        const plaintextBytes = utf8ToBytes(plaintext);
+
+        const nonceInput = aad
+            ? concatBytes(uintToBytesBE(aad.length), aad, plaintextBytes)
+            : plaintextBytes;
+        const nonce = (await this.runtime.hmacSha256(derivedKey, nonceInput)).subarray(0, 12);
+        const { ciphertext, tag } = await this.runtime.aesGcmEncrypt(derivedKey, nonce, plaintextBytes, aad);
+        return encodeDeterministicField(this.numericKeyId, concatBytes(nonce, ciphertext, tag));
+    }
+
+
+    /**
+     * Decrypts deterministically encrypted text. Ciphertexts with a KeyIdHeader must name this
+     * client's key; those written before they carried a header are decrypted without one.
+     * @param {Uint8Array} encryptedData - KeyIdHeader | nonce | ciphertext | tag, or nonce | ciphertext | tag.
+     * @param {Object} [options] - Decryption options.
+     * @param {string|Uint8Array} [options.aad] - The associated data given on encryption.
+     * @returns {Promise<string>} - The decrypted plaintext string.
+     */
+    async decryptDeterministicText(encryptedData, options = {}) {
+        if (!isBytes(encryptedData)) {
+            throw new InvalidInputError("Encrypted data must be a Uint8Array");
+        }
+        if (encryptedData.length < 28) { // 12 (nonce) + 16 (min tag size)
+            throw new InvalidInputError("Encrypted data too short");
+        }
+        const aad = toAadBytes(options.aad);
+        const { keyId, encryptedField } = decodeDeterministicField(encryptedData);
+        if (keyId === null) {
+            return this._decryptDeterministicField(encryptedData, aad);
+        }
+        try {
+            this._checkKeyId(keyId);
+            return await this._decryptDeterministicField(encryptedField, aad);
+        } catch (error) {
+            // A headerless ciphertext whose first bytes happen to parse as a header
+            try {
+                return await this._decryptDeterministicField(encryptedData, aad);
+            } catch (legacyError) {
+                throw error;
+            }
+        }
+    }
+
+
+    /**
+     * Decrypt nonce | ciphertext | tag with the deterministic key, then the legacy key
+     * @private
+     */
+    async _decryptDeterministicField(encryptedField, aad) {
+        const nonce = encryptedField.subarray(0, 12);
+        const ciphertext = encryptedField.subarray(12, encryptedField.length - 16);
+        const tag = encryptedField.subarray(encryptedField.length - 16);
+
+        return bytesToUtf8(await this._decryptWithCandidates(
+            [this.deterministicKey, this._legacyKey],
+            async (key) => this.runtime.aesGcmDecrypt(await this._deterministicKeyFor(key), nonce, ciphertext, tag, aad),
+            "Deterministic text decryption failed"
+        ));
+    }
+
+
+    /**
+     * Fisher-Yates permutation for the current shuffle algorithm, computed once per length
+     * @private
+     */
+    _permutation(length) {
+        if (!this._permutations.has(length)) {
+            const permutation = this._derivePermutation(length);
+            permutation.catch(() => this._permutations.delete(length));
+            this._permutations.set(length, permutation);
+        }
+        return this._permutations.get(length);
+    }
+
+
+    /**
+     * Derives the permutation for _permutation without caching it
+     * @private
+     */
+    async _derivePermutation(length) {
+        const seed = await this.runtime.hkdf(
+            this.shuffleKey,
+            32,
+            utf8ToBytes(constants.SHUFFLE_KEY),
+            utf8ToBytes(constants.SHUFFLE_INFO)
+        );
+        const rng = new PrefetchedRng(this.runtime, seed);
+
+        // One 32-bit draw per index, plus a spare block for the rare rejected draw
+        let blockCount = Math.ceil(Math.max(length - 1, 0) / 8) + 1;
+        for (;;) {
+            await rng.prefetch(blockCount);
+            rng.rewind();
+            try {
+                return permuteIndices(length, (bound) => sampleIndex(rng, bound));
+            } catch (error) {
+                if (!(error instanceof KeystreamExhaustedError)) {
+                    throw error;
+                }
+                blockCount *= 2;
+            }
+        }
+    }
+
+
+    /**
+     * Noise vector for an IV, seeded like the Node implementation
+     * @private
+     */
+    async _noiseVector(iv, dimensionality) {
+        if (!Number.isFinite(this.approximationFactor) || this.approximationFactor <= 0) {
+            throw new Error("Approximation factor must be a positive number");
+        }
+        if (!Number.isInteger(dimensionality) || dimensionality <= 0) {
+            throw new Error("Dimensionality must be a positive integer");
+        }
+        const seed = await this.runtime.hmacSha256(this.vectorKey, concatBytes(utf8ToBytes(constants.NOISE_SEED_LABEL), iv));
+        const rng = new PrefetchedRng(this.runtime, seed);
+
+        // sampleNoiseVector draws exactly 2 * dimensionality + 1 values, eight per block
+        await rng.prefetch(Math.ceil((2 * dimensionality + 1) / 8));
+        return sampleNoiseVector(rng, this.approximationFactor, this.approximationFactor, dimensionality);
+    }
+
+
+    /**
+     * Authentication hash over the scaling factor, approximation factor, IV, ciphertext and metadata trailer
+     * @private
+     */
+    async _authHash(iv, ciphertext, trailer) {
+        const message = authHashMessage(this.approximationFactor, this.approximationFactor, iv, ciphertext, trailer);
+        return new AuthHash(await this.runtime.hmacSha256(this.vectorKey, message));
+    }
+
+
+    /**
+     * AES key for deterministic encryption derived from a deterministic subkey
+     * @private
+     */
+    _deterministicKeyFor(key) {
+        return this.runtime.hkdf(
+            key,
+            32,
+            utf8ToBytes(constants.DETERMINISTIC_SALT),
+            utf8ToBytes(constants.DETERMINISTIC_INFO)
+        );
+    }
+
+
+    /**
+     * Rejects headers naming a key other than this client's
+     * @private
+     */
+    _checkKeyId(numericKeyId) {
+        if (numericKeyId !== this.numericKeyId && numericKeyId !== legacyNumericKeyId(this.keyId)) {
+            throw new InvalidKeyError(`Unknown key id ${numericKeyId}`);
+        }
+    }
+
+
+    /**
+     * Run a decryption with each candidate key until one authenticates
+     * @private
+     */
+    async _decryptWithCandidates(candidates, decryptFn, failureMessage) {
+        let lastError = null;
+        for (const candidate of candidates) {
+            try {
+                return await decryptFn(candidate);
+            } catch (e) {
+                lastError = e;
+            }
+        }
+        throw new DecryptError(`${failureMessage}: ${lastError.message}`);
+    }
+}
+
+
+/**
+ * Normalizes associated data for AES-GCM
+ * @private
+ */
+function toAadBytes(aad) {
+    if (aad === undefined || aad === null) {
+        return null;
+    }
+    if (typeof aad === 'string') {
+        return utf8ToBytes(aad);
+    }
+    if (isBytes(aad)) {
+        return aad;
+    }
+    throw new InvalidInputError("Associated data must be a string or a Uint8Array");
+}
+
+
+export { WebRagEncryptionClient };
@@ -0,0 +1,1192 @@
+import fs from "fs/promises";
+import http from "http";
+import os from "os";
+import path from "path";
+import DCPE from "../dcpe.js";
+import { BaseAdapter, EncryptedAdapter, InMemoryAdapter, ZillizAdapter, PgVectorAdapter, QdrantAdapter, PineconeAdapter, LocalFileAdapter } from "../adapters/index.js";
+import { RagEncryptionClient } from "../rag_encryption/index.js";
+import { Filter } from "../filters/index.js";
+import { InvalidConfigurationError, InvalidInputError, RequestError } from "../exceptions/index.js";
+
+/**
+ * Map-backed adapter recording what it is given; it matches `eq` filters only
+ */
+class RecordingAdapter extends BaseAdapter {
+    constructor() {
+        super({ collectionName: "test" });
+        this.records = new Map();
+        this.calls = [];
+    }
+
+    async upsert(vectors) {
+        vectors.forEach((vector) => this.records.set(vector.id, vector));
+        return vectors.map((vector) => vector.id);
+    }
+
+    async insert(vectors) {
+        return this.upsert(vectors);
+    }
+
+    async get(ids) {
+        return ids.filter((id) => this.records.has(id)).map((id) => this.records.get(id));
+    }
+
+    async search(queryVector, options = {}) {
+        this.calls.push({ method: "search", queryVector, options });
+        return [...this.records.values()]
+            .filter((record) => !options.filter || record.metadata[options.filter.field] === options.filter.value)
+            .map(({ id, metadata }) => ({ id, metadata, score: 1 }));
+    }
+
+    async delete(idsOrFilter) {
+        this.calls.push({ method: "delete", idsOrFilter });
+        return 0;
+    }
+
+    async count(filter) {
+        this.calls.push({ method: "count", filter });
+        return this.records.size;
+    }
+
+    async createCollection(schema) {
+        this.calls.push({ method: "createCollection", schema });
+        return true;
+    }
+}
+
+describe("BaseAdapter", () => {
+    test("should reject every method it does not implement", async () => {
+        const adapter = new BaseAdapter();
+
+        for (const method of ["connect", "disconnect", "insert", "search", "upsert", "get", "delete", "count", "createCollection", "dropCollection"]) {
+            await expect(adapter[method]()).rejects.toThrow(`Method not implemented: ${method}`);
+        }
+        expect(() => adapter.compileFilter(Filter.eq("a", 1))).toThrow("Method not implemented: compileFilter");
+    });
+});
+
+describe("EncryptedAdapter", () => {
+    const schema = { fields: { text: "randomized", source_url: "deterministic", page: "plaintext" } };
+    const vector = [0.1, -0.2, 0.3, 0.4];
+    const document = { id: "doc1", vector, metadata: { text: "quarterly results", source_url: "https://example.com", page: 2 } };
+    let dcpe;
+    let backend;
+
+    beforeEach(async () => {
+        dcpe = new DCPE();
+        dcpe.setKeys(await dcpe.generateKeys());
+        backend = new RecordingAdapter();
+    });
+
+    test("should only store ciphertexts and decrypt what it reads", async () => {
+        const adapter = new EncryptedAdapter(backend, dcpe, { schema });
+        await adapter.insert([document]);
+
+        const stored = backend.records.get("doc1");
+        expect(stored.vector).not.toEqual(vector);
+        expect(stored.metadata.text).not.toContain("quarterly");
+        expect(stored.metadata.source_url).toBe(dcpe.encryptMetadata("https://example.com").toString("base64"));
+        expect(stored.metadata.page).toBe(2);
+        expect(typeof stored.metadata.vector_metadata).toBe("string");
+
+        const [fetched] = await adapter.get(["doc1"]);
+        expect(fetched.metadata).toEqual(document.metadata);
+        fetched.vector.forEach((val, i) => expect(val).toBeCloseTo(vector[i], 9));
+    });
+
+    test("should encrypt query vectors and filters", async () => {
+        const adapter = new EncryptedAdapter(backend, dcpe, { schema });
+        await adapter.upsert([document, { id: "doc2", vector, metadata: { text: "other", source_url: "https://other.com", page: 1 } }]);
+
+        const results = await adapter.search(vector, { limit: 5, filter: Filter.eq("source_url", "https://example.com") });
+        expect(results).toEqual([{ id: "doc1", metadata: document.metadata, score: 1 }]);
+        const [{ queryVector, options }] = backend.calls;
+        expect(queryVector).not.toEqual(vector);
+        expect(options.limit).toBe(5);
+
+        await adapter.delete(Filter.eq("source_url", "https://example.com"));
+        await adapter.delete(["doc2"]);
+        expect(backend.calls[1].idsOrFilter.value).toBe(dcpe.encryptMetadata("https://example.com").toString("base64"));
+        expect(backend.calls[2].idsOrFilter).toEqual(["doc2"]);
+
+        await expect(adapter.count({ source_url: "https://example.com" })).rejects.toThrow(InvalidInputError);
+        await expect(adapter.search(vector, { filter: Filter.eq("text", "x") })).rejects.toThrow("cannot be filtered");
+    });
+
+    test("should work with a RagEncryptionClient", async () => {
+        const client = new RagEncryptionClient(Buffer.from("testkey12345678901234567890123456"), 1.0);
+        const adapter = new EncryptedAdapter(backend, client, { schema });
+        await adapter.insert([document]);
+
+        expect(backend.records.get("doc1").metadata.source_url)
+            .toBe(client.encryptDeterministicText("https://example.com").toString("base64"));
+        const [fetched] = await adapter.get(["doc1"]);
+        expect(fetched.metadata).toEqual(document.metadata);
+        fetched.vector.forEach((val, i) => expect(val).toBeCloseTo(vector[i], 9));
+    });
+
+    test("should encrypt every field by default and type the encrypted fields of the collection", async () => {
+        const adapter = new EncryptedAdapter(backend, dcpe);
+        const metadata = { text: "quarterly results", source_url: "https://example.com" };
+        await adapter.insert([{ id: "doc1", vector, metadata }]);
+        expect(backend.records.get("doc1").metadata.source_url).not.toContain("example");
+        expect((await adapter.get(["doc1"]))[0].metadata).toEqual(metadata);
+        await expect(adapter.insert([document])).rejects.toThrow("must be a string");
+
+        await new EncryptedAdapter(backend, dcpe, { schema }).createCollection({ dimension: 4, fields: { page: "number", source_url: "string", text: "string" } });
+        expect(backend.calls.pop().schema).toEqual({
+            dimension: 4,
+            fields: { page: "number", source_url: "string", text: "binary", vector_metadata: "binary" }
+        });
+    });
+
+    test("should validate its arguments", async () => {
+        expect(() => new EncryptedAdapter({}, dcpe)).toThrow(InvalidInputError);
+        expect(() => new EncryptedAdapter(backend, {})).toThrow(InvalidInputError);
+        expect(() => new EncryptedAdapter(backend, dcpe, { schema: { fields: { vector_metadata: "plaintext" } } }))
+            .toThrow(InvalidConfigurationError);
+        await expect(new EncryptedAdapter(backend, dcpe).insert([{ id: "a", vector, metadata: { vector_metadata: "x" } }]))
+            .rejects.toThrow("reserved");
+    });
+});
+
+describe("InMemoryAdapter", () => {
+    // Deterministic pseudo-random numbers, so the recall checks are reproducible
+    const random = (seed) => () => {
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        return seed / 2147483648;
+    };
+    const randomVectors = (count, dimension, next) => Array.from({ length: count }, () =>
+        Array.from({ length: dimension }, () => next() * 2 - 1));
+
+    test("should store, fetch, count and delete copies of the records", async () => {
+        const adapter = new InMemoryAdapter();
+        const metadata = { category: "finance", page: 2 };
+        const [generated] = await adapter.insert([{ vector: [1, 0, 0], metadata }]);
+        await adapter.insert([{ id: "b", vector: [0, 1, 0], metadata: { category: "legal", page: 5 } }]);
+        metadata.page = 3;
+
+        expect(typeof generated).toBe("string");
+        expect(await adapter.get([generated, "missing"])).toEqual([{ id: generated, vector: [1, 0, 0], metadata: { category: "finance", page: 2 } }]);
+        await expect(adapter.insert([{ id: "b", vector: [0, 0, 1] }])).rejects.toThrow("use upsert");
+        await expect(adapter.insert([{ id: "c", vector: [0, 0, 1] }, { id: "c", vector: [1, 1, 0] }]))
+            .rejects.toThrow("appears more than once");
+        expect(await adapter.get(["c"])).toEqual([]);
+        await adapter.upsert([{ id: "b", vector: [0, 0, 1], metadata: { category: "legal", page: 6 } }]);
+        expect((await adapter.get(["b"]))[0].vector).toEqual([0, 0, 1]);
+
+        expect(await adapter.count()).toBe(2);
+        expect(await adapter.count(Filter.range("page", { gt: 2 }))).toBe(1);
+        expect(await adapter.delete(Filter.eq("category", "legal"))).toBe(1);
+        expect(await adapter.delete([generated, "missing"])).toBe(1);
+        expect(await adapter.count()).toBe(0);
+
+        await expect(adapter.insert([{ vector: [1, 0] }])).rejects.toThrow("expected 3");
+        await expect(adapter.upsert([{ vector: [1, 0, 0] }])).rejects.toThrow("needs an ID");
+        expect(await adapter.createCollection({ dimension: 3 })).toBe(false);
+        expect(await adapter.dropCollection()).toBe(true);
+        expect(await adapter.createCollection({ dimension: 2, metricType: "dot" })).toBe(true);
+        expect(() => new InMemoryAdapter({ metricType: "manhattan" })).toThrow("Unknown metric type");
+    });
+
+    test("exact search should rank by each metric", async () => {
+        const vectors = [
+            { id: "near", vector: [1, 0.1], metadata: { page: 1 } },
+            { id: "long", vector: [10, 0], metadata: { page: 2 } },
+            { id: "far", vector: [-1, 0], metadata: { page: 3 } }
+        ];
+        const ranked = async (metricType, options = {}) => {
+            const adapter = new InMemoryAdapter({ metricType });
+            await adapter.insert(vectors);
+            return adapter.search([1, 0], options);
+        };
+
+        expect((await ranked("cosine")).map((result) => result.id)).toEqual(["long", "near", "far"]);
+        expect((await ranked("dot")).map((result) => result.id)).toEqual(["long", "near", "far"]);
+        expect((await ranked("euclidean")).map((result) => result.id)).toEqual(["near", "far", "long"]);
+
+        const [first] = await ranked("euclidean", { limit: 1, includeVectors: true });
+        expect(first).toEqual({ id: "near", vector: [1, 0.1], metadata: { page: 1 }, distance: expect.any(Number) });
+        expect((await ranked("cosine", { threshold: 0.5 })).map((result) => result.id)).toEqual(["long", "near"]);
+        expect((await ranked("cosine", { filter: Filter.range("page", { gte: 2 }) })).map((result) => result.id)).toEqual(["long", "far"]);
+    });
+
+    test("HNSW search should find the exact neighbors for most queries", async () => {
+        const next = random(42);
+        const data = randomVectors(600, 16, next);
+        const flat = new InMemoryAdapter({ metricType: "euclidean" });
+        const hnsw = new InMemoryAdapter({ metricType: "euclidean", index: "hnsw", hnsw: { m: 8, efConstruction: 64, random: next } });
+        const records = data.map((vector, i) => ({ id: `v${i}`, vector, metadata: { even: i % 2 === 0 } }));
+        await flat.insert(records);
+        await hnsw.insert(records);
+        await hnsw.delete(["v0", "v1", "v2"]);
+        await flat.delete(["v0", "v1", "v2"]);
+
+        let found = 0;
+        for (const query of randomVectors(20, 16, next)) {
+            const filter = Filter.eq("even", true);
+            for (const options of [{ limit: 10 }, { limit: 10, filter }]) {
+                const expected = new Set((await flat.search(query, options)).map((result) => result.id));
+                const actual = await hnsw.search(query, options);
+                expect(actual.every((result) => options.filter === undefined || result.metadata.even)).toBe(true);
+                found += actual.filter((result) => expected.has(result.id)).length;
+            }
+        }
+        expect(found / 400).toBeGreaterThan(0.9);
+    });
+
+    test("IVF search should find the exact neighbors for most queries", async () => {
+        const next = random(11);
+        const data = randomVectors(600, 16, next);
+        const flat = new InMemoryAdapter({ metricType: "cosine" });
+        const ivf = new InMemoryAdapter({ metricType: "cosine", index: "ivf", ivf: { nlist: 16, random: next } });
+        const records = data.map((vector, i) => ({ id: `v${i}`, vector, metadata: { even: i % 2 === 0 } }));
+        await flat.insert(records);
+        await ivf.insert(records);
+        await ivf.delete(["v0", "v1", "v2"]);
+        await flat.delete(["v0", "v1", "v2"]);
+
+        let found = 0;
+        for (const query of randomVectors(20, 16, next)) {
+            const filter = Filter.eq("even", true);
+            for (const options of [{ limit: 10 }, { limit: 10, filter }]) {
+                const expected = new Set((await flat.search(query, options)).map((result) => result.id));
+                const actual = await ivf.search(query, options);
+                expect(actual.every((result) => options.filter === undefined || result.metadata.even)).toBe(true);
+                found += actual.filter((result) => expected.has(result.id)).length;
+            }
+            const all = await ivf.search(query, { limit: 10, nprobe: 16 });
+            expect(all).toEqual(await flat.search(query, { limit: 10 }));
+        }
+        expect(found / 400).toBeGreaterThan(0.85);
+    });
+
+    test("should serve as ground truth for the recall of encrypted search", async () => {
+        const next = random(7);
+        const data = randomVectors(200, 8, next);
+        const dcpe = new DCPE({ vectorConfig: { approximationFactor: 1.0 } });
+        dcpe.setKeys(await dcpe.generateKeys());
+        const plaintext = new InMemoryAdapter({ metricType: "euclidean" });
+        const encrypted = new EncryptedAdapter(new InMemoryAdapter({ metricType: "euclidean" }), dcpe);
+        const records = data.map((vector, i) => ({ id: `v${i}`, vector }));
+        await plaintext.insert(records);
+        await encrypted.insert(records);
+
+        let found = 0;
+        for (const query of randomVectors(10, 8, next)) {
+            const expected = new Set((await plaintext.search(query, { limit: 10 })).map((result) => result.id));
+            found += (await encrypted.search(query, { limit: 10 })).filter((result) => expected.has(result.id)).length;
+        }
+        expect(found / 100).toBeGreaterThan(0.5);
+    });
+});
+
+describe("ZillizAdapter", () => {
+    const success = { error_code: "Success", reason: "" };
+
+    /**
+     * MilvusClient stand-in keeping rows in a Map and recording each request
+     */
+    class MockMilvusClient {
+        constructor() {
+            this.rows = new Map();
+            this.requests = [];
+            this.collections = new Set();
+        }
+
+        record(method, request) {
+            this.requests.push({ method, request });
+        }
+
+        async hasCollection(request) {
+            this.record("hasCollection", request);
+            return { status: success, value: this.collections.has(request.collection_name) };
+        }
+
+        async createCollection(request) {
+            this.record("createCollection", request);
+            this.collections.add(request.collection_name);
+            return success;
+        }
+
+        async createIndex(request) {
+            this.record("createIndex", request);
+            return success;
+        }
+
+        async loadCollection(request) {
+            this.record("loadCollection", request);
+            return success;
+        }
+
+        async dropCollection(request) {
+            this.record("dropCollection", request);
+            this.collections.delete(request.collection_name);
+            return success;
+        }
+
+        async insert(request) {
+            this.record("insert", request);
+            request.data.forEach((row) => this.rows.set(row.id, row));
+            return { status: success, insert_cnt: request.data.length };
+        }
+
+        async upsert(request) {
+            return this.insert(request);
+        }
+
+        async query(request) {
+            this.record("query", request);
+            if (request.output_fields.includes("count(*)")) {
+                return { status: success, data: [{ "count(*)": this.rows.size }] };
+            }
+            if (request.filter.startsWith("id in ")) {
+                const ids = JSON.parse(request.filter.slice(6));
+                return { status: success, data: ids.filter((id) => this.rows.has(id)).map((id) => this.rows.get(id)) };
+            }
+            return { status: success, data: [...this.rows.values()] };
+        }
+
+        async delete(request) {
+            this.record("delete", request);
+            return { status: success, delete_cnt: 1 };
+        }
+
+        async search(request) {
+            this.record("search", request);
+            return {
+                status: success,
+                results: [...this.rows.values()].map(({ vector, ...row }, i) => ({
+                    ...row,
+                    ...(request.output_fields.includes("vector") ? { vector } : {}),
+                    score: 0.9 - i * 0.5
+                }))
+            };
+        }
+    }
+
+    let client;
+    let adapter;
+
+    beforeEach(async () => {
+        client = new MockMilvusClient();
+        adapter = new ZillizAdapter({ collectionName: "documents", client });
+        await adapter.connect();
+    });
+
+    test("should create the collection with the mapped fields", async () => {
+        expect(await adapter.createCollection({ dimension: 4, metricType: "euclidean", fields: { source_url: "string", page: "number", tags: "string[]" } })).toBe(true);
+        expect(await adapter.createCollection({ dimension: 4 })).toBe(false);
+
+        const { request } = client.requests.find(({ method }) => method === "createCollection");
+        expect(request.enable_dynamic_field).toBe(true);
+        expect(request.fields.map((field) => [field.name, field.data_type])).toEqual([
+            ["id", 21], ["vector", 101], ["source_url", 21], ["page", 11], ["tags", 22]
+        ]);
+        expect(request.fields[1].dim).toBe(4);
+        expect(client.requests.find(({ method }) => method === "createIndex").request.metric_type).toBe("L2");
+        expect(adapter.metricType).toBe("euclidean");
+
+        expect(await adapter.dropCollection()).toBe(true);
+        expect(await adapter.dropCollection()).toBe(false);
+        await expect(adapter.createCollection({ dimension: 4, fields: { id: "string" } })).rejects.toThrow("collides");
+    });
+
+    test("should write rows with the vector metadata and read them back", async () => {
+        const ids = await adapter.insert([
+            { id: "a", vector: new Float32Array([0.5, 0.25]), vectorMetadata: Buffer.from("meta"), metadata: { page: 1 } },
+            { vector: [1, 0], metadata: { page: 2 } }
+        ]);
+        expect(ids[0]).toBe("a");
+        expect(client.rows.get("a")).toEqual({ id: "a", vector: [0.5, 0.25], vector_metadata: "bWV0YQ==", page: 1 });
+
+        const fetched = await adapter.get(["a", ids[1]]);
+        expect(client.requests.pop().request.filter).toBe(`id in ["a", "${ids[1]}"]`);
+        expect(fetched[0]).toEqual({ id: "a", vector: [0.5, 0.25], vectorMetadata: "bWV0YQ==", metadata: { page: 1 } });
+
+        await expect(adapter.upsert([{ vector: [1, 0] }])).rejects.toThrow("needs an ID");
+        await expect(adapter.insert([{ id: "b", vector: [1, 0], metadata: { vector: [] } }])).rejects.toThrow("collides");
+        await expect(adapter.insert([{ id: "b", vector: [1, 0] }, { id: "a", vector: [0, 1] }])).rejects.toThrow("ID a already exists");
+        await expect(adapter.insert([{ id: "b", vector: [1, 0] }, { id: "b", vector: [0, 1] }])).rejects.toThrow("more than once");
+        expect(client.rows.has("b")).toBe(false);
+    });
+
+    test("should search, delete and count with compiled filters", async () => {
+        await adapter.insert([{ id: "a", vector: [1, 0], metadata: { page: 1 } }, { id: "b", vector: [0, 1], metadata: { page: 2 } }]);
+
+        const results = await adapter.search([1, 0], { limit: 2, filter: Filter.eq("page", 1), threshold: 0.5 });
+        const { request } = client.requests.pop();
+        expect(request).toMatchObject({ collection_name: "documents", data: [[1, 0]], anns_field: "vector", limit: 2, metric_type: "COSINE", filter: "page == 1" });
+        expect(results).toEqual([{ id: "a", metadata: { page: 1 }, score: 0.9 }]);
+
+        expect(await adapter.delete(["a"])).toBe(1);
+        expect(client.requests.pop().request.filter).toBe("id in [\"a\"]");
+        await adapter.delete("page > 1");
+        expect(client.requests.pop().request.filter).toBe("page > 1");
+        expect(await adapter.delete([])).toBe(0);
+        expect(await adapter.count(Filter.range("page", { gte: 1 }))).toBe(2);
+        expect(client.requests.pop().request.filter).toBe("(page >= 1)");
+    });
+
+    test("should store what EncryptedAdapter writes and decrypt it", async () => {
+        const dcpe = new DCPE();
+        dcpe.setKeys(await dcpe.generateKeys());
+        const encrypted = new EncryptedAdapter(adapter, dcpe, { schema: { fields: { source_url: "deterministic" } } });
+        await encrypted.createCollection({ dimension: 3, fields: { source_url: "string" } });
+        await encrypted.insert([{ id: "a", vector: [0.1, 0.2, 0.3], metadata: { source_url: "https://example.com" } }]);
+
+        expect(client.rows.get("a").source_url).toBe(dcpe.encryptMetadata("https://example.com").toString("base64"));
+        const [result] = await encrypted.search([0.1, 0.2, 0.3], { includeVectors: true });
+        expect(result.metadata).toEqual({ source_url: "https://example.com" });
+        expect(result.vectorMetadata).toBeUndefined();
+        result.vector.forEach((val, i) => expect(val).toBeCloseTo([0.1, 0.2, 0.3][i], 9));
+    });
+
+    test("should report configuration and request errors", async () => {
+        expect(() => new ZillizAdapter({})).toThrow(InvalidConfigurationError);
+        expect(() => new ZillizAdapter({ collectionName: "c", metricType: "hamming" })).toThrow("Unknown metric type");
+        await expect(new ZillizAdapter({ collectionName: "c" }).insert([])).rejects.toThrow("not connected");
+        await expect(new ZillizAdapter({ collectionName: "c" }).connect()).rejects.toThrow("@zilliz/milvus2-sdk-node");
+
+        client.insert = async () => ({ error_code: "IllegalArgument", reason: "dimension mismatch" });
+        await expect(adapter.insert([{ id: "a", vector: [1] }])).rejects.toThrow(RequestError);
+    });
+});
+
+describe("PgVectorAdapter", () => {
+    /**
+     * pg Pool stand-in: answers the catalog queries, keeps inserted rows and records every query
+     */
+    class MockPool {
+        constructor(columns) {
+            this.columns = columns;
+            this.rows = new Map();
+            this.queries = [];
+        }
+
+        async query(text, values = []) {
+            this.queries.push({ text, values });
+            if (text.startsWith("SELECT to_regclass")) {
+                return { rows: [{ name: this.columns ? values[0] : null }] };
+            }
+            if (text.includes("information_schema.columns")) {
+                return { rows: (this.columns || []).map(([name, type]) => ({ column_name: name, data_type: type })) };
+            }
+            if (text.startsWith("INSERT INTO")) {
+                const names = [...text.match(/\(([^)]*)\) VALUES/)[1].matchAll(/"([^"]+)"/g)].map((match) => match[1]);
+                for (let i = 0; i < values.length; i += names.length) {
+                    const row = Object.fromEntries(names.map((name, j) => [name, values[i + j]]));
+                    if (this.rows.has(row.id) && !text.includes("ON CONFLICT")) {
+                        throw Object.assign(new Error("duplicate key value violates unique constraint \"chunks_pkey\""), {
+                            code: "23505",
+                            detail: `Key (id)=(${row.id}) already exists.`
+                        });
+                    }
+                    // pg parses jsonb but returns vectors as text
+                    row.metadata = JSON.parse(row.metadata);
+                    this.rows.set(row.id, row);
+                }
+                return { rows: [], rowCount: values.length / names.length };
+            }
+            if (text.startsWith("SELECT count(*)")) {
+                return { rows: [{ count: String(this.rows.size) }] };
+            }
+            if (text.startsWith("SELECT") && text.includes("FROM \"chunks\"")) {
+                const rows = [...this.rows.values()].map((row) => ({ ...row, _distance: 0.25 }));
+                return { rows, rowCount: rows.length };
+            }
+            return { rows: [], rowCount: 2 };
+        }
+    }
+
+    const columns = [
+        ["id", "text"], ["embedding", "USER-DEFINED"], ["vector_metadata", "bytea"], ["metadata", "jsonb"],
+        ["source_url", "text"], ["text", "bytea"], ["page", "double precision"]
+    ];
+
+    test("should create the table, its column indexes and the vector index", async () => {
+        const pool = new MockPool(null);
+        const adapter = new PgVectorAdapter({ pool, tableName: "chunks", metricType: "euclidean" });
+        await adapter.connect();
+
+        expect(await adapter.createCollection({
+            dimension: 3,
+            fields: { source_url: "string", text: "binary", page: "number", tags: "string[]", vector_metadata: "binary" }
+        })).toBe(true);
+        expect(pool.queries.slice(1).map((query) => query.text)).toEqual([
+            "CREATE EXTENSION IF NOT EXISTS vector",
+            "CREATE TABLE \"chunks\" (\"id\" text PRIMARY KEY, \"embedding\" vector(3) NOT NULL, \"vector_metadata\" bytea, "
+                + "\"metadata\" jsonb NOT NULL DEFAULT '{}', \"source_url\" text COLLATE \"C\", \"text\" bytea, "
+                + "\"page\" double precision, \"tags\" text[])",
+            "CREATE INDEX ON \"chunks\" (\"source_url\")",
+            "CREATE INDEX ON \"chunks\" USING gin (\"tags\")",
+            "CREATE INDEX ON \"chunks\" USING hnsw (\"embedding\" vector_l2_ops)"
+        ]);
+
+        pool.columns = columns;
+        expect(await adapter.createCollection({ dimension: 3 })).toBe(false);
+        await expect(new PgVectorAdapter({ pool: new MockPool(null), tableName: "t" }).createCollection({ dimension: 3, fields: { metadata: "string" } }))
+            .rejects.toThrow("collides");
+    });
+
+    test("should search with the metric operator and parameterized filters", async () => {
+        const pool = new MockPool(columns);
+        const adapter = new PgVectorAdapter({ pool, tableName: "chunks" });
+        await adapter.insert([{ id: "a", vector: [1, 0, 0], vectorMetadata: "bWV0YQ==", metadata: { source_url: "x", page: 2, lang: "en" } }]);
+
+        const insert = pool.queries.pop();
+        expect(insert.text).toBe("INSERT INTO \"chunks\" (\"id\", \"embedding\", \"vector_metadata\", \"metadata\", \"source_url\", \"text\", \"page\")"
+            + " VALUES ($1, $2::vector, $3, $4, $5, $6, $7)");
+        expect(insert.values).toEqual(["a", "[1,0,0]", Buffer.from("meta"), "{\"lang\":\"en\"}", "x", null, 2]);
+
+        const results = await adapter.search([1, 0, 0], {
+            limit: 3,
+            threshold: 0.5,
+            filter: Filter.and(Filter.eq("source_url", "x"), Filter.eq("lang", "en"))
+        });
+        const search = pool.queries.pop();
+        expect(search.text).toBe("SELECT \"id\", \"vector_metadata\", \"metadata\", \"source_url\", \"text\", \"page\","
+            + " \"embedding\" <=> $1::vector AS \"_distance\" FROM \"chunks\""
+            + " WHERE (\"source_url\" = $2 AND (\"metadata\"->>'lang') = $3) AND \"embedding\" <=> $1::vector <= $4"
+            + " ORDER BY \"_distance\" LIMIT $5");
+        expect(search.values).toEqual(["[1,0,0]", "x", "en", 0.5, 3]);
+        expect(results).toEqual([{ id: "a", vectorMetadata: "bWV0YQ==", metadata: { lang: "en", source_url: "x", page: 2 }, score: 0.75 }]);
+
+        await adapter.upsert([{ id: "a", vector: [0, 1, 0] }]);
+        expect(pool.queries.pop().text).toContain("ON CONFLICT (\"id\") DO UPDATE SET \"embedding\" = EXCLUDED.\"embedding\"");
+        await expect(adapter.insert([{ id: "a", vector: [0, 0, 1] }])).rejects.toThrow(InvalidInputError);
+        expect(pool.rows.get("a").embedding).toBe("[0,1,0]");
+    });
+
+    test("should delete and count by ID or filter", async () => {
+        const pool = new MockPool(columns);
+        const adapter = new PgVectorAdapter({ pool, tableName: "chunks" });
+
+        expect(await adapter.delete(["a", "b"])).toBe(2);
+        expect(pool.queries.pop()).toEqual({ text: "DELETE FROM \"chunks\" WHERE \"id\" = ANY($1::text[])", values: [["a", "b"]] });
+        await adapter.delete(Filter.range("page", { gt: 1 }));
+        expect(pool.queries.pop()).toEqual({ text: "DELETE FROM \"chunks\" WHERE (\"page\" > $1)", values: [1] });
+        expect(await adapter.count(Filter.not(Filter.eq("lang", "en")))).toBe(0);
+        expect(pool.queries.pop().text).toBe("SELECT count(*) AS count FROM \"chunks\" WHERE NOT ((\"metadata\"->>'lang') = $1)");
+    });
+
+    test("should store what EncryptedAdapter writes in bytea columns and decrypt it", async () => {
+        const dcpe = new DCPE();
+        dcpe.setKeys(await dcpe.generateKeys());
+        const pool = new MockPool(columns);
+        const adapter = new EncryptedAdapter(new PgVectorAdapter({ pool, tableName: "chunks" }), dcpe, {
+            schema: { fields: { source_url: "deterministic", text: "randomized", page: "plaintext" } }
+        });
+        const metadata = { source_url: "https://example.com", text: "quarterly results", page: 1 };
+        await adapter.insert([{ id: "a", vector: [0.1, 0.2, 0.3], metadata }]);
+
+        const row = pool.rows.get("a");
+        expect(Buffer.isBuffer(row.text)).toBe(true);
+        expect(Buffer.isBuffer(row.vector_metadata)).toBe(true);
+        expect(row.metadata).toEqual({});
+        const [fetched] = await adapter.get(["a"]);
+        expect(fetched.metadata).toEqual(metadata);
+        fetched.vector.forEach((val, i) => expect(val).toBeCloseTo([0.1, 0.2, 0.3][i], 9));
+    });
+
+    test("should validate its configuration", async () => {
+        expect(() => new PgVectorAdapter({})).toThrow(InvalidConfigurationError);
+        expect(() => new PgVectorAdapter({ tableName: "t", indexType: "btree" })).toThrow("Unknown index type");
+        await expect(new PgVectorAdapter({ tableName: "t" }).count()).rejects.toThrow("not connected");
+        await expect(new PgVectorAdapter({ tableName: "t", pool: new MockPool(null) }).get(["a"])).rejects.toThrow("does not exist");
+    });
+});
+
+describe("QdrantAdapter", () => {
+    /**
+     * Qdrant REST stand-in: serves the endpoints the adapter uses from memory and records every request.
+     * Filters support `must` and `must_not` lists of `match` conditions; search ranks by dot product.
+     */
+    const stub = { collections: new Map(), requests: [] };
+    let server;
+    let url;
+
+    const matches = (payload, filter = {}) => {
+        const test = ({ key, match }) => (match.any ? match.any.includes(payload[key]) : payload[key] === match.value);
+        return (filter.must || []).every(test) && !(filter.must_not || []).some(test);
+    };
+
+    const route = (method, path, body) => {
+        const [, name, rest = ""] = path.match(/^\/collections\/([^/?]+)(\/[^?]*)?/) || [];
+        const collection = stub.collections.get(name);
+        if (method === "GET" && path === "/collections") {
+            return { collections: [...stub.collections.keys()].map((key) => ({ name: key })) };
+        }
+        if (method === "GET" && rest === "/exists") {
+            return { exists: Boolean(collection) };
+        }
+        if (method === "PUT" && rest === "") {
+            stub.collections.set(name, { config: body, indexes: {}, points: new Map() });
+            return true;
+        }
+        if (!collection) {
+            return null;
+        }
+        const points = [...collection.points.values()];
+        switch (`${method} ${rest}`) {
+        case "DELETE ":
+            stub.collections.delete(name);
+            return true;
+        case "PUT /index":
+            collection.indexes[body.field_name] = body.field_schema;
+            return { status: "completed" };
+        case "PUT /points":
+            body.points.forEach((point) => collection.points.set(point.id, point));
+            return { status: "completed" };
+        case "POST /points":
+            return body.ids.filter((id) => collection.points.has(id)).map((id) => {
+                const { vector, ...point } = collection.points.get(id);
+                return body.with_vector ? { ...point, vector } : point;
+            });
+        case "POST /points/count":
+            return { count: points.filter((point) => matches(point.payload, body.filter)).length };
+        case "POST /points/delete":
+            points.filter((point) => (body.points ? body.points.includes(point.id) : matches(point.payload, body.filter)))
+                .forEach((point) => collection.points.delete(point.id));
+            return { status: "completed" };
+        case "POST /points/search":
+            return points.filter((point) => matches(point.payload, body.filter))
+                .map(({ vector, ...point }) => ({
+                    ...point,
+                    ...(body.with_vector ? { vector } : {}),
+                    score: vector.reduce((sum, val, i) => sum + val * body.vector[i], 0)
+                }))
+                .sort((a, b) => b.score - a.score)
+                .slice(0, body.limit);
+        default:
+            return null;
+        }
+    };
+
+    beforeAll(async () => {
+        server = http.createServer((request, response) => {
+            let data = "";
+            request.on("data", (chunk) => { data += chunk; });
+            request.on("end", () => {
+                const body = data ? JSON.parse(data) : undefined;
+                stub.requests.push({ method: request.method, path: request.url, body, apiKey: request.headers["api-key"] });
+                const result = route(request.method, request.url, body);
+                response.writeHead(result === null ? 404 : 200, { "Content-Type": "application/json" });
+                response.end(JSON.stringify(result === null
+                    ? { status: { error: `Not found: Collection doesn't exist!` } }
+                    : { result, status: "ok", time: 0 }));
+            });
+        });
+        await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+        url = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(() => new Promise((resolve) => server.close(resolve)));
+
+    beforeEach(() => {
+        stub.collections.clear();
+        stub.requests = [];
+    });
+
+    test("should create the collection with payload indexes for searchable fields", async () => {
+        const adapter = new QdrantAdapter({ url, apiKey: "secret", collectionName: "chunks", metricType: "dot" });
+        expect(await adapter.connect()).toBe(true);
+        expect(await adapter.createCollection({
+            dimension: 3,
+            fields: { source_url: "string", text: "binary", page: "number", tags: "string[]", vector_metadata: "binary" }
+        })).toBe(true);
+        expect(await adapter.createCollection({ dimension: 3 })).toBe(false);
+
+        const collection = stub.collections.get("chunks");
+        expect(collection.config).toEqual({ vectors: { size: 3, distance: "Dot" } });
+        expect(collection.indexes).toEqual({ id: "keyword", source_url: "keyword", page: "float", tags: "keyword" });
+        expect(stub.requests.every((request) => request.apiKey === "secret")).toBe(true);
+
+        expect(await adapter.dropCollection()).toBe(true);
+        expect(await adapter.dropCollection()).toBe(false);
+    });
+
+    test("should write, read, count, filter and delete points", async () => {
+        const adapter = new QdrantAdapter({ url, collectionName: "chunks", metricType: "dot" });
+        await adapter.createCollection({ dimension: 2, fields: { lang: "string" } });
+        const uuid = "6f1c2b7e-8a0d-4c3e-9f5a-1b2c3d4e5f60";
+        expect(await adapter.upsert([
+            { id: "doc-1", vector: [1, 0], vectorMetadata: "AAEC", metadata: { lang: "en" } },
+            { id: uuid, vector: [0, 1], metadata: { lang: "fr" } },
+            { id: "42", vector: [0.5, 0.5], metadata: { lang: "en" } }
+        ])).toEqual(["doc-1", uuid, "42"]);
+
+        const pointIds = [...stub.collections.get("chunks").points.keys()];
+        expect(pointIds[0]).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-5[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+        expect(pointIds.slice(1)).toEqual([uuid, 42]);
+
+        expect(await adapter.get(["doc-1", "missing"])).toEqual([
+            { id: "doc-1", vector: [1, 0], vectorMetadata: "AAEC", metadata: { lang: "en" } }
+        ]);
+        expect(await adapter.count()).toBe(3);
+        expect(await adapter.count(Filter.eq("lang", "en"))).toBe(2);
+
+        await expect(adapter.insert([{ id: "doc-2", vector: [1, 1] }, { id: "42", vector: [1, 1] }])).rejects.toThrow("ID 42 already exists");
+        await expect(adapter.insert([{ id: "doc-2", vector: [1, 1] }, { id: "doc-2", vector: [1, 1] }])).rejects.toThrow("more than once");
+        expect(await adapter.count()).toBe(3);
+        expect((await adapter.get(["42"]))[0].vector).toEqual([0.5, 0.5]);
+
+        const results = await adapter.search([1, 0], { limit: 2, filter: Filter.eq("lang", "en"), threshold: 0.1 });
+        expect(results).toEqual([
+            { id: "doc-1", vectorMetadata: "AAEC", metadata: { lang: "en" }, score: 1 },
+            { id: "42", metadata: { lang: "en" }, score: 0.5 }
+        ]);
+        const request = stub.requests.pop();
+        expect(request.path).toBe("/collections/chunks/points/search");
+        expect(request.body).toMatchObject({
+            limit: 2,
+            score_threshold: 0.1,
+            filter: { must: [{ key: "lang", match: { value: "en" } }] }
+        });
+
+        expect(await adapter.delete(["doc-1", "missing"])).toBe(1);
+        expect(await adapter.delete({ must: [{ key: "lang", match: { value: "fr" } }] })).toBe(1);
+        expect(await adapter.count()).toBe(1);
+    });
+
+    test("should keep IDs that differ only in how they are written on separate points", async () => {
+        const adapter = new QdrantAdapter({ url, collectionName: "chunks", metricType: "dot" });
+        await adapter.createCollection({ dimension: 2 });
+        const uuid = "6f1c2b7e-8a0d-4c3e-9f5a-1b2c3d4e5f60";
+        const ids = ["123", "0123", "+123", uuid, uuid.toUpperCase()];
+        await adapter.upsert(ids.map((id, i) => ({ id, vector: [i, 1] })));
+
+        const pointIds = [...stub.collections.get("chunks").points.keys()];
+        expect(new Set(pointIds).size).toBe(ids.length);
+        expect(pointIds[0]).toBe(123);
+        expect(pointIds[3]).toBe(uuid);
+        expect(await adapter.count()).toBe(ids.length);
+        expect((await adapter.get(ids)).map((record) => [record.id, record.vector])).toEqual(ids.map((id, i) => [id, [i, 1]]));
+    });
+
+    test("should match deterministic fields through EncryptedAdapter and decrypt the payload", async () => {
+        const dcpe = new DCPE();
+        dcpe.setKeys(await dcpe.generateKeys());
+        const adapter = new EncryptedAdapter(new QdrantAdapter({ url, collectionName: "chunks", metricType: "dot" }), dcpe, {
+            schema: { fields: { source_url: "deterministic", text: "randomized", page: "plaintext" } }
+        });
+        await adapter.createCollection({ dimension: 3, fields: { source_url: "string", text: "string", page: "number" } });
+        expect(stub.collections.get("chunks").indexes).toEqual({ id: "keyword", source_url: "keyword", page: "float" });
+
+        const metadata = { source_url: "https://example.com", text: "quarterly results", page: 1 };
+        await adapter.insert([
+            { id: "a", vector: [0.1, 0.2, 0.3], metadata },
+            { id: "b", vector: [0.3, 0.2, 0.1], metadata: { ...metadata, source_url: "https://example.org" } }
+        ]);
+        const stored = [...stub.collections.get("chunks").points.values()][0].payload;
+        expect(stored.source_url).not.toBe(metadata.source_url);
+        expect(typeof stored.vector_metadata).toBe("string");
+
+        const results = await adapter.search([0.1, 0.2, 0.3], { filter: Filter.eq("source_url", "https://example.com") });
+        expect(results.map((result) => result.id)).toEqual(["a"]);
+        expect(results[0].metadata).toEqual(metadata);
+
+        const [fetched] = await adapter.get(["a"]);
+        fetched.vector.forEach((val, i) => expect(val).toBeCloseTo([0.1, 0.2, 0.3][i], 9));
+    });
+
+    test("should validate its configuration and report failed requests", async () => {
+        expect(() => new QdrantAdapter({ collectionName: "chunks" })).toThrow(InvalidConfigurationError);
+        expect(() => new QdrantAdapter({ url })).toThrow(InvalidConfigurationError);
+        expect(() => new QdrantAdapter({ url, collectionName: "chunks", metricType: "manhattan" })).toThrow("Unknown metric type");
+
+        const adapter = new QdrantAdapter({ url, collectionName: "chunks" });
+        await expect(adapter.upsert([{ vector: [1, 0] }])).rejects.toThrow(InvalidInputError);
+        await expect(adapter.insert([{ id: "a", vector: [1, 0] }])).rejects.toThrow("failed with 404: Not found");
+        await expect(new QdrantAdapter({ url: "http://127.0.0.1:1", collectionName: "chunks" }).connect()).rejects.toThrow(RequestError);
+    });
+});
+
+describe("PineconeAdapter", () => {
+    const host = "https://chunks-abc123.svc.pinecone.io";
+
+    /**
+     * fetch stand-in for the control plane and the data plane of one index: keeps vectors per
+     * namespace and records every request. Filters support `$eq` conditions joined with `$and`.
+     */
+    const createMockFetch = () => {
+        const state = { index: null, namespaces: new Map(), requests: [] };
+        const matches = (metadata, filter) => {
+            if (!filter) {
+                return true;
+            }
+            if (filter.$and) {
+                return filter.$and.every((inner) => matches(metadata, inner));
+            }
+            return Object.entries(filter).every(([field, condition]) => metadata[field] === condition.$eq);
+        };
+        const namespace = (name) => {
+            if (!state.namespaces.has(name)) {
+                state.namespaces.set(name, new Map());
+            }
+            return state.namespaces.get(name);
+        };
+        const respond = (status, body) => ({
+            ok: status < 300,
+            status,
+            statusText: String(status),
+            text: async () => (body === undefined ? "" : JSON.stringify(body))
+        });
+
+        const fetch = async (url, { method, headers, body }) => {
+            const parsed = new URL(url);
+            const data = body === undefined ? undefined : JSON.parse(body);
+            state.requests.push({ method, url, body: data, headers });
+            if (headers["Api-Key"] !== "key") {
+                return respond(401, { error: { code: "UNAUTHENTICATED", message: "Invalid API Key" } });
+            }
+            const route = `${method} ${parsed.pathname}`;
+            if (parsed.origin === "https://api.pinecone.io") {
+                if (route === "POST /indexes") {
+                    if (state.index) {
+                        return respond(409, { error: { code: "ALREADY_EXISTS", message: "Resource already exists" } });
+                    }
+                    state.index = { ...data, host: host.slice(8), status: { ready: false, state: "Initializing" } };
+                    return respond(201, state.index);
+                }
+                if (!state.index) {
+                    return respond(404, { error: { code: "NOT_FOUND", message: "Resource not found" } });
+                }
+                if (route === "DELETE /indexes/chunks") {
+                    state.index = null;
+                    return respond(202);
+                }
+                state.index.status = { ready: true, state: "Ready" };
+                return respond(200, state.index);
+            }
+            switch (route) {
+            case "POST /vectors/upsert":
+                data.vectors.forEach((vector) => namespace(data.namespace).set(vector.id, vector));
+                return respond(200, { upsertedCount: data.vectors.length });
+            case "GET /vectors/fetch": {
+                const vectors = namespace(parsed.searchParams.get("namespace"));
+                const found = parsed.searchParams.getAll("ids").filter((id) => vectors.has(id)).map((id) => [id, vectors.get(id)]);
+                return respond(200, { vectors: Object.fromEntries(found), namespace: parsed.searchParams.get("namespace") });
+            }
+            case "POST /vectors/delete": {
+                const vectors = namespace(data.namespace);
+                [...vectors.values()].filter((vector) => (data.ids ? data.ids.includes(vector.id) : matches(vector.metadata, data.filter)))
+                    .forEach((vector) => vectors.delete(vector.id));
+                return respond(200, {});
+            }
+            case "POST /describe_index_stats":
+                return respond(200, {
+                    namespaces: Object.fromEntries([...state.namespaces].map(([name, vectors]) => [
+                        name,
+                        { vectorCount: [...vectors.values()].filter((vector) => matches(vector.metadata, data.filter)).length }
+                    ]))
+                });
+            case "POST /query": {
+                const found = [...namespace(data.namespace).values()]
+                    .filter((vector) => matches(vector.metadata, data.filter))
+                    .map((vector) => ({
+                        id: vector.id,
+                        score: vector.values.reduce((sum, val, i) => sum + val * data.vector[i], 0),
+                        ...(data.includeValues ? { values: vector.values } : {}),
+                        metadata: vector.metadata
+                    }))
+                    .sort((a, b) => b.score - a.score)
+                    .slice(0, data.topK);
+                return respond(200, { matches: found, namespace: data.namespace });
+            }
+            default:
+                return respond(404, { message: "Not Found" });
+            }
+        };
+        return { fetch, state };
+    };
+
+    const createSideStore = () => {
+        const entries = new Map();
+        return {
+            entries,
+            put: async (key, value) => { entries.set(JSON.stringify(key), value); },
+            get: async (key) => entries.get(JSON.stringify(key)),
+            delete: async (key) => { entries.delete(JSON.stringify(key)); }
+        };
+    };
+
+    test("should create the index, look up its host and delete it", async () => {
+        const { fetch, state } = createMockFetch();
+        const adapter = new PineconeAdapter({
+            apiKey: "key",
+            indexName: "chunks",
+            metricType: "dot",
+            spec: { pod: { environment: "us-east-1-aws", pod_type: "p1.x1" } },
+            readyInterval: 1,
+            fetch
+        });
+        expect(await adapter.createCollection({ dimension: 3, fields: { source_url: "string", text: "binary", page: "number" } })).toBe(true);
+        expect(state.requests[0].body).toEqual({
+            name: "chunks",
+            dimension: 3,
+            metric: "dotproduct",
+            spec: { pod: { environment: "us-east-1-aws", pod_type: "p1.x1", metadata_config: { indexed: ["source_url", "page"] } } }
+        });
+        expect(state.requests[0].headers["X-Pinecone-API-Version"]).toBe("2024-07");
+        expect(adapter.host).toBe(host);
+        expect(await adapter.createCollection({ dimension: 3 })).toBe(false);
+
+        const other = new PineconeAdapter({ apiKey: "key", indexName: "chunks", fetch });
+        expect(await other.connect()).toBe(true);
+        expect(other.host).toBe(host);
+
+        expect(await adapter.dropCollection()).toBe(true);
+        expect(await adapter.dropCollection()).toBe(false);
+        await expect(new PineconeAdapter({ apiKey: "key", indexName: "chunks", fetch }).connect()).rejects.toThrow("failed with 404");
+    });
+
+    test("should write, read, count, search and delete vectors in its namespace", async () => {
+        const { fetch, state } = createMockFetch();
+        const adapter = new PineconeAdapter({ apiKey: "key", host, namespace: "docs", metricType: "dot", fetch });
+        expect(await adapter.upsert([
+            { id: "a", vector: [1, 0], vectorMetadata: "AAEC", metadata: { lang: "en" } },
+            { id: "b", vector: [0, 1], metadata: { lang: "fr" } },
+            { id: "c", vector: [0.5, 0.5], metadata: { lang: "en" } }
+        ])).toEqual(["a", "b", "c"]);
+        expect(state.namespaces.get("docs").get("a").metadata).toEqual({ lang: "en", vector_metadata: "AAEC" });
+
+        expect(await adapter.get(["a", "missing"])).toEqual([
+            { id: "a", vector: [1, 0], vectorMetadata: "AAEC", metadata: { lang: "en" } }
+        ]);
+        expect(await adapter.count()).toBe(3);
+
+        await expect(adapter.insert([{ id: "d", vector: [1, 1] }, { id: "b", vector: [1, 1] }])).rejects.toThrow("ID b already exists");
+        await expect(adapter.insert([{ id: "d", vector: [1, 1] }, { id: "d", vector: [1, 1] }])).rejects.toThrow("more than once");
+        expect(state.namespaces.get("docs").get("b").values).toEqual([0, 1]);
+        expect(state.namespaces.get("docs").has("d")).toBe(false);
+        expect(await adapter.count(Filter.eq("lang", "en"))).toBe(2);
+
+        const results = await adapter.search([1, 0], { limit: 3, filter: Filter.eq("lang", "en"), threshold: 0.6 });
+        expect(results).toEqual([{ id: "a", vectorMetadata: "AAEC", metadata: { lang: "en" }, score: 1 }]);
+        expect(state.requests.pop().body).toEqual({
+            vector: [1, 0],
+            topK: 3,
+            namespace: "docs",
+            includeMetadata: true,
+            includeValues: false,
+            filter: { lang: { $eq: "en" } }
+        });
+
+        expect(await adapter.delete(["a", "missing"])).toBe(1);
+        expect(await adapter.delete(Filter.eq("lang", "fr"))).toBe(0);
+        expect(await adapter.count()).toBe(1);
+    });
+
+    test("should move the largest fields of oversized metadata to the side store", async () => {
+        const { fetch, state } = createMockFetch();
+        const sideStore = createSideStore();
+        const adapter = new PineconeAdapter({ apiKey: "key", host, maxMetadataBytes: 250, sideStore, fetch });
+        const metadata = { text: "x".repeat(300), summary: "y".repeat(150), lang: "en" };
+        await adapter.insert([{ id: "a", vector: [1, 0], vectorMetadata: "AAEC", metadata }]);
+
+        expect(state.namespaces.get("").get("a").metadata).toEqual({
+            summary: "y".repeat(150), lang: "en", vector_metadata: "AAEC", side_fields: ["text"]
+        });
+        expect(sideStore.entries.get(JSON.stringify({ namespace: "", id: "a", field: "text" }))).toBe(metadata.text);
+        const [fetched] = await adapter.get(["a"]);
+        expect(fetched.metadata).toEqual(metadata);
+        const [result] = await adapter.search([1, 0]);
+        expect(result.metadata).toEqual(metadata);
+
+        await adapter.delete(["a"]);
+        expect(sideStore.entries.size).toBe(0);
+
+        const withoutStore = new PineconeAdapter({ apiKey: "key", host, maxMetadataBytes: 200, fetch });
+        await expect(withoutStore.insert([{ id: "a", vector: [1, 0], metadata }])).rejects.toThrow("configure a sideStore");
+        await expect(adapter.insert([{ id: "b", vector: [1, 0], metadata: { tags: Array(50).fill("tag") } }]))
+            .rejects.toThrow("without its string fields");
+    });
+
+    test("should delete side store entries the new version of a vector no longer uses, and sweep orphans", async () => {
+        const { fetch } = createMockFetch();
+        const sideStore = createSideStore();
+        const adapter = new PineconeAdapter({ apiKey: "key", host, maxMetadataBytes: 250, sideStore, fetch });
+        const keyOf = (id, field) => JSON.stringify({ namespace: "", id, field });
+        await adapter.upsert([
+            { id: "a", vector: [1, 0], metadata: { text: "x".repeat(300), lang: "en" } },
+            { id: "b", vector: [0, 1], metadata: { text: "y".repeat(300), lang: "fr" } }
+        ]);
+        expect([...sideStore.entries.keys()]).toEqual([keyOf("a", "text"), keyOf("b", "text")]);
+
+        await adapter.upsert([{ id: "a", vector: [1, 0], metadata: { text: "short", lang: "en" } }]);
+        expect([...sideStore.entries.keys()]).toEqual([keyOf("b", "text")]);
+        expect((await adapter.get(["a"]))[0].metadata).toEqual({ text: "short", lang: "en" });
+
+        await adapter.upsert([{ id: "a", vector: [1, 0], metadata: { text: "z".repeat(300), lang: "en" } }]);
+        expect(sideStore.entries.get(keyOf("a", "text"))).toBe("z".repeat(300));
+
+        await adapter.delete(Filter.eq("lang", "fr"));
+        expect(sideStore.entries.has(keyOf("b", "text"))).toBe(true);
+        const keys = [...sideStore.entries.keys()].map((key) => JSON.parse(key));
+        expect(await adapter.sweepSideStore([...keys, { namespace: "other", id: "b", field: "text" }])).toBe(1);
+        expect([...sideStore.entries.keys()]).toEqual([keyOf("a", "text")]);
+        await expect(new PineconeAdapter({ apiKey: "key", host, fetch }).sweepSideStore([])).rejects.toThrow("needs a sideStore");
+    });
+
+    test("should keep each tenant in its own namespace through EncryptedAdapter", async () => {
+        const { fetch, state } = createMockFetch();
+        const masterSecret = Buffer.alloc(32, 7);
+        const pinecone = new PineconeAdapter({ apiKey: "key", host, metricType: "dot", sideStore: createSideStore(), maxMetadataBytes: 300, fetch });
+        const schema = { fields: { source_url: "deterministic", text: "randomized" } };
+        const metadata = { source_url: "https://example.com", text: "quarterly results ".repeat(10) };
+
+        const clients = {};
+        const tenants = {};
+        for (const tenantId of ["tenant-a", "tenant-b"]) {
+            const client = await RagEncryptionClient.create({ masterSecret, tenantId });
+            clients[tenantId] = client;
+            tenants[tenantId] = new EncryptedAdapter(pinecone.forTenant(client), client, { schema });
+            await tenants[tenantId].insert([{ id: "doc", vector: [0.1, 0.2, 0.3], metadata }]);
+        }
+
+        const namespaceA = clients["tenant-a"].tenantNamespace;
+        expect(namespaceA).toMatch(/^tenant-[0-9a-f]{32}$/);
+        expect([...state.namespaces.keys()]).toEqual([namespaceA, clients["tenant-b"].tenantNamespace]);
+        // The name is keyed: the same tenant under another master secret gets another namespace
+        const otherSecret = await RagEncryptionClient.create({ masterSecret: Buffer.alloc(32, 8), tenantId: "tenant-a" });
+        expect(pinecone.forTenant(otherSecret).namespace).not.toBe(namespaceA);
+        expect(state.namespaces.get(namespaceA).get("doc").metadata.side_fields).toEqual(["text"]);
+
+        const results = await tenants["tenant-a"].search([0.1, 0.2, 0.3], { filter: Filter.eq("source_url", "https://example.com") });
+        expect(results.map((result) => result.id)).toEqual(["doc"]);
+        expect(results[0].metadata).toEqual(metadata);
+        const [fetched] = await tenants["tenant-b"].get(["doc"]);
+        fetched.vector.forEach((val, i) => expect(val).toBeCloseTo([0.1, 0.2, 0.3][i], 9));
+    });
+
+    test("should validate its configuration and report failed requests", async () => {
+        const { fetch } = createMockFetch();
+        expect(() => new PineconeAdapter({ host })).toThrow(InvalidConfigurationError);
+        expect(() => new PineconeAdapter({ apiKey: "key" })).toThrow("host or the indexName");
+        expect(() => new PineconeAdapter({ apiKey: "key", host, sideStore: {} })).toThrow("put, get and delete");
+        expect(() => new PineconeAdapter({ apiKey: "key", host }).forTenant({})).toThrow(InvalidInputError);
+        expect(() => new PineconeAdapter({ apiKey: "key", host }).forTenant("tenant-a")).toThrow("needs a client");
+        await expect(new PineconeAdapter({ apiKey: "key", host }).createCollection({ dimension: 2 })).rejects.toThrow("needs the indexName");
+
+        await expect(new PineconeAdapter({ apiKey: "wrong", host, fetch }).count()).rejects.toThrow("failed with 401: Invalid API Key");
+        await expect(new PineconeAdapter({ apiKey: "key", host, fetch }).upsert([{ vector: [1] }])).rejects.toThrow(InvalidInputError);
+    });
+});
+
+describe("LocalFileAdapter", () => {
+    let directory;
+
+    beforeEach(async () => {
+        directory = await fs.mkdtemp(path.join(os.tmpdir(), "dcpe-local-"));
+    });
+
+    afterEach(() => fs.rm(directory, { recursive: true, force: true }));
+
+    const open = async (config = {}) => {
+        const adapter = new LocalFileAdapter({ path: directory, collectionName: "notes", ...config });
+        await adapter.connect();
+        return adapter;
+    };
+
+    test("should persist vectors, metadata and IVF centroids to columnar files", async () => {
+        const adapter = await open({ metricType: "euclidean", index: "ivf", ivf: { nlist: 2 } });
+        expect(await adapter.createCollection({ dimension: 2, fields: { lang: "string", page: "number" } })).toBe(true);
+        await adapter.insert([
+            { id: "a", vector: [0.1, 0.2], metadata: { lang: "en", page: 1 } },
+            { id: "b", vector: [5, 5], metadata: { lang: "fr" } },
+            { id: "c", vector: [5.1, 4.9], metadata: { lang: "en", page: null } }
+        ]);
+        await adapter.upsert([{ id: "b", vector: [4.9, 5.2], metadata: { lang: "fr", page: 3 } }]);
+        await adapter.delete(["c"]);
+        const centroids = adapter.collection.index.centroids;
+        await adapter.disconnect();
+
+        const manifest = JSON.parse(await fs.readFile(path.join(directory, "notes", "manifest.json"), "utf8"));
+        expect(manifest).toMatchObject({ dimension: 2, metricType: "euclidean", count: 2, columns: ["lang", "page"], ivf: true });
+        expect(manifest.fields).toEqual({ lang: "string", page: "number" });
+        expect((await fs.readdir(path.join(directory, "notes"))).sort()).toEqual([manifest.data, "manifest.json"]);
+        const data = path.join(directory, "notes", manifest.data);
+        expect((await fs.stat(path.join(data, "vectors.f64"))).size).toBe(2 * 2 * 8);
+        expect(JSON.parse(await fs.readFile(path.join(data, "column-0.json"), "utf8"))).toEqual({ values: ["en", "fr"], missing: [] });
+
+        const reopened = await open({ index: "ivf", ivf: { nlist: 2 } });
+        expect(reopened.collection.index.centroids).toEqual(centroids);
+        expect(await reopened.get(["a", "b"])).toEqual([
+            { id: "a", vector: [0.1, 0.2], metadata: { lang: "en", page: 1 } },
+            { id: "b", vector: [4.9, 5.2], metadata: { lang: "fr", page: 3 } }
+        ]);
+        expect(await reopened.count(Filter.eq("lang", "fr"))).toBe(1);
+        const [nearest] = await reopened.search([5, 5], { limit: 1, nprobe: 1 });
+        expect(nearest).toMatchObject({ id: "b", distance: expect.any(Number) });
+        expect(await reopened.createCollection({ dimension: 2 })).toBe(false);
+
+        expect(await reopened.dropCollection()).toBe(true);
+        await expect(fs.stat(path.join(directory, "notes"))).rejects.toThrow("ENOENT");
+    });
+
+    test("should store bytes in binary fields and reject other non-JSON values", async () => {
+        const adapter = await open();
+        await adapter.createCollection({ dimension: 2, fields: { blob: "binary", label: "string" } });
+        await adapter.insert([
+            { id: "a", vector: [1, 0], metadata: { blob: Buffer.from("hi"), label: "bytes" } },
+            { id: "b", vector: [0, 1], metadata: { blob: "aGk=", label: "base64" } }
+        ]);
+        await expect(adapter.insert([{ id: "c", vector: [1, 1], metadata: { label: Buffer.from("hi") } }]))
+            .rejects.toThrow("declare the field binary");
+        await expect(adapter.upsert([{ id: "c", vector: [1, 1], metadata: { label: new Date(0) } }]))
+            .rejects.toThrow(InvalidInputError);
+        await expect(adapter.insert([{ id: "c", vector: [1, 1], metadata: { page: NaN } }])).rejects.toThrow("not a JSON value");
+        await adapter.disconnect();
+
+        const reopened = await open();
+        const [bytes, text] = await reopened.get(["a", "b"]);
+        expect(ArrayBuffer.isView(bytes.metadata.blob)).toBe(true);
+        expect(Buffer.from(bytes.metadata.blob).toString()).toBe("hi");
+        expect(text.metadata).toEqual({ blob: "aGk=", label: "base64" });
+        expect(await reopened.count()).toBe(2);
+    });
+
+    test("should keep an encrypted index searchable by deterministic fields across restarts", async () => {
+        const dcpe = new DCPE();
+        dcpe.setKeys(await dcpe.generateKeys());
+        const schema = { fields: { source_url: "deterministic", text: "randomized" } };
+        const documents = [
+            { id: "a", vector: [0.1, 0.2, 0.3], metadata: { source_url: "https://example.com", text: "quarterly results" } },
+            { id: "b", vector: [0.3, 0.2, 0.1], metadata: { source_url: "https://example.org", text: "annual report" } }
+        ];
+        const writer = new EncryptedAdapter(await open(), dcpe, { schema });
+        await writer.createCollection({ dimension: 3, fields: { source_url: "string", text: "string" } });
+        await writer.insert(documents);
+        await writer.disconnect();
+
+        const manifest = JSON.parse(await fs.readFile(path.join(directory, "notes", "manifest.json"), "utf8"));
+        const files = await Promise.all((await fs.readdir(path.join(directory, "notes", manifest.data)))
+            .map((name) => fs.readFile(path.join(directory, "notes", manifest.data, name), "utf8")));
+        expect(files.some((contents) => contents.includes("quarterly") || contents.includes("example.com"))).toBe(false);
+
+        const reader = new EncryptedAdapter(await open({ index: "ivf" }), dcpe, { schema });
+        const results = await reader.search([0.1, 0.2, 0.3], { filter: Filter.eq("source_url", "https://example.com") });
+        expect(results.map((result) => result.id)).toEqual(["a"]);
+        expect(results[0].metadata).toEqual(documents[0].metadata);
+        const [fetched] = await reader.get(["b"]);
+        fetched.vector.forEach((val, i) => expect(val).toBeCloseTo(documents[1].vector[i], 9));
+    });
+
+    test("should validate its configuration and files", async () => {
+        expect(() => new LocalFileAdapter({})).toThrow(InvalidConfigurationError);
+        expect(() => new LocalFileAdapter({ path: directory, collectionName: "../escape" })).toThrow("Invalid collection name");
+        await expect(new LocalFileAdapter({ path: directory }).insert([{ vector: [1] }])).rejects.toThrow("not connected");
+
+        const adapter = await open();
+        await expect(adapter.createCollection({ dimension: 2, fields: { tags: "set" } })).rejects.toThrow(InvalidInputError);
+        await adapter.insert([{ id: "a", vector: [1, 2] }]);
+        const manifestPath = path.join(directory, "notes", "manifest.json");
+        const manifest = JSON.parse(await fs.readFile(manifestPath, "utf8"));
+
+        await fs.writeFile(path.join(directory, "notes", manifest.data, "vectors.f64"), Buffer.alloc(8));
+        await expect(open()).rejects.toThrow("does not hold 1 vectors of dimension 2");
+        await fs.writeFile(manifestPath, JSON.stringify({ ...manifest, format: "other" }));
+        await expect(open()).rejects.toThrow(InvalidConfigurationError);
+    });
+});
@@ -0,0 +1,115 @@
+import { EventEmitter } from "events";
+import { RagEncryptionClient } from "../rag_encryption/index.js";
+import { runChunk } from "../batch/index.js";
+import DCPE from "../dcpe.js";
+import { DecryptError, InvalidInputError } from "../exceptions/index.js";
+
+describe("Batch encryption", () => {
+    const encryptionKey = Buffer.from("testkey12345678901234567890123456");
+    const records = Array.from({ length: 5 }, (_, i) => ({
+        id: `chunk-${i}`,
+        vector: Array.from({ length: 16 }, (_, j) => Math.sin(i + j)),
+        text: `text of chunk ${i}`,
+        metadata: { category: i % 2 === 0 ? "finance" : "legal" }
+    }));
+
+    const expectRoundTrip = (decrypted) => {
+        expect(decrypted.map((result) => result.id)).toEqual(records.map((record) => record.id));
+        decrypted.forEach((result, i) => {
+            expect(result.error).toBeUndefined();
+            expect(result.text).toBe(records[i].text);
+            expect(result.metadata).toEqual(records[i].metadata);
+            result.vector.forEach((val, j) => expect(val).toBeCloseTo(records[i].vector[j], 9));
+        });
+    };
+
+    test("encryptBatch and decryptBatch should round trip records in the calling thread", async () => {
+        const client = new RagEncryptionClient(encryptionKey);
+
+        const encrypted = await client.encryptBatch(records);
+        expect(typeof encrypted[0].text).toBe("string");
+        expect(Buffer.isBuffer(encrypted[0].vectorMetadata)).toBe(true);
+        expect(encrypted[0].metadata.category).toEqual(encrypted[2].metadata.category);
+
+        expectRoundTrip(await client.decryptBatch(encrypted));
+    });
+
+    test("a failing record should get an error without failing the batch", async () => {
+        const client = new RagEncryptionClient(encryptionKey);
+        const batch = [records[0], { id: "bad", vector: "not a vector" }, null, records[1]];
+
+        const results = await client.encryptBatch(batch);
+
+        expect(results).toHaveLength(4);
+        expect(results[0].error).toBeUndefined();
+        expect(results[1]).toEqual({ id: "bad", error: expect.any(InvalidInputError) });
+        expect(results[2].error).toBeInstanceOf(InvalidInputError);
+        expect(results[3].id).toBe("chunk-1");
+    });
+
+    test("workers should return results in input order", async () => {
+        const client = new RagEncryptionClient(encryptionKey);
+
+        const encrypted = await client.encryptBatch(records, { workers: 2, chunkSize: 2 });
+        expect(Buffer.isBuffer(encrypted[4].vectorMetadata)).toBe(true);
+        expect(Buffer.isBuffer(encrypted[4].metadata.category)).toBe(true);
+        expectRoundTrip(await client.decryptBatch(encrypted));
+
+        const tampered = encrypted.map((result, i) => (i === 3 ? { ...result, text: encrypted[0].text.slice(0, -4) + "AAAA" } : result));
+        const decrypted = await client.decryptBatch(tampered, { workers: 2, chunkSize: 2 });
+        expect(decrypted[3].error).toBeInstanceOf(DecryptError);
+        expect(decrypted[3].error.message).toMatch(/^DecryptError: /);
+        expect(decrypted[4].text).toBe(records[4].text);
+    });
+
+    test("workers should decrypt records encrypted under a retired key", async () => {
+        const client = new RagEncryptionClient(encryptionKey);
+        const encrypted = await client.encryptBatch(records);
+        await client.rotateKey(Buffer.from("rotatedkey1234567890123456789012"), "rotated-key");
+
+        expectRoundTrip(await client.decryptBatch(encrypted, { workers: 1 }));
+    });
+
+    test("DCPE should encrypt batches with its own vector and metadata format", async () => {
+        const dcpe = new DCPE();
+        dcpe.setKeys(await dcpe.generateKeys());
+
+        const encrypted = await dcpe.encryptBatch(records, { workers: 2, chunkSize: 3 });
+        expect(typeof encrypted[0].vectorMetadata).toBe("string");
+        expect(dcpe.decryptMetadata(encrypted[1].metadata.category)).toBe("legal");
+        expect(dcpe.decryptText(encrypted[1].text)).toBe(records[1].text);
+
+        expectRoundTrip(await dcpe.decryptBatch(encrypted));
+    });
+
+    test("workers should fail only the records that cannot be cloned", async () => {
+        const client = new RagEncryptionClient(encryptionKey);
+        const batch = [records[0], { ...records[1], id: "bad", metadata: { category: () => "finance" } }, records[2]];
+
+        const results = await client.encryptBatch(batch, { workers: 1 });
+
+        expect(results.map((result) => result.id)).toEqual(["chunk-0", "bad", "chunk-2"]);
+        expect(results[1].error.name).toBe("DataCloneError");
+        expect(results[0].error).toBeUndefined();
+        expect(results[2].error).toBeUndefined();
+        expect(typeof results[2].text).toBe("string");
+    });
+
+    test("a worker exiting before it replies should reject the chunk", async () => {
+        const worker = new EventEmitter();
+        worker.postMessage = () => setImmediate(() => worker.emit("exit", 1));
+
+        await expect(runChunk(worker, records, "encrypt", {})).rejects.toThrow("exited with code 1");
+        expect(worker.listenerCount("message")).toBe(0);
+        expect(worker.listenerCount("exit")).toBe(0);
+    });
+
+    test("invalid batches and options should be rejected", async () => {
+        const client = new RagEncryptionClient(encryptionKey);
+
+        await expect(client.encryptBatch("records")).rejects.toThrow(InvalidInputError);
+        await expect(client.encryptBatch(records, { workers: -1 })).rejects.toThrow(InvalidInputError);
+        await expect(client.encryptBatch(records, { chunkSize: 0 })).rejects.toThrow(InvalidInputError);
+        await expect(client.encryptBatch([], { workers: 2 })).resolves.toEqual([]);
+    });
+});
@@ -0,0 +1,73 @@
+import { RagEncryptionClient } from "../rag_encryption/index.js";
+import { BlindIndex, BlindIndexType } from "../blind_index/index.js";
+import DCPE from "../dcpe.js";
+import { InvalidConfigurationError, InvalidInputError } from "../exceptions/index.js";
+
+describe("Blind indexes", () => {
+    const client = new RagEncryptionClient(Buffer.from("testkey12345678901234567890123456"));
+
+    test("exact indexes should match equal values, optionally ignoring case", () => {
+        const exact = client.createBlindIndex("author");
+        const insensitive = client.createBlindIndex("author", { caseInsensitive: true });
+
+        expect(exact.tokens("Jane")).toEqual([exact.queryToken("Jane")]);
+        expect(exact.queryToken("jane")).not.toBe(exact.queryToken("Jane"));
+        expect(insensitive.queryToken("JANE")).toBe(insensitive.tokens("Jane")[0]);
+        expect(insensitive.queryToken("jane")).not.toBe(exact.queryToken("jane"));
+        expect(client.createBlindIndex("reviewer").queryToken("Jane")).not.toBe(exact.queryToken("Jane"));
+    });
+
+    test("tag indexes should produce one token per distinct tag", () => {
+        const tags = client.createBlindIndex("tags", { type: BlindIndexType.TAGS, caseInsensitive: true });
+        const stored = tags.tokens(["Finance", "Q3", "finance"]);
+
+        expect(stored).toHaveLength(2);
+        expect(stored).toContain(tags.queryToken("FINANCE"));
+        expect(stored).not.toContain(tags.queryToken("Legal"));
+        expect(() => tags.tokens("Finance")).toThrow(InvalidInputError);
+    });
+
+    test("prefix indexes should match every indexed prefix", () => {
+        const prefixes = client.createBlindIndex("title", { type: "prefix", minPrefixLength: 2, maxPrefixLength: 4 });
+        const stored = prefixes.tokens("Quarterly");
+
+        expect(stored).toHaveLength(3);
+        expect(stored).toContain(prefixes.queryToken("Qu"));
+        expect(stored).toContain(prefixes.queryToken("Quar"));
+        expect(stored).toContain(prefixes.queryToken("Quarantine"));
+        expect(stored).not.toContain(prefixes.queryToken("Qa"));
+        expect(prefixes.tokens("Q")).toEqual([]);
+        expect(() => prefixes.queryToken("Q")).toThrow(InvalidInputError);
+        expect(prefixes.tokens("😀😁😂")).toHaveLength(2);
+    });
+
+    test("token length should truncate tokens", () => {
+        const short = client.createBlindIndex("author", { tokenLength: 4 });
+        const full = client.createBlindIndex("author", { tokenLength: 32 });
+
+        expect(Buffer.from(short.queryToken("Jane"), "base64url")).toHaveLength(4);
+        expect(Buffer.from(full.queryToken("Jane"), "base64url")).toHaveLength(32);
+        expect(full.queryToken("Jane").startsWith(short.queryToken("Jane").slice(0, 4))).toBe(true);
+    });
+
+    test("DCPE should create the same indexes as a client with the same key", async () => {
+        const dcpe = new DCPE();
+        const keys = await dcpe.generateKeys();
+        dcpe.setKeys(keys);
+
+        const fromDcpe = dcpe.createBlindIndex("tags", { type: "tags" });
+        const fromClient = new RagEncryptionClient(keys.key.getBytes()).createBlindIndex("tags", { type: "tags" });
+        expect(fromDcpe.queryToken("finance")).toBe(fromClient.queryToken("finance"));
+    });
+
+    test("invalid options should be rejected", () => {
+        const key = Buffer.alloc(32, 1);
+
+        expect(() => new BlindIndex(key, "a", { type: "suffix" })).toThrow(InvalidConfigurationError);
+        expect(() => new BlindIndex(key, "a", { tokenLength: 0 })).toThrow(InvalidConfigurationError);
+        expect(() => new BlindIndex(key, "a", { tokenLength: "8" })).toThrow("Type mismatch");
+        expect(() => new BlindIndex(key, "a", { minPrefixLength: 5, maxPrefixLength: 4 })).toThrow(InvalidConfigurationError);
+        expect(() => new BlindIndex(key, "")).toThrow(InvalidInputError);
+        expect(() => new BlindIndex(key, "a").queryToken(42)).toThrow(InvalidInputError);
+    });
+});
@@ -4,13 +4,18 @@ import {
     decryptVector,
     shuffle,
     unshuffle,
+    ShuffleAlgorithm,
     generateNoiseVector,
     sampleNormalVector,
+    DeterministicRng,
     sampleUniformPoint,
 } from "../crypto/index.js";
 import { VectorEncryptionKey, ScalingFactor, EncryptionKey, generateRandomKey } from "../keys/index.js";
 import { DecryptError, InvalidKeyError } from "../exceptions/index.js";
 import { hkdf } from '../crypto/hkdf.js';
+import { encryptOrdered, decryptOrdered, OrderedEncoding } from "../crypto/ordered.js";
+import { InvalidInputError } from "../exceptions/index.js";
+import crypto from "crypto";
 
 describe("Crypto Module", () => {
     const keyBytes = Buffer.from("testkey12345678901234567890123456");
@@ -38,6 +43,26 @@ describe("Crypto Module", () => {
             expect(hash1.equals(hash2)).toBe(false);
         });
 
+        test("should hash typed arrays like the equivalent array", () => {
+            const iv = Buffer.from("123456789012");
+            const values = Array.from({ length: 64 }, (_, i) => Math.cos(i) * 10);
+            const hash = computeAuthHash(vectorKey, 1.0, iv, values);
+
+            expect(computeAuthHash(vectorKey, 1.0, iv, Float32Array.from(values)).equals(hash)).toBe(true);
+            expect(computeAuthHash(vectorKey, 1.0, iv, Float64Array.from(values)).equals(hash)).toBe(true);
+        });
+
+        test("should match hashing each component as a separate 32-bit float", () => {
+            const iv = Buffer.from("123456789012");
+            const values = [0.1, -2.5, 1e-7, 123456.789];
+            const hmac = crypto.createHmac("sha256", encryptionKey.getBytes());
+            [scalingFactor.getFactor(), 1.0].forEach((val) => hmac.update(Buffer.from(Float32Array.of(val).buffer)));
+            hmac.update(iv);
+            values.forEach((val) => hmac.update(Buffer.from(Float32Array.of(val).buffer)));
+
+            expect(computeAuthHash(vectorKey, 1.0, iv, values).getBytes()).toEqual(hmac.digest());
+        });
+
         test("should throw an error for invalid inputs", () => {
             const iv = Buffer.from("123456789012");
             expect(() => computeAuthHash(vectorKey, 1.0, iv, null)).toThrow();
@@ -61,6 +86,43 @@ describe("Crypto Module", () => {
             expect(unshuffledArray).toEqual(inputArray);
         });
 
+        test("shuffle should produce a valid permutation for dimensions above 256", () => {
+            const inputArray = Array.from({ length: 1536 }, (_, i) => i);
+            const shuffledArray = shuffle(encryptionKey, inputArray);
+
+            expect([...shuffledArray].sort((a, b) => a - b)).toEqual(inputArray);
+            expect(unshuffle(encryptionKey, shuffledArray)).toEqual(inputArray);
+        });
+
+        test("shuffle should differ between the keyed and legacy algorithms", () => {
+            const inputArray = Array.from({ length: 64 }, (_, i) => i);
+            const keyed = shuffle(encryptionKey, inputArray, ShuffleAlgorithm.HMAC_CTR);
+            const legacy = shuffle(encryptionKey, inputArray, ShuffleAlgorithm.LEGACY_HMAC_BYTE);
+
+            expect(keyed).not.toEqual(legacy);
+            expect(shuffle(encryptionKey, inputArray)).toEqual(keyed);
+        });
+
+        test("unshuffle should still reverse the legacy algorithm", () => {
+            const inputArray = Array.from({ length: 300 }, (_, i) => i);
+            const shuffledArray = shuffle(encryptionKey, inputArray, ShuffleAlgorithm.LEGACY_HMAC_BYTE);
+
+            expect(unshuffle(encryptionKey, shuffledArray, ShuffleAlgorithm.LEGACY_HMAC_BYTE)).toEqual(inputArray);
+        });
+
+        test("shuffle and unshuffle should keep the typed array type", () => {
+            const inputArray = Float32Array.from({ length: 32 }, (_, i) => i);
+            const shuffledArray = shuffle(encryptionKey, inputArray);
+
+            expect(shuffledArray).toBeInstanceOf(Float32Array);
+            expect(Array.from(shuffledArray)).toEqual(shuffle(encryptionKey, Array.from(inputArray)));
+            expect(unshuffle(encryptionKey, shuffledArray)).toEqual(inputArray);
+        });
+
+        test("shuffle should reject an unknown algorithm", () => {
+            expect(() => shuffle(encryptionKey, [1, 2, 3], 99)).toThrow("Unsupported shuffle algorithm");
+        });
+
         test("shuffle should throw an error for invalid inputs", () => {
             expect(() => shuffle(null, [1, 2, 3])).toThrow();
             expect(() => shuffle(encryptionKey, null)).toThrow();
@@ -86,6 +148,42 @@ describe("Crypto Module", () => {
             }
         });
 
+        test.each([384, 768, 1536])("should reconstruct a %i-dimension vector within float tolerance", (dimensionality) => {
+            const plaintextVector = Array.from({ length: dimensionality }, (_, i) => Math.sin(i + 1) * 0.1);
+            const approximationFactor = 1.0;
+
+            const encryptedResult = encryptVector(vectorKey, approximationFactor, plaintextVector);
+            const decryptedVector = decryptVector(vectorKey, approximationFactor, encryptedResult);
+
+            const maxError = Math.max(...decryptedVector.map((val, i) => Math.abs(val - plaintextVector[i])));
+            expect(decryptedVector.length).toBe(dimensionality);
+            expect(maxError).toBeLessThan(1e-9);
+        });
+
+        test.each([Float32Array, Float64Array])("should encrypt and decrypt a %p without converting it", (VectorType) => {
+            const plaintextVector = VectorType.from({ length: 256 }, (_, i) => Math.sin(i + 1) * 0.1);
+
+            const encryptedResult = encryptVector(vectorKey, 1.0, plaintextVector);
+            const decryptedVector = decryptVector(vectorKey, 1.0, encryptedResult);
+
+            expect(encryptedResult.ciphertext).toBeInstanceOf(VectorType);
+            expect(decryptedVector).toBeInstanceOf(VectorType);
+            for (let i = 0; i < plaintextVector.length; i++) {
+                expect(decryptedVector[i]).toBeCloseTo(plaintextVector[i], 5);
+            }
+        });
+
+        test("should decrypt a ciphertext after it is stored as 32-bit floats", () => {
+            const plaintextVector = [0.25, -0.5, 0.75];
+            const encryptedResult = encryptVector(vectorKey, 1.0, plaintextVector);
+            const storedResult = { ...encryptedResult, ciphertext: Float32Array.from(encryptedResult.ciphertext) };
+
+            const decryptedVector = decryptVector(vectorKey, 1.0, storedResult);
+            for (let i = 0; i < plaintextVector.length; i++) {
+                expect(decryptedVector[i]).toBeCloseTo(plaintextVector[i], 5);
+            }
+        });
+
         test("should throw an error if scaling factor is zero", () => {
             const zeroScalingFactor = new ScalingFactor(0);
             const zeroVectorKey = new VectorEncryptionKey(zeroScalingFactor, encryptionKey);
@@ -119,6 +217,21 @@ describe("Crypto Module", () => {
             expect(noiseVector.length).toBe(dimensionality);
         });
 
+        test("should be reproducible for the same key and IV", () => {
+            const iv = Buffer.from("123456789012");
+            const noise1 = generateNoiseVector(vectorKey, iv, 1.0, 16);
+            const noise2 = generateNoiseVector(vectorKey, iv, 1.0, 16);
+
+            expect(noise1).toEqual(noise2);
+        });
+
+        test("should differ for different IVs", () => {
+            const noise1 = generateNoiseVector(vectorKey, Buffer.from("123456789012"), 1.0, 16);
+            const noise2 = generateNoiseVector(vectorKey, Buffer.from("210987654321"), 1.0, 16);
+
+            expect(noise1).not.toEqual(noise2);
+        });
+
         test("should throw an error for invalid inputs", () => {
             const iv = Buffer.from("123456789012");
             expect(() => generateNoiseVector(null, iv, 1.0, 3)).toThrow();
@@ -149,6 +262,20 @@ describe("Crypto Module", () => {
             expect(allEqual).toBe(false);
         });
         
+        test('sampleNormalVector should be reproducible from a seeded generator', () => {
+            const seed = Buffer.from("seed-for-normal-vector");
+            const vector1 = sampleNormalVector(10, new DeterministicRng(seed));
+            const vector2 = sampleNormalVector(10, new DeterministicRng(seed));
+
+            expect(vector1).toEqual(vector2);
+            expect(vector1.every((val) => Number.isFinite(val))).toBe(true);
+        });
+
+        test('DeterministicRng should reject an invalid seed', () => {
+            expect(() => new DeterministicRng("not a buffer")).toThrow(TypeError);
+            expect(() => new DeterministicRng(Buffer.alloc(0))).toThrow(TypeError);
+        });
+
         test('sampleUniformPoint should return value between 0 and 1', () => {
             const point = sampleUniformPoint();
             expect(point).toBeGreaterThanOrEqual(0);
@@ -167,6 +294,49 @@ describe("Crypto Module", () => {
 });
 
 
+describe("Ordered encryption", () => {
+    const key = Buffer.alloc(32, 7);
+    const values = [-Number.MAX_VALUE, -1e12, -2.5, -1e-300, 0, 1e-300, 1, 1.0000000001, 1735689600000, 1e300];
+
+    test("ciphertexts should sort like the values and decrypt to them", () => {
+        const ciphertexts = values.map((value) => encryptOrdered(key, value));
+
+        expect([...ciphertexts].sort()).toEqual(ciphertexts);
+        expect(new Set(ciphertexts).size).toBe(values.length);
+        ciphertexts.forEach((ciphertext, i) => {
+            expect(ciphertext).toMatch(/^[0-9a-f]{24}$/);
+            expect(decryptOrdered(key, ciphertext)).toBe(values[i]);
+        });
+    });
+
+    test("encryption should be deterministic and keyed", () => {
+        const ciphertext = encryptOrdered(key, 42);
+
+        expect(encryptOrdered(key, 42)).toBe(ciphertext);
+        expect(encryptOrdered(key, -0)).toBe(encryptOrdered(key, 0));
+        expect(encryptOrdered(Buffer.alloc(32, 8), 42)).not.toBe(ciphertext);
+        expect(() => decryptOrdered(Buffer.alloc(32, 8), ciphertext)).toThrow(DecryptError);
+    });
+
+    test("dates and BigInt ciphertexts should be supported", () => {
+        const date = new Date("2025-03-01T00:00:00Z");
+        const ciphertext = encryptOrdered(key, date, OrderedEncoding.BIGINT);
+
+        expect(typeof ciphertext).toBe("bigint");
+        expect(ciphertext).toBe(BigInt("0x" + encryptOrdered(key, date.getTime())));
+        expect(decryptOrdered(key, ciphertext)).toBe(date.getTime());
+    });
+
+    test("invalid values and ciphertexts should be rejected", () => {
+        [NaN, Infinity, "5", new Date("invalid"), null].forEach((value) => {
+            expect(() => encryptOrdered(key, value)).toThrow(InvalidInputError);
+        });
+        expect(() => encryptOrdered(key, 1, "base64")).toThrow(InvalidInputError);
+        expect(() => decryptOrdered(key, "abc")).toThrow(InvalidInputError);
+    });
+});
+
+
 describe('HKDF Module', () => {
     test('should derive keys of requested length', () => {
         const ikm = Buffer.from('input key material');
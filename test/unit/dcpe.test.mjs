@@ -0,0 +1,134 @@
+import DCPE from "../dcpe.js";
+import { encryptText, invalidateClient, clearClientCache } from "../rag_encryption/index.js";
+
+describe("DCPE Facade", () => {
+    let dcpe;
+
+    beforeEach(async () => {
+        dcpe = new DCPE();
+        dcpe.setKeys(await dcpe.generateKeys());
+    });
+
+    test("encryptVector should return a decryptable vector and serialisable metadata", () => {
+        const vector = [0.1, 0.2, 0.3, 0.4];
+
+        const encrypted = dcpe.encryptVector(vector);
+        const decrypted = dcpe.decryptVector(JSON.parse(JSON.stringify(encrypted)));
+
+        expect(encrypted.vector.length).toBe(vector.length);
+        expect(typeof encrypted.metadata).toBe("string");
+        for (let i = 0; i < vector.length; i++) {
+            expect(decrypted[i]).toBeCloseTo(vector[i], 9);
+        }
+    });
+
+    test("decryptVector should accept the vector and metadata separately", () => {
+        const vector = [0.5, -0.25, 0.75];
+        const { vector: ciphertext, metadata } = dcpe.encryptVector(vector);
+
+        const fromString = dcpe.decryptVector(ciphertext, metadata);
+        const fromBuffer = dcpe.decryptVector(ciphertext, Buffer.from(metadata, "base64"));
+
+        for (let i = 0; i < vector.length; i++) {
+            expect(fromString[i]).toBeCloseTo(vector[i], 9);
+            expect(fromBuffer[i]).toBeCloseTo(vector[i], 9);
+        }
+    });
+
+    test("vectors should stay Float32Arrays through encryption and decryption", () => {
+        const vector = Float32Array.of(0.5, -0.25, 0.75);
+        const { vector: ciphertext, metadata } = dcpe.encryptVector(vector);
+        const decrypted = dcpe.decryptVector(ciphertext, metadata);
+
+        expect(ciphertext).toBeInstanceOf(Float32Array);
+        expect(decrypted).toBeInstanceOf(Float32Array);
+        for (let i = 0; i < vector.length; i++) {
+            expect(decrypted[i]).toBeCloseTo(vector[i], 5);
+        }
+    });
+
+    test("encryptVectors should encrypt a batch in input order", () => {
+        const vectors = [[1.0, 2.0], [3.0, 4.0], [5.0, 6.0]];
+
+        const encrypted = dcpe.encryptVectors(vectors);
+
+        expect(encrypted.length).toBe(vectors.length);
+        encrypted.forEach((item, i) => {
+            const decrypted = dcpe.decryptVector(item);
+            expect(decrypted[0]).toBeCloseTo(vectors[i][0], 9);
+            expect(decrypted[1]).toBeCloseTo(vectors[i][1], 9);
+        });
+        expect(() => dcpe.encryptVectors("not an array")).toThrow(TypeError);
+    });
+
+    test("decryptVector should respect the approximation factor option", () => {
+        const encrypted = dcpe.encryptVector([1.0, 2.0, 3.0], { approximationFactor: 0.5 });
+
+        expect(() => dcpe.decryptVector(encrypted)).toThrow();
+        expect(dcpe.decryptVector(encrypted, { approximationFactor: 0.5 })[1]).toBeCloseTo(2.0, 9);
+    });
+
+    test("decryptVector should require metadata", () => {
+        const { vector } = dcpe.encryptVector([1.0, 2.0, 3.0]);
+
+        expect(() => dcpe.decryptVector(vector)).toThrow(TypeError);
+    });
+
+    test("encryptText should return a serialized envelope when an encoding is given", () => {
+        const envelope = dcpe.encryptText("stored as one string", { encoding: "hex" });
+
+        expect(typeof envelope).toBe("string");
+        expect(dcpe.decryptText(envelope, { encoding: "hex" })).toBe("stored as one string");
+        expect(dcpe.decryptText(Buffer.from(envelope, "hex"))).toBe("stored as one string");
+    });
+
+    test("text and metadata should honour associated data", () => {
+        const encryptedText = dcpe.encryptText("chunk of doc-1", { aad: "doc-1" });
+        const encryptedField = dcpe.encryptMetadata("finance", { aad: "category" });
+
+        expect(dcpe.decryptText(encryptedText, { aad: "doc-1" })).toBe("chunk of doc-1");
+        expect(() => dcpe.decryptText(encryptedText, { aad: "doc-2" })).toThrow();
+        expect(dcpe.decryptMetadata(encryptedField, { aad: "category" })).toBe("finance");
+        expect(() => dcpe.decryptMetadata(encryptedField)).toThrow();
+    });
+
+    describe("key isolation", () => {
+        test("two DCPE instances should never cross-decrypt text or metadata", async () => {
+            const other = new DCPE();
+            other.setKeys(await other.generateKeys());
+
+            const encryptedText = dcpe.encryptText("tenant A secret");
+            const encryptedField = dcpe.encryptMetadata("finance");
+
+            expect(dcpe.decryptText(encryptedText)).toBe("tenant A secret");
+            expect(() => other.decryptText(encryptedText)).toThrow();
+            expect(() => other.decryptMetadata(encryptedField)).toThrow();
+            expect(other.encryptMetadata("finance")).not.toEqual(encryptedField);
+        });
+
+        test("setKeys should switch text encryption to the new key", async () => {
+            const encryptedBefore = dcpe.encryptText("before");
+
+            dcpe.setKeys(await dcpe.generateKeys());
+
+            expect(() => dcpe.decryptText(encryptedBefore)).toThrow();
+            expect(dcpe.decryptText(dcpe.encryptText("after"))).toBe("after");
+        });
+
+        test("invalidateClient and clearClientCache should drop cached clients", async () => {
+            const keys = await dcpe.generateKeys();
+            encryptText("warm the cache", keys);
+
+            expect(invalidateClient(keys)).toBe(true);
+            expect(invalidateClient(keys)).toBe(false);
+
+            encryptText("warm the cache", keys);
+            clearClientCache();
+            expect(invalidateClient(keys)).toBe(false);
+
+            // Keys the text functions cannot use never have a cached client
+            expect(invalidateClient("not a key")).toBe(false);
+            expect(invalidateClient({ keyId: 1 })).toBe(false);
+        });
+    });
+});
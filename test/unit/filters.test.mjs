@@ -0,0 +1,149 @@
+import DCPE from "../dcpe.js";
+import {
+    Filter,
+    FilterDialect,
+    encryptFilter,
+    compileFilter,
+    compileMilvusFilter,
+    compileQdrantFilter,
+    compilePineconeFilter,
+    compilePgvectorFilter,
+    compileMemoryFilter
+} from "../filters/index.js";
+import { InvalidInputError } from "../exceptions/index.js";
+
+describe("Filters", () => {
+    const schema = {
+        fields: {
+            source_url: "deterministic",
+            upload_date: "ordered",
+            author: "hmac-token",
+            chunk_text: "randomized",
+            page: "plaintext",
+            category: "plaintext"
+        }
+    };
+    let dcpe;
+
+    beforeEach(async () => {
+        dcpe = new DCPE();
+        dcpe.setKeys(await dcpe.generateKeys());
+    });
+
+    describe("encryptFilter", () => {
+        test("should encrypt each value with the mode of its field", () => {
+            const start = new Date("2025-01-01");
+            const filter = dcpe.encryptFilter(Filter.and(
+                Filter.eq("source_url", "https://example.com"),
+                Filter.range("upload_date", { gte: start }),
+                Filter.not(Filter.in("author", ["jane", "joe"])),
+                Filter.eq("page", 3)
+            ), schema);
+
+            expect(filter).toEqual(Filter.and(
+                Filter.eq("source_url", dcpe.encryptMetadata("https://example.com").toString("base64")),
+                Filter.range("upload_date", { gte: dcpe.encryptOrderedField(start) }),
+                Filter.not(Filter.in("author", [dcpe.createFieldToken("author", "jane"), dcpe.createFieldToken("author", "joe")])),
+                Filter.eq("page", 3)
+            ));
+        });
+
+        test("should reject filters the stored ciphertexts cannot answer", () => {
+            expect(() => encryptFilter(Filter.eq("chunk_text", "x"), dcpe, schema)).toThrow("cannot be filtered");
+            expect(() => encryptFilter(Filter.range("source_url", { gt: "a" }), dcpe, schema)).toThrow("Range filters");
+            expect(() => encryptFilter(Filter.eq("unknown", "x"), dcpe, schema)).toThrow(InvalidInputError);
+            expect(encryptFilter(Filter.eq("unknown", "x"), dcpe, { ...schema, strict: false })).toEqual(Filter.eq("unknown", "x"));
+        });
+    });
+
+    test("builders should validate their arguments", () => {
+        expect(() => Filter.eq("", "x")).toThrow(InvalidInputError);
+        expect(() => Filter.eq("a", undefined)).toThrow(InvalidInputError);
+        expect(() => Filter.in("a", [])).toThrow(InvalidInputError);
+        expect(() => Filter.range("a", { from: 1 })).toThrow("Unknown range bound");
+        expect(() => Filter.and()).toThrow(InvalidInputError);
+        expect(() => Filter.or("a == 1")).toThrow(InvalidInputError);
+        expect(() => compileFilter({ op: "like", field: "a", value: "x" }, FilterDialect.MILVUS)).toThrow("Unknown filter operator");
+        expect(() => compileFilter(Filter.eq("a", 1), "sqlite")).toThrow("Unknown filter dialect");
+    });
+
+    const filter = Filter.and(
+        Filter.eq("source_url", "a\"b\\c"),
+        Filter.or(Filter.in("category", ["x", "y"]), Filter.not(Filter.range("page", { gte: 2, lt: 5 })))
+    );
+
+    test("Milvus expressions should quote and escape values", () => {
+        expect(compileMilvusFilter(filter)).toBe(
+            "(source_url == \"a\\\"b\\\\c\" and (category in [\"x\", \"y\"] or not ((page >= 2 and page < 5))))"
+        );
+        expect(compileMilvusFilter(Filter.eq("note", "line\nbreak"))).toBe("note == \"line\\nbreak\"");
+        expect(() => compileMilvusFilter(Filter.eq("a or 1 == 1", "x"))).toThrow("Invalid Milvus field name");
+        expect(() => compileMilvusFilter(Filter.eq("a", {}))).toThrow("Unsupported filter value type");
+    });
+
+    test("Qdrant filters should nest must, should and must_not clauses", () => {
+        expect(compileQdrantFilter(filter)).toEqual({
+            must: [
+                { key: "source_url", match: { value: "a\"b\\c" } },
+                {
+                    should: [
+                        { key: "category", match: { any: ["x", "y"] } },
+                        { must_not: [{ key: "page", range: { gte: 2, lt: 5 } }] }
+                    ]
+                }
+            ]
+        });
+        expect(compileQdrantFilter(Filter.eq("page", 3))).toEqual({ must: [{ key: "page", match: { value: 3 } }] });
+        expect(() => compileQdrantFilter(Filter.range("upload_date", { gte: "00ab" }))).toThrow("only compare numbers");
+    });
+
+    test("Pinecone filters should push negations down to the conditions", () => {
+        expect(compilePineconeFilter(filter)).toEqual({
+            $and: [
+                { source_url: { $eq: "a\"b\\c" } },
+                { $or: [{ category: { $in: ["x", "y"] } }, { $or: [{ page: { $lt: 2 } }, { page: { $gte: 5 } }] }] }
+            ]
+        });
+        expect(compilePineconeFilter(Filter.not(Filter.or(Filter.eq("a", 1), Filter.in("b", ["x"]))))).toEqual({
+            $and: [{ a: { $ne: 1 } }, { b: { $nin: ["x"] } }]
+        });
+        expect(compilePineconeFilter(Filter.not(Filter.not(Filter.eq("a", 1))))).toEqual({ a: { $eq: 1 } });
+        expect(() => compilePineconeFilter(Filter.range("upload_date", { gte: "00ab" }))).toThrow("only compare numbers");
+    });
+
+    test("pgvector conditions should be parameterized", () => {
+        expect(compilePgvectorFilter(filter)).toEqual({
+            text: "(\"source_url\" = $1 AND (\"category\" IN ($2, $3) OR NOT ((\"page\" >= $4 AND \"page\" < $5))))",
+            values: ["a\"b\\c", "x", "y", 2, 5]
+        });
+
+        const json = compilePgvectorFilter(
+            Filter.and(Filter.eq("it's", "x"), Filter.range("upload_date", { gte: "00ab", lte: "00ff" }), Filter.eq("page", 3)),
+            { startIndex: 2, jsonColumn: "meta\"data" }
+        );
+        expect(json.text).toBe("((\"meta\"\"data\"->>'it''s') = $2 AND ((\"meta\"\"data\"->>'upload_date') COLLATE \"C\" >= $3"
+            + " AND (\"meta\"\"data\"->>'upload_date') COLLATE \"C\" <= $4) AND (\"meta\"\"data\"->>'page')::numeric = $5)");
+        expect(json.values).toEqual(["x", "00ab", "00ff", 3]);
+
+        expect(() => compilePgvectorFilter(Filter.in("a", [1, "1"]))).toThrow("same type");
+        expect(() => compilePgvectorFilter(Filter.eq("a", 1), { startIndex: 0 })).toThrow(InvalidInputError);
+    });
+
+    test("memory predicates should follow the database semantics", () => {
+        const matches = compileMemoryFilter(filter);
+        expect(matches({ source_url: "a\"b\\c", category: "y", page: 7 })).toBe(true);
+        expect(matches({ source_url: "a\"b\\c", category: "z", page: 3 })).toBe(false);
+        expect(matches({ source_url: "a\"b\\c", category: "z" })).toBe(true);
+
+        const tags = compileMemoryFilter(Filter.in("tags", ["b", "c"]));
+        expect(tags({ tags: ["a", "c"] })).toBe(true);
+        expect(tags({ tags: ["a"] })).toBe(false);
+
+        const hex = compileMemoryFilter(Filter.range("upload_date", { gte: "00ab", lt: "0100" }));
+        expect(hex({ upload_date: "00ff" })).toBe(true);
+        expect(hex({ upload_date: "0100" })).toBe(false);
+        expect(hex({ upload_date: 171 })).toBe(false);
+        expect(compileMemoryFilter(Filter.range("d", { gt: new Date(0) }))({ d: new Date(1) })).toBe(true);
+        expect(compileFilter(Filter.eq("page", 3), FilterDialect.MEMORY)({ page: "3" })).toBe(false);
+    });
+});
@@ -4,9 +4,14 @@ import {
     PayloadType, 
     VectorMetadata,
     encodeVectorMetadata,
+    decodeVectorMetadata,
+    serializeEncryptedText,
+    parseEncryptedText,
+    TextAlgorithm,
     decodeVersionPrefixedValue
 } from "../headers/index.js";
-import { AuthHash } from "../crypto/index.js";
+import { AuthHash, ShuffleAlgorithm } from "../crypto/index.js";
+import { KeyScheduleVersion } from "../keys/index.js";
 import { InvalidInputError } from "../exceptions/index.js";
 
 describe("Headers Module", () => {
@@ -168,4 +173,103 @@ describe("Headers Module", () => {
         expect(decodedIv).toEqual(iv);
         expect(decodedAuthHashBytes).toEqual(authHash.getBytes());
     });
-});
\ No newline at end of file
+
+    // Test decodeVectorMetadata with a recorded shuffle algorithm
+    test("decodeVectorMetadata should round trip the shuffle algorithm", () => {
+        const keyIdHeader = new KeyIdHeader(7, EdekType.STANDALONE, PayloadType.VECTOR_METADATA);
+        const iv = Buffer.from([1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12]);
+        const authHash = new AuthHash(Buffer.alloc(32, 0xAB));
+
+        const encoded = encodeVectorMetadata(keyIdHeader, iv, authHash, ShuffleAlgorithm.HMAC_CTR);
+        const decoded = decodeVectorMetadata(encoded);
+
+        expect(encoded.length).toBe(51);
+        expect(decoded.keyIdHeader.keyId).toBe(7);
+        expect(decoded.iv).toEqual(iv);
+        expect(decoded.authHash.equals(authHash)).toBe(true);
+        expect(decoded.shuffleAlgorithm).toBe(ShuffleAlgorithm.HMAC_CTR);
+        expect(decoded.keyScheduleVersion).toBe(KeyScheduleVersion.LEGACY);
+    });
+
+    test("decodeVectorMetadata should round trip the key schedule version", () => {
+        const keyIdHeader = new KeyIdHeader(7, EdekType.STANDALONE, PayloadType.VECTOR_METADATA);
+        const encoded = encodeVectorMetadata(
+            keyIdHeader,
+            Buffer.alloc(12),
+            new AuthHash(Buffer.alloc(32)),
+            ShuffleAlgorithm.HMAC_CTR,
+            KeyScheduleVersion.HKDF_V1
+        );
+
+        expect(encoded.length).toBe(52);
+        expect(decodeVectorMetadata(encoded).keyScheduleVersion).toBe(KeyScheduleVersion.HKDF_V1);
+    });
+
+    // Metadata written before the shuffle algorithm byte existed
+    test("decodeVectorMetadata should treat metadata without an algorithm byte as legacy", () => {
+        const keyIdHeader = new KeyIdHeader(1, EdekType.STANDALONE, PayloadType.VECTOR_METADATA);
+        const encoded = encodeVectorMetadata(keyIdHeader, Buffer.alloc(12), new AuthHash(Buffer.alloc(32)));
+
+        expect(decodeVectorMetadata(encoded).shuffleAlgorithm).toBe(ShuffleAlgorithm.LEGACY_HMAC_BYTE);
+    });
+
+    test("decodeVectorMetadata should reject malformed metadata", () => {
+        const keyIdHeader = new KeyIdHeader(1, EdekType.STANDALONE, PayloadType.VECTOR_METADATA);
+        const encoded = encodeVectorMetadata(keyIdHeader, Buffer.alloc(12), new AuthHash(Buffer.alloc(32)));
+
+        expect(() => decodeVectorMetadata(encoded.subarray(0, 40))).toThrow(InvalidInputError);
+        expect(() => decodeVectorMetadata(Buffer.concat([encoded, Buffer.from([0x7F])])))
+            .toThrow(InvalidInputError);
+
+        const textHeader = new KeyIdHeader(1, EdekType.STANDALONE, PayloadType.STANDARD_EDEK).writeToBytes();
+        expect(() => decodeVectorMetadata(Buffer.concat([textHeader, encoded.subarray(6)])))
+            .toThrow(InvalidInputError);
+    });
+
+    describe("Encrypted text envelope", () => {
+        const encryptedText = {
+            ciphertext: Buffer.from("ciphertext bytes"),
+            iv: Buffer.alloc(12, 7),
+            tag: Buffer.alloc(16, 9),
+            keyId: 4242
+        };
+
+        test("should round trip as a Buffer, base64url and hex", () => {
+            const fromBuffer = parseEncryptedText(serializeEncryptedText(encryptedText));
+            const fromBase64url = parseEncryptedText(serializeEncryptedText(encryptedText, "base64url"));
+            const fromHex = parseEncryptedText(serializeEncryptedText(encryptedText, "hex"), "hex");
+
+            for (const parsed of [fromBuffer, fromBase64url, fromHex]) {
+                expect(parsed.keyId).toBe(4242);
+                expect(parsed.keyIdHeader.payloadType).toBe(PayloadType.STANDARD_EDEK);
+                expect(parsed.algorithm).toBe(TextAlgorithm.AES_256_GCM);
+                expect(parsed.iv).toEqual(encryptedText.iv);
+                expect(parsed.ciphertext).toEqual(encryptedText.ciphertext);
+                expect(parsed.tag).toEqual(encryptedText.tag);
+            }
+        });
+
+        test("should use the documented layout", () => {
+            const envelope = serializeEncryptedText(encryptedText);
+
+            expect(envelope.length).toBe(6 + 1 + 12 + encryptedText.ciphertext.length + 16);
+            expect(envelope.readUInt32BE(0)).toBe(4242);
+            expect(envelope.readUInt8(6)).toBe(TextAlgorithm.AES_256_GCM);
+            expect(serializeEncryptedText(encryptedText, "base64url")).not.toMatch(/[+/=]/);
+        });
+
+        test("should reject malformed envelopes and unknown encodings", () => {
+            const envelope = serializeEncryptedText(encryptedText);
+            const unknownAlgorithm = Buffer.from(envelope);
+            unknownAlgorithm.writeUInt8(99, 6);
+            const vectorHeader = new KeyIdHeader(1, EdekType.STANDALONE, PayloadType.VECTOR_METADATA).writeToBytes();
+
+            expect(() => parseEncryptedText(unknownAlgorithm)).toThrow(InvalidInputError);
+            expect(() => parseEncryptedText(envelope.subarray(0, 20))).toThrow(InvalidInputError);
+            expect(() => parseEncryptedText(Buffer.concat([vectorHeader, envelope.subarray(6)]))).toThrow(InvalidInputError);
+            expect(() => parseEncryptedText(envelope.toString("hex"), "buffer")).toThrow(InvalidInputError);
+            expect(() => serializeEncryptedText(encryptedText, "base32")).toThrow(InvalidInputError);
+            expect(() => serializeEncryptedText({ ...encryptedText, iv: Buffer.alloc(8) })).toThrow(InvalidInputError);
+        });
+    });
+});
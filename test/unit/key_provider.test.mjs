@@ -1,4 +1,6 @@
-import { ClientKeyProvider } from "../key_provider/index.js";
+import { ClientKeyProvider, LocalKeyProvider, KeyRegistry, KEY_REGISTRY_ID } from "../key_provider/index.js";
+import { RagEncryptionClient } from "../rag_encryption/index.js";
+import { InvalidInputError, KeyNotFoundError } from "../exceptions/index.js";
 
 describe("Key Provider Module", () => {
     test("ClientKeyProvider should initialize with a key store", () => {
@@ -6,4 +8,61 @@ describe("Key Provider Module", () => {
         const provider = new ClientKeyProvider(keyStore);
         expect(provider.keyStore).toBe(keyStore);
     });
-});
\ No newline at end of file
+
+    test("KeyRegistry should assign distinct ids to colliding character sums", () => {
+        const registry = new KeyRegistry();
+
+        expect(registry.assign("ab")).not.toBe(registry.assign("ba"));
+        expect(registry.assign("ab")).toBe(KeyRegistry.hashKeyId("ab"));
+        expect(registry.getKeyId(registry.getNumericId("ba"))).toBe("ba");
+    });
+
+    test("KeyRegistry should persist entries through a ClientKeyProvider", async () => {
+        const keyStore = {};
+        const registry = new KeyRegistry(new ClientKeyProvider(keyStore));
+        const numericId = await registry.register("primary");
+
+        expect(keyStore[KEY_REGISTRY_ID]).toBeDefined();
+        const reloaded = await new KeyRegistry(new ClientKeyProvider(keyStore)).load();
+        expect(reloaded.getNumericId("primary")).toBe(numericId);
+    });
+
+    test("KeyRegistry should load nothing from a LocalKeyProvider with only a current key", async () => {
+        const provider = new LocalKeyProvider();
+        provider.setKeys(Buffer.alloc(32, 1));
+
+        const registry = await new KeyRegistry(provider).load();
+
+        expect(registry.toJSON()).toEqual({});
+    });
+
+    test("KeyRegistry should reject conflicting persisted entries", async () => {
+        const provider = new LocalKeyProvider();
+        await provider.storeKeyRegistry({ first: 5, second: 5 });
+
+        await expect(new KeyRegistry(provider).load()).rejects.toThrow(InvalidInputError);
+    });
+
+    test("KeyRegistry should only treat a missing registry as empty", async () => {
+        const keyStore = { k1: Buffer.alloc(32, 1).toString("base64") };
+        await new ClientKeyProvider(keyStore).storeKeyRegistry({ k0: 5, k1: 6 });
+        const stored = keyStore[KEY_REGISTRY_ID];
+
+        // A provider whose store fails once on the registry
+        const flaky = new ClientKeyProvider(keyStore);
+        let failures = 1;
+        flaky.getKey = async function (keyId) {
+            if (keyId === KEY_REGISTRY_ID && failures-- > 0) {
+                throw new Error("connection reset");
+            }
+            return ClientKeyProvider.prototype.getKey.call(this, keyId);
+        };
+
+        await expect(RagEncryptionClient.create(null, 1.0, flaky, "k1")).rejects.toThrow("connection reset");
+        expect(keyStore[KEY_REGISTRY_ID]).toBe(stored);
+        expect((await new KeyRegistry(flaky).load()).toJSON()).toEqual({ k0: 5, k1: 6 });
+
+        await expect(new ClientKeyProvider({}).getKey(KEY_REGISTRY_ID)).rejects.toThrow(KeyNotFoundError);
+        expect((await new KeyRegistry(new ClientKeyProvider({})).load()).toJSON()).toEqual({});
+    });
+});
@@ -1,5 +1,5 @@
 console.log("Test file loaded successfully");
-import { EncryptionKey, ScalingFactor, VectorEncryptionKey, generateRandomKey } from "../keys/index.js";
+import { EncryptionKey, ScalingFactor, VectorEncryptionKey, KeySchedule, KeyScheduleVersion, generateRandomKey } from "../keys/index.js";
 import { InvalidKeyError } from "../exceptions/index.js";
 
 describe("Keys Module", () => {
@@ -87,4 +87,29 @@ describe("Keys Module", () => {
         expect(key).toBeInstanceOf(EncryptionKey);
         expect(key.getBytes().length).toBe(32);
     });
-});
\ No newline at end of file
+
+    test("KeySchedule.derive should produce distinct, reproducible subkeys", () => {
+        const master = Buffer.from("testkey12345678901234567890123456");
+        const schedule = KeySchedule.derive(master);
+        const again = KeySchedule.derive(master);
+        const subkeys = [schedule.vectorKey, schedule.shuffleKey, schedule.textKey, schedule.deterministicKey];
+
+        expect(schedule.version).toBe(KeyScheduleVersion.HKDF_V1);
+        expect(new Set(subkeys.map((key) => key.getBytes().toString("hex"))).size).toBe(4);
+        expect(subkeys.every((key) => key.getBytes().length === 32)).toBe(true);
+        expect(schedule.textKey.equals(again.textKey)).toBe(true);
+    });
+
+    test("KeySchedule.derive should reuse the master key for the legacy version", () => {
+        const master = Buffer.from("testkey12345678901234567890123456");
+        const schedule = KeySchedule.derive(master, KeyScheduleVersion.LEGACY);
+
+        expect(schedule.vectorKey.getBytes()).toEqual(master);
+        expect(schedule.shuffleKey.getBytes()).toEqual(master);
+    });
+
+    test("KeySchedule.derive should reject unsupported versions", () => {
+        expect(() => KeySchedule.derive(Buffer.alloc(32), 42)).toThrow(InvalidKeyError);
+        expect(() => KeySchedule.derive("not a buffer")).toThrow(TypeError);
+    });
+});
@@ -0,0 +1,146 @@
+import { Readable, Writable } from "stream";
+import { pipeline } from "stream/promises";
+import { RagEncryptionClient } from "../rag_encryption/index.js";
+import { FieldPolicy, encryptRecords, encryptRecord, EncryptionTransform } from "../pipeline/index.js";
+import { InvalidInputError } from "../exceptions/index.js";
+
+describe("Ingestion pipeline", () => {
+    const client = new RagEncryptionClient(Buffer.from("testkey12345678901234567890123456"));
+    const makeRecords = (count) => Array.from({ length: count }, (_, i) => ({
+        id: `chunk-${i}`,
+        embedding: [i, i + 1, i + 2].map((val) => val / 10),
+        text: `text ${i}`,
+        fields: { source_url: `https://example.com/${i % 2}`, page: i, notes: `note ${i}`, internal: "secret" }
+    }));
+    const fieldOptions = {
+        fields: { source_url: FieldPolicy.DETERMINISTIC, page: FieldPolicy.PLAINTEXT, internal: FieldPolicy.DROP }
+    };
+    const collect = async (iterable) => {
+        const items = [];
+        for await (const item of iterable) {
+            items.push(item);
+        }
+        return items;
+    };
+
+    test("encryptRecord should apply the field policies", () => {
+        const [record] = makeRecords(1);
+        const encrypted = encryptRecord(client, record, fieldOptions);
+        const { metadata } = encrypted;
+
+        expect(Object.keys(metadata).sort()).toEqual(["notes", "page", "source_url", "text", "vector_metadata"]);
+        expect(metadata.page).toBe(0);
+        expect(metadata.source_url).toBe(client.encryptDeterministicText("https://example.com/0").toString("base64"));
+        expect(client.decryptText(metadata.notes)).toBe("note 0");
+        expect(client.decryptText(metadata.text)).toBe("text 0");
+
+        const vector = client.decryptVector(encrypted.vector, Buffer.from(metadata.vector_metadata, "base64"));
+        vector.forEach((val, i) => expect(val).toBeCloseTo(record.embedding[i], 9));
+    });
+
+    test("encryptRecord should reject malformed records", () => {
+        expect(() => encryptRecord(client, { text: "no id" })).toThrow(InvalidInputError);
+        expect(() => encryptRecord(client, { id: 1, fields: { page: 3 } })).toThrow(InvalidInputError);
+        expect(() => encryptRecord(client, { id: 1, fields: { text: "x" } })).toThrow("collides");
+        expect(() => encryptRecord(client, { id: 1, fields: { a: "x" } }, { fields: { a: "hashed" } })).toThrow("Unknown field policy");
+    });
+
+    test("encryptRecords should read lazily from an async iterable", async () => {
+        let read = 0;
+        async function* source() {
+            for (const record of makeRecords(10)) {
+                read++;
+                yield record;
+            }
+        }
+
+        const iterator = encryptRecords(source(), client, fieldOptions);
+        const first = await iterator.next();
+        expect(first.value.id).toBe("chunk-0");
+        expect(read).toBe(1);
+
+        const rest = await collect(iterator);
+        expect(rest.map((record) => record.id)).toEqual(makeRecords(10).slice(1).map((record) => record.id));
+    });
+
+    test("encryptRecords should batch, checkpoint and resume", async () => {
+        const records = makeRecords(10);
+        const checkpoints = [];
+        const progress = [];
+        const inserted = [];
+
+        for await (const batch of encryptRecords(records, client, {
+            ...fieldOptions,
+            batchSize: 4,
+            checkpointInterval: 3,
+            progressInterval: 5,
+            onCheckpoint: (checkpoint) => checkpoints.push({ ...checkpoint, inserted: inserted.length }),
+            onProgress: (report) => progress.push(report)
+        })) {
+            inserted.push(...batch);
+            if (inserted.length === 8) {
+                break;
+            }
+        }
+
+        // Checkpoints are only reported for batches the loop has finished with
+        expect(checkpoints).toEqual([{ position: 4, id: "chunk-3", inserted: 4 }]);
+        expect(progress[0]).toEqual({ position: 5, processed: 5, failed: 0, skipped: 0 });
+
+        const resumed = await collect(encryptRecords(records, client, { ...fieldOptions, resumeFrom: checkpoints[0] }));
+        expect(resumed.map((record) => record.id)).toEqual(records.slice(4).map((record) => record.id));
+    });
+
+    test("onError should skip records that cannot be encrypted", async () => {
+        const records = [...makeRecords(2), { id: "bad", embedding: "not a vector" }, ...makeRecords(3).slice(2)];
+        const errors = [];
+        const progress = [];
+
+        const results = await collect(encryptRecords(records, client, {
+            ...fieldOptions,
+            onError: (error, record) => errors.push([error, record.id]),
+            onProgress: (report) => progress.push(report)
+        }));
+
+        expect(results.map((record) => record.id)).toEqual(["chunk-0", "chunk-1", "chunk-2"]);
+        expect(errors).toEqual([[expect.any(InvalidInputError), "bad"]]);
+        expect(progress[progress.length - 1]).toEqual({ position: 4, processed: 3, failed: 1, skipped: 0 });
+        await expect(collect(encryptRecords(records, client, fieldOptions))).rejects.toThrow(InvalidInputError);
+    });
+
+    test("EncryptionTransform should encrypt a stream with backpressure and emit events", async () => {
+        const records = makeRecords(50);
+        const transform = new EncryptionTransform(client, { ...fieldOptions, batchSize: 10, checkpointInterval: 20, highWaterMark: 1 });
+        const checkpoints = [];
+        const written = [];
+        transform.on("checkpoint", (checkpoint) => checkpoints.push(checkpoint));
+
+        await pipeline(
+            Readable.from(records),
+            transform,
+            new Writable({
+                objectMode: true,
+                highWaterMark: 1,
+                write(batch, encoding, callback) {
+                    written.push(...batch);
+                    setImmediate(callback);
+                }
+            })
+        );
+
+        expect(written.map((record) => record.id)).toEqual(records.map((record) => record.id));
+        expect(checkpoints.map((checkpoint) => checkpoint.position)).toEqual([20, 40, 50]);
+        expect(checkpoints[2].id).toBe("chunk-49");
+    });
+
+    test("EncryptionTransform should fail the pipeline on a bad record without onError", async () => {
+        const transform = new EncryptionTransform(client);
+
+        await expect(pipeline(Readable.from([{ id: null }]), transform, new Writable({
+            objectMode: true,
+            write(record, encoding, callback) {
+                callback();
+            }
+        }))).rejects.toThrow(InvalidInputError);
+    });
+});
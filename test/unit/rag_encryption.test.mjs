@@ -1,5 +1,10 @@
 import { RagEncryptionClient } from "../rag_encryption/index.js";
-import { AuthHash } from "../crypto/index.js";
+import { AuthHash, encryptVector, shuffle, ShuffleAlgorithm } from "../crypto/index.js";
+import { KeyIdHeader, EdekType, PayloadType, encodeVectorMetadata, decodeVectorMetadata, parseEncryptedText, decodeDeterministicField } from "../headers/index.js";
+import { EncryptionKey, ScalingFactor, VectorEncryptionKey, KeyScheduleVersion, computeTenantTag } from "../keys/index.js";
+import { DecryptError, InvalidInputError, InvalidKeyError } from "../exceptions/index.js";
+import { ClientKeyProvider, KeyRegistry } from "../key_provider/index.js";
+import crypto from "crypto";
 
 describe("RagEncryptionClient Integration Tests", () => {
     const encryptionKey = Buffer.from("testkey12345678901234567890123456");
@@ -19,6 +24,69 @@ describe("RagEncryptionClient Integration Tests", () => {
         }
     });
 
+    test("Changing any metadata byte after the auth hash should fail decryption", async () => {
+        const plainClient = new RagEncryptionClient(encryptionKey, 1.0);
+        const masterSecret = Buffer.from("master-secret-0123456789abcdef0123456789");
+        const tenantClient = await RagEncryptionClient.create({ masterSecret, tenantId: "tenant-a" });
+
+        for (const client of [plainClient, tenantClient]) {
+            const [encryptedVector, metadata] = client.encryptVector([0, 0.1, 0.2, 0.3]);
+            // Replace each trailer byte with another valid value: shuffle algorithm 2 <-> 1,
+            // key schedule version 1 <-> 0, and any other tenant tag
+            const replacements = [(b) => 3 - b, (b) => 1 - b, (b) => b ^ 1, (b) => b ^ 1, (b) => b ^ 1, (b) => b ^ 1];
+            for (let i = 50; i < metadata.length; i++) {
+                const tampered = Buffer.from(metadata);
+                tampered[i] = replacements[i - 50](tampered[i]);
+                expect(() => client.decryptVector(encryptedVector, tampered)).toThrow(DecryptError);
+            }
+            expect(() => client.decryptVector(encryptedVector, metadata.subarray(0, 50))).toThrow(DecryptError);
+        }
+    });
+
+    test("Vectors written with the legacy shuffle should still decrypt", () => {
+        const client = new RagEncryptionClient(encryptionKey, 1.0);
+        const plaintextVector = Array.from({ length: 300 }, (_, i) => i / 300);
+
+        // Reproduce the metadata layout and raw key usage from before the key schedule existed
+        const rawKey = new EncryptionKey(encryptionKey);
+        const rawVectorKey = new VectorEncryptionKey(new ScalingFactor(1.0), rawKey);
+        const shuffledVector = shuffle(rawKey, plaintextVector, ShuffleAlgorithm.LEGACY_HMAC_BYTE);
+        const { ciphertext, iv, authHash } = encryptVector(rawVectorKey, 1.0, shuffledVector);
+        const legacyKeyId = "local-key".split("").reduce((a, c) => a + c.charCodeAt(0), 0) % 9999;
+        const header = new KeyIdHeader(legacyKeyId, EdekType.STANDALONE, PayloadType.VECTOR_METADATA);
+        const legacyMetadata = encodeVectorMetadata(header, iv, authHash);
+
+        const decryptedVector = client.decryptVector(ciphertext, legacyMetadata);
+        for (let i = 0; i < plaintextVector.length; i++) {
+            expect(decryptedVector[i]).toBeCloseTo(plaintextVector[i], 9);
+        }
+    });
+
+    test("Client should derive independent subkeys and record the key schedule version", () => {
+        const client = new RagEncryptionClient(encryptionKey, 1.0);
+        const subkeys = [
+            client.vectorEncryptionKey.key.getBytes(),
+            client.shuffleEncryptionKey.getBytes(),
+            client.textEncryptionKey.getBytes(),
+            client.deterministicEncryptionKey.getBytes()
+        ];
+
+        expect(new Set(subkeys.map((key) => key.toString("hex"))).size).toBe(4);
+        expect(subkeys.some((key) => key.equals(encryptionKey))).toBe(false);
+
+        const [, metadata] = client.encryptVector([1.0, 2.0, 3.0]);
+        expect(decodeVectorMetadata(metadata).keyScheduleVersion).toBe(KeyScheduleVersion.HKDF_V1);
+    });
+
+    test("Text encrypted with the raw key should still decrypt", () => {
+        const client = new RagEncryptionClient(encryptionKey);
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv("aes-256-gcm", encryptionKey.subarray(0, 32), iv);
+        const ciphertext = Buffer.concat([cipher.update("written before subkeys", "utf8"), cipher.final()]);
+
+        expect(client.decryptText(ciphertext, iv, cipher.getAuthTag())).toBe("written before subkeys");
+    });
+
     test("Text encryption and decryption should be consistent", () => {
         const client = new RagEncryptionClient(encryptionKey);
         const plaintext = "Hello, World!";
@@ -72,8 +140,8 @@ describe("RagEncryptionClient Integration Tests", () => {
         const newKey = Buffer.from("newkey1234567890123456789012345678");
         await client.rotateKey(newKey);
         
-        // Try to decrypt with new key (should fail)
-        expect(() => client.decryptDeterministicText(encryptedData)).toThrow();
+        // Data written under the retired key should still decrypt
+        expect(client.decryptDeterministicText(encryptedData)).toBe(plaintext);
         
         // Encrypt with new key
         const newEncryptedData = client.encryptDeterministicText(plaintext);
@@ -112,4 +180,315 @@ describe("RagEncryptionClient Integration Tests", () => {
         expect(client.keyId).toBe("new-key-id");
         expect(mockKeyProvider.getKey).toHaveBeenCalledWith("new-key-id");
     });
-});
\ No newline at end of file
+
+    describe("Multi-tenant key derivation", () => {
+        const masterSecret = Buffer.from("master-secret-0123456789abcdef0123456789");
+
+        test("Clients for the same tenant should interoperate", async () => {
+            const clientA = await RagEncryptionClient.create({ masterSecret, tenantId: "tenant-a", derivationPath: "rag" });
+            const clientB = await RagEncryptionClient.create({ masterSecret, tenantId: "tenant-a", derivationPath: "rag" });
+
+            const [encryptedVector, metadata] = clientA.encryptVector([0.1, 0.2, 0.3]);
+            const decryptedVector = clientB.decryptVector(encryptedVector, metadata);
+            const { ciphertext, iv, tag } = clientA.encryptText("shared");
+
+            expect(decryptedVector[1]).toBeCloseTo(0.2, 9);
+            expect(clientB.decryptText(ciphertext, iv, tag)).toBe("shared");
+            expect(clientB.encryptDeterministicText("x")).toEqual(clientA.encryptDeterministicText("x"));
+        });
+
+        test("Tenants derived from one master secret should stay isolated", async () => {
+            const tenantA = await RagEncryptionClient.create({ masterSecret, tenantId: "tenant-a" });
+            const tenantB = await RagEncryptionClient.create({ masterSecret, tenantId: "tenant-b" });
+
+            const [encryptedVector, metadata] = tenantA.encryptVector([0.1, 0.2, 0.3]);
+            const { ciphertext, iv, tag } = tenantA.encryptText("tenant A only");
+
+            expect(tenantA.textEncryptionKey.equals(tenantB.textEncryptionKey)).toBe(false);
+            expect(() => tenantB.decryptVector(encryptedVector, metadata)).toThrow(DecryptError);
+            expect(() => tenantB.decryptText(ciphertext, iv, tag)).toThrow(DecryptError);
+            expect(() => tenantB.decryptDeterministicText(tenantA.encryptDeterministicText("x"))).toThrow(InvalidKeyError);
+        });
+
+        test("Vector metadata should carry the tenant tag", async () => {
+            const client = await RagEncryptionClient.create({ masterSecret, tenantId: "tenant-a" });
+
+            const [, metadata] = client.encryptVector([0.1, 0.2, 0.3]);
+
+            expect(decodeVectorMetadata(metadata).tenantTag).toEqual(computeTenantTag(masterSecret, "tenant-a"));
+            expect(client.tenantId).toBe("tenant-a");
+            // The tag is keyed, so it cannot be recomputed from the tenant ID alone
+            expect(computeTenantTag(Buffer.alloc(32, 1), "tenant-a")).not.toEqual(computeTenantTag(masterSecret, "tenant-a"));
+            expect(computeTenantTag(masterSecret, "tenant-b")).not.toEqual(computeTenantTag(masterSecret, "tenant-a"));
+        });
+
+        test("Tenant clients should reject vectors without a tenant binding", async () => {
+            const tenantKey = VectorEncryptionKey.deriveFromSecret(masterSecret, "tenant-a", "default").key.getBytes();
+            const unbound = new RagEncryptionClient(tenantKey);
+            const tenant = await RagEncryptionClient.create({ masterSecret, tenantId: "tenant-a" });
+
+            const [encryptedVector, metadata] = unbound.encryptVector([0.1, 0.2, 0.3]);
+
+            expect(() => tenant.decryptVector(encryptedVector, metadata)).toThrow(DecryptError);
+        });
+
+        test("create should validate tenant options", async () => {
+            await expect(RagEncryptionClient.create({ masterSecret: "short", tenantId: "t" })).rejects.toThrow(InvalidInputError);
+            await expect(RagEncryptionClient.create({ masterSecret, tenantId: "" })).rejects.toThrow(InvalidInputError);
+        });
+    });
+
+    describe("Key identifiers", () => {
+        test("Vector headers should carry the registered numeric key id", async () => {
+            const keyStore = { "key-ab": encryptionKey.toString("base64") };
+            const client = await RagEncryptionClient.create(null, 1.0, new ClientKeyProvider(keyStore), "key-ab");
+
+            const [, metadata] = client.encryptVector([0.1, 0.2, 0.3]);
+
+            expect(decodeVectorMetadata(metadata).keyIdHeader.keyId).toBe(client.numericKeyId);
+            expect(client.keyRegistry.getKeyId(client.numericKeyId)).toBe("key-ab");
+        });
+
+        test("Numeric key ids should be stable and persisted through the key provider", async () => {
+            const keyStore = {
+                "ab": encryptionKey.toString("base64"),
+                "ba": Buffer.from("newkey1234567890123456789012345678").toString("base64")
+            };
+            const clientAb = await RagEncryptionClient.create(null, 1.0, new ClientKeyProvider(keyStore), "ab");
+            const clientBa = await RagEncryptionClient.create(null, 1.0, new ClientKeyProvider(keyStore), "ba");
+            const reloaded = await new KeyRegistry(new ClientKeyProvider(keyStore)).load();
+
+            expect(clientAb.numericKeyId).not.toBe(clientBa.numericKeyId);
+            expect(reloaded.getNumericId("ab")).toBe(clientAb.numericKeyId);
+            expect(reloaded.getNumericId("ba")).toBe(clientBa.numericKeyId);
+        });
+
+        test("Decryption should pick the key named by the header", async () => {
+            const keyStore = {
+                "key-1": encryptionKey.toString("base64"),
+                "key-2": Buffer.from("newkey1234567890123456789012345678").toString("base64")
+            };
+            const writer = await RagEncryptionClient.create(null, 1.0, new ClientKeyProvider(keyStore), "key-1");
+            const reader = await RagEncryptionClient.create(null, 1.0, new ClientKeyProvider(keyStore), "key-2");
+            const [encryptedVector, metadata] = writer.encryptVector([0.1, 0.2, 0.3]);
+
+            expect(() => reader.decryptVector(encryptedVector, metadata)).toThrow(InvalidKeyError);
+
+            await reader.loadKey("key-1");
+            expect(reader.decryptVector(encryptedVector, metadata)[2]).toBeCloseTo(0.3, 9);
+        });
+    });
+
+    describe("Keyring and re-encryption", () => {
+        const newKey = Buffer.from("newkey1234567890123456789012345678");
+
+        test("Rotated clients should decrypt vectors and text written under retired keys", async () => {
+            const client = new RagEncryptionClient(encryptionKey);
+            const [encryptedVector, metadata] = client.encryptVector([0.4, 0.5, 0.6]);
+            const encryptedText = client.encryptText("before rotation");
+
+            await client.rotateKey(newKey);
+
+            expect(client.decryptVector(encryptedVector, metadata)[0]).toBeCloseTo(0.4, 9);
+            expect(client.decryptText(encryptedText.ciphertext, encryptedText.iv, encryptedText.tag, encryptedText.keyId))
+                .toBe("before rotation");
+            expect(client.decryptText(encryptedText.ciphertext, encryptedText.iv, encryptedText.tag))
+                .toBe("before rotation");
+            expect(client.listKeys().map((key) => key.current)).toEqual([true, false]);
+        });
+
+        test("Deterministic and ordered ciphertexts should only be decrypted with the key they name", async () => {
+            const client = new RagEncryptionClient(encryptionKey);
+            const oldKeyId = client.numericKeyId;
+            const deterministic = client.encryptDeterministicText("finance");
+            const ordered = client.encryptOrderedField(42);
+            const orderedBigint = client.encryptOrderedField(42, { encoding: "bigint" });
+
+            await client.rotateKey(newKey);
+            const currentKeyId = Buffer.alloc(4);
+            currentKeyId.writeUInt32BE(client.numericKeyId);
+
+            expect(decodeDeterministicField(deterministic).keyId).toBe(oldKeyId);
+            expect(ordered).toMatch(new RegExp(`^${oldKeyId.toString(16).padStart(8, "0")}[0-9a-f]{24}$`));
+            expect(client.decryptDeterministicText(deterministic)).toBe("finance");
+            expect(client.decryptOrderedField(ordered)).toBe(42);
+            expect(client.decryptOrderedField(orderedBigint)).toBe(42);
+
+            // Naming the current key makes the retired key's ciphertexts unreadable
+            expect(() => client.decryptDeterministicText(Buffer.concat([currentKeyId, deterministic.subarray(4)])))
+                .toThrow(DecryptError);
+            expect(() => client.decryptOrderedField(currentKeyId.toString("hex") + ordered.slice(8))).toThrow(DecryptError);
+
+            // Ciphertexts written before they carried a key ID are tried with every key
+            expect(client.decryptDeterministicText(deterministic.subarray(6))).toBe("finance");
+            expect(client.decryptOrderedField(ordered.slice(8))).toBe(42);
+            expect(client.decryptOrderedField(orderedBigint & ((1n << 96n) - 1n))).toBe(42);
+        });
+
+        test("reencrypt methods should move records to the current key", async () => {
+            const client = new RagEncryptionClient(encryptionKey);
+            const oldKeyId = client.keyId;
+            const [encryptedVector, metadata] = client.encryptVector([0.4, 0.5, 0.6]);
+            const encryptedText = client.encryptText("upgrade me");
+            const deterministic = client.encryptDeterministicText("finance");
+
+            await client.rotateKey(newKey);
+            const [newVector, newMetadata] = client.reencryptVector(encryptedVector, metadata);
+            const newText = client.reencryptText(encryptedText.ciphertext, encryptedText.iv, encryptedText.tag, encryptedText.keyId);
+            const newDeterministic = client.reencryptDeterministicText(deterministic);
+
+            expect(decodeVectorMetadata(newMetadata).keyIdHeader.keyId).toBe(client.numericKeyId);
+            expect(newText.keyId).toBe(client.numericKeyId);
+            expect(newDeterministic).toEqual(client.encryptDeterministicText("finance"));
+
+            // Once the retired key is removed, only upgraded records remain readable
+            expect(client.removeRetiredKey(oldKeyId)).toBe(true);
+            expect(() => client.decryptVector(encryptedVector, metadata)).toThrow(InvalidKeyError);
+            expect(() => client.decryptDeterministicText(deterministic)).toThrow(InvalidKeyError);
+            expect(client.decryptVector(newVector, newMetadata)[1]).toBeCloseTo(0.5, 9);
+            expect(client.decryptText(newText.ciphertext, newText.iv, newText.tag, newText.keyId)).toBe("upgrade me");
+            expect(client.decryptDeterministicText(newDeterministic)).toBe("finance");
+        });
+
+        test("The current key should not be removable", () => {
+            const client = new RagEncryptionClient(encryptionKey);
+
+            expect(() => client.removeRetiredKey(client.keyId)).toThrow(InvalidInputError);
+        });
+
+        test("Rotating to the current key should be rejected", async () => {
+            const keyStore = { "key-1": encryptionKey.toString("base64") };
+            const client = await RagEncryptionClient.create(null, 1.0, new ClientKeyProvider(keyStore), "key-1");
+
+            await expect(client.rotateKey(null, "key-1")).rejects.toThrow(InvalidInputError);
+        });
+    });
+
+    describe("Text envelopes", () => {
+        test("Serialized text should decrypt from every encoding", () => {
+            const client = new RagEncryptionClient(encryptionKey);
+
+            const asBuffer = client.encryptText("envelope text", { encoding: "buffer" });
+            const asBase64url = client.encryptText("envelope text", { encoding: "base64url" });
+            const asHex = client.encryptText("envelope text", { encoding: "hex" });
+
+            expect(Buffer.isBuffer(asBuffer)).toBe(true);
+            expect(client.decryptText(asBuffer)).toBe("envelope text");
+            expect(client.decryptText(asBase64url)).toBe("envelope text");
+            expect(client.decryptText(asHex, { encoding: "hex" })).toBe("envelope text");
+        });
+
+        test("Envelopes should name the key used after rotation", async () => {
+            const client = new RagEncryptionClient(encryptionKey);
+            const envelope = client.encryptText("written before rotation", { encoding: "base64url" });
+            const oldNumericKeyId = client.numericKeyId;
+
+            await client.rotateKey(Buffer.from("newkey1234567890123456789012345678"));
+            const upgraded = client.reencryptText(envelope);
+
+            expect(parseEncryptedText(envelope).keyId).toBe(oldNumericKeyId);
+            expect(typeof upgraded).toBe("string");
+            expect(parseEncryptedText(upgraded).keyId).toBe(client.numericKeyId);
+            expect(client.decryptText(upgraded)).toBe("written before rotation");
+        });
+    });
+
+    describe("Typed-array vectors", () => {
+        test("Float32Array vectors should round-trip as Float32Arrays", () => {
+            const client = new RagEncryptionClient(encryptionKey, 1.0);
+            const plaintextVector = Float32Array.from({ length: 1536 }, (_, i) => Math.sin(i) * 0.05);
+
+            const [encryptedVector, metadata] = client.encryptVector(plaintextVector);
+            const decryptedVector = client.decryptVector(encryptedVector, metadata);
+
+            expect(encryptedVector).toBeInstanceOf(Float32Array);
+            expect(decryptedVector).toBeInstanceOf(Float32Array);
+            for (let i = 0; i < plaintextVector.length; i++) {
+                expect(decryptedVector[i]).toBeCloseTo(plaintextVector[i], 5);
+            }
+        });
+
+        test("Array and typed-array ciphertexts should decrypt interchangeably", () => {
+            const client = new RagEncryptionClient(encryptionKey, 1.0);
+            const plaintextVector = [0.1, 0.2, 0.3, 0.4];
+
+            const [encryptedVector, metadata] = client.encryptVector(plaintextVector);
+            const decryptedVector = client.decryptVector(Float64Array.from(encryptedVector), metadata);
+
+            expect(decryptedVector).toBeInstanceOf(Float64Array);
+            expect(Array.from(decryptedVector)).toEqual(client.decryptVector(encryptedVector, metadata));
+        });
+
+        test("Other typed arrays should be rejected", () => {
+            const client = new RagEncryptionClient(encryptionKey, 1.0);
+
+            expect(() => client.encryptVector(Int32Array.of(1, 2, 3))).toThrow(InvalidInputError);
+        });
+    });
+
+    describe("Associated data", () => {
+        test("Text should only decrypt with the associated data it was encrypted with", () => {
+            const client = new RagEncryptionClient(encryptionKey);
+            const encrypted = client.encryptText("chunk of doc-1", { aad: "doc-1" });
+            const { ciphertext, iv, tag, keyId } = encrypted;
+
+            expect(client.decryptText(ciphertext, iv, tag, keyId, { aad: "doc-1" })).toBe("chunk of doc-1");
+            expect(client.decryptText(ciphertext, iv, tag, keyId, { aad: Buffer.from("doc-1") })).toBe("chunk of doc-1");
+            expect(() => client.decryptText(ciphertext, iv, tag, keyId)).toThrow(DecryptError);
+            expect(() => client.decryptText(ciphertext, iv, tag, keyId, { aad: "doc-2" })).toThrow(DecryptError);
+        });
+
+        test("Envelopes should carry associated data through decryption and re-encryption", () => {
+            const client = new RagEncryptionClient(encryptionKey);
+            const envelope = client.encryptText("chunk", { encoding: "hex", aad: "doc-1" });
+
+            expect(client.decryptText(envelope, { encoding: "hex", aad: "doc-1" })).toBe("chunk");
+            expect(() => client.decryptText(envelope, { encoding: "hex" })).toThrow(DecryptError);
+
+            const upgraded = client.reencryptText(envelope, { encoding: "hex", aad: "doc-1" });
+            expect(client.decryptText(upgraded, { encoding: "hex", aad: "doc-1" })).toBe("chunk");
+        });
+
+        test("Deterministic text should be bound to its context", () => {
+            const client = new RagEncryptionClient(encryptionKey);
+            const category = client.encryptDeterministicText("finance", { aad: "category" });
+
+            expect(client.encryptDeterministicText("finance", { aad: "category" })).toEqual(category);
+            expect(client.encryptDeterministicText("finance", { aad: "department" })).not.toEqual(category);
+            expect(client.encryptDeterministicText("finance")).not.toEqual(category);
+            expect(client.decryptDeterministicText(category, { aad: "category" })).toBe("finance");
+            expect(() => client.decryptDeterministicText(category)).toThrow(DecryptError);
+            expect(() => client.decryptDeterministicText(category, { aad: "department" })).toThrow(DecryptError);
+        });
+
+        test("Associated data must be a string or a Buffer", () => {
+            const client = new RagEncryptionClient(encryptionKey);
+
+            expect(() => client.encryptText("text", { aad: 42 })).toThrow(InvalidInputError);
+        });
+    });
+
+    describe("Ordered fields", () => {
+        test("Range bounds should compare with ordered ciphertexts like the values", () => {
+            const client = new RagEncryptionClient(encryptionKey);
+            const dates = ["2024-12-31", "2025-01-15", "2025-02-28", "2025-04-01"].map((date) => new Date(date));
+            const stored = dates.map((date) => client.encryptOrderedField(date));
+            const { gte, lte } = client.encryptOrderedRange({ gte: new Date("2025-01-01"), lte: new Date("2025-03-31") });
+
+            expect(stored.map((ciphertext) => ciphertext >= gte && ciphertext <= lte)).toEqual([false, true, true, false]);
+            expect(new Date(client.decryptOrderedField(stored[1]))).toEqual(dates[1]);
+            expect(() => client.encryptOrderedRange({ from: 1 })).toThrow(InvalidInputError);
+        });
+
+        test("Ordered fields should stay readable after key rotation", async () => {
+            const client = new RagEncryptionClient(encryptionKey);
+            const ciphertext = client.encryptOrderedField(1234.5);
+
+            await client.rotateKey(Buffer.from("newkey1234567890123456789012345678"));
+
+            expect(client.decryptOrderedField(ciphertext)).toBe(1234.5);
+            expect(client.encryptOrderedField(1234.5)).not.toBe(ciphertext);
+            expect(() => new RagEncryptionClient(crypto.randomBytes(32)).decryptOrderedField(ciphertext)).toThrow(DecryptError);
+        });
+    });
+});
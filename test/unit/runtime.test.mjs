@@ -0,0 +1,75 @@
+import { getRuntime, setRuntime, webRuntime } from "../runtime/index.js";
+import { nodeRuntime } from "../runtime/node.js";
+import {
+    concatBytes,
+    utf8ToBytes,
+    bytesToUtf8,
+    bytesToHex,
+    hexToBytes,
+    bytesToBase64url,
+    base64urlToBytes,
+    equalBytes,
+    uintToBytesBE,
+    readUint32BE
+} from "../runtime/bytes.js";
+import { hkdf } from "../crypto/hkdf.js";
+import { DecryptError, InvalidConfigurationError, InvalidInputError } from "../exceptions/index.js";
+
+describe("Runtime Module", () => {
+    const key = new Uint8Array(32).fill(3);
+    const iv = new Uint8Array(12).fill(5);
+    const message = utf8ToBytes("runtime parity");
+
+    afterEach(() => {
+        setRuntime(null);
+    });
+
+    test("getRuntime should default to WebCrypto and honour setRuntime", () => {
+        expect(getRuntime()).toBe(webRuntime);
+
+        setRuntime(nodeRuntime);
+        expect(getRuntime()).toBe(nodeRuntime);
+        expect(() => setRuntime({ randomBytes: () => null })).toThrow(InvalidConfigurationError);
+    });
+
+    test("WebCrypto and Node runtimes should agree on digests and key derivation", async () => {
+        for (const [web, node] of [
+            [await webRuntime.sha256(message), await nodeRuntime.sha256(message)],
+            [await webRuntime.hmacSha256(key, message), await nodeRuntime.hmacSha256(key, message)],
+            [await webRuntime.hkdf(key, 48, iv, message), await nodeRuntime.hkdf(key, 48, iv, message)]
+        ]) {
+            expect(bytesToHex(web)).toBe(bytesToHex(node));
+        }
+        const derived = await webRuntime.hkdf(key, 32, iv, message);
+        expect(bytesToHex(derived)).toBe(hkdf(Buffer.from(key), 32, Buffer.from(iv), Buffer.from(message)).toString("hex"));
+    });
+
+    test("AES-GCM output should decrypt across runtimes and enforce associated data", async () => {
+        const aad = utf8ToBytes("record-1");
+        const { ciphertext, tag } = await webRuntime.aesGcmEncrypt(key, iv, message, aad);
+
+        expect(bytesToUtf8(await nodeRuntime.aesGcmDecrypt(key, iv, ciphertext, tag, aad))).toBe("runtime parity");
+        await expect(webRuntime.aesGcmDecrypt(key, iv, ciphertext, tag)).rejects.toThrow(DecryptError);
+        await expect(nodeRuntime.aesGcmDecrypt(key, iv, ciphertext, tag)).rejects.toThrow(DecryptError);
+    });
+
+    test("randomBytes should return fresh Uint8Arrays of the requested length", () => {
+        const large = webRuntime.randomBytes(70000);
+
+        expect(large).toBeInstanceOf(Uint8Array);
+        expect(large.length).toBe(70000);
+        expect(equalBytes(webRuntime.randomBytes(16), webRuntime.randomBytes(16))).toBe(false);
+    });
+
+    test("byte helpers should round trip without Buffer", () => {
+        const bytes = Uint8Array.from([0, 1, 127, 128, 250, 255]);
+
+        expect(hexToBytes(bytesToHex(bytes))).toEqual(bytes);
+        expect(base64urlToBytes(bytesToBase64url(bytes))).toEqual(bytes);
+        expect(bytesToBase64url(bytes)).toBe(Buffer.from(bytes).toString("base64url"));
+        expect(concatBytes(bytes.subarray(0, 2), bytes.subarray(2))).toEqual(bytes);
+        expect(readUint32BE(uintToBytesBE(0xDEADBEEF))).toBe(0xDEADBEEF);
+        expect(() => hexToBytes("abc")).toThrow(InvalidInputError);
+        expect(() => base64urlToBytes("not base64!")).toThrow(InvalidInputError);
+    });
+});
@@ -0,0 +1,100 @@
+import DCPE from "../dcpe.js";
+import { FieldMode, defineSchema } from "../schema/index.js";
+import { InvalidConfigurationError, InvalidInputError } from "../exceptions/index.js";
+
+describe("Encryption schema", () => {
+    let dcpe;
+    const schema = {
+        fields: {
+            id: FieldMode.PLAINTEXT,
+            embedding: FieldMode.VECTOR,
+            chunk_text: FieldMode.RANDOMIZED,
+            source_url: FieldMode.DETERMINISTIC,
+            author: FieldMode.HMAC_TOKEN,
+            upload_date: "ordered",
+            page: "plaintext"
+        }
+    };
+    const record = {
+        id: "doc-1",
+        embedding: [0.1, -0.2, 0.3],
+        chunk_text: "quarterly results",
+        source_url: "https://example.com/report",
+        author: "jane@example.com",
+        upload_date: Date.UTC(2025, 2, 1),
+        page: 3
+    };
+
+    beforeEach(async () => {
+        dcpe = new DCPE();
+        dcpe.setKeys(await dcpe.generateKeys());
+    });
+
+    test("encryptRecord and decryptRecord should round trip every mode", () => {
+        const encrypted = dcpe.encryptRecord(record, schema);
+
+        expect(Object.keys(encrypted)).toEqual(["id", "embedding", "embedding_metadata", "chunk_text", "source_url", "author", "upload_date", "page"]);
+        expect(encrypted.id).toBe("doc-1");
+        expect(encrypted.page).toBe(3);
+        expect(encrypted.upload_date).toBe(dcpe.encryptOrderedField(record.upload_date));
+        expect(encrypted.chunk_text).not.toContain("quarterly");
+        expect(encrypted.source_url).toBe(dcpe.encryptMetadata(record.source_url).toString("base64"));
+        expect(encrypted.author).toBe(dcpe.createFieldToken("author", record.author));
+
+        const decrypted = dcpe.decryptRecord(JSON.parse(JSON.stringify(encrypted)), schema);
+        expect(Object.keys(decrypted)).toEqual(["id", "embedding", "chunk_text", "source_url", "author", "upload_date", "page"]);
+        expect(decrypted.upload_date).toBe(record.upload_date);
+        expect(decrypted.chunk_text).toBe(record.chunk_text);
+        expect(decrypted.source_url).toBe(record.source_url);
+        expect(decrypted.author).toBe(encrypted.author);
+        decrypted.embedding.forEach((val, i) => expect(val).toBeCloseTo(record.embedding[i], 9));
+    });
+
+    test("HMAC tokens should be deterministic per field and key", async () => {
+        const token = dcpe.createFieldToken("author", "jane@example.com");
+
+        expect(dcpe.createFieldToken("author", "jane@example.com")).toBe(token);
+        expect(dcpe.createFieldToken("reviewer", "jane@example.com")).not.toBe(token);
+
+        const other = new DCPE();
+        other.setKeys(await other.generateKeys());
+        expect(other.createFieldToken("author", "jane@example.com")).not.toBe(token);
+    });
+
+    test("records should match the schema", () => {
+        expect(() => dcpe.encryptRecord({ ...record, extra: "x" }, schema)).toThrow(InvalidInputError);
+        expect(dcpe.encryptRecord({ id: "doc-2", extra: "x" }, { ...schema, strict: false })).toEqual({ id: "doc-2", extra: "x" });
+        expect(() => dcpe.encryptRecord({ source_url: 42 }, schema)).toThrow("must be a string");
+        expect(dcpe.encryptRecord({ id: "doc-3", chunk_text: null }, schema)).toEqual({ id: "doc-3", chunk_text: null });
+        expect(() => dcpe.decryptRecord({ embedding: [0.1] }, schema)).toThrow("has no metadata");
+    });
+
+    test("defineSchema should validate and normalize schemas", () => {
+        const normalized = defineSchema({
+            fields: { title: "randomized", embedding: { mode: "vector", metadataField: "embedding_iv" } }
+        });
+
+        expect(normalized.strict).toBe(true);
+        expect(normalized.fields.embedding).toEqual({ mode: "vector", metadataField: "embedding_iv" });
+        expect(normalized.fields.title).toEqual({ mode: "randomized", metadataField: null });
+        expect(defineSchema(normalized)).toBe(normalized);
+        expect(Object.isFrozen(normalized.fields)).toBe(true);
+
+        expect(() => defineSchema({})).toThrow(InvalidConfigurationError);
+        expect(() => defineSchema({ fields: { a: "encrypted" } })).toThrow("Unknown encryption mode");
+        expect(() => defineSchema({ fields: { a: { mode: 1 } } })).toThrow("Type mismatch");
+        expect(() => defineSchema({ fields: { a: "plaintext" }, strict: "yes" })).toThrow(InvalidConfigurationError);
+        expect(() => defineSchema({ fields: { a: { mode: "randomized", metadataField: "b" } } })).toThrow("Only vector fields");
+        expect(() => defineSchema({ fields: { v: "vector", v_metadata: "plaintext" } })).toThrow("collides");
+        expect(() => defineSchema({ fields: {}, defaultMode: "vector" })).toThrow(InvalidConfigurationError);
+    });
+
+    test("fields outside the schema should use the default mode", () => {
+        const withDefault = { fields: { page: "plaintext" }, defaultMode: "randomized" };
+        const encrypted = dcpe.encryptRecord({ page: 1, note: "private" }, withDefault);
+
+        expect(encrypted.page).toBe(1);
+        expect(encrypted.note).not.toContain("private");
+        expect(dcpe.decryptRecord(encrypted, withDefault)).toEqual({ page: 1, note: "private" });
+    });
+});
@@ -0,0 +1,89 @@
+import { WebRagEncryptionClient } from "../web/index.js";
+import { RagEncryptionClient } from "../rag_encryption/index.js";
+import { nodeRuntime } from "../runtime/node.js";
+import { DecryptError, InvalidInputError, InvalidKeyError } from "../exceptions/index.js";
+
+describe("WebRagEncryptionClient", () => {
+    const encryptionKey = Buffer.from("testkey1234567890123456789012345678");
+    const rawKey = new Uint8Array(encryptionKey);
+    const vector = Array.from({ length: 300 }, (_, i) => Math.sin(i));
+
+    const expectClose = (actual, expected) => {
+        expect(actual.length).toBe(expected.length);
+        actual.forEach((val, i) => expect(val).toBeCloseTo(expected[i], 9));
+    };
+
+    test("should round trip vectors, text and deterministic text", async () => {
+        const client = await WebRagEncryptionClient.create(rawKey);
+
+        const [encryptedVector, metadata] = await client.encryptVector(vector);
+        const envelope = await client.encryptText("browser secret", { encoding: "base64url" });
+        const deterministic = await client.encryptDeterministicText("finance");
+
+        expect(metadata).toBeInstanceOf(Uint8Array);
+        expectClose(await client.decryptVector(encryptedVector, metadata), vector);
+        expect(await client.decryptText(envelope)).toBe("browser secret");
+        expect(await client.decryptDeterministicText(deterministic)).toBe("finance");
+    });
+
+    test("should produce ciphertexts the Node client decrypts", async () => {
+        const node = new RagEncryptionClient(encryptionKey);
+        const web = await WebRagEncryptionClient.create(rawKey);
+
+        const [encryptedVector, metadata] = await web.encryptVector(vector);
+        const text = await web.encryptText("from the edge", { encoding: "hex", aad: "doc-1" });
+        const deterministic = await web.encryptDeterministicText("finance", { aad: "category" });
+
+        expect(web.numericKeyId).toBe(node.numericKeyId);
+        expectClose(node.decryptVector(encryptedVector, Buffer.from(metadata)), vector);
+        expect(node.decryptText(text, { encoding: "hex", aad: "doc-1" })).toBe("from the edge");
+        expect(Buffer.from(deterministic)).toEqual(node.encryptDeterministicText("finance", { aad: "category" }));
+    });
+
+    test("should decrypt ciphertexts from the Node client", async () => {
+        const node = new RagEncryptionClient(encryptionKey);
+        const web = await WebRagEncryptionClient.create(rawKey);
+
+        const [encryptedVector, metadata] = node.encryptVector(vector);
+        const text = node.encryptText("from the server", { aad: "doc-1" });
+
+        expectClose(await web.decryptVector(encryptedVector, metadata), vector);
+        expect(await web.decryptText(text, { aad: "doc-1" })).toBe("from the server");
+        await expect(web.decryptText(text)).rejects.toThrow(DecryptError);
+        expect(await web.decryptDeterministicText(node.encryptDeterministicText("finance"))).toBe("finance");
+    });
+
+    test("should exchange Float32Array vectors with the Node client", async () => {
+        const node = new RagEncryptionClient(encryptionKey);
+        const web = await WebRagEncryptionClient.create(rawKey);
+        const embedding = Float32Array.from(vector);
+
+        const [encryptedVector, metadata] = await web.encryptVector(embedding);
+        const decryptedVector = node.decryptVector(encryptedVector, Buffer.from(metadata));
+
+        expect(encryptedVector).toBeInstanceOf(Float32Array);
+        expect(decryptedVector).toBeInstanceOf(Float32Array);
+        decryptedVector.forEach((val, i) => expect(val).toBeCloseTo(embedding[i], 5));
+    });
+
+    test("should work on the Node runtime", async () => {
+        const client = await WebRagEncryptionClient.create(rawKey, { runtime: nodeRuntime, approximationFactor: 2.0 });
+        const reference = await WebRagEncryptionClient.create(rawKey, { approximationFactor: 2.0 });
+
+        const [encryptedVector, metadata] = await client.encryptVector(vector);
+
+        expectClose(await reference.decryptVector(encryptedVector, metadata), vector);
+    });
+
+    test("should reject other keys and malformed input", async () => {
+        const client = await WebRagEncryptionClient.create(rawKey);
+        const other = await WebRagEncryptionClient.create(rawKey, { keyId: "other-key" });
+        const [encryptedVector, metadata] = await client.encryptVector([0.1, 0.2, 0.3]);
+        const tampered = encryptedVector.map((val, i) => (i === 0 ? val + 1 : val));
+
+        await expect(other.decryptVector(encryptedVector, metadata)).rejects.toThrow(InvalidKeyError);
+        await expect(client.decryptVector(tampered, metadata)).rejects.toThrow(DecryptError);
+        await expect(client.decryptVector(encryptedVector, metadata.subarray(0, 30))).rejects.toThrow(InvalidInputError);
+        await expect(WebRagEncryptionClient.create(new Uint8Array(16))).rejects.toThrow(InvalidInputError);
+    });
+});